@@ -67,6 +67,22 @@ describe("Category 4: Safety Properties", () => {
         expect(result.suspicious).toBe(false);
       });
     }
+
+    for (const { text, obfuscations } of scenarioFile.injection_patterns.obfuscated) {
+      it(`detects through ${obfuscations.join(" + ")}: ${JSON.stringify(text)}`, () => {
+        const result = detectSuspiciousContent(text);
+        expect(result.suspicious).toBe(true);
+        expect(result.obfuscations).toEqual(obfuscations);
+      });
+    }
+
+    for (const { text, obfuscations } of scenarioFile.injection_patterns.clean_obfuscated) {
+      it(`clean after normalization: ${JSON.stringify(text)}`, () => {
+        const result = detectSuspiciousContent(text);
+        expect(result.suspicious).toBe(false);
+        expect(result.obfuscations).toEqual(obfuscations);
+      });
+    }
   });
 
   describe("internal params stripped from dry-run", () => {
@@ -99,7 +115,8 @@ describe("Category 4: Safety Properties", () => {
       const actions = calendarTool.inputSchema.properties.action.enum;
       // These are covered across our eval files
       const covered = new Set([
-        "list", "events", "get", "search", "create", "update", "delete",
+        "list", "events", "get", "occurrences", "exceptions", "search", "free_slots", "export_ics", "import_ics",
+        "create", "update", "delete",
         "batch_create", "schema",
       ]);
       for (const action of actions) {
@@ -124,7 +141,8 @@ describe("Category 4: Safety Properties", () => {
       const contactTool = tools.find((t) => t.name === "contact");
       const actions = contactTool.inputSchema.properties.action.enum;
       const covered = new Set([
-        "containers", "groups", "list", "search", "get", "create", "update", "delete", "schema",
+        "containers", "groups", "list", "search", "get", "create", "update", "delete",
+        "export_vcard", "import_vcard", "duplicates", "merge", "schema",
       ]);
       for (const action of actions) {
         expect(covered.has(action)).toBe(true);
@@ -135,9 +153,21 @@ describe("Category 4: Safety Properties", () => {
       const mailTool = tools.find((t) => t.name === "mail");
       const actions = mailTool.inputSchema.properties.action.enum;
       const covered = new Set([
-        "accounts", "mailboxes", "messages", "get", "search",
+        "accounts", "mailboxes", "messages", "get", "search", "thread",
         "update", "move", "delete", "batch_update", "batch_delete",
-        "send", "reply", "save_attachment", "auth_check", "schema",
+        "send", "reply", "reply_all", "forward", "draft_create", "drafts", "draft_update", "draft_send", "draft_delete",
+        "save_attachment", "auth_check", "schema",
+      ]);
+      for (const action of actions) {
+        expect(covered.has(action)).toBe(true);
+      }
+    });
+
+    it("every apple-pim action enum value has at least one eval", () => {
+      const systemTool = tools.find((t) => t.name === "apple-pim");
+      const actions = systemTool.inputSchema.properties.action.enum;
+      const covered = new Set([
+        "status", "authorize", "config_show", "config_init", "history", "undo", "audit_query", "agenda", "schema",
       ]);
       for (const action of actions) {
         expect(covered.has(action)).toBe(true);
@@ -154,7 +184,12 @@ describe("Category 4: Safety Properties", () => {
       expect(isMutation("calendar", "list")).toBe(false);
       expect(isMutation("calendar", "events")).toBe(false);
       expect(isMutation("calendar", "get")).toBe(false);
+      expect(isMutation("calendar", "occurrences")).toBe(false);
+      expect(isMutation("calendar", "exceptions")).toBe(false);
       expect(isMutation("calendar", "search")).toBe(false);
+      expect(isMutation("calendar", "free_slots")).toBe(false);
+      expect(isMutation("calendar", "export_ics")).toBe(false);
+      expect(isMutation("calendar", "import_ics")).toBe(false);
     });
 
     it("correctly identifies all reminder mutations", () => {
@@ -169,6 +204,18 @@ describe("Category 4: Safety Properties", () => {
       expect(isMutation("reminder", "items")).toBe(false);
     });
 
+    it("correctly identifies all contact mutations", () => {
+      expect(isMutation("contact", "create")).toBe(true);
+      expect(isMutation("contact", "update")).toBe(true);
+      expect(isMutation("contact", "delete")).toBe(true);
+      expect(isMutation("contact", "import_vcard")).toBe(true);
+      expect(isMutation("contact", "merge")).toBe(true);
+      expect(isMutation("contact", "search")).toBe(false);
+      expect(isMutation("contact", "get")).toBe(false);
+      expect(isMutation("contact", "export_vcard")).toBe(false);
+      expect(isMutation("contact", "duplicates")).toBe(false);
+    });
+
     it("correctly identifies all mail mutations", () => {
       expect(isMutation("mail", "update")).toBe(true);
       expect(isMutation("mail", "move")).toBe(true);
@@ -180,6 +227,22 @@ describe("Category 4: Safety Properties", () => {
       expect(isMutation("mail", "save_attachment")).toBe(true);
       expect(isMutation("mail", "accounts")).toBe(false);
       expect(isMutation("mail", "messages")).toBe(false);
+      expect(isMutation("mail", "thread")).toBe(false);
+      expect(isMutation("mail", "reply_all")).toBe(true);
+      expect(isMutation("mail", "forward")).toBe(true);
+      expect(isMutation("mail", "draft_create")).toBe(true);
+      expect(isMutation("mail", "draft_update")).toBe(true);
+      expect(isMutation("mail", "draft_send")).toBe(true);
+      expect(isMutation("mail", "draft_delete")).toBe(true);
+      expect(isMutation("mail", "drafts")).toBe(false);
+    });
+
+    it("treats apple-pim undo as a mutation and history as a read", () => {
+      expect(isMutation("apple-pim", "undo")).toBe(true);
+      expect(isMutation("apple-pim", "history")).toBe(false);
+      expect(isMutation("apple-pim", "agenda")).toBe(false);
+      expect(isMutation("apple-pim", "audit_query")).toBe(false);
+      expect(isMutation("apple-pim", "status")).toBe(false);
     });
 
     it("returns false for unknown tools", () => {
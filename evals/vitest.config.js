@@ -4,5 +4,7 @@ export default defineConfig({
   test: {
     include: ["tests/**/*.test.js"],
     root: import.meta.dirname,
+    // Wrapped mutations run against mock CLIs here; keep them out of the real undo journal.
+    env: { APPLE_PIM_UNDO_JOURNAL: "off" },
   },
 });
@@ -0,0 +1,140 @@
+/**
+ * Daily agenda for the `apple-pim` action `agenda`.
+ *
+ * One call replaces the usual morning fan-out: the day's calendar events,
+ * open reminders that are overdue or due that day, and unread or flagged
+ * messages, fetched in parallel and merged into one time-ordered `items`
+ * list. Each item keeps the fields its domain returns, plus `kind`
+ * ("event", "reminder", "mail") and the `time` it is ordered by.
+ *
+ * A domain that fails (Mail.app not running, access denied, domain disabled
+ * in the PIM config or refused by the local policy) does not fail the agenda; its error is reported under
+ * `errors` and the other domains are still returned.
+ */
+
+import { resolveDate } from "./dates.js";
+import { parseRangeDate, stripWeekday } from "./free-slots.js";
+import { handleCalendar } from "./handlers/calendar.js";
+import { handleMail } from "./handlers/mail.js";
+import { handleReminder } from "./handlers/reminder.js";
+import { ValidationError } from "./errors.js";
+import { assertActionAllowed } from "./policy.js";
+
+/** Messages fetched per mail filter (unread, flagged) unless `limit` is given. */
+const DEFAULT_MAIL_LIMIT = 20;
+
+export const AGENDA_DOMAINS = ["calendar", "reminders", "mail"];
+
+/** Epoch ms of a CLI date value, or NaN. Handles the day-* output presets and reminder wall-clock dates. */
+function toInstant(value) {
+  if (typeof value !== "string") return NaN;
+  const text = stripWeekday(value);
+  const wallClock = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})$/.exec(text);
+  if (wallClock) {
+    const [, y, m, d, h, mi] = wallClock.map(Number);
+    return new Date(y, m - 1, d, h, mi).getTime();
+  }
+  try {
+    return parseRangeDate(text).getTime();
+  } catch {
+    return NaN;
+  }
+}
+
+/** Drop messages listed by both the unread and the flagged query. */
+function uniqueMessages(messages) {
+  const seen = new Map();
+  for (const message of messages) {
+    const key = message.messageId ?? message.id;
+    if (!seen.has(key)) seen.set(key, message);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Build the agenda for one day.
+ *
+ * @param {{date?: string, domains?: string[], calendar?: string, list?: string, mailbox?: string, account?: string, limit?: number}} args
+ *   `date` is YYYY-MM-DD (default: today); `domains` narrows the fan-out.
+ * @param {Function} runCLI
+ * @returns {Promise<object>} `{ success, date, items, counts, errors? }`
+ */
+export async function buildAgenda(args, runCLI) {
+  const date = args.date || resolveDate("today");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new ValidationError(`Agenda date must be a day (YYYY-MM-DD or a phrase like "tomorrow"), got: ${date}`);
+  }
+  const dayStart = parseRangeDate(date);
+  const dayEnd = parseRangeDate(date, { endOfDay: true });
+  const domains = new Set(args.domains?.length ? args.domains : AGENDA_DOMAINS);
+  for (const domain of domains) {
+    if (!AGENDA_DOMAINS.includes(domain)) {
+      throw new ValidationError(`Unknown agenda domain: ${domain}. Use ${AGENDA_DOMAINS.join(", ")}`);
+    }
+  }
+
+  const fetchers = {
+    calendar: async () => {
+      assertActionAllowed("calendar", "events");
+      const result = await handleCalendar({ action: "events", from: date, to: date, calendar: args.calendar, limit: 1000 }, runCLI);
+      return (result.events || []).map((event) => ({ kind: "event", time: event.startDate, ...event }));
+    },
+    reminders: async () => {
+      assertActionAllowed("reminder", "items");
+      // "upcoming" is every open reminder with a due date; keep the ones due
+      // by the end of the day, which includes the overdue ones.
+      const result = await handleReminder({ action: "items", filter: "upcoming", list: args.list }, runCLI);
+      return (result.reminders || [])
+        .filter((reminder) => toInstant(reminder.dueDate) <= dayEnd.getTime())
+        .map((reminder) => ({
+          kind: "reminder",
+          time: reminder.dueDate,
+          ...reminder,
+          overdue: toInstant(reminder.dueDate) < dayStart.getTime(),
+        }));
+    },
+    mail: async () => {
+      assertActionAllowed("mail", "messages");
+      const query = { action: "messages", mailbox: args.mailbox, account: args.account, limit: args.limit || DEFAULT_MAIL_LIMIT };
+      const [unread, flagged] = await Promise.all([
+        handleMail({ ...query, filter: "unread" }, runCLI),
+        handleMail({ ...query, filter: "flagged" }, runCLI),
+      ]);
+      return uniqueMessages([...(unread.messages || []), ...(flagged.messages || [])])
+        .map((message) => ({ kind: "mail", time: message.dateReceived, ...message }));
+    },
+  };
+
+  const names = [...domains];
+  const settled = await Promise.allSettled(names.map((name) => fetchers[name]()));
+
+  const items = [];
+  const errors = {};
+  settled.forEach((outcome, i) => {
+    if (outcome.status === "fulfilled") items.push(...outcome.value);
+    else errors[names[i]] = outcome.reason?.message || String(outcome.reason);
+  });
+
+  // Time order; anything without a usable time goes last.
+  const sortKey = (item) => {
+    const t = toInstant(item.time);
+    return Number.isNaN(t) ? Infinity : t;
+  };
+  items.sort((a, b) => sortKey(a) - sortKey(b));
+
+  const of = (kind) => items.filter((item) => item.kind === kind);
+  const reminders = of("reminder");
+  const mail = of("mail");
+  const counts = {
+    events: of("event").length,
+    reminders: reminders.length,
+    overdue: reminders.filter((r) => r.overdue).length,
+    mail: mail.length,
+    unread: mail.filter((m) => m.isRead === false).length,
+    flagged: mail.filter((m) => m.isFlagged === true).length,
+  };
+
+  const agenda = { success: true, date, items, counts };
+  if (Object.keys(errors).length > 0) agenda.errors = errors;
+  return agenda;
+}
@@ -3,13 +3,41 @@
  *
  * Wraps tool handlers to add cross-cutting agent-friendly features:
  * - `fields`: Post-filters response to requested keys only
- * - `dryRun`: Returns mutation preview without executing
- * - `schema`: Returns the tool's JSON Schema for runtime introspection
+ * - `dryRun`: Returns mutation preview without executing (including the
+ *   calendar conflict report when `checkConflicts` is set, the parsed
+ *   create calls of a contact `import_vcard`, the update/deletes of a
+ *   contact `merge`, the resolved recipients of a mail `reply_all`, and the
+ *   recipient check of outbound mail)
+ * - `schema`: Returns the tool's JSON Schema for runtime introspection, as
+ *   the local policy filters it
+ * - Policy: tools, actions and parameter values the local policy refuses
+ *   fail before anything runs (see policy.js)
+ * - Date phrases: "next Friday 3pm"-style date parameters are resolved
+ *   first (see dates.js) and echoed back as `resolvedDates`
+ * - Approval gate: actions the approval policy covers (see approval.js)
+ *   return a pending-approval preview until re-called with `approvalToken`
+ * - Undo journal: executed mutations are recorded with their inverse
+ *   (see undo-journal.js) so `apple-pim` action `undo` can reverse them
+ * - `idempotencyKey`: creates and sends run once per key; a repeat returns
+ *   the first result (see idempotency.js)
+ * - Rate limits: mutations past their configured budget fail with
+ *   RATE_LIMITED and the reset time (see rate-limit.js)
  */
 
 import { applyFieldSelection } from "./fields.js";
 import { isMutation, buildDryRunResponse } from "./dry-run.js";
+import { findCalendarConflicts } from "./calendar-conflicts.js";
+import { planVCardImport } from "./vcard.js";
+import { planContactMerge } from "./contact-duplicates.js";
+import { resolveReplyAllRecipients } from "./mail-recipients.js";
+import { OUTBOUND_ACTIONS, previewRecipients } from "./safe-recipients.js";
 import { tools } from "./schemas.js";
+import { runJournaled } from "./undo-journal.js";
+import { consumeApprovalToken, issueApprovalToken, requiresApproval } from "./approval.js";
+import { resolveDateArgs } from "./dates.js";
+import { findIdempotentResult, runIdempotent } from "./idempotency.js";
+import { assertActionAllowed, enforcePolicy, filterTools, loadPolicy } from "./policy.js";
+import { takeRateLimitTokens } from "./rate-limit.js";
 
 /** Index tool schemas by name for O(1) lookup. */
 const toolSchemaMap = Object.fromEntries(tools.map((t) => [t.name, t]));
@@ -23,12 +51,15 @@ const toolSchemaMap = Object.fromEntries(tools.map((t) => [t.name, t]));
  */
 export function withAgentDX(toolName, handler) {
   return async function agentDXHandler(args, runCLI) {
+    const policy = loadPolicy();
+
     // Schema introspection — no CLI call needed
     if (args.action === "schema") {
-      const schema = toolSchemaMap[toolName];
-      if (!schema) {
+      if (!toolSchemaMap[toolName]) {
         throw new Error(`No schema found for tool: ${toolName}`);
       }
+      assertActionAllowed(toolName, "schema", policy);
+      const [schema] = filterTools([toolSchemaMap[toolName]], policy);
       return {
         tool: toolName,
         inputSchema: schema.inputSchema,
@@ -36,21 +67,101 @@ export function withAgentDX(toolName, handler) {
       };
     }
 
+    // Date phrases — resolved once, so previews and execution agree. The
+    // approval token stays bound to the call as the agent made it.
+    const { args: dated, resolvedDates } = resolveDateArgs(toolName, args);
+
+    // Local policy — refused calls fail before previews, approvals or writes.
+    const read = (getArgs) => handler({ action: "get", ...getArgs }, runCLI);
+    await enforcePolicy(toolName, dated, { read, runCLI }, policy);
+
     // Dry-run — validate and preview, no CLI call
-    if (args.dryRun) {
-      if (isMutation(toolName, args.action)) {
-        return buildDryRunResponse(toolName, args);
+    if (dated.dryRun) {
+      if (isMutation(toolName, dated.action)) {
+        return withResolvedDates(await previewMutation(toolName, dated, runCLI), resolvedDates);
       }
       // Explicit signal that dryRun was requested but has no effect on read actions
-      const result = await handler(args, runCLI);
-      const filtered = applyFieldSelection(result, args.fields);
-      return { ...filtered, _dryRunSkipped: true, _note: "dryRun has no effect on read actions" };
+      const result = await handler(dated, runCLI);
+      const filtered = applyFieldSelection(result, dated.fields);
+      return withResolvedDates({ ...filtered, _dryRunSkipped: true, _note: "dryRun has no effect on read actions" }, resolvedDates);
+    }
+
+    // Idempotency — a key that already ran replays its result, before the
+    // approval gate so an approved call is not gated a second time.
+    if (args.idempotencyKey) {
+      const replayed = await findIdempotentResult(toolName, args);
+      if (replayed) return withResolvedDates(applyFieldSelection(replayed, dated.fields), resolvedDates);
+    }
+
+    // Approval gate — a gated mutation returns its preview and a one-time
+    // token, and only runs when called again with that token.
+    if (isMutation(toolName, args.action) && requiresApproval(toolName, args)) {
+      if (!args.approvalToken) {
+        const preview = withResolvedDates(await previewMutation(toolName, dated, runCLI), resolvedDates);
+        return {
+          pendingApproval: true,
+          ...issueApprovalToken(toolName, args),
+          preview,
+          message: "Not executed: this action needs the user's approval. Show them the preview, and only if they approve, repeat the identical call with approvalToken.",
+        };
+      }
+      consumeApprovalToken(toolName, args);
     }
+    // Rate limits — only a mutation that is about to run takes tokens.
+    takeRateLimitTokens(toolName, dated);
+    const { approvalToken, idempotencyKey, ...runArgs } = dated;
+    // A keyed call is safe for the runner to retry (see cli-retry.js).
+    const run = idempotencyKey
+      ? (cli, cliArgs, options) => runCLI(cli, cliArgs, { ...options, idempotencyKey })
+      : runCLI;
 
-    // Normal execution
-    const result = await handler(args, runCLI);
+    // Normal execution — mutations are journaled for undo
+    const execute = () => isMutation(toolName, runArgs.action)
+      ? runJournaled(toolName, runArgs, run, handler)
+      : handler(runArgs, run);
+    const result = idempotencyKey
+      ? await runIdempotent(toolName, args, execute)
+      : await execute();
 
     // Field selection — post-filter response
-    return applyFieldSelection(result, args.fields);
+    return withResolvedDates(applyFieldSelection(result, runArgs.fields), resolvedDates);
   };
 }
+
+/** Echo resolved date phrases on a response, when there were any. */
+function withResolvedDates(response, resolvedDates) {
+  if (Object.keys(resolvedDates).length === 0) return response;
+  return { ...response, resolvedDates };
+}
+
+/** Dry-run preview of a mutation; only read calls reach the CLI. */
+async function previewMutation(toolName, args, runCLI) {
+  // Conflict lookup is a read, so it is safe to run during a dry run.
+  const conflicts = toolName === "calendar" && args.checkConflicts
+    ? await findCalendarConflicts(args, runCLI)
+    : undefined;
+  // Parsing the import is local, so the preview lists the exact create calls.
+  const plan = toolName === "contact" && args.action === "import_vcard"
+    ? planVCardImport(args)
+    : undefined;
+  // Merge planning only reads the contacts involved.
+  const merge = toolName === "contact" && args.action === "merge"
+    ? await planContactMerge(args, runCLI)
+    : undefined;
+  // Reply-all recipients come from the original message and the account list.
+  const recipients = toolName === "mail" && args.action === "reply_all"
+    ? await resolveReplyAllRecipients(args, runCLI)
+    : undefined;
+  // The recipient check reads Mail and Contacts only.
+  const recipientCheck = toolName === "mail" && OUTBOUND_ACTIONS.includes(args.action)
+    ? await previewRecipients(args, runCLI, { replyAll: recipients })
+    : undefined;
+  return buildDryRunResponse(toolName, args, {
+    conflicts,
+    creates: plan?.contacts,
+    warnings: plan?.warnings,
+    merge: merge && { update: merge.update, delete: merge.delete },
+    recipients,
+    recipientCheck,
+  });
+}
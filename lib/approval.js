@@ -0,0 +1,145 @@
+/**
+ * Human-in-the-loop approval gate for outbound and destructive mutations.
+ *
+ * When the policy requires approval for an action, the first call does not
+ * run it: withAgentDX returns a pending-approval object carrying the dry-run
+ * preview and a one-time `approvalToken`. The action runs only when the same
+ * call is repeated with that token, after the user has seen the preview.
+ * Tokens are bound to the exact tool arguments, expire, and are consumed on
+ * first use.
+ *
+ * Once ~/.config/apple-pim/approval.json exists, approval covers its
+ * "require" map, or DEFAULT_REQUIRE without one, plus BASELINE_REQUIRE.
+ * Without the file, only BASELINE_REQUIRE is gated; {"enabled": false}
+ * turns the gate off entirely. Undo replays its inverse operations under the same rules,
+ * so undoing a contact create needs approval when contact deletes do.
+ * Override the path with APPLE_PIM_APPROVAL_CONFIG.
+ */
+
+import { createHash, randomUUID } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { isMoveToTrash } from "./dry-run.js";
+import { ValidationError } from "./errors.js";
+import { findUndoEntry } from "./undo-journal.js";
+
+/** Actions gated when the policy is enabled without its own "require" map. */
+export const DEFAULT_REQUIRE = {
+  mail: ["send", "reply", "reply_all", "forward", "draft_send", "delete", "batch_delete", "move_to_trash"],
+  calendar: ["delete"],
+  reminder: ["delete", "batch_delete"],
+  contact: ["delete"],
+};
+
+/**
+ * Actions gated when there is no approval.json: a draft lives only in the
+ * local store (see mail-drafts.js), so the user has not seen it in Mail.
+ */
+export const BASELINE_REQUIRE = {
+  mail: ["draft_send"],
+};
+
+/** How long an issued token stays valid. */
+export const APPROVAL_TTL_MS = 10 * 60 * 1000;
+
+/** Outstanding tokens: token → { fingerprint, expiresAt }. */
+const pending = new Map();
+
+function configPath() {
+  return process.env.APPLE_PIM_APPROVAL_CONFIG
+    || `${homedir()}/.config/apple-pim/approval.json`;
+}
+
+const toSets = (require) => Object.fromEntries(
+  Object.entries(require).filter(([, actions]) => Array.isArray(actions)).map(([tool, actions]) => [tool, new Set(actions)]),
+);
+
+function loadPolicy() {
+  if (!existsSync(configPath())) return { enabled: true, require: toSets(BASELINE_REQUIRE) };
+  let raw;
+  try {
+    raw = readFileSync(configPath(), "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read approval policy at ${configPath()}: ${err.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${configPath()}: ${err.message}`);
+  }
+  const require = toSets(parsed.require && typeof parsed.require === "object" ? parsed.require : DEFAULT_REQUIRE);
+  for (const [tool, actions] of Object.entries(BASELINE_REQUIRE)) {
+    require[tool] = new Set([...(require[tool] || []), ...actions]);
+  }
+  return { enabled: parsed.enabled !== false, require };
+}
+
+/**
+ * Whether the approval policy gates this call. A move counts as
+ * `move_to_trash` when its destination is a Trash/Deleted mailbox, and an
+ * `apple-pim` undo is gated when any inverse it would replay is.
+ */
+export function requiresApproval(toolName, args) {
+  const policy = loadPolicy();
+  if (!policy.enabled) return false;
+  if (toolName === "apple-pim" && args.action === "undo") {
+    return findUndoEntry(args.id).inverse.some((op) => requiresApproval(op.tool, op.args));
+  }
+  const actions = policy.require[toolName];
+  if (!actions) return false;
+  if (actions.has(args.action)) return true;
+  return args.action === "move" && actions.has("move_to_trash") && isMoveToTrash(args);
+}
+
+/** Canonical JSON with sorted keys, so argument order does not matter. */
+export function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprint(toolName, args) {
+  const { approvalToken, dryRun, fields, ...rest } = args;
+  return createHash("sha256").update(`${toolName}\n${canonical(rest)}`).digest("hex");
+}
+
+function pruneExpired(now) {
+  for (const [token, entry] of pending) {
+    if (entry.expiresAt <= now) pending.delete(token);
+  }
+}
+
+/**
+ * Issue a one-time token for exactly this call.
+ *
+ * @returns {{ approvalToken: string, expiresAt: string }}
+ */
+export function issueApprovalToken(toolName, args) {
+  const now = Date.now();
+  pruneExpired(now);
+  const token = randomUUID();
+  pending.set(token, { fingerprint: fingerprint(toolName, args), expiresAt: now + APPROVAL_TTL_MS });
+  return { approvalToken: token, expiresAt: new Date(now + APPROVAL_TTL_MS).toISOString() };
+}
+
+/**
+ * Consume `args.approvalToken`. Throws unless it was issued for this exact
+ * call and has not expired or been used; a mismatched token stays valid for
+ * the call it was issued for.
+ */
+export function consumeApprovalToken(toolName, args) {
+  const now = Date.now();
+  pruneExpired(now);
+  const entry = pending.get(args.approvalToken);
+  if (!entry) {
+    throw new ValidationError("Approval token is invalid, expired or already used; call again without approvalToken to get a new one");
+  }
+  if (entry.fingerprint !== fingerprint(toolName, args)) {
+    throw new ValidationError("Approval token was issued for a different call; repeat the approved call with identical arguments");
+  }
+  pending.delete(args.approvalToken);
+}
@@ -0,0 +1,220 @@
+/**
+ * Append-only audit log of tool invocations.
+ *
+ * Both servers record every tool call here once it has finished (see
+ * recordToolCall in mcp-server/server.js and the OpenClaw execute wrapper):
+ * one JSONL line with the time, tool, action, redacted parameters, duration,
+ * outcome, the IDs the call touched, and whether datamarking flagged
+ * suspicious content in the result. `apple-pim` action `audit_query` reads
+ * it back, so "what did the agent do to my calendar yesterday?" has an
+ * answer. Unlike the undo journal, reads are logged too.
+ *
+ * Settings come from ~/.config/apple-pim/audit.json (override the path with
+ * APPLE_PIM_AUDIT_CONFIG); see DEFAULT_SETTINGS. APPLE_PIM_AUDIT_LOG
+ * overrides the log path, or turns the log off with "off".
+ *
+ * Logging is best effort: a log that cannot be written never fails the call.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, rmSync, statSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname } from "node:path";
+import { parseRangeDate } from "./free-slots.js";
+import { entryTarget } from "./undo-journal.js";
+import { ValidationError } from "./errors.js";
+
+export const DEFAULT_SETTINGS = {
+  enabled: true,
+  path: "~/.config/apple-pim/audit.jsonl",
+  /** Rotate once the log would grow past this size... */
+  maxBytes: 5 * 1024 * 1024,
+  /** ...keeping this many rotated files (audit.jsonl.1 is the newest). */
+  maxFiles: 3,
+  /** Parameters (at any depth) logged only as their length. */
+  redactFields: ["body", "notes", "ics", "vcard", "approvalToken"],
+  /** Longer string values are cut to this many characters. */
+  maxValueLength: 200,
+};
+
+/** Outcomes a record can have. */
+export const AUDIT_OUTCOMES = ["success", "error", "dry_run", "pending_approval", "refused", "replayed"];
+
+function configPath() {
+  return process.env.APPLE_PIM_AUDIT_CONFIG
+    || `${homedir()}/.config/apple-pim/audit.json`;
+}
+
+function expandHome(path) {
+  return path.replace(/^~(?=$|\/)/, homedir());
+}
+
+/** Effective settings: defaults, then audit.json, then APPLE_PIM_AUDIT_LOG. */
+export function loadAuditSettings() {
+  let settings = { ...DEFAULT_SETTINGS };
+  const path = configPath();
+  if (existsSync(path)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(readFileSync(path, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${path}: ${err.message}`);
+    }
+    settings = { ...settings, ...parsed };
+  }
+  const override = process.env.APPLE_PIM_AUDIT_LOG;
+  if (override === "off") settings.enabled = false;
+  else if (override) settings.path = override;
+  return { ...settings, path: expandHome(settings.path) };
+}
+
+// --- Records ----------------------------------------------------------------------
+
+/** Copy of `value` with redacted fields replaced and long strings cut. */
+function redact(value, settings, key) {
+  if (key !== undefined && settings.redactFields.includes(key) && value !== undefined && value !== null) {
+    const size = typeof value === "string" ? value.length : JSON.stringify(value).length;
+    return `[redacted: ${size} chars]`;
+  }
+  if (typeof value === "string" && value.length > settings.maxValueLength) {
+    return `${value.slice(0, settings.maxValueLength)}… [+${value.length - settings.maxValueLength} chars]`;
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, settings));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, settings, k)]));
+  }
+  return value;
+}
+
+function outcomeOf(result, error) {
+  if (error) return "error";
+  if (result?.pendingApproval) return "pending_approval";
+  if (result?.dryRun === true) return "dry_run";
+  if (result?.refused) return "refused";
+  if (result?.idempotentReplay) return "replayed";
+  return "success";
+}
+
+/**
+ * Build the audit record of one finished tool call.
+ *
+ * @param {string} toolName
+ * @param {object} args - The call as the agent made it.
+ * @param {{startedAt: number, result?: object, error?: unknown, flagged?: string[]}} call
+ *   `flagged` lists the result fields datamarking found suspicious.
+ * @param {ReturnType<typeof loadAuditSettings>} settings
+ */
+export function buildAuditRecord(toolName, args, { startedAt, result, error, flagged = [] }, settings) {
+  const { action, ...params } = args;
+  const record = {
+    timestamp: new Date(startedAt).toISOString(),
+    tool: toolName,
+    action: action ?? null,
+    params: redact(params, settings),
+    durationMs: Date.now() - startedAt,
+    outcome: outcomeOf(result, error),
+  };
+  if (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    record.error = { code: error?.code ?? "UNKNOWN_ERROR", message: redact(message, settings) };
+  }
+  const target = entryTarget(args, error ? undefined : result);
+  if (target !== undefined) record.affectedIds = [].concat(target);
+  record.suspicious = flagged.length > 0;
+  if (flagged.length > 0) record.suspiciousFields = [...new Set(flagged)];
+  return record;
+}
+
+/** Rotate audit.jsonl → audit.jsonl.1 → … → audit.jsonl.<maxFiles>. */
+function rotate(path, maxFiles) {
+  if (maxFiles < 1) {
+    rmSync(path, { force: true });
+    return;
+  }
+  rmSync(`${path}.${maxFiles}`, { force: true });
+  for (let i = maxFiles - 1; i >= 1; i--) {
+    if (existsSync(`${path}.${i}`)) renameSync(`${path}.${i}`, `${path}.${i + 1}`);
+  }
+  renameSync(path, `${path}.1`);
+}
+
+/**
+ * Append the record of one finished tool call. Never throws.
+ *
+ * @param {string} toolName
+ * @param {object} args - The call as the agent made it.
+ * @param {{startedAt: number, result?: object, error?: unknown, flagged?: string[]}} call
+ */
+export function recordToolCall(toolName, args, call) {
+  try {
+    const settings = loadAuditSettings();
+    if (!settings.enabled) return;
+    const line = `${JSON.stringify(buildAuditRecord(toolName, args, call, settings))}\n`;
+    const { path } = settings;
+    mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+    if (existsSync(path) && statSync(path).size + Buffer.byteLength(line) > settings.maxBytes) {
+      rotate(path, settings.maxFiles);
+    }
+    appendFileSync(path, line, { mode: 0o600 });
+  } catch {
+    // Best effort: see the module comment.
+  }
+}
+
+// --- Query ------------------------------------------------------------------------
+
+/** Records from the rotated files and the live log, oldest first. */
+function readRecords(settings) {
+  const files = [];
+  for (let i = settings.maxFiles; i >= 1; i--) files.push(`${settings.path}.${i}`);
+  files.push(settings.path);
+
+  const records = [];
+  for (const file of files) {
+    if (!existsSync(file)) continue;
+    for (const line of readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A torn final line (crash mid-append) must not hide the rest of the log.
+      }
+    }
+  }
+  return records;
+}
+
+/**
+ * Query the audit log, newest first.
+ *
+ * @param {{tool?: string, operation?: string, outcome?: string, suspicious?: boolean,
+ *   date?: string, from?: string, to?: string, limit?: number}} filters
+ *   `operation` is the audited action; `date` (YYYY-MM-DD) is one local day,
+ *   `from`/`to` an ISO range (date-only bounds cover whole days).
+ * @returns {{records: object[], count: number, logPath: string, enabled: boolean}}
+ */
+export function queryAudit({ tool, operation, outcome, suspicious, date, from, to, limit = 50 } = {}) {
+  if (outcome !== undefined && !AUDIT_OUTCOMES.includes(outcome)) {
+    throw new ValidationError(`Unknown audit outcome: ${outcome}. Use one of: ${AUDIT_OUTCOMES.join(", ")}`);
+  }
+  if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new ValidationError(`Audit date must be a day (YYYY-MM-DD or a phrase like "yesterday"), got: ${date}`);
+  }
+  const start = date ?? from;
+  const end = date ?? to;
+  const after = start === undefined ? -Infinity : parseRangeDate(start).getTime();
+  const before = end === undefined ? Infinity : parseRangeDate(end, { endOfDay: true }).getTime();
+
+  const settings = loadAuditSettings();
+  const records = readRecords(settings)
+    .filter((r) => !tool || r.tool === tool)
+    .filter((r) => !operation || r.action === operation)
+    .filter((r) => !outcome || r.outcome === outcome)
+    .filter((r) => suspicious === undefined || r.suspicious === suspicious)
+    .filter((r) => {
+      const at = Date.parse(r.timestamp);
+      return at >= after && at <= before;
+    })
+    .reverse()
+    .slice(0, limit);
+  return { records, count: records.length, logPath: settings.path, enabled: settings.enabled };
+}
@@ -0,0 +1,138 @@
+/**
+ * Opt-in conflict detection for calendar create/update/batch_create.
+ *
+ * When `checkConflicts: true` is passed, the target window of each event is
+ * computed the same way calendar-cli does (explicit end, else start +
+ * duration, else one hour) and checked against existing events on every
+ * allowed calendar. All-day events never conflict — neither existing ones
+ * nor new ones — matching how free_slots treats them.
+ */
+
+import { eventInterval, parseRangeDate, toCLIDate } from "./free-slots.js";
+import { ValidationError } from "./errors.js";
+
+const MINUTE_MS = 60_000;
+
+/** calendar-cli create defaults to a one-hour event when neither end nor duration is given. */
+const DEFAULT_EVENT_MINUTES = 60;
+
+function parseEventDate(value, field) {
+  try {
+    return parseRangeDate(value).getTime();
+  } catch {
+    throw new ValidationError(
+      `Cannot check conflicts: ${field} "${value}" is not an ISO 8601 date. ` +
+        "Pass an ISO date-time or omit checkConflicts.",
+    );
+  }
+}
+
+/**
+ * Compute the window a create/batch_create entry will occupy.
+ *
+ * @param {{start: string, end?: string, duration?: number, allDay?: boolean}} event
+ * @returns {{start: number, end: number}|null} Epoch ms, or null for all-day events.
+ */
+export function createWindow(event) {
+  if (event.allDay) return null;
+  if (!event.start) throw new ValidationError("Cannot check conflicts: start is required");
+  const start = parseEventDate(event.start, "start");
+  let end;
+  if (event.end) {
+    end = parseEventDate(event.end, "end");
+  } else {
+    end = start + (Number(event.duration) || DEFAULT_EVENT_MINUTES) * MINUTE_MS;
+  }
+  return { start, end };
+}
+
+/**
+ * Compute the window an update will move the event into. Returns null when
+ * the update does not touch start or end. A partial move (only start or only
+ * end) keeps the event's current duration, read with `calendar-cli get`.
+ */
+async function updateWindow(args, runCLI) {
+  if (!args.start && !args.end) return null;
+  if (args.start && args.end) {
+    return { start: parseEventDate(args.start, "start"), end: parseEventDate(args.end, "end") };
+  }
+  const current = await runCLI("calendar-cli", ["get", "--id", args.id]);
+  const existing = eventInterval(current?.event || current || {});
+  if (!existing || existing.allDay) return null;
+  const length = existing.end - existing.start;
+  if (args.start) {
+    const start = parseEventDate(args.start, "start");
+    return { start, end: start + length };
+  }
+  const end = parseEventDate(args.end, "end");
+  return { start: end - length, end };
+}
+
+/**
+ * Find existing events that overlap the window(s) a calendar mutation targets.
+ *
+ * @param {object} args - calendar tool args (action create, update or batch_create).
+ * @param {Function} runCLI - CLI runner.
+ * @returns {Promise<Array<{id: string, title: string, start: string, end: string, calendar: string, eventIndex?: number}>>}
+ *   Flat list of conflicts; batch_create entries carry the index of the requested event they collide with.
+ */
+export async function findCalendarConflicts(args, runCLI) {
+  const windows = [];
+  if (args.action === "create") {
+    const window = createWindow(args);
+    if (window) windows.push({ ...window });
+  } else if (args.action === "update") {
+    if (!args.id) throw new ValidationError("Event ID is required for calendar update");
+    const window = await updateWindow(args, runCLI);
+    if (window) windows.push({ ...window, excludeId: args.id });
+  } else if (args.action === "batch_create") {
+    (args.events || []).forEach((event, eventIndex) => {
+      const window = createWindow(event);
+      if (window) windows.push({ ...window, eventIndex });
+    });
+  }
+  if (windows.length === 0) return [];
+
+  // One query spanning every window, then filter per window locally.
+  const from = Math.min(...windows.map((w) => w.start));
+  const to = Math.max(...windows.map((w) => w.end));
+  const result = await runCLI("calendar-cli", [
+    "events", "--from", toCLIDate(from), "--to", toCLIDate(to), "--limit", "1000",
+  ]);
+
+  const conflicts = [];
+  for (const window of windows) {
+    for (const event of result?.events || []) {
+      if (window.excludeId && event.id === window.excludeId) continue;
+      const interval = eventInterval(event);
+      if (!interval || interval.allDay) continue;
+      if (interval.start < window.end && interval.end > window.start) {
+        conflicts.push({
+          ...(window.eventIndex !== undefined ? { eventIndex: window.eventIndex } : {}),
+          id: event.id,
+          title: event.title,
+          start: event.startDate ?? event.start,
+          end: event.endDate ?? event.end,
+          calendar: event.calendar,
+        });
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Response returned instead of executing when conflicts were found and the
+ * caller did not pass `allowConflicts: true`.
+ */
+export function buildConflictRefusal(action, conflicts) {
+  return {
+    success: false,
+    refused: true,
+    action,
+    error:
+      `Refusing calendar ${action}: ${conflicts.length} conflicting event(s) in the target window. ` +
+      "Pick another time, or pass allowConflicts: true to book anyway.",
+    conflicts,
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Read-through response cache for a CLI runner.
+ *
+ * Every runCLI call spawns a Swift process (and, for TCC-routed CLIs, the
+ * `open -W` helper), so an agent that lists calendars or mailboxes several
+ * times in one turn pays for each spawn. This cache remembers the result of
+ * the read-only listing subcommands, keyed by CLI plus arguments, for a short
+ * TTL. Any other subcommand that is not a known read is treated as a
+ * mutation and empties the cache, so a write is never followed by a stale
+ * listing from the same runner.
+ *
+ * Off by default. Enable it with APPLE_PIM_CLI_CACHE_TTL (seconds) or by
+ * passing `cache` to createCLIRunner.
+ */
+
+/** Subcommands whose results are cached. */
+const CACHEABLE_SUBCOMMANDS = new Set([
+  "list",
+  "lists",
+  "groups",
+  "containers",
+  "accounts",
+  "mailboxes",
+  "events",
+]);
+
+/** Reads that are not cached but must not invalidate the cache either. */
+const READ_SUBCOMMANDS = new Set([
+  "get",
+  "search",
+  "items",
+  "messages",
+  "occurrences",
+  "auth-status",
+  "auth-check",
+]);
+
+/**
+ * Whether a CLI subcommand only reads. Everything else, including
+ * subcommands this list does not know, counts as a mutation.
+ *
+ * @param {string} subcommand - args[0] of a runCLI call.
+ * @returns {boolean}
+ */
+export function isReadOnlySubcommand(subcommand) {
+  return CACHEABLE_SUBCOMMANDS.has(subcommand) || READ_SUBCOMMANDS.has(subcommand);
+}
+
+/** Default number of cached responses kept per runner. */
+const DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * Cache settings from the environment.
+ *
+ * APPLE_PIM_CLI_CACHE_TTL is the TTL in seconds; unset or 0 disables the
+ * cache. APPLE_PIM_CLI_CACHE_MAX caps the number of cached responses.
+ *
+ * @returns {{ttlMs: number, maxEntries: number}|null}
+ */
+export function cacheOptionsFromEnv(env = process.env) {
+  const ttlSeconds = Number(env.APPLE_PIM_CLI_CACHE_TTL);
+  if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) return null;
+  const maxEntries = Number(env.APPLE_PIM_CLI_CACHE_MAX);
+  return {
+    ttlMs: ttlSeconds * 1000,
+    maxEntries: Number.isInteger(maxEntries) && maxEntries > 0 ? maxEntries : DEFAULT_MAX_ENTRIES,
+  };
+}
+
+/**
+ * Wrap a runCLI function with the response cache.
+ *
+ * Concurrent calls for the same key share one CLI run. Failed runs are not
+ * cached. Callers get their own copy of a cached result, so a handler that
+ * decorates its result cannot change what the next caller sees.
+ *
+ * @param {(cli: string, args: string[], options?: object) => Promise<object>} run
+ * @param {{ttlMs: number, maxEntries?: number, now?: () => number}} options
+ * @returns {((cli: string, args: string[], options?: object) => Promise<object>) & {clear: () => void}}
+ */
+export function withResponseCache(run, { ttlMs, maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now }) {
+  // Map insertion order doubles as recency order: a hit is re-inserted, and
+  // the first key is the least recently used one. Entries hold the pending
+  // run, so a mutation's clear() also drops reads still in flight.
+  const entries = new Map();
+
+  function clear() {
+    entries.clear();
+  }
+
+  async function cachedRunCLI(cli, args, options) {
+    const subcommand = args[0];
+
+    if (!CACHEABLE_SUBCOMMANDS.has(subcommand)) {
+      if (!isReadOnlySubcommand(subcommand)) {
+        // Clear before, dropping reads in flight, and after, dropping
+        // anything cached while the mutation ran.
+        clear();
+        try {
+          return await run(cli, args, options);
+        } finally {
+          clear();
+        }
+      }
+      return run(cli, args, options);
+    }
+
+    const key = JSON.stringify([cli, ...args]);
+    const hit = entries.get(key);
+    if (hit && hit.expiresAt > now()) {
+      entries.delete(key);
+      entries.set(key, hit);
+      return structuredClone(await hit.result);
+    }
+    if (hit) entries.delete(key);
+
+    const result = run(cli, args, options);
+    const entry = { result, expiresAt: now() + ttlMs };
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    try {
+      return structuredClone(await result);
+    } catch (error) {
+      if (entries.get(key) === entry) entries.delete(key);
+      throw error;
+    }
+  }
+
+  cachedRunCLI.clear = clear;
+  return cachedRunCLI;
+}
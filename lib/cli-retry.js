@@ -0,0 +1,91 @@
+/**
+ * Automatic retries for transient CLI failures.
+ *
+ * A wedged PIMHelper.app (Launch Services -1712) or a CLI that timed out
+ * usually succeeds on a second try, once the stale helper has been reaped.
+ * Retrying here, with exponential backoff, keeps that loop out of the
+ * agent's hands. Which failures are transient comes from the typed errors
+ * (errors.js): each error code has its own attempt budget, and codes the
+ * policy does not list are never retried.
+ *
+ * Only calls that are safe to repeat are retried: read-only subcommands,
+ * and mutations whose caller passed an `idempotencyKey` (see
+ * idempotency.js) when the failure shows the CLI never ran, like a helper
+ * that refused to launch. A timed-out `create` may still have created the
+ * event, so it is never retried.
+ *
+ * APPLE_PIM_CLI_MAX_ATTEMPTS caps the attempts per call (1 disables retries).
+ */
+
+import { isReadOnlySubcommand } from "./cli-cache.js";
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  /** Delay before the first retry; doubles for each further one. */
+  baseDelayMs: 500,
+  maxDelayMs: 5_000,
+  /**
+   * Attempts per error code (capped by maxAttempts). Mail.app not running
+   * is not listed: waiting does not open it, the user has to.
+   */
+  attemptsByCode: {
+    HELPER_STUCK: 3,
+    TIMEOUT: 2,
+  },
+};
+
+/**
+ * Retry policy from the environment, or null when retries are disabled.
+ *
+ * @returns {typeof DEFAULT_RETRY_POLICY|null}
+ */
+export function retryPolicyFromEnv(env = process.env) {
+  if (env.APPLE_PIM_CLI_MAX_ATTEMPTS === undefined || env.APPLE_PIM_CLI_MAX_ATTEMPTS === "") {
+    return DEFAULT_RETRY_POLICY;
+  }
+  const maxAttempts = Number(env.APPLE_PIM_CLI_MAX_ATTEMPTS);
+  if (!Number.isInteger(maxAttempts) || maxAttempts <= 1) return null;
+  return { ...DEFAULT_RETRY_POLICY, maxAttempts };
+}
+
+/** Backoff before retry number `retry` (1-based). */
+export function retryDelay(retry, { baseDelayMs, maxDelayMs }) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+}
+
+/** Failures after which a mutation may already have been applied. */
+const MAYBE_APPLIED_CODES = new Set(["TIMEOUT"]);
+
+const sleepFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wrap a runCLI function with the retry policy.
+ *
+ * The error of the last attempt is rethrown with `attempts` set when the
+ * call was tried more than once.
+ *
+ * @param {(cli: string, args: string[], options?: {idempotencyKey?: string}) => Promise<object>} run
+ * @param {Partial<typeof DEFAULT_RETRY_POLICY> & {sleep?: (ms: number) => Promise<void>}} [policy]
+ * @returns {(cli: string, args: string[], options?: {idempotencyKey?: string}) => Promise<object>}
+ */
+export function withRetry(run, policy = {}) {
+  const { sleep = sleepFor, ...rest } = policy;
+  const settings = { ...DEFAULT_RETRY_POLICY, ...rest };
+
+  return async function retryingRunCLI(cli, args, options = {}) {
+    const readOnly = isReadOnlySubcommand(args[0]);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await run(cli, args, options);
+      } catch (error) {
+        const repeatable = readOnly || (Boolean(options.idempotencyKey) && !MAYBE_APPLIED_CODES.has(error?.code));
+        const budget = Math.min(settings.maxAttempts, settings.attemptsByCode[error?.code] ?? 1);
+        if (!repeatable || attempt >= budget) {
+          if (attempt > 1) error.attempts = attempt;
+          throw error;
+        }
+        await sleep(retryDelay(attempt, settings));
+      }
+    }
+  };
+}
@@ -10,6 +10,10 @@ import {
   rmSync,
 } from "fs";
 import { homedir, tmpdir } from "os";
+import { cacheOptionsFromEnv, withResponseCache } from "./cli-cache.js";
+import { retryPolicyFromEnv, withRetry } from "./cli-retry.js";
+import { createWorkerPool, workerOptionsFromEnv } from "./cli-worker.js";
+import { BinaryMissingError, HelperStuckError, TimeoutError, fromCLIFailure } from "./errors.js";
 import { spawnProcess } from "./safe-shell.js";
 
 /**
@@ -313,7 +317,7 @@ async function launchHelper(cli, args, env, timeoutMs, binDir) {
       proc.kill("SIGTERM");
       cleanup();
       reject(
-        new Error(
+        new TimeoutError(
           `Helper timed out after ${timeoutMs}ms. If a macOS permission ` +
             `dialog is on screen, answer it and retry — the grant persists.`,
         ),
@@ -346,18 +350,22 @@ async function launchHelper(cli, args, env, timeoutMs, binDir) {
 
       const isFailure = code !== 0 || (stdout === "" && stderr !== "");
       if (isFailure) {
-        let msg = stderr || openStderr || `Helper exited with code ${code}`;
+        const msg = stderr || openStderr || `Helper exited with code ${code}`;
         // Launch Services -1712 (errAETimeout) almost always means a
         // previous helper instance is wedged and the single-instance app
         // refused a second launch. Translate the opaque code.
         if (msg.includes("-1712")) {
-          msg =
-            "PIMHelper.app did not respond (Launch Services error -1712). " +
-            "A previous helper instance is likely stuck — usually on an " +
-            "unanswered permission dialog. It has been scheduled for " +
-            "cleanup; retry this call. If it persists, run scripts/doctor.sh.";
+          reject(
+            new HelperStuckError(
+              "PIMHelper.app did not respond (Launch Services error -1712). " +
+                "A previous helper instance is likely stuck — usually on an " +
+                "unanswered permission dialog. Stale helpers are reaped before " +
+                "each launch; if this persists, run scripts/doctor.sh.",
+            ),
+          );
+          return;
         }
-        reject(new Error(msg));
+        reject(fromCLIFailure(msg));
         return;
       }
       try {
@@ -390,17 +398,42 @@ async function launchHelper(cli, args, env, timeoutMs, binDir) {
  * gets an extended timeout: it will raise the macOS permission dialog,
  * and a human needs time to click it.
  *
+ * With `cache` set (default: from APPLE_PIM_CLI_CACHE_TTL), listing
+ * subcommands are served from a per-runner response cache that any
+ * mutation through this runner empties. See cli-cache.js.
+ *
+ * With `workers` set (default: from APPLE_PIM_CLI_WORKERS), direct calls go
+ * to resident `<cli> worker` processes instead of a spawn per call, falling
+ * back to spawning when the binary predates worker mode. Helper-routed
+ * calls always spawn. See cli-worker.js.
+ *
+ * Transient failures (a stuck helper, a timeout) of read-only calls, and of
+ * mutations called with an `idempotencyKey`, are retried with backoff
+ * according to `retry` (default: from APPLE_PIM_CLI_MAX_ATTEMPTS; null
+ * disables). See cli-retry.js.
+ *
  * @param {string} binDir - Directory containing the Swift CLI binaries.
  * @param {Object} envOverrides - Extra env vars to pass to every spawn call.
- * @param {{ timeoutMs?: number }} options - Options (e.g. timeout).
- * @returns {{ runCLI: (cli: string, args: string[]) => Promise<object> }}
+ * @param {{ timeoutMs?: number, cache?: {ttlMs: number, maxEntries?: number}|null, workers?: {concurrency?: number}|null, retry?: object|null }} options - Options (e.g. timeout).
+ * @returns {{ runCLI: (cli: string, args: string[], options?: {idempotencyKey?: string}) => Promise<object> }}
  */
-export function createCLIRunner(binDir, envOverrides = {}, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+export function createCLIRunner(
+  binDir,
+  envOverrides = {},
+  {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    cache = cacheOptionsFromEnv(),
+    workers = workerOptionsFromEnv(),
+    retry = retryPolicyFromEnv(),
+  } = {},
+) {
   // Per-CLI routing decision. Stores a Promise<{route, mayPrompt}> rather
   // than the resolved value so concurrent first calls for the same CLI
   // share a single probe instead of each launching a redundant
   // `auth-status` subprocess.
   const route = new Map();
+  // Per-CLI worker pools, created on the first direct call when enabled.
+  const pools = new Map();
 
   function childEnv() {
     const env = {};
@@ -443,7 +476,7 @@ export function createCLIRunner(binDir, envOverrides = {}, { timeoutMs = DEFAULT
     // diagnosis reflects reality now — no shared state between runner
     // instances, no stale results from an earlier resolution attempt.
     const probeNote = `\n${describeBinDirProblem(probeSwiftBinDirs([binDir]))}`;
-    throw new Error(`${cli}: ${detail}${probeNote}`);
+    throw new BinaryMissingError(`${cli}: ${detail}${probeNote}`);
   }
 
   async function probeRoute(cli) {
@@ -485,10 +518,24 @@ export function createCLIRunner(binDir, envOverrides = {}, { timeoutMs = DEFAULT
       decision.mayPrompt = false;
       return runViaHelper(cli, args, childEnv(), callTimeout, binDir);
     }
+    if (workers) return workerPool(cli).run(args, timeoutMs);
     return runDirect(join(binDir, cli), args, childEnv(), timeoutMs);
   }
 
-  return { runCLI };
+  function workerPool(cli) {
+    if (!pools.has(cli)) {
+      const cliPath = join(binDir, cli);
+      pools.set(cli, createWorkerPool(cliPath, childEnv(), {
+        ...workers,
+        fallback: (args, callTimeoutMs) => runDirect(cliPath, args, childEnv(), callTimeoutMs),
+      }));
+    }
+    return pools.get(cli);
+  }
+
+  // The cache sits outside the retries, so a hit never waits on a backoff.
+  const retrying = retry ? withRetry(runCLI, retry) : runCLI;
+  return { runCLI: cache ? withResponseCache(retrying, cache) : retrying };
 }
 
 /**
@@ -507,7 +554,7 @@ function runDirect(cliPath, args, env, timeoutMs) {
     const timer = setTimeout(() => {
       killed = true;
       proc.kill("SIGTERM");
-      reject(new Error(`CLI timed out after ${timeoutMs}ms`));
+      reject(new TimeoutError(`CLI timed out after ${timeoutMs}ms`));
     }, timeoutMs);
 
     proc.stdout.on("data", (data) => {
@@ -527,7 +574,7 @@ function runDirect(cliPath, args, env, timeoutMs) {
           resolve({ success: true, output: stdout });
         }
       } else {
-        reject(new Error(stderr || `CLI exited with code ${code}`));
+        reject(fromCLIFailure(stderr || `CLI exited with code ${code}`));
       }
     });
 
@@ -0,0 +1,293 @@
+/**
+ * Persistent CLI workers.
+ *
+ * Spawning a Swift CLI per call means paying process startup and EventKit /
+ * Contacts initialization every time, which dominates the wall time of
+ * batch-heavy agents. In worker mode each CLI instead runs resident as
+ * `<cli> worker` and takes newline-delimited JSON requests on stdin:
+ *
+ *   ← {"ready": true, "protocol": 1}
+ *   → {"id": 1, "args": ["list"]}
+ *   ← {"id": 1, "ok": true, "output": "<what the command printed>"}
+ *   ← {"id": 1, "ok": false, "error": "Error: ..."}
+ *   → {"id": 2, "ping": true}
+ *   ← {"id": 2, "ok": true, "pong": true}
+ *
+ * A worker runs one request at a time; the pool keeps up to `concurrency`
+ * workers per CLI and queues the rest. A worker that crashes or times out is
+ * discarded and the next request starts a fresh one. A worker idle for a
+ * while is pinged before reuse. If the binary has no `worker` subcommand
+ * (an older build), or workers keep dying, the pool falls back to the
+ * regular spawn-per-call path.
+ *
+ * Off by default. Enable it with APPLE_PIM_CLI_WORKERS or by passing
+ * `workers` to createCLIRunner.
+ */
+
+import { TimeoutError, fromCLIFailure } from "./errors.js";
+import { spawnProcess } from "./safe-shell.js";
+
+/** Protocol version the worker announces in its ready line. */
+const PROTOCOL_VERSION = 1;
+
+const DEFAULTS = {
+  concurrency: 2,
+  /** How long a new worker has to announce itself. */
+  startupTimeoutMs: 10_000,
+  /** Idle time after which a worker is pinged before it gets a request. */
+  healthCheckAfterMs: 60_000,
+  pingTimeoutMs: 5_000,
+  /** Consecutive worker deaths before the pool gives up on worker mode. */
+  maxRestarts: 3,
+};
+
+/** Bytes of worker stderr kept for crash messages. */
+const STDERR_TAIL_BYTES = 4096;
+
+/**
+ * Worker settings from the environment.
+ *
+ * APPLE_PIM_CLI_WORKERS is the number of resident workers per CLI; unset or
+ * 0 keeps the spawn-per-call path.
+ *
+ * @returns {{concurrency: number}|null}
+ */
+export function workerOptionsFromEnv(env = process.env) {
+  const concurrency = Number(env.APPLE_PIM_CLI_WORKERS);
+  if (!Number.isInteger(concurrency) || concurrency <= 0) return null;
+  return { concurrency };
+}
+
+/** Parse a command's stdout the way the spawn path does. */
+function parseOutput(output) {
+  try {
+    return JSON.parse(output);
+  } catch {
+    return { success: true, output };
+  }
+}
+
+/** One resident `<cli> worker` process. */
+class Worker {
+  constructor(cliPath, env, startupTimeoutMs) {
+    this.proc = spawnProcess(cliPath, ["worker"], { env });
+    this.pending = new Map();
+    this.nextId = 1;
+    this.stderr = "";
+    this.dead = false;
+    this.lastUsed = Date.now();
+
+    // Idle workers must not keep the host process alive; pending requests
+    // hold their own timers.
+    this.proc.unref?.();
+    for (const stream of [this.proc.stdin, this.proc.stdout, this.proc.stderr]) stream?.unref?.();
+
+    this.ready = new Promise((resolve, reject) => {
+      this.onReady = resolve;
+      this.onStartFailure = reject;
+    });
+    // Failures are handled where `ready` is awaited; a worker that dies
+    // before anyone waits on it must not surface as an unhandled rejection.
+    this.ready.catch(() => {});
+    this.startupTimer = setTimeout(() => {
+      this.kill(new Error(`CLI worker did not start within ${startupTimeoutMs}ms`));
+    }, startupTimeoutMs);
+
+    let buffer = "";
+    this.proc.stdout.on("data", (data) => {
+      buffer += data.toString();
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (line.trim()) this.handleLine(line);
+      }
+    });
+    this.proc.stderr.on("data", (data) => {
+      this.stderr = (this.stderr + data.toString()).slice(-STDERR_TAIL_BYTES);
+    });
+    this.proc.stdin.on("error", () => {});
+    this.proc.on("close", (code) => this.handleExit(code));
+    this.proc.on("error", (err) => this.handleExit(null, err));
+  }
+
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (message.ready) {
+      clearTimeout(this.startupTimer);
+      if (message.protocol === PROTOCOL_VERSION) {
+        this.onReady();
+      } else {
+        this.kill(Object.assign(new Error(`Unsupported CLI worker protocol: ${message.protocol}`), { unsupported: true }));
+      }
+      return;
+    }
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+    if (message.ok) request.resolve(message);
+    else request.reject(fromCLIFailure(message.error || "CLI worker request failed"));
+  }
+
+  handleExit(code, err) {
+    const reason = this.stderr.trim() || err?.message || `CLI worker exited with code ${code}`;
+    // Exiting before the ready line is how a binary without the `worker`
+    // subcommand answers (an argument-parser usage error).
+    this.fail(Object.assign(fromCLIFailure(reason), { unsupported: true }));
+  }
+
+  /** Mark the worker dead and reject everything still waiting on it. */
+  fail(error) {
+    if (this.dead) return;
+    this.dead = true;
+    clearTimeout(this.startupTimer);
+    this.onStartFailure(error);
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /** Send one request; a timeout kills the worker, since it is stuck. */
+  request(payload, timeoutMs, timeoutMessage) {
+    const id = this.nextId++;
+    this.lastUsed = Date.now();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        this.kill();
+        reject(new TimeoutError(timeoutMessage));
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.proc.stdin.write(`${JSON.stringify({ id, ...payload })}\n`);
+    });
+  }
+
+  kill(error = new Error("CLI worker was stopped")) {
+    if (this.dead) return;
+    this.fail(error);
+    this.proc.kill("SIGTERM");
+  }
+}
+
+/**
+ * Create a worker pool for one CLI binary.
+ *
+ * @param {string} cliPath - Path to the CLI binary.
+ * @param {Object} env - Environment for the worker processes.
+ * @param {{concurrency?: number, startupTimeoutMs?: number, healthCheckAfterMs?: number, pingTimeoutMs?: number, maxRestarts?: number, fallback: (args: string[], timeoutMs: number) => Promise<object>}} options
+ *   `fallback` runs a call the spawn-per-call way.
+ * @returns {{ run: (args: string[], timeoutMs: number) => Promise<object>, close: () => void, readonly supported: boolean }}
+ */
+export function createWorkerPool(cliPath, env, options) {
+  const { concurrency, startupTimeoutMs, healthCheckAfterMs, pingTimeoutMs, maxRestarts } = { ...DEFAULTS, ...options };
+  const { fallback } = options;
+  const workers = [];
+  const idle = [];
+  const waiting = [];
+  let supported = true;
+  let deaths = 0;
+
+  function discard(worker) {
+    worker.kill();
+    const index = workers.indexOf(worker);
+    if (index !== -1) workers.splice(index, 1);
+    const idleIndex = idle.indexOf(worker);
+    if (idleIndex !== -1) idle.splice(idleIndex, 1);
+  }
+
+  /**
+   * Get an idle worker, start a new one, or wait for one to be released.
+   * Resolves to null once the pool has fallen back to spawn-per-call.
+   */
+  function acquire() {
+    if (!supported) return Promise.resolve(null);
+    while (idle.length > 0) {
+      const worker = idle.pop();
+      if (!worker.dead) return Promise.resolve(worker);
+      discard(worker);
+    }
+    if (workers.length < concurrency) {
+      const worker = new Worker(cliPath, env, startupTimeoutMs);
+      workers.push(worker);
+      return Promise.resolve(worker);
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release(worker) {
+    if (worker.dead) {
+      discard(worker);
+      // A slot opened up: let the next waiter start a fresh worker.
+      const next = waiting.shift();
+      if (next) acquire().then(next);
+      return;
+    }
+    const next = waiting.shift();
+    if (next) next(worker);
+    else idle.push(worker);
+  }
+
+  /** Ping a worker that has been idle a while; replace it if it is unhealthy. */
+  async function healthy(worker) {
+    if (Date.now() - worker.lastUsed < healthCheckAfterMs) return true;
+    try {
+      await worker.request({ ping: true }, pingTimeoutMs, `CLI worker did not answer a health check within ${pingTimeoutMs}ms`);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async function run(args, timeoutMs) {
+    let worker = await acquire();
+    if (!worker) return fallback(args, timeoutMs);
+    try {
+      try {
+        await worker.ready;
+      } catch (error) {
+        if (error.unsupported) supported = false;
+        return fallback(args, timeoutMs);
+      }
+      if (!(await healthy(worker))) {
+        discard(worker);
+        worker = new Worker(cliPath, env, startupTimeoutMs);
+        workers.push(worker);
+        try {
+          await worker.ready;
+        } catch {
+          return fallback(args, timeoutMs);
+        }
+      }
+
+      const response = await worker.request({ args }, timeoutMs, `CLI timed out after ${timeoutMs}ms`);
+      deaths = 0;
+      return parseOutput(response.output ?? "");
+    } finally {
+      if (worker.dead) {
+        deaths += 1;
+        if (deaths >= maxRestarts) supported = false;
+      }
+      release(worker);
+    }
+  }
+
+  function close() {
+    for (const worker of [...workers]) discard(worker);
+  }
+
+  return {
+    run,
+    close,
+    get supported() {
+      return supported;
+    },
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Duplicate detection and merge planning for contacts.
+ *
+ * `findDuplicateClusters` groups the brief dicts from `contacts-cli list` into
+ * clusters of likely duplicates. Two contacts are linked when they share a
+ * normalized email address, an E.164 phone number, or a name that is the same
+ * (or nearly the same) once case, accents, punctuation and word order are
+ * ignored. Links are transitive, so a cluster can be joined by different
+ * evidence; every cluster lists the matches that formed it in `reasons`.
+ *
+ * `planContactMerge` fetches the contacts to merge and computes the single
+ * `update` that folds the others into the kept contact: empty fields are
+ * filled from the others, list fields (emails, phones, addresses, ...) are
+ * unioned without duplicates, and distinct notes are concatenated.
+ */
+
+import { contactToArgs } from "./tool-args.js";
+import { ValidationError } from "./errors.js";
+
+/** How many contacts `duplicates` scans when no limit is given. */
+export const DUPLICATE_SCAN_LIMIT = 5000;
+
+/** Minimum similarity (0–1) for two differently spelled names to match. */
+const NAME_SIMILARITY = 0.85;
+
+/** Calling code assumed for phone numbers written without one. */
+const DEFAULT_COUNTRY_CODE = "1";
+
+export function normalizeEmail(value) {
+  const email = String(value || "").trim().replace(/^mailto:/i, "").toLowerCase();
+  return email.includes("@") ? email : undefined;
+}
+
+/**
+ * Normalize a phone number to E.164 (`+15550100123`). Numbers without a
+ * `+`/`00` prefix are assumed to be national numbers in `countryCode`; a
+ * leading trunk `0` is dropped. Extensions are ignored.
+ *
+ * @returns {string|undefined} Undefined for values too short to be a number.
+ */
+export function normalizePhone(value, countryCode = DEFAULT_COUNTRY_CODE) {
+  const raw = String(value || "").trim().split(/\s*(?:ext\.?|x|#|;|,)\s*\d*$/i)[0];
+  const digits = raw.replace(/\D/g, "");
+  if (digits.length < 7) return undefined;
+  if (raw.startsWith("+")) return `+${digits}`;
+  if (digits.startsWith("00")) return `+${digits.slice(2)}`;
+  if (digits.startsWith("0")) return `+${countryCode}${digits.slice(1)}`;
+  if (countryCode === "1" && digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return `+${countryCode}${digits}`;
+}
+
+/** Lowercase, strip accents and punctuation, and sort the words of a name. */
+export function normalizeName(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function nameSimilarity(a, b) {
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function displayName(contact) {
+  return contact.fullName
+    || [contact.givenName, contact.familyName].filter(Boolean).join(" ")
+    || contact.organization
+    || "";
+}
+
+/**
+ * Cluster likely duplicate contacts.
+ *
+ * @param {object[]} contacts - Brief contact dicts (id, fullName, emails[], phones[], organization).
+ * @param {{ countryCode?: string }} [options]
+ * @returns {{ ids: string[], contacts: object[], reasons: object[], suggestedPrimary: string }[]}
+ *   Clusters of two or more contacts, largest first. `suggestedPrimary` is the
+ *   contact with the most emails and phones.
+ */
+export function findDuplicateClusters(contacts, { countryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  const parent = contacts.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const links = [];
+  const link = (i, j, reason) => {
+    parent[find(i)] = find(j);
+    links.push({ i, reason });
+  };
+
+  // Exact keys: the first contact seen with a key links every later one.
+  const seen = new Map();
+  const linkByKey = (i, match, value) => {
+    if (!value) return;
+    const key = `${match}:${value}`;
+    if (seen.has(key)) link(i, seen.get(key), { match, value });
+    else seen.set(key, i);
+  };
+
+  // Names are only compared within buckets that share a word, which keeps
+  // the pairwise comparison tractable on large address books.
+  const names = contacts.map((c) => normalizeName(displayName(c)));
+  const buckets = new Map();
+
+  contacts.forEach((contact, i) => {
+    for (const email of new Set((contact.emails || []).map(normalizeEmail))) linkByKey(i, "email", email);
+    for (const phone of new Set((contact.phones || []).map((p) => normalizePhone(p, countryCode)))) linkByKey(i, "phone", phone);
+    for (const word of new Set(names[i].split(" "))) {
+      if (word.length < 2) continue;
+      if (!buckets.has(word)) buckets.set(word, []);
+      buckets.get(word).push(i);
+    }
+  });
+
+  const compared = new Set();
+  for (const members of buckets.values()) {
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        const [i, j] = [members[a], members[b]];
+        const pair = `${i}:${j}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+        const similarity = nameSimilarity(names[i], names[j]);
+        if (similarity >= NAME_SIMILARITY) {
+          link(i, j, similarity === 1
+            ? { match: "name", value: names[i] }
+            : { match: "name", value: `${names[i]} ~ ${names[j]}`, similarity: Math.round(similarity * 100) / 100 });
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  contacts.forEach((contact, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, { members: [], reasons: new Map() });
+    clusters.get(root).members.push(contact);
+  });
+  for (const { i, reason } of links) {
+    clusters.get(find(i)).reasons.set(JSON.stringify(reason), reason);
+  }
+
+  const richness = (c) => (c.emails?.length || 0) + (c.phones?.length || 0);
+  return [...clusters.values()]
+    .filter(({ members }) => members.length > 1)
+    .map(({ members, reasons }) => ({
+      ids: members.map((c) => c.id),
+      contacts: members,
+      reasons: [...reasons.values()],
+      suggestedPrimary: members.reduce((best, c) => (richness(c) > richness(best) ? c : best)).id,
+    }))
+    .sort((a, b) => b.ids.length - a.ids.length);
+}
+
+// --- Merge --------------------------------------------------------------------
+
+/** Identity of an entry in each list field, so the union keeps one copy. */
+const LIST_KEYS = {
+  emails: (e) => normalizeEmail(e.value) ?? e.value,
+  phones: (p, { countryCode }) => normalizePhone(p.value, countryCode) ?? p.value,
+  urls: (u) => String(u.value).toLowerCase().replace(/\/+$/, ""),
+  addresses: (a) => [a.street, a.city, a.postalCode, a.country].map((v) => normalizeName(v)).join("|"),
+  socialProfiles: (s) => `${s.service}|${s.username || s.url}`.toLowerCase(),
+  instantMessages: (m) => `${m.service}|${m.username}`.toLowerCase(),
+  relations: (r) => `${r.label}|${normalizeName(r.name)}`,
+  dates: (d) => `${d.label}|${d.year}-${d.month}-${d.day}`,
+};
+
+function unionList(key, lists, options) {
+  const byKey = new Map();
+  for (const entry of lists.flat()) {
+    const k = LIST_KEYS[key](entry, options);
+    if (!byKey.has(k)) byKey.set(k, entry);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Fold `others` into `primary` (all full `contacts-cli get` dicts).
+ *
+ * @param {object} primary
+ * @param {object[]} others
+ * @param {{ countryCode?: string }} [options] - Calling code for phone
+ *   numbers without one, so "020 7946 0000" and "+44 20 7946 0000" are kept once.
+ * @returns {{ fields: object, changedFields: string[] }} The contact tool
+ *   args that differ from the primary's current values, and their names.
+ */
+export function mergeContactFields(primary, others, { countryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  const base = contactToArgs(primary);
+  const rest = others.map(contactToArgs);
+  const fields = {};
+
+  for (const key of new Set([...Object.keys(base), ...rest.flatMap(Object.keys)])) {
+    if (key in LIST_KEYS) {
+      const merged = unionList(key, [base[key] || [], ...rest.map((r) => r[key] || [])], { countryCode });
+      if (merged.length > (base[key]?.length || 0)) fields[key] = merged;
+    } else if (key === "notes") {
+      const notes = [...new Set([base.notes, ...rest.map((r) => r.notes)].map((n) => n?.trim()).filter(Boolean))];
+      if (notes.length > 1 || (notes.length === 1 && !base.notes)) fields.notes = notes.join("\n\n");
+    } else if (!base[key]) {
+      const donor = rest.find((r) => r[key]);
+      if (donor) fields[key] = donor[key];
+    }
+  }
+
+  return { fields, changedFields: Object.keys(fields) };
+}
+
+/**
+ * Fetch the contacts named by a merge and plan it.
+ *
+ * @param {{ id: string, ids: string[], countryCode?: string }} args - `id` is kept; `ids` are merged into it and deleted.
+ * @returns {Promise<{ update: object, changedFields: string[], delete: string[], primary: object, others: object[] }>}
+ */
+export async function planContactMerge(args, runCLI) {
+  if (!args.id) throw new ValidationError("Contact ID (id) of the contact to keep is required for contact merge");
+  const otherIds = [...new Set(args.ids || [])].filter((id) => id !== args.id);
+  if (otherIds.length === 0) {
+    throw new ValidationError("ids must list at least one other contact to merge into id for contact merge");
+  }
+
+  const get = async (id) => {
+    const result = await runCLI("contacts-cli", ["get", "--id", id]);
+    return result.contact ?? result;
+  };
+  const primary = await get(args.id);
+  const others = [];
+  for (const id of otherIds) others.push(await get(id));
+
+  const { fields, changedFields } = mergeContactFields(primary, others, { countryCode: args.countryCode });
+  return {
+    update: { id: args.id, ...fields },
+    changedFields,
+    delete: otherIds,
+    primary,
+    others,
+  };
+}
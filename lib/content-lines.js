@@ -0,0 +1,135 @@
+/**
+ * Content-line helpers shared by the iCalendar (RFC 5545) and vCard
+ * (RFC 2426 / RFC 6350) codecs: text escaping, 75-octet line folding,
+ * `NAME;PARAM=value:value` parsing, and guarded reads of import files.
+ */
+
+import { readFileSync, realpathSync, statSync } from "node:fs";
+import { homedir } from "node:os";
+import { extname, resolve } from "node:path";
+import { NotFoundError, ValidationError } from "./errors.js";
+
+/** Fold content lines longer than this many octets. */
+const MAX_LINE_OCTETS = 75;
+
+/** Invites and address-book exports are small; refuse anything that is clearly not one. */
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+export function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
+
+/** Quote a parameter value when it contains characters that would end it. */
+export function paramValue(value) {
+  const clean = String(value).replace(/"/g, "'");
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/** Fold a content line at 75 octets without splitting a UTF-8 sequence. */
+export function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    // Continuation lines start with a space, which counts toward the limit.
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/** Undo line folding and split into logical content lines. */
+export function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+}
+
+/**
+ * Parse `group.NAME;PARAM=value;PARAM="quoted":value`.
+ *
+ * Repeated parameters are joined with commas (`TYPE=work;TYPE=pref` →
+ * `work,pref`), and bare vCard 2.1 parameters (`TEL;CELL:`) are treated as
+ * TYPE values.
+ *
+ * @returns {{group?: string, name: string, params: Record<string, string>, value: string}|null}
+ */
+export function parseContentLine(line) {
+  let i = 0;
+  let inQuotes = false;
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === ":" && !inQuotes) break;
+  }
+  if (i === line.length) return null;
+
+  const head = line.slice(0, i);
+  const value = line.slice(i + 1);
+  const segments = head.match(/(?:[^;"]+|"[^"]*")+/g) || [];
+  const [qualified = "", ...rawParams] = segments;
+  const dot = qualified.indexOf(".");
+  const params = {};
+  for (const raw of rawParams) {
+    const eq = raw.indexOf("=");
+    const key = eq === -1 ? "TYPE" : raw.slice(0, eq).toUpperCase();
+    const val = eq === -1 ? raw : raw.slice(eq + 1).replace(/^"|"$/g, "");
+    params[key] = params[key] ? `${params[key]},${val}` : val;
+  }
+  return {
+    ...(dot === -1 ? {} : { group: qualified.slice(0, dot) }),
+    name: qualified.slice(dot + 1).toUpperCase(),
+    params,
+    value,
+  };
+}
+
+/**
+ * Read a local file for import. Only regular files whose real path has one of
+ * the given extensions are read, so import actions cannot be pointed at
+ * arbitrary local files (a `.ics` symlink to `~/.ssh/id_rsa` is refused).
+ *
+ * @param {string} rawPath - Path to the file (~ is expanded).
+ * @param {string[]} extensions - Allowed lowercase extensions, e.g. [".ics"].
+ * @param {string} action - Action name for error messages.
+ * @returns {string} File contents.
+ */
+export function readImportFile(rawPath, extensions, action) {
+  if (typeof rawPath !== "string" || rawPath.length === 0) {
+    throw new ValidationError(`file must be a non-empty path string for ${action}`);
+  }
+  const expanded = rawPath.startsWith("~/") ? homedir() + rawPath.slice(1) : rawPath;
+  let canonical;
+  try {
+    canonical = realpathSync(resolve(expanded));
+  } catch {
+    throw new NotFoundError(`Import file not found: ${expanded}`);
+  }
+  if (!extensions.includes(extname(canonical).toLowerCase())) {
+    throw new ValidationError(`${action} only reads ${extensions.join("/")} files, got: ${canonical}`);
+  }
+  const st = statSync(canonical);
+  if (!st.isFile()) throw new ValidationError(`Import file must be a regular file: ${canonical}`);
+  if (st.size > MAX_IMPORT_BYTES) {
+    throw new ValidationError(`Import file is too large (${st.size} bytes, limit ${MAX_IMPORT_BYTES}): ${canonical}`);
+  }
+  return readFileSync(canonical, "utf8");
+}
@@ -0,0 +1,374 @@
+/**
+ * Natural-language date resolution for tool date parameters.
+ *
+ * withAgentDX runs `start`, `end`, `due`, `from`, `to` (and mail `since`,
+ * agenda `date`)
+ * through resolveDateArgs before a handler builds CLI args, so phrases like
+ * "next Friday 3pm", "in 2 hours", "end of month" or "tomorrow morning" reach
+ * the Swift CLIs as concrete dates. The resolved values are echoed back as
+ * `resolvedDates` so the agent can check what a phrase meant.
+ *
+ * - Phrases with a time (or a relative offset) resolve to ISO 8601 with the
+ *   zone's offset, e.g. "2026-03-20T15:00:00-07:00".
+ * - Day-only phrases resolve to YYYY-MM-DD, so the CLIs keep their date-only
+ *   semantics (all-day events, end-of-day range bounds).
+ * - Anything else — ISO dates, "MM/DD/YYYY", unknown text — passes through
+ *   unchanged for the CLI's own parser.
+ *
+ * Phrases are anchored to APPLE_PIM_TIMEZONE (an IANA zone; default: the
+ * system zone) and to the current time, which APPLE_PIM_NOW (ISO 8601)
+ * pins for tests and evals. A calendar event's own `timeZone` takes over for
+ * its `start`/`end`: "tomorrow 9am" with timeZone "Europe/London" is 9am in
+ * London, and so is a wall-clock value without an offset.
+ *
+ * The same zone math rewrites `localStart`/`localEnd` for the calendar
+ * `displayTimeZone` parameter (withDisplayTimeZone).
+ */
+
+import { ValidationError } from "./errors.js";
+import { parseCLIDate } from "./free-slots.js";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** Times of day for "morning", "tomorrow evening", etc. */
+const PARTS_OF_DAY = {
+  morning: [9, 0],
+  noon: [12, 0],
+  afternoon: [14, 0],
+  evening: [18, 0],
+  night: [20, 0],
+  midnight: [0, 0],
+};
+
+const UNIT_MS = { minute: 60_000, hour: 3_600_000 };
+
+/** Date parameters resolved per tool. Mail `to`/`from` are addresses, not dates. */
+const DATE_FIELDS = {
+  calendar: ["start", "end", "from", "to"],
+  reminder: ["due"],
+  mail: ["since"],
+  "apple-pim": ["date", "from", "to"],
+};
+
+// --- Time zones --------------------------------------------------------------------
+
+/** Offset (ms) of an IANA zone from UTC at the given instant. */
+function zoneOffset(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(instant));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second")) - instant;
+}
+
+/** Convert a wall-clock time in an IANA zone to an epoch instant. */
+export function zonedToInstant(fields, timeZone) {
+  const wall = Date.UTC(...fields);
+  const first = wall - zoneOffset(wall, timeZone);
+  // Re-check at the candidate instant so times near a DST switch land right.
+  return wall - zoneOffset(first, timeZone);
+}
+
+/** Throw unless `timeZone` is an IANA zone name this runtime knows. */
+export function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw new ValidationError(`Unknown time zone: ${timeZone}`);
+  }
+}
+
+/** The zone phrases are anchored to: APPLE_PIM_TIMEZONE or the system zone. */
+export function defaultTimeZone() {
+  return process.env.APPLE_PIM_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function defaultNow() {
+  const pinned = process.env.APPLE_PIM_NOW;
+  if (!pinned) return new Date();
+  const date = new Date(pinned);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid APPLE_PIM_NOW: ${pinned}`);
+  return date;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** Wall-clock fields of an instant in a zone, as a UTC-based Date. */
+function wallClock(instant, timeZone) {
+  return new Date(instant + zoneOffset(instant, timeZone));
+}
+
+/** ISO 8601 with the zone's offset, e.g. 2026-03-20T15:00:00-07:00. */
+export function formatZoned(instant, timeZone) {
+  const offsetMin = Math.round(zoneOffset(instant, timeZone) / 60_000);
+  const wall = new Date(instant + offsetMin * 60_000);
+  const sign = offsetMin < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMin);
+  return `${wall.toISOString().slice(0, 19)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Wall-clock display form calendar-cli uses for `localStart`/`localEnd`,
+ * e.g. "2026-03-20 3:00 PM".
+ */
+export function formatLocal(instant, timeZone) {
+  const wall = wallClock(instant, timeZone);
+  const hour = wall.getUTCHours();
+  return `${wall.toISOString().slice(0, 10)} ${hour % 12 || 12}:${pad(wall.getUTCMinutes())} ${hour < 12 ? "AM" : "PM"}`;
+}
+
+/** A wall-clock date-time without an offset, e.g. "2026-03-20T09:00" or "2026-03-20 09:00:00". */
+const WALL_CLOCK_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/i;
+
+/**
+ * Read a wall-clock date-time in `timeZone` and return it with that zone's
+ * offset. Values with an offset, date-only values and anything else are
+ * returned unchanged.
+ */
+export function zonedWallClock(value, timeZone) {
+  const m = typeof value === "string" ? WALL_CLOCK_RE.exec(value.trim()) : null;
+  if (!m) return value;
+  const [, y, mo, d, h, mi, sec] = m.map(Number);
+  return formatZoned(zonedToInstant([y, mo - 1, d, h, mi, sec || 0], timeZone), timeZone);
+}
+
+// --- Day arithmetic (on UTC-based wall-clock dates) ----------------------------------
+
+function addDays(day, n) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + n));
+}
+
+function addMonths(day, n) {
+  // Clamp to the last day of the target month: Jan 31 + 1 month = Feb 28.
+  const y = day.getUTCFullYear();
+  const m = day.getUTCMonth() + n;
+  const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(day.getUTCDate(), last)));
+}
+
+/** Monday of the week containing `day`. */
+function startOfWeek(day) {
+  return addDays(day, -((day.getUTCDay() + 6) % 7));
+}
+
+function dayKey(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+// --- Phrase grammar ----------------------------------------------------------------
+
+const AMOUNT = "(\\d+|an?)";
+const UNITS = "(minute|min|hour|hr|day|week|month)s?";
+const IN_RE = new RegExp(`^in ${AMOUNT} ${UNITS}$`);
+const AGO_RE = new RegExp(`^${AMOUNT} ${UNITS} ago$`);
+const CLOCK_RE = /^(?:(.*?)\s+)?(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/;
+const CLOCK_24_RE = /^(?:(.*?)\s+)?(?:at\s+)?(\d{1,2}):(\d{2})$/;
+const PART_RE = /^(?:(.*?)\s+)?(?:in the\s+|at\s+)?(morning|noon|afternoon|evening|night|midnight)$/;
+const BOUNDARY_RE = /^(start|beginning|end) of (?:the )?(?:(this|next|last) )?(week|month|year)$/;
+
+function amount(text) {
+  return /^an?$/.test(text) ? 1 : Number(text);
+}
+
+/** Split "next friday 3pm" into a day part and an [hour, minute] time. */
+function splitTime(phrase) {
+  if (phrase === "tonight") return { dayPart: "today", time: PARTS_OF_DAY.night };
+  let m = CLOCK_RE.exec(phrase);
+  if (m) {
+    const hour = Number(m[2]);
+    const minute = Number(m[3] || 0);
+    if (hour < 1 || hour > 12 || minute > 59) return null;
+    return { dayPart: m[1] || "", time: [(hour % 12) + (m[4] === "pm" ? 12 : 0), minute] };
+  }
+  m = CLOCK_24_RE.exec(phrase);
+  if (m) {
+    const hour = Number(m[2]);
+    const minute = Number(m[3]);
+    if (hour > 23 || minute > 59) return null;
+    return { dayPart: m[1] || "", time: [hour, minute] };
+  }
+  m = PART_RE.exec(phrase);
+  if (m) return { dayPart: (m[1] || "").replace(/^this$/, "today"), time: PARTS_OF_DAY[m[2]] };
+  return { dayPart: phrase, time: null };
+}
+
+/** Resolve a day phrase to a UTC-based wall-clock day, or null if unknown. */
+function resolveDay(dayPart, today) {
+  switch (dayPart) {
+    case "":
+    case "today":
+      return today;
+    case "tomorrow":
+      return addDays(today, 1);
+    case "yesterday":
+      return addDays(today, -1);
+    case "next week":
+      return addDays(today, 7);
+    case "next month":
+      return addMonths(today, 1);
+    case "next year":
+      return addMonths(today, 12);
+    default:
+      break;
+  }
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dayPart);
+  if (iso) return new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+
+  // "friday" / "this friday" is the next Friday on or after today, "next
+  // friday" the next one after today, "last friday" the most recent before.
+  const weekday = /^(?:(this|next|last) )?(?:on )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/.exec(dayPart);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[2]);
+    const ahead = (target - today.getUTCDay() + 7) % 7;
+    if (weekday[1] === "last") return addDays(today, -(((today.getUTCDay() - target + 7) % 7) || 7));
+    return addDays(today, weekday[1] === "next" ? ahead || 7 : ahead);
+  }
+
+  // "end of week" is Friday, the end of the work week.
+  const boundary = BOUNDARY_RE.exec(dayPart);
+  if (boundary) {
+    const [, edge, which, unit] = boundary;
+    const shift = which === "next" ? 1 : which === "last" ? -1 : 0;
+    const isEnd = edge === "end";
+    if (unit === "week") {
+      const monday = addDays(startOfWeek(today), shift * 7);
+      return isEnd ? addDays(monday, 4) : monday;
+    }
+    if (unit === "month") {
+      const first = addMonths(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)), shift);
+      return isEnd ? addDays(addMonths(first, 1), -1) : first;
+    }
+    const year = today.getUTCFullYear() + shift;
+    return isEnd ? new Date(Date.UTC(year, 11, 31)) : new Date(Date.UTC(year, 0, 1));
+  }
+
+  return null;
+}
+
+function offsetInstant(now, n, unit, timeZone) {
+  if (unit === "min") unit = "minute";
+  if (unit === "hr") unit = "hour";
+  if (UNIT_MS[unit]) return now.getTime() + n * UNIT_MS[unit];
+  // Days, weeks and months move the wall-clock date and keep the time of day.
+  const wall = wallClock(now.getTime(), timeZone);
+  const day = unit === "month" ? addMonths(wall, n) : addDays(wall, unit === "week" ? n * 7 : n);
+  return zonedToInstant(
+    [day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds()],
+    timeZone,
+  );
+}
+
+/**
+ * Resolve one date parameter.
+ *
+ * @param {string} value - Phrase or date string.
+ * @param {{ now?: Date, timeZone?: string }} [options]
+ * @returns {string|null} The resolved date, or null when `value` is not a
+ *   phrase this module understands (it should then be passed on unchanged).
+ *   Empty and blank strings are not phrases: they do not mean "today".
+ */
+export function resolveDate(value, { now = defaultNow(), timeZone = defaultTimeZone() } = {}) {
+  if (typeof value !== "string") return null;
+  const phrase = value.trim().toLowerCase().replace(/\s+/g, " ");
+  if (phrase === "") return null;
+  // ISO dates and date-times are already what the CLIs expect.
+  if (/^\d{4}-\d{2}-\d{2}(?:[t ]\d{2}:\d{2}(?!\s*[ap]m).*)?$/.test(phrase)) return null;
+
+  if (phrase === "now") return formatZoned(now.getTime(), timeZone);
+  let m = IN_RE.exec(phrase);
+  if (m) return formatZoned(offsetInstant(now, amount(m[1]), m[2], timeZone), timeZone);
+  m = AGO_RE.exec(phrase);
+  if (m) return formatZoned(offsetInstant(now, -amount(m[1]), m[2], timeZone), timeZone);
+
+  const split = splitTime(phrase);
+  if (!split) return null;
+  const day = resolveDay(split.dayPart, wallClock(now.getTime(), timeZone));
+  if (!day) return null;
+  if (!split.time) return dayKey(day);
+  const [hour, minute] = split.time;
+  const instant = zonedToInstant([day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute, 0], timeZone);
+  return formatZoned(instant, timeZone);
+}
+
+/**
+ * Resolve the date parameters of a tool call.
+ *
+ * @param {string} toolName - Tool name (calendar, reminder, mail, ...).
+ * @param {object} args - Tool arguments.
+ * @param {{ now?: Date, timeZone?: string }} [options]
+ * @returns {{ args: object, resolvedDates: Object<string, {input: string, resolved: string}> }}
+ *   Arguments with phrases replaced, and what each replaced phrase became.
+ */
+export function resolveDateArgs(toolName, args, options = {}) {
+  const resolvedDates = {};
+  const resolvedArgs = resolveFields(args, DATE_FIELDS[toolName] || [], options, resolvedDates, "");
+  if (toolName !== "calendar" || !Array.isArray(args.events)) return { args: resolvedArgs, resolvedDates };
+
+  // batch_create: each event may carry its own timeZone.
+  let changed = false;
+  const events = args.events.map((event, i) => {
+    const resolved = resolveFields(event, ["start", "end"], options, resolvedDates, `events[${i}].`);
+    changed ||= resolved !== event;
+    return resolved;
+  });
+  return { args: changed ? { ...resolvedArgs, events } : resolvedArgs, resolvedDates };
+}
+
+/**
+ * Resolve `fields` of one object, recording changes in `resolvedDates`
+ * under `prefix + field`. An object's `timeZone` anchors its phrases and
+ * its wall-clock `start`/`end`.
+ *
+ * @returns {object} `obj` itself when nothing changed, otherwise a copy.
+ */
+function resolveFields(obj, fields, options, resolvedDates, prefix) {
+  if (!obj || typeof obj !== "object") return obj;
+  const zone = obj.timeZone;
+  if (zone !== undefined) assertTimeZone(zone);
+  const zoned = zone ? { ...options, timeZone: zone } : options;
+  let result = obj;
+  for (const field of fields) {
+    const value = obj[field];
+    let resolved = resolveDate(value, zoned) ?? value;
+    if (zone && (field === "start" || field === "end")) resolved = zonedWallClock(resolved, zone);
+    if (resolved === value) continue;
+    if (result === obj) result = { ...obj };
+    result[field] = resolved;
+    resolvedDates[`${prefix}${field}`] = { input: value, resolved };
+  }
+  return result;
+}
+
+/**
+ * Rewrite `localStart`/`localEnd` of the events in a calendar result
+ * (`events`, `event` or `occurrences`) into `timeZone`, and mark each
+ * rewritten event with `localTimeZone`. All-day events keep their dates.
+ *
+ * @param {object} result - calendar-cli result.
+ * @param {string} timeZone - IANA zone name.
+ * @returns {object}
+ */
+export function withDisplayTimeZone(result, timeZone) {
+  assertTimeZone(timeZone);
+  const instant = (value) => parseCLIDate(value).getTime();
+  const rewrite = (event) => {
+    if (!event || event.isAllDay || Number.isNaN(instant(event.startDate))) return event;
+    const local = { ...event, localStart: formatLocal(instant(event.startDate), timeZone), localTimeZone: timeZone };
+    if (!Number.isNaN(instant(event.endDate))) local.localEnd = formatLocal(instant(event.endDate), timeZone);
+    return local;
+  };
+  const rewritten = { ...result };
+  for (const key of ["events", "occurrences"]) {
+    if (Array.isArray(result[key])) rewritten[key] = result[key].map(rewrite);
+  }
+  if (result.event) rewritten.event = rewrite(result.event);
+  return rewritten;
+}
@@ -18,7 +18,7 @@ const MUTATION_ACTIONS = {
     "batch_complete",
     "batch_delete",
   ]),
-  contact: new Set(["create", "update", "delete"]),
+  contact: new Set(["create", "update", "delete", "import_vcard", "merge"]),
   mail: new Set([
     "update",
     "move",
@@ -27,8 +27,15 @@ const MUTATION_ACTIONS = {
     "batch_delete",
     "send",
     "reply",
+    "reply_all",
+    "forward",
+    "draft_create",
+    "draft_update",
+    "draft_send",
+    "draft_delete",
     "save_attachment",
   ]),
+  "apple-pim": new Set(["undo"]),
 };
 
 /**
@@ -44,12 +51,29 @@ export function isMutation(toolName, action) {
  *
  * @param {string} toolName - Tool name (calendar, reminder, contact, mail).
  * @param {object} args - The full tool arguments.
+ * @param {{ conflicts?: object[], creates?: object[], warnings?: string[], merge?: object, recipients?: object, recipientCheck?: object }} [context]
+ *   Pre-computed calendar conflicts (from calendar-conflicts.js) when the caller
+ *   asked for `checkConflicts`, the planned create calls and parse warnings
+ *   of an import (from vcard.js), the planned update and deletes of a
+ *   contact merge (from contact-duplicates.js), the resolved recipients
+ *   of a mail reply_all (from mail-recipients.js), or the recipient check
+ *   of outbound mail (from safe-recipients.js).
  * @returns {{ dryRun: true, action: string, tool: string, description: string, parameters: object }}
  */
-export function buildDryRunResponse(toolName, args) {
+export function buildDryRunResponse(toolName, args, { conflicts, creates, warnings, merge, recipients, recipientCheck } = {}) {
   const { action, dryRun, fields, configDir, profile, ...params } = args;
 
-  const description = describeMutation(toolName, action, params);
+  let description = creates
+    ? `Would create ${creates.length} ${toolName}(s) from ${params.file ? `"${params.file}"` : "the given text"}`
+    : describeMutation(toolName, action, params, recipients);
+  if (conflicts?.length) {
+    description += params.allowConflicts
+      ? ` despite ${conflicts.length} conflicting event(s) (allowConflicts is set)`
+      : `, but would be refused: ${conflicts.length} conflicting event(s) in the target window`;
+  }
+  if (recipientCheck?.violations.length) {
+    description += `, but would be refused by the mail recipient policy: ${recipientCheck.violations.map((v) => v.message).join("; ")}`;
+  }
 
   return {
     dryRun: true,
@@ -57,6 +81,12 @@ export function buildDryRunResponse(toolName, args) {
     action,
     description,
     parameters: params,
+    ...(conflicts ? { conflicts } : {}),
+    ...(creates ? { creates } : {}),
+    ...(warnings?.length ? { warnings } : {}),
+    ...(merge ? { merge } : {}),
+    ...(recipients ? { recipients } : {}),
+    ...(recipientCheck ? { recipientCheck } : {}),
     ...(isDestructive(action, params)
       ? { warning: "This is a destructive operation. Data will be permanently deleted." }
       : {}),
@@ -64,15 +94,18 @@ export function buildDryRunResponse(toolName, args) {
 }
 
 function isDestructive(action, params = {}) {
-  if (action === "delete" || action === "batch_delete") return true;
-  if (action === "move") {
-    const dest = (params.toMailbox || "").toLowerCase();
-    return dest === "trash" || dest.includes("deleted");
-  }
+  if (action === "delete" || action === "batch_delete" || action === "merge") return true;
+  if (action === "move") return isMoveToTrash(params);
   return false;
 }
 
-function describeMutation(tool, action, params) {
+/** Whether a mail move targets a Trash / Deleted Messages mailbox. */
+export function isMoveToTrash(params) {
+  const dest = (params.toMailbox || "").toLowerCase();
+  return dest === "trash" || dest.includes("deleted");
+}
+
+function describeMutation(tool, action, params, recipients) {
   switch (action) {
     case "create":
       return describeCreate(tool, params);
@@ -100,6 +133,29 @@ function describeMutation(tool, action, params) {
       const replyAttCount = params.attachment ? (Array.isArray(params.attachment) ? params.attachment.length : 1) : 0;
       return `Would reply to message ${params.id || "?"}${replyAttCount ? ` (${replyAttCount} attachment${replyAttCount > 1 ? "s" : ""})` : ""}`;
     }
+    case "draft_create":
+      return params.id
+        ? `Would save a reply draft to message ${params.id} (not sent)`
+        : `Would save a draft to ${formatRecipients(params.to)} with subject "${params.subject || ""}" (not sent)`;
+    case "draft_update":
+      return `Would update draft ${params.draftId || "?"} (not sent)`;
+    case "draft_send":
+      return `Would send draft ${params.draftId || "?"}`;
+    case "draft_delete":
+      return `Would discard draft ${params.draftId || "?"}`;
+    case "reply_all": {
+      const cc = recipients?.cc?.length ? ` (cc: ${formatRecipients(recipients.cc)})` : "";
+      return `Would reply to all on message ${params.id || "?"}: to ${formatRecipients(recipients?.to)}${cc}`;
+    }
+    case "forward": {
+      const cc = params.cc ? ` (cc: ${formatRecipients(params.cc)})` : "";
+      const bcc = params.bcc ? ` (bcc: ${formatRecipients(params.bcc)})` : "";
+      return `Would forward message ${params.id || "?"} to ${formatRecipients(params.to)}${cc}${bcc}${params.includeAttachments ? " with its original attachments" : ""}`;
+    }
+    case "merge":
+      return `Would merge ${params.ids?.length || 0} contact(s) into contact ${params.id || "?"} and delete them`;
+    case "undo":
+      return `Would undo ${params.id ? `journal entry ${params.id}` : "the most recent undoable mutation"}`;
     case "save_attachment":
       return `Would save ${params.index !== undefined ? `attachment #${params.index}` : "all attachments"} from message ${params.id || "?"} to ${params.destDir || "temp directory"}`;
     default:
@@ -123,7 +179,7 @@ function describeCreate(tool, params) {
 function describeUpdate(tool, params) {
   switch (tool) {
     case "calendar":
-      return `Would update event ${params.id || "?"}${params.title ? ` (title → "${params.title}")` : ""}`;
+      return `Would update ${describeEventTarget(params)}${params.title ? ` (title → "${params.title}")` : ""}`;
     case "reminder":
       return `Would update reminder ${params.id || "?"}${params.title ? ` (title → "${params.title}")` : ""}`;
     case "contact":
@@ -136,10 +192,22 @@ function describeUpdate(tool, params) {
 }
 
 function describeDelete(tool, params) {
-  const target = tool === "mail" ? "message" : tool === "calendar" ? "event" : tool;
+  if (tool === "calendar") return `Would delete ${describeEventTarget(params)}`;
+  const target = tool === "mail" ? "message" : tool;
   return `Would delete ${target} ${params.id || "?"}${params.futureEvents ? " and all future occurrences" : ""}`;
 }
 
+/** "event X", "the D occurrence of event X" or "the D and all future occurrences of event X". */
+function describeEventTarget(params) {
+  const event = `event ${params.id || "?"}`;
+  if (params.occurrenceDate) {
+    return params.futureEvents
+      ? `the ${params.occurrenceDate} and all future occurrences of ${event}`
+      : `the ${params.occurrenceDate} occurrence of ${event}`;
+  }
+  return params.futureEvents ? `${event} and all future occurrences` : event;
+}
+
 function describeBatchCreate(tool, params) {
   if (tool === "calendar") {
     return `Would create ${params.events?.length || 0} event(s)`;
@@ -0,0 +1,156 @@
+/**
+ * Typed errors shared by the handlers, the CLI runner and both servers.
+ *
+ * Each error carries a stable `code`, whether retrying the same call can
+ * succeed (`retryable`), and a `hint` for the agent's next step, so callers
+ * can branch on the code instead of matching error text. The MCP server and
+ * the OpenClaw tools serialize them with serializeError().
+ *
+ * Failures reported by the Swift CLIs arrive as stderr text; fromCLIFailure()
+ * maps the messages the CLIs emit onto these types in one place.
+ */
+
+/** Base class: an error with a stable code, retryability and a hint. */
+export class PimError extends Error {
+  static code = "PIM_ERROR";
+  static retryable = false;
+  static hint = undefined;
+
+  /**
+   * @param {string} message
+   * @param {{hint?: string, cause?: unknown}} [options] - `hint` replaces the type's default hint.
+   */
+  constructor(message, { hint, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.code = new.target.code;
+    this.retryable = new.target.retryable;
+    this.hint = hint ?? new.target.hint;
+  }
+}
+
+/** The event, reminder, contact, message, calendar or draft does not exist. */
+export class NotFoundError extends PimError {
+  static code = "NOT_FOUND";
+  static hint = "The ID may be stale. List or search again to get a current one.";
+}
+
+/** macOS privacy settings, the PIM config or a local policy refused the call. */
+export class PermissionDeniedError extends PimError {
+  static code = "PERMISSION_DENIED";
+  static hint =
+    "Ask the user to grant access in System Settings > Privacy & Security, " +
+    "or to allow the calendar, list or account in ~/.config/apple-pim/.";
+}
+
+/** The arguments are missing, malformed or contradictory. */
+export class ValidationError extends PimError {
+  static code = "VALIDATION_ERROR";
+  static hint = "Fix the arguments and call again. Use action \"schema\" to see the parameters.";
+}
+
+/** The CLI or the app it drives did not answer in time. */
+export class TimeoutError extends PimError {
+  static code = "TIMEOUT";
+  static retryable = true;
+  static hint =
+    "A timed-out write may still have been applied; check before repeating it. " +
+    "If calls keep timing out, a macOS permission dialog may be waiting for the user.";
+}
+
+/** A previous PIMHelper.app instance is wedged and refused a new launch. */
+export class HelperStuckError extends PimError {
+  static code = "HELPER_STUCK";
+  static retryable = true;
+  static hint =
+    "Reads were already retried. Ask the user to answer any pending macOS permission dialog, " +
+    "or run scripts/doctor.sh.";
+}
+
+/** The Swift CLI binary is absent, not executable or a broken symlink. */
+export class BinaryMissingError extends PimError {
+  static code = "BINARY_MISSING";
+  static hint = "Build and install the CLIs with ./setup.sh --install, then restart the server.";
+}
+
+/** Mail.app has to be running for mail actions. */
+export class MailNotRunningError extends PimError {
+  static code = "MAIL_NOT_RUNNING";
+  static retryable = true;
+  static hint = "Ask the user to open Mail.app, then retry.";
+}
+
+/** A local rate limit (rate-limits.json) has no budget left for this action. */
+export class RateLimitedError extends PimError {
+  static code = "RATE_LIMITED";
+  static retryable = true;
+  static hint =
+    "The local rate limit caps this action. Wait until resetAt before repeating it, or ask the user " +
+    "to raise the limit; do not work around it with other actions.";
+
+  /**
+   * @param {string} message
+   * @param {{resetAt?: string, hint?: string, cause?: unknown}} [options] - `resetAt`
+   *   is when the call can go through (ISO 8601).
+   */
+  constructor(message, { resetAt, ...options } = {}) {
+    super(message, options);
+    this.resetAt = resetAt;
+  }
+}
+
+/**
+ * An earlier call with the same idempotencyKey never finished, so whether it
+ * was applied is unknown. Repeating the call cannot settle that.
+ */
+export class IdempotencyPendingError extends PimError {
+  static code = "IDEMPOTENCY_PENDING";
+  static hint =
+    "Check whether the earlier call was applied (for example with search) before trying again " +
+    "with a new idempotencyKey; do not repeat it with the same key.";
+}
+
+/**
+ * CLI stderr patterns, checked in order. The messages come from the CLIs'
+ * CLIError cases and from ArgumentParser's usage errors.
+ */
+const CLI_FAILURE_PATTERNS = [
+  [MailNotRunningError, /Mail\.app is not running/i],
+  [TimeoutError, /did not respond within|timed out/i],
+  [PermissionDeniedError, /access denied|not in your allowed|Grant access in System Settings|not authorized|\(-1743\)/i],
+  [NotFoundError, /not found|No occurrence of|No default (calendar|list)/i],
+  [ValidationError, /\b(invalid|missing expected|unknown option|unexpected argument|cannot be empty|is not recurring)\b/i],
+];
+
+/**
+ * Type a CLI failure message. Messages that match no known pattern stay a
+ * plain Error.
+ *
+ * @param {string} message - The CLI's stderr (or the runner's own message).
+ * @returns {Error}
+ */
+export function fromCLIFailure(message) {
+  for (const [ErrorType, pattern] of CLI_FAILURE_PATTERNS) {
+    if (pattern.test(message)) return new ErrorType(message);
+  }
+  return new Error(message);
+}
+
+/**
+ * Error payload for a tool response.
+ *
+ * @param {unknown} error
+ * @returns {{success: false, error: string, code: string, retryable: boolean, hint?: string, attempts?: number, resetAt?: string}}
+ */
+export function serializeError(error) {
+  const message = error instanceof Error ? error.message : String(error);
+  if (!(error instanceof PimError)) {
+    return { success: false, error: message, code: "UNKNOWN_ERROR", retryable: false };
+  }
+  const payload = { success: false, error: message, code: error.code, retryable: error.retryable };
+  if (error.hint) payload.hint = error.hint;
+  // Set by the runner's automatic retries (cli-retry.js).
+  if (error.attempts) payload.attempts = error.attempts;
+  if (error.resetAt) payload.resetAt = error.resetAt;
+  return payload;
+}
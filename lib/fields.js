@@ -20,6 +20,7 @@ const WRAPPER_KEYS = new Set([
   "accounts",
   "mailboxes",
   "results",
+  "slots",
   "status",
   "success",
   "error",
@@ -29,7 +30,8 @@ const WRAPPER_KEYS = new Set([
 /**
  * Pick only the requested fields from an object.
  * Always preserves "id" so results stay addressable.
- * When date fields are requested, auto-includes their local counterparts.
+ * When date fields are requested, auto-includes their local counterparts
+ * (and the zone they were rewritten into by `displayTimeZone`).
  */
 function pickFields(obj, fields) {
   if (!obj || typeof obj !== "object" || Array.isArray(obj)) return obj;
@@ -38,6 +40,7 @@ function pickFields(obj, fields) {
   // Auto-include local time fields when date fields are requested
   if (fieldSet.has("start") || fieldSet.has("startDate")) fieldSet.add("localStart");
   if (fieldSet.has("end") || fieldSet.has("endDate")) fieldSet.add("localEnd");
+  if (fieldSet.has("localStart") || fieldSet.has("localEnd")) fieldSet.add("localTimeZone");
   const picked = {};
   for (const key of Object.keys(obj)) {
     if (fieldSet.has(key)) {
@@ -72,6 +75,7 @@ export function applyFieldSelection(result, fields) {
   fieldSet.add("id");
   if (fieldSet.has("start") || fieldSet.has("startDate")) fieldSet.add("localStart");
   if (fieldSet.has("end") || fieldSet.has("endDate")) fieldSet.add("localEnd");
+  if (fieldSet.has("localStart") || fieldSet.has("localEnd")) fieldSet.add("localTimeZone");
 
   const filtered = {};
 
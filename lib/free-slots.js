@@ -0,0 +1,254 @@
+/**
+ * Free/busy computation for the calendar `free_slots` action.
+ *
+ * Takes the event dicts returned by `calendar-cli events` and returns open
+ * slots inside working hours, so agents no longer do gap arithmetic in the
+ * prompt. Overlapping and back-to-back events are merged into a single busy
+ * block first. All-day events are ignored unless `includeAllDay` is set —
+ * holidays, birthdays and shared OOO markers would otherwise block whole days.
+ *
+ * All wall-clock math (working hours, date-only range bounds) happens in the
+ * local timezone of the process, which is the same timezone the Swift CLIs
+ * use for `localStart`/`localEnd`.
+ */
+
+import { ValidationError } from "./errors.js";
+
+const MINUTE_MS = 60_000;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const DEFAULT_WORKING_HOURS = {
+  start: "09:00",
+  end: "17:00",
+  days: ["monday", "tuesday", "wednesday", "thursday", "friday"],
+};
+
+/** Default number of days searched when no end of range is given (matches `calendar-cli events`). */
+export const DEFAULT_RANGE_DAYS = 7;
+
+/**
+ * Parse a range bound. Date-only strings (YYYY-MM-DD) are interpreted as
+ * local midnight — `new Date("2026-03-16")` would be UTC midnight — and, for
+ * the end of a range, as the end of that day (mirrors the CLI's
+ * adjustToEndOfDay).
+ *
+ * @param {string} value - ISO date or date-time.
+ * @param {{ endOfDay?: boolean }} options
+ * @returns {Date}
+ */
+export function parseRangeDate(value, { endOfDay = false } = {}) {
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    const [, y, m, d] = dateOnly.map(Number);
+    return endOfDay
+      ? new Date(y, m - 1, d, 23, 59, 59, 999)
+      : new Date(y, m - 1, d);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parse a date from calendar-cli output. The APPLE_PIM_DATE_FORMAT day-*
+ * presets prefix the weekday ("Friday, 2026-03-20T14:00:00Z"), which Date
+ * cannot read, so it is dropped first.
+ *
+ * @param {string} value
+ * @returns {Date} An invalid Date when `value` is not a date.
+ */
+export function parseCLIDate(value) {
+  return new Date(stripWeekday(value));
+}
+
+/** `value` without a leading "Friday, " from the day-* date presets. */
+export function stripWeekday(value) {
+  return typeof value === "string" ? value.replace(/^[a-z]+, /i, "") : value;
+}
+
+/**
+ * Resolve the search window for `free_slots` from tool args. Defaults to
+ * local midnight today through DEFAULT_RANGE_DAYS days later; `nextDays`
+ * overrides the length and an explicit `to` overrides both.
+ *
+ * @param {{from?: string, to?: string, nextDays?: number}} args
+ * @param {Date} [now]
+ * @returns {{from: Date, to: Date}}
+ */
+export function resolveSlotRange(args, now = new Date()) {
+  const from = args.from
+    ? parseRangeDate(args.from)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let to;
+  if (args.to) {
+    to = parseRangeDate(args.to, { endOfDay: true });
+  } else {
+    to = new Date(from);
+    to.setDate(to.getDate() + (args.nextDays ?? DEFAULT_RANGE_DAYS));
+  }
+  if (to <= from) throw new ValidationError("End of range (to) must be after start (from)");
+  return { from, to };
+}
+
+/** ISO 8601 without milliseconds — the form calendar-cli's parseDate expects. */
+export function toCLIDate(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/** Format a date like the Swift CLI's localStart/localEnd ("yyyy-MM-dd h:mm a"). */
+export function formatLocalDateTime(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const hours = date.getHours();
+  const h12 = hours % 12 || 12;
+  const ampm = hours < 12 ? "AM" : "PM";
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${h12}:${pad(date.getMinutes())} ${ampm}`;
+}
+
+function parseClock(value, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+  if (!match) throw new ValidationError(`Invalid ${label} time "${value}" (expected HH:MM)`);
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes !== 0)) {
+    throw new ValidationError(`Invalid ${label} time "${value}" (expected HH:MM)`);
+  }
+  return hours * 60 + minutes;
+}
+
+function normalizeWorkingHours(workingHours = {}) {
+  const start = parseClock(workingHours.start ?? DEFAULT_WORKING_HOURS.start, "workingHours.start");
+  const end = parseClock(workingHours.end ?? DEFAULT_WORKING_HOURS.end, "workingHours.end");
+  if (end <= start) {
+    throw new ValidationError("workingHours.end must be after workingHours.start");
+  }
+  const days = (workingHours.days ?? DEFAULT_WORKING_HOURS.days).map((d) => String(d).toLowerCase());
+  for (const day of days) {
+    if (!WEEKDAYS.includes(day)) throw new ValidationError(`Invalid working day: ${day}`);
+  }
+  return { start, end, days: new Set(days) };
+}
+
+/**
+ * Read an event's start/end/all-day flag, accepting both CLI (startDate,
+ * endDate, isAllDay) and fixture (start, end, allDay) key names.
+ *
+ * @returns {{start: number, end: number, allDay: boolean}|null} Epoch ms, or null if unparseable.
+ */
+export function eventInterval(event) {
+  const start = parseCLIDate(event.startDate ?? event.start);
+  const end = parseCLIDate(event.endDate ?? event.end);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return null;
+  return { start: start.getTime(), end: end.getTime(), allDay: Boolean(event.isAllDay ?? event.allDay) };
+}
+
+/**
+ * Collapse events into sorted, non-overlapping busy intervals.
+ *
+ * @param {object[]} events - Event dicts from `calendar-cli events`.
+ * @param {{ includeAllDay?: boolean }} options
+ * @returns {Array<{start: number, end: number}>} Epoch-millisecond intervals.
+ */
+export function mergeBusyIntervals(events, { includeAllDay = false } = {}) {
+  const intervals = [];
+  for (const event of events || []) {
+    const interval = eventInterval(event);
+    if (!interval || interval.end <= interval.start) continue;
+    if (interval.allDay && !includeAllDay) continue;
+    intervals.push({ start: interval.start, end: interval.end });
+  }
+  intervals.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Find open slots of at least `duration` minutes inside working hours.
+ *
+ * Each free gap yields one slot anchored at the gap's start; `gapMinutes`
+ * tells the caller how much room there is around it. Slots are ranked
+ * earliest-first by default, or by gap size with `prefer: "longest"`.
+ *
+ * @param {object[]} events - Event dicts from `calendar-cli events`.
+ * @param {object} options
+ * @param {Date} options.from - Start of the search range.
+ * @param {Date} options.to - End of the search range.
+ * @param {number} options.duration - Required slot length in minutes.
+ * @param {{start?: string, end?: string, days?: string[]}} [options.workingHours]
+ * @param {boolean} [options.includeAllDay] - Treat all-day events as busy.
+ * @param {"earliest"|"longest"} [options.prefer] - Ranking strategy.
+ * @param {number} [options.limit] - Maximum slots to return.
+ * @param {Date} [options.now] - Slots never start before this instant.
+ * @returns {Array<{start: string, end: string, localStart: string, localEnd: string, gapMinutes: number}>}
+ */
+export function findFreeSlots(events, {
+  from,
+  to,
+  duration,
+  workingHours,
+  includeAllDay = false,
+  prefer = "earliest",
+  limit,
+  now = new Date(),
+} = {}) {
+  const minutes = Number(duration);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new ValidationError("duration must be a positive number of minutes");
+  }
+  if (prefer !== "earliest" && prefer !== "longest") {
+    throw new ValidationError(`Invalid prefer value: ${prefer} (expected "earliest" or "longest")`);
+  }
+  const hours = normalizeWorkingHours(workingHours);
+  const busy = mergeBusyIntervals(events, { includeAllDay });
+  const durationMs = minutes * MINUTE_MS;
+  const rangeStart = Math.max(from.getTime(), now.getTime());
+  const rangeEnd = to.getTime();
+
+  const gaps = [];
+  const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  for (; day.getTime() < rangeEnd; day.setDate(day.getDate() + 1)) {
+    if (!hours.days.has(WEEKDAYS[day.getDay()])) continue;
+
+    const y = day.getFullYear();
+    const m = day.getMonth();
+    const d = day.getDate();
+    let cursor = Math.max(new Date(y, m, d, 0, hours.start).getTime(), rangeStart);
+    const windowEnd = Math.min(new Date(y, m, d, 0, hours.end).getTime(), rangeEnd);
+
+    for (const block of busy) {
+      if (block.end <= cursor) continue;
+      if (block.start >= windowEnd) break;
+      if (block.start > cursor) gaps.push({ start: cursor, end: block.start });
+      cursor = Math.max(cursor, block.end);
+    }
+    if (cursor < windowEnd) gaps.push({ start: cursor, end: windowEnd });
+  }
+
+  const slots = gaps
+    .filter((gap) => gap.end - gap.start >= durationMs)
+    .map((gap) => ({ ...gap, slotEnd: gap.start + durationMs }));
+
+  if (prefer === "longest") {
+    slots.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  }
+
+  const limited = limit ? slots.slice(0, limit) : slots;
+  return limited.map((slot) => ({
+    start: new Date(slot.start).toISOString(),
+    end: new Date(slot.slotEnd).toISOString(),
+    localStart: formatLocalDateTime(new Date(slot.start)),
+    localEnd: formatLocalDateTime(new Date(slot.slotEnd)),
+    gapMinutes: Math.round((slot.end - slot.start) / MINUTE_MS),
+  }));
+}
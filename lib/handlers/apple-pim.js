@@ -1,3 +1,21 @@
+import { buildAgenda } from "../agenda.js";
+import { queryAudit } from "../audit-log.js";
+import { enforcePolicy, loadPolicy } from "../policy.js";
+import { findUndoEntry, readHistory, undoEntry } from "../undo-journal.js";
+import { handleCalendar } from "./calendar.js";
+import { handleContact } from "./contact.js";
+import { handleMail } from "./mail.js";
+import { handleReminder } from "./reminder.js";
+import { ValidationError } from "../errors.js";
+
+/** Unwrapped handlers used to replay undo inverses (replays are not journaled). */
+const UNDO_HANDLERS = {
+  calendar: handleCalendar,
+  reminder: handleReminder,
+  contact: handleContact,
+  mail: handleMail,
+};
+
 export async function handleApplePim(args, runCLI) {
   switch (args.action) {
     case "status": {
@@ -95,7 +113,40 @@ export async function handleApplePim(args, runCLI) {
       return await runCLI("calendar-cli", configArgs);
     }
 
+    case "history": {
+      const entries = readHistory({ limit: args.limit, tool: args.tool });
+      return { entries, count: entries.length };
+    }
+
+    case "undo": {
+      // The inverses are ordinary writes, so the local policy vets each one
+      // before anything is replayed.
+      const entry = findUndoEntry(args.id);
+      const policy = loadPolicy();
+      for (const op of entry.inverse) {
+        const handler = UNDO_HANDLERS[op.tool];
+        const read = (getArgs) => handler({ action: "get", ...getArgs }, runCLI);
+        await enforcePolicy(op.tool, op.args, { read, runCLI }, policy);
+      }
+      return await undoEntry(entry.id, UNDO_HANDLERS, runCLI);
+    }
+
+    case "audit_query":
+      return queryAudit({
+        tool: args.tool,
+        operation: args.operation,
+        outcome: args.outcome,
+        suspicious: args.suspicious,
+        date: args.date,
+        from: args.from,
+        to: args.to,
+        limit: args.limit,
+      });
+
+    case "agenda":
+      return await buildAgenda(args, runCLI);
+
     default:
-      throw new Error(`Unknown apple-pim action: ${args.action}`);
+      throw new ValidationError(`Unknown apple-pim action: ${args.action}`);
   }
 }
@@ -1,9 +1,18 @@
 import { relativeDateString } from "../cli-runner.js";
+import { buildConflictRefusal, findCalendarConflicts } from "../calendar-conflicts.js";
+import { findFreeSlots, resolveSlotRange, toCLIDate } from "../free-slots.js";
+import { withDisplayTimeZone } from "../dates.js";
+import { eventsToICS, isSeriesOccurrence, parseICS, readICSFile } from "../ics.js";
+import { findSeriesExceptions } from "../recurrence.js";
 import {
   buildCalendarCreateArgs,
   buildCalendarDeleteArgs,
   buildCalendarUpdateArgs,
 } from "../tool-args.js";
+import { ValidationError } from "../errors.js";
+
+/** Default number of days expanded by `occurrences`/`exceptions` (matches `calendar-cli occurrences`). */
+const OCCURRENCE_RANGE_DAYS = 30;
 
 export async function handleCalendar(args, runCLI) {
   const cliArgs = [];
@@ -26,44 +35,172 @@ export async function handleCalendar(args, runCLI) {
         cliArgs.push("--to", args.to);
       }
       if (args.limit) cliArgs.push("--limit", String(args.limit));
-      return await runCLI("calendar-cli", cliArgs);
+      return inDisplayTimeZone(await runCLI("calendar-cli", cliArgs), args);
 
     case "get":
-      if (!args.id) throw new Error("Event ID is required for calendar get");
-      return await runCLI("calendar-cli", ["get", "--id", args.id]);
+      if (!args.id) throw new ValidationError("Event ID is required for calendar get");
+      cliArgs.push("get", "--id", args.id);
+      if (args.occurrenceDate) cliArgs.push("--occurrence-date", args.occurrenceDate);
+      return inDisplayTimeZone(await runCLI("calendar-cli", cliArgs), args);
+
+    case "occurrences": {
+      if (!args.id) throw new ValidationError("Event ID is required for calendar occurrences");
+      const { from, to } = resolveSlotRange({ ...args, nextDays: args.nextDays ?? OCCURRENCE_RANGE_DAYS });
+      cliArgs.push("occurrences", "--id", args.id, "--from", toCLIDate(from), "--to", toCLIDate(to));
+      if (args.limit) cliArgs.push("--limit", String(args.limit));
+      return inDisplayTimeZone(await runCLI("calendar-cli", cliArgs), args);
+    }
+
+    case "exceptions": {
+      if (!args.id) throw new ValidationError("Event ID is required for calendar exceptions");
+      const range = resolveSlotRange({ ...args, nextDays: args.nextDays ?? OCCURRENCE_RANGE_DAYS });
+      const { event: series } = await runCLI("calendar-cli", ["get", "--id", args.id]);
+      const { occurrences = [] } = await runCLI("calendar-cli", [
+        "occurrences", "--id", args.id, "--from", toCLIDate(range.from), "--to", toCLIDate(range.to), "--limit", "1000",
+      ]);
+      const { cancelled, modified } = findSeriesExceptions(series, occurrences, range);
+      return {
+        success: true,
+        id: args.id,
+        title: series.title,
+        recurrence: series.recurrence,
+        cancelled,
+        modified,
+        count: cancelled.length + modified.length,
+        dateRange: { from: toCLIDate(range.from), to: toCLIDate(range.to) },
+      };
+    }
 
     case "search":
-      if (!args.query) throw new Error("Search query is required for calendar search");
+      if (!args.query) throw new ValidationError("Search query is required for calendar search");
       cliArgs.push("search", args.query);
       if (args.calendar) cliArgs.push("--calendar", args.calendar);
       if (args.from) cliArgs.push("--from", args.from);
       if (args.to) cliArgs.push("--to", args.to);
       if (args.limit) cliArgs.push("--limit", String(args.limit));
-      return await runCLI("calendar-cli", cliArgs);
+      return inDisplayTimeZone(await runCLI("calendar-cli", cliArgs), args);
+
+    case "free_slots": {
+      if (!args.duration) throw new ValidationError("Duration (minutes) is required for calendar free_slots");
+      const { from, to } = resolveSlotRange(args);
+      // One events query per requested calendar; no calendars means every
+      // calendar the PIM config allows.
+      const calendars = args.calendars?.length ? args.calendars : [undefined];
+      const events = [];
+      for (const calendar of calendars) {
+        const eventsArgs = ["events", "--from", toCLIDate(from), "--to", toCLIDate(to), "--limit", "1000"];
+        if (calendar) eventsArgs.push("--calendar", calendar);
+        const result = await runCLI("calendar-cli", eventsArgs);
+        events.push(...(result.events || []));
+      }
+      const slots = findFreeSlots(events, {
+        from,
+        to,
+        duration: args.duration,
+        workingHours: args.workingHours,
+        includeAllDay: args.includeAllDay,
+        prefer: args.prefer,
+        limit: args.limit || 10,
+      });
+      return {
+        success: true,
+        slots,
+        count: slots.length,
+        duration: args.duration,
+        dateRange: { from: toCLIDate(from), to: toCLIDate(to) },
+      };
+    }
+
+    case "export_ics": {
+      // A single event by ID, otherwise the same range query as `events`.
+      const result = args.id
+        ? await handleCalendar({ action: "get", id: args.id }, runCLI)
+        : await handleCalendar({ ...args, action: "events" }, runCLI);
+      const events = args.id ? [result.event ?? result] : await withSeriesMasters(result.events || [], runCLI);
+      return { success: true, ics: eventsToICS(events), count: events.length };
+    }
+
+    case "import_ics": {
+      if (!args.file && !args.ics) {
+        throw new ValidationError("Either file (path to a .ics file) or ics (iCalendar text) is required for calendar import_ics");
+      }
+      const { events, warnings } = parseICS(args.file ? readICSFile(args.file) : args.ics);
+      const payload = args.calendar ? events.map((e) => ({ ...e, calendar: args.calendar })) : events;
+      return {
+        success: true,
+        events: payload,
+        count: payload.length,
+        warnings,
+      };
+    }
 
     case "create":
-      return await runCLI(
-        "calendar-cli",
-        buildCalendarCreateArgs(args, args.calendar)
+      return await withConflictCheck(args, runCLI, () =>
+        runCLI("calendar-cli", buildCalendarCreateArgs(args, args.calendar))
       );
 
     case "update":
-      return await runCLI("calendar-cli", buildCalendarUpdateArgs(args));
+      return await withConflictCheck(args, runCLI, () =>
+        runCLI("calendar-cli", buildCalendarUpdateArgs(args))
+      );
 
     case "delete":
       return await runCLI("calendar-cli", buildCalendarDeleteArgs(args));
 
     case "batch_create":
       if (!args.events || !Array.isArray(args.events) || args.events.length === 0) {
-        throw new Error("Events array is required and cannot be empty");
+        throw new ValidationError("Events array is required and cannot be empty");
       }
-      return await runCLI("calendar-cli", [
-        "batch-create",
-        "--json",
-        JSON.stringify(args.events),
-      ]);
+      return await withConflictCheck(args, runCLI, () =>
+        runCLI("calendar-cli", ["batch-create", "--json", JSON.stringify(args.events)])
+      );
 
     default:
-      throw new Error(`Unknown calendar action: ${args.action}`);
+      throw new ValidationError(`Unknown calendar action: ${args.action}`);
+  }
+}
+
+/** Show `localStart`/`localEnd` in `displayTimeZone` when one is requested. */
+function inDisplayTimeZone(result, args) {
+  return args.displayTimeZone ? withDisplayTimeZone(result, args.displayTimeZone) : result;
+}
+
+/**
+ * Collapse the expanded occurrences of each recurring series into the
+ * series itself, read with `get` so its start (and COUNT) match the series.
+ * Falls back to the first occurrence in range when the read fails.
+ */
+async function withSeriesMasters(events, runCLI) {
+  const seen = new Set();
+  const collapsed = [];
+  for (const event of events) {
+    if (!isSeriesOccurrence(event)) {
+      collapsed.push(event);
+      continue;
+    }
+    if (seen.has(event.id)) continue;
+    seen.add(event.id);
+    try {
+      const { event: master } = await runCLI("calendar-cli", ["get", "--id", event.id]);
+      collapsed.push(master ?? event);
+    } catch {
+      collapsed.push(event);
+    }
+  }
+  return collapsed;
+}
+
+/**
+ * Run a create/update/batch_create, first checking for overlapping events
+ * when `checkConflicts` is set. Conflicts refuse the write unless
+ * `allowConflicts` is also set, in which case they ride along on the result.
+ */
+async function withConflictCheck(args, runCLI, write) {
+  if (!args.checkConflicts) return await write();
+  const conflicts = await findCalendarConflicts(args, runCLI);
+  if (conflicts.length > 0 && !args.allowConflicts) {
+    return buildConflictRefusal(args.action, conflicts);
   }
+  const result = await write();
+  return { ...result, conflicts };
 }
@@ -2,6 +2,13 @@ import {
   buildContactCreateArgs,
   buildContactUpdateArgs,
 } from "../tool-args.js";
+import { contactsToVCard, planVCardImport } from "../vcard.js";
+import {
+  DUPLICATE_SCAN_LIMIT,
+  findDuplicateClusters,
+  planContactMerge,
+} from "../contact-duplicates.js";
+import { ValidationError } from "../errors.js";
 
 export async function handleContact(args, runCLI) {
   const cliArgs = [];
@@ -20,13 +27,13 @@ export async function handleContact(args, runCLI) {
       return await runCLI("contacts-cli", cliArgs);
 
     case "search":
-      if (!args.query) throw new Error("Search query is required for contact search");
+      if (!args.query) throw new ValidationError("Search query is required for contact search");
       cliArgs.push("search", args.query);
       if (args.limit) cliArgs.push("--limit", String(args.limit));
       return await runCLI("contacts-cli", cliArgs);
 
     case "get":
-      if (!args.id) throw new Error("Contact ID is required for contact get");
+      if (!args.id) throw new ValidationError("Contact ID is required for contact get");
       return await runCLI("contacts-cli", ["get", "--id", args.id]);
 
     case "create":
@@ -36,10 +43,95 @@ export async function handleContact(args, runCLI) {
       return await runCLI("contacts-cli", buildContactUpdateArgs(args));
 
     case "delete":
-      if (!args.id) throw new Error("Contact ID is required for contact delete");
+      if (!args.id) throw new ValidationError("Contact ID is required for contact delete");
       return await runCLI("contacts-cli", ["delete", "--id", args.id]);
 
+    case "export_vcard": {
+      // Explicit IDs, otherwise the matches of a search or list (which only
+      // return brief dicts, so each contact is fetched in full).
+      let ids = args.id ? [args.id] : args.ids;
+      if (!ids) {
+        const found = args.query
+          ? await handleContact({ action: "search", query: args.query, limit: args.limit }, runCLI)
+          : await handleContact({ action: "list", group: args.group, limit: args.limit }, runCLI);
+        ids = (found.contacts || []).map((c) => c.id);
+      }
+      const contacts = [];
+      for (const id of ids) {
+        const result = await runCLI("contacts-cli", ["get", "--id", id]);
+        contacts.push(result.contact ?? result);
+      }
+      return {
+        success: true,
+        vcard: contactsToVCard(contacts, { version: args.vcardVersion }),
+        count: contacts.length,
+      };
+    }
+
+    case "import_vcard": {
+      const { contacts, warnings } = planVCardImport(args);
+      const created = [];
+      const errors = [];
+      for (const [index, contact] of contacts.entries()) {
+        try {
+          const result = await runCLI("contacts-cli", buildContactCreateArgs(contact));
+          created.push(result.contact ?? result);
+        } catch (err) {
+          const name = contact.name || [contact.firstName, contact.lastName].filter(Boolean).join(" ") || contact.organization;
+          errors.push({ index, name, error: err.message });
+        }
+      }
+      return {
+        success: errors.length === 0,
+        created,
+        createdCount: created.length,
+        errors,
+        errorCount: errors.length,
+        warnings,
+      };
+    }
+
+    case "duplicates": {
+      cliArgs.push("list");
+      if (args.group) cliArgs.push("--group", args.group);
+      cliArgs.push("--limit", String(args.limit || DUPLICATE_SCAN_LIMIT));
+      const listed = await runCLI("contacts-cli", cliArgs);
+      const contacts = listed.contacts || [];
+      const clusters = findDuplicateClusters(contacts, { countryCode: args.countryCode });
+      return {
+        success: true,
+        clusters,
+        clusterCount: clusters.length,
+        scanned: contacts.length,
+      };
+    }
+
+    case "merge": {
+      const plan = await planContactMerge(args, runCLI);
+      // Nothing is deleted unless the merged fields were saved first.
+      const updated = plan.changedFields.length > 0
+        ? await runCLI("contacts-cli", buildContactUpdateArgs(plan.update))
+        : { contact: plan.primary };
+      const deleted = [];
+      const errors = [];
+      for (const id of plan.delete) {
+        try {
+          await runCLI("contacts-cli", ["delete", "--id", id]);
+          deleted.push(id);
+        } catch (err) {
+          errors.push({ id, error: err.message });
+        }
+      }
+      return {
+        success: errors.length === 0,
+        contact: updated.contact ?? updated,
+        mergedFields: plan.changedFields,
+        deleted,
+        errors,
+      };
+    }
+
     default:
-      throw new Error(`Unknown contact action: ${args.action}`);
+      throw new ValidationError(`Unknown contact action: ${args.action}`);
   }
 }
@@ -1,5 +1,18 @@
 import { formatMailGetResult } from "../mail-format.js";
+import { buildThread } from "../mail-thread.js";
+import { resolveReplyAllRecipients } from "../mail-recipients.js";
+import {
+  applyDraftUpdate,
+  createDraft,
+  deleteDraft,
+  draftAsMessage,
+  getDraft,
+  listDrafts,
+  saveDraft,
+} from "../mail-drafts.js";
 import { validateAttachments, validateDestDir } from "../safe-attachments.js";
+import { guardRecipients } from "../safe-recipients.js";
+import { ValidationError } from "../errors.js";
 
 export async function handleMail(args, runCLI) {
   const cliArgs = [];
@@ -22,7 +35,7 @@ export async function handleMail(args, runCLI) {
       return await runCLI("mail-cli", cliArgs);
 
     case "get": {
-      if (!args.id) throw new Error("Message ID is required for mail get");
+      if (!args.id) throw new ValidationError("Message ID is required for mail get");
       const getArgs = ["get", "--id", args.id];
       if (args.mailbox) getArgs.push("--mailbox", args.mailbox);
       if (args.account) getArgs.push("--account", args.account);
@@ -32,7 +45,7 @@ export async function handleMail(args, runCLI) {
     }
 
     case "search":
-      if (!args.query) throw new Error("Search query is required for mail search");
+      if (!args.query) throw new ValidationError("Search query is required for mail search");
       cliArgs.push("search", args.query);
       if (args.field) cliArgs.push("--field", args.field);
       if (args.mailbox) cliArgs.push("--mailbox", args.mailbox);
@@ -41,8 +54,11 @@ export async function handleMail(args, runCLI) {
       if (args.since) cliArgs.push("--since", args.since);
       return await runCLI("mail-cli", cliArgs);
 
+    case "thread":
+      return await buildThread(args, runCLI);
+
     case "update": {
-      if (!args.id) throw new Error("Message ID is required for mail update");
+      if (!args.id) throw new ValidationError("Message ID is required for mail update");
       const updateArgs = ["update", "--id", args.id];
       if (args.read !== undefined) updateArgs.push("--read", String(args.read));
       if (args.flagged !== undefined) updateArgs.push("--flagged", String(args.flagged));
@@ -53,8 +69,8 @@ export async function handleMail(args, runCLI) {
     }
 
     case "move": {
-      if (!args.id) throw new Error("Message ID is required for mail move");
-      if (!args.toMailbox) throw new Error("Target mailbox (toMailbox) is required for mail move");
+      if (!args.id) throw new ValidationError("Message ID is required for mail move");
+      if (!args.toMailbox) throw new ValidationError("Target mailbox (toMailbox) is required for mail move");
       const moveArgs = ["move", "--id", args.id, "--to-mailbox", args.toMailbox];
       if (args.toAccount) moveArgs.push("--to-account", args.toAccount);
       if (args.mailbox) moveArgs.push("--mailbox", args.mailbox);
@@ -63,7 +79,7 @@ export async function handleMail(args, runCLI) {
     }
 
     case "delete": {
-      if (!args.id) throw new Error("Message ID is required for mail delete");
+      if (!args.id) throw new ValidationError("Message ID is required for mail delete");
       const delArgs = ["delete", "--id", args.id];
       if (args.mailbox) delArgs.push("--mailbox", args.mailbox);
       if (args.account) delArgs.push("--account", args.account);
@@ -72,7 +88,7 @@ export async function handleMail(args, runCLI) {
 
     case "batch_update": {
       if (!args.ids || !Array.isArray(args.ids) || args.ids.length === 0) {
-        throw new Error("IDs array is required and cannot be empty");
+        throw new ValidationError("IDs array is required and cannot be empty");
       }
       const updates = args.ids.map((id) => {
         const obj = { id };
@@ -89,7 +105,7 @@ export async function handleMail(args, runCLI) {
 
     case "batch_delete": {
       if (!args.ids || !Array.isArray(args.ids) || args.ids.length === 0) {
-        throw new Error("IDs array is required and cannot be empty");
+        throw new ValidationError("IDs array is required and cannot be empty");
       }
       const batchArgs = ["batch-delete", "--json", JSON.stringify(args.ids)];
       if (args.mailbox) batchArgs.push("--mailbox", args.mailbox);
@@ -98,45 +114,65 @@ export async function handleMail(args, runCLI) {
     }
 
     case "send": {
-      if (!args.to) throw new Error("At least one recipient (to) is required for send");
-      if (!args.subject) throw new Error("Subject is required for send");
-      if (!args.body) throw new Error("Body is required for send");
-      const sendArgs = ["send"];
-      const toList = Array.isArray(args.to) ? args.to : [args.to];
-      for (const addr of toList) sendArgs.push("--to", addr);
-      sendArgs.push("--subject", args.subject);
-      sendArgs.push("--body", args.body);
-      if (args.cc) {
-        const ccList = Array.isArray(args.cc) ? args.cc : [args.cc];
-        for (const addr of ccList) sendArgs.push("--cc", addr);
-      }
-      if (args.bcc) {
-        const bccList = Array.isArray(args.bcc) ? args.bcc : [args.bcc];
-        for (const addr of bccList) sendArgs.push("--bcc", addr);
-      }
-      if (args.from) sendArgs.push("--from", args.from);
-      if (args.attachment) {
-        const safe = validateAttachments(args.attachment);
-        for (const p of safe) sendArgs.push("--attachment", p);
-      }
-      return await runCLI("mail-cli", sendArgs);
+      const sendArgs = buildSendArgs(args);
+      return await guardRecipients(args, runCLI) ?? await runCLI("mail-cli", sendArgs);
     }
 
     case "reply": {
-      if (!args.id) throw new Error("Message ID is required for reply");
-      if (!args.body) throw new Error("Body is required for reply");
-      const replyArgs = ["reply", "--id", args.id, "--body", args.body];
-      if (args.mailbox) replyArgs.push("--mailbox", args.mailbox);
-      if (args.account) replyArgs.push("--account", args.account);
-      if (args.attachment) {
-        const safe = validateAttachments(args.attachment);
-        for (const p of safe) replyArgs.push("--attachment", p);
-      }
-      return await runCLI("mail-cli", replyArgs);
+      const replyArgs = buildReplyArgs(args);
+      return await guardRecipients(args, runCLI) ?? await runCLI("mail-cli", replyArgs);
+    }
+
+    case "reply_all": {
+      const replyArgs = buildReplyArgs(args, "reply_all");
+      const refusal = await guardRecipients(args, runCLI);
+      if (refusal) return refusal;
+      const recipients = await resolveReplyAllRecipients(args, runCLI);
+      for (const addr of recipients.to) replyArgs.push("--to", addr);
+      for (const addr of recipients.cc) replyArgs.push("--cc", addr);
+      const result = await runCLI("mail-cli", replyArgs);
+      return { ...result, excluded: recipients.excluded };
+    }
+
+    case "forward": {
+      const forwardArgs = buildForwardArgs(args);
+      return await guardRecipients(args, runCLI) ?? await runCLI("mail-cli", forwardArgs);
     }
 
+    case "drafts": {
+      const drafts = listDrafts();
+      return { success: true, drafts, count: drafts.length };
+    }
+
+    case "draft_create": {
+      // Validate exactly as the eventual send/reply will, so a bad draft fails now.
+      draftCLIArgs({ ...args, kind: args.id ? "reply" : "send", inReplyTo: args.id });
+      const draft = createDraft(args);
+      return { success: true, draft, message: "Draft saved. Nothing was sent; use draft_send with this draftId to send it." };
+    }
+
+    case "draft_update": {
+      const updated = applyDraftUpdate(getDraft(args.draftId), args);
+      draftCLIArgs(updated);
+      return { success: true, draft: saveDraft(updated) };
+    }
+
+    case "draft_send": {
+      const draft = getDraft(args.draftId);
+      const draftArgs = draftCLIArgs(draft);
+      const refusal = await guardRecipients(draftAsMessage(draft), runCLI, { action: "draft_send" });
+      if (refusal) return { ...refusal, draftId: draft.draftId };
+      const result = await runCLI("mail-cli", draftArgs);
+      deleteDraft(draft.draftId);
+      return { ...result, draftId: draft.draftId };
+    }
+
+    case "draft_delete":
+      deleteDraft(getDraft(args.draftId).draftId);
+      return { success: true, deleted: args.draftId };
+
     case "save_attachment": {
-      if (!args.id) throw new Error("Message ID is required for save_attachment");
+      if (!args.id) throw new ValidationError("Message ID is required for save_attachment");
       const saveArgs = ["save-attachment", "--id", args.id];
       if (args.index !== undefined) saveArgs.push("--index", String(args.index));
       if (args.destDir) saveArgs.push("--dest-dir", validateDestDir(args.destDir));
@@ -146,7 +182,7 @@ export async function handleMail(args, runCLI) {
     }
 
     case "auth_check": {
-      if (!args.id) throw new Error("Message ID is required for auth_check");
+      if (!args.id) throw new ValidationError("Message ID is required for auth_check");
       const authArgs = ["auth-check", "--id", args.id];
       if (args.trustedSenders) authArgs.push("--trusted-senders", args.trustedSenders);
       if (args.mailbox) authArgs.push("--mailbox", args.mailbox);
@@ -155,6 +191,88 @@ export async function handleMail(args, runCLI) {
     }
 
     default:
-      throw new Error(`Unknown mail action: ${args.action}`);
+      throw new ValidationError(`Unknown mail action: ${args.action}`);
+  }
+}
+
+function buildSendArgs(args) {
+  if (!args.to) throw new ValidationError("At least one recipient (to) is required for send");
+  if (!args.subject) throw new ValidationError("Subject is required for send");
+  if (!args.body) throw new ValidationError("Body is required for send");
+  const sendArgs = ["send"];
+  const toList = Array.isArray(args.to) ? args.to : [args.to];
+  for (const addr of toList) sendArgs.push("--to", addr);
+  sendArgs.push("--subject", args.subject);
+  sendArgs.push("--body", args.body);
+  if (args.cc) {
+    const ccList = Array.isArray(args.cc) ? args.cc : [args.cc];
+    for (const addr of ccList) sendArgs.push("--cc", addr);
+  }
+  if (args.bcc) {
+    const bccList = Array.isArray(args.bcc) ? args.bcc : [args.bcc];
+    for (const addr of bccList) sendArgs.push("--bcc", addr);
+  }
+  if (args.from) sendArgs.push("--from", args.from);
+  if (args.attachment) {
+    const safe = validateAttachments(args.attachment);
+    for (const p of safe) sendArgs.push("--attachment", p);
+  }
+  return sendArgs;
+}
+
+function buildReplyArgs(args, action = "reply") {
+  if (!args.id) throw new ValidationError(`Message ID is required for ${action}`);
+  if (!args.body) throw new ValidationError(`Body is required for ${action}`);
+  const replyArgs = ["reply", "--id", args.id, "--body", args.body];
+  if (args.mailbox) replyArgs.push("--mailbox", args.mailbox);
+  if (args.account) replyArgs.push("--account", args.account);
+  if (args.attachment) {
+    const safe = validateAttachments(args.attachment);
+    for (const p of safe) replyArgs.push("--attachment", p);
+  }
+  return replyArgs;
+}
+
+function buildForwardArgs(args) {
+  if (!args.id) throw new ValidationError("Message ID is required for forward");
+  if (!args.to) throw new ValidationError("At least one recipient (to) is required for forward");
+  const forwardArgs = ["forward", "--id", args.id];
+  const toList = Array.isArray(args.to) ? args.to : [args.to];
+  for (const addr of toList) forwardArgs.push("--to", addr);
+  if (args.cc) {
+    const ccList = Array.isArray(args.cc) ? args.cc : [args.cc];
+    for (const addr of ccList) forwardArgs.push("--cc", addr);
+  }
+  if (args.bcc) {
+    const bccList = Array.isArray(args.bcc) ? args.bcc : [args.bcc];
+    for (const addr of bccList) forwardArgs.push("--bcc", addr);
+  }
+  if (args.body) forwardArgs.push("--body", args.body);
+  if (args.includeAttachments) forwardArgs.push("--include-attachments");
+  if (args.mailbox) forwardArgs.push("--mailbox", args.mailbox);
+  if (args.account) forwardArgs.push("--account", args.account);
+  if (args.attachment) {
+    const safe = validateAttachments(args.attachment);
+    for (const p of safe) forwardArgs.push("--attachment", p);
+  }
+  return forwardArgs;
+}
+
+/** Recipient fields a reply cannot take: it goes to the original message's sender. */
+const REPLY_RECIPIENTS = ["to", "cc", "bcc"];
+
+/** CLI args that sending a stored draft runs (attachments are re-validated). */
+function draftCLIArgs(draft) {
+  if (draft.kind === "reply") {
+    const given = REPLY_RECIPIENTS.filter((key) => [].concat(draft[key] ?? []).length > 0);
+    if (given.length > 0) {
+      throw new ValidationError(
+        `A reply draft goes to the sender of message ${draft.inReplyTo}; ${given.join(", ")} cannot be set. ` +
+          "Create the draft without id to write to other recipients.",
+      );
+    }
   }
+  return draft.kind === "reply"
+    ? buildReplyArgs(draftAsMessage(draft))
+    : buildSendArgs(draft);
 }
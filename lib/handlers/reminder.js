@@ -2,6 +2,7 @@ import {
   buildReminderCreateArgs,
   buildReminderUpdateArgs,
 } from "../tool-args.js";
+import { ValidationError } from "../errors.js";
 
 export async function handleReminder(args, runCLI) {
   const cliArgs = [];
@@ -19,11 +20,11 @@ export async function handleReminder(args, runCLI) {
       return await runCLI("reminder-cli", cliArgs);
 
     case "get":
-      if (!args.id) throw new Error("Reminder ID is required for reminder get");
+      if (!args.id) throw new ValidationError("Reminder ID is required for reminder get");
       return await runCLI("reminder-cli", ["get", "--id", args.id]);
 
     case "search":
-      if (!args.query) throw new Error("Search query is required for reminder search");
+      if (!args.query) throw new ValidationError("Search query is required for reminder search");
       cliArgs.push("search", args.query);
       if (args.list) cliArgs.push("--list", args.list);
       if (args.completed) cliArgs.push("--completed");
@@ -37,7 +38,7 @@ export async function handleReminder(args, runCLI) {
       );
 
     case "complete":
-      if (!args.id) throw new Error("Reminder ID is required for reminder complete");
+      if (!args.id) throw new ValidationError("Reminder ID is required for reminder complete");
       cliArgs.push("complete", "--id", args.id);
       if (args.undo) cliArgs.push("--undo");
       return await runCLI("reminder-cli", cliArgs);
@@ -46,12 +47,12 @@ export async function handleReminder(args, runCLI) {
       return await runCLI("reminder-cli", buildReminderUpdateArgs(args));
 
     case "delete":
-      if (!args.id) throw new Error("Reminder ID is required for reminder delete");
+      if (!args.id) throw new ValidationError("Reminder ID is required for reminder delete");
       return await runCLI("reminder-cli", ["delete", "--id", args.id]);
 
     case "batch_create":
       if (!args.reminders || !Array.isArray(args.reminders) || args.reminders.length === 0) {
-        throw new Error("Reminders array is required and cannot be empty");
+        throw new ValidationError("Reminders array is required and cannot be empty");
       }
       return await runCLI("reminder-cli", [
         "batch-create",
@@ -61,7 +62,7 @@ export async function handleReminder(args, runCLI) {
 
     case "batch_complete":
       if (!args.ids || !Array.isArray(args.ids) || args.ids.length === 0) {
-        throw new Error("IDs array is required and cannot be empty");
+        throw new ValidationError("IDs array is required and cannot be empty");
       }
       cliArgs.push("batch-complete", "--json", JSON.stringify(args.ids));
       if (args.undo) cliArgs.push("--undo");
@@ -69,7 +70,7 @@ export async function handleReminder(args, runCLI) {
 
     case "batch_delete":
       if (!args.ids || !Array.isArray(args.ids) || args.ids.length === 0) {
-        throw new Error("IDs array is required and cannot be empty");
+        throw new ValidationError("IDs array is required and cannot be empty");
       }
       return await runCLI("reminder-cli", [
         "batch-delete",
@@ -78,6 +79,6 @@ export async function handleReminder(args, runCLI) {
       ]);
 
     default:
-      throw new Error(`Unknown reminder action: ${args.action}`);
+      throw new ValidationError(`Unknown reminder action: ${args.action}`);
   }
 }
@@ -0,0 +1,422 @@
+/**
+ * iCalendar (RFC 5545) serialization for the calendar `export_ics` and
+ * `import_ics` actions.
+ *
+ * Export turns `calendar-cli events` dicts into a VCALENDAR document; import
+ * turns a VCALENDAR (typically an invite saved with mail `save_attachment`)
+ * into the `events` payload accepted by `batch_create`. Only what the
+ * calendar tool can express round-trips: title, times, location, notes, URL,
+ * one recurrence rule, attendees and relative alarms. Anything else is
+ * dropped, and import reports what it skipped in `warnings`.
+ */
+
+import {
+  escapeText,
+  foldLine,
+  paramValue,
+  parseContentLine,
+  readImportFile,
+  unescapeText,
+  unfoldLines,
+} from "./content-lines.js";
+import { zonedToInstant } from "./dates.js";
+import { parseCLIDate, toCLIDate } from "./free-slots.js";
+import { ValidationError } from "./errors.js";
+
+const PRODID = "-//Apple PIM//calendar export//EN";
+
+const DAY_MS = 86_400_000;
+
+const WEEKDAY_CODES = {
+  sunday: "SU",
+  monday: "MO",
+  tuesday: "TU",
+  wednesday: "WE",
+  thursday: "TH",
+  friday: "FR",
+  saturday: "SA",
+};
+const CODE_WEEKDAYS = Object.fromEntries(Object.entries(WEEKDAY_CODES).map(([day, code]) => [code, day]));
+
+const ROLE_TO_ICS = {
+  required: "REQ-PARTICIPANT",
+  optional: "OPT-PARTICIPANT",
+  chair: "CHAIR",
+  nonParticipant: "NON-PARTICIPANT",
+};
+const ICS_TO_ROLE = Object.fromEntries(Object.entries(ROLE_TO_ICS).map(([role, ics]) => [ics, role]));
+
+const STATUS_TO_PARTSTAT = {
+  pending: "NEEDS-ACTION",
+  accepted: "ACCEPTED",
+  declined: "DECLINED",
+  tentative: "TENTATIVE",
+  delegated: "DELEGATED",
+  completed: "COMPLETED",
+  inProcess: "IN-PROCESS",
+};
+
+// --- Export ----------------------------------------------------------------------
+
+function formatUTC(date) {
+  return toCLIDate(date).replace(/[-:]/g, "");
+}
+
+function formatDateValue(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+function recurrenceToRRule(rule, allDay) {
+  if (!rule?.frequency || rule.frequency === "none" || rule.frequency === "unknown") return null;
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.daysOfTheWeek?.length) {
+    const codes = rule.daysOfTheWeek.map((d) => WEEKDAY_CODES[String(d).toLowerCase()]).filter(Boolean);
+    if (codes.length) parts.push(`BYDAY=${codes.join(",")}`);
+  }
+  if (rule.daysOfTheMonth?.length) parts.push(`BYMONTHDAY=${rule.daysOfTheMonth.join(",")}`);
+  if (rule.occurrenceCount) {
+    parts.push(`COUNT=${rule.occurrenceCount}`);
+  } else if (rule.endDate) {
+    const until = parseCLIDate(rule.endDate);
+    // UNTIL must have the same value type as DTSTART.
+    if (!Number.isNaN(until.getTime())) parts.push(`UNTIL=${allDay ? formatDateValue(until) : formatUTC(until)}`);
+  }
+  return parts.join(";");
+}
+
+function attendeeLine(attendee) {
+  let line = "ATTENDEE";
+  if (attendee.name) line += `;CN=${paramValue(attendee.name)}`;
+  if (ROLE_TO_ICS[attendee.role]) line += `;ROLE=${ROLE_TO_ICS[attendee.role]}`;
+  if (STATUS_TO_PARTSTAT[attendee.status]) line += `;PARTSTAT=${STATUS_TO_PARTSTAT[attendee.status]}`;
+  return `${line}:mailto:${attendee.email}`;
+}
+
+function recurrenceRules(event) {
+  return Array.isArray(event.recurrence) ? event.recurrence : event.recurrence ? [event.recurrence] : [];
+}
+
+/** Whether an event dict is an occurrence of a recurring series (and not a detached override). */
+export function isSeriesOccurrence(event) {
+  return Boolean(event.id) && !event.isDetached && recurrenceRules(event).length > 0;
+}
+
+function eventLines(event, stamp) {
+  const start = parseCLIDate(event.startDate ?? event.start);
+  const end = parseCLIDate(event.endDate ?? event.end);
+  if (Number.isNaN(start.getTime())) {
+    throw new ValidationError(`Cannot export event ${event.id || event.title}: invalid start date`);
+  }
+  const allDay = Boolean(event.isAllDay ?? event.allDay);
+
+  const lines = ["BEGIN:VEVENT", `UID:${event.id || `${formatUTC(start)}-${stamp}@apple-pim`}`, `DTSTAMP:${stamp}`];
+  if (allDay) {
+    // EventKit ends all-day events at 23:59:59 on the last day; DTEND is exclusive.
+    const lastDay = Number.isNaN(end.getTime()) ? start : new Date(Math.max(start.getTime(), end.getTime() - 1));
+    const dayAfter = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(start)}`, `DTEND;VALUE=DATE:${formatDateValue(dayAfter)}`);
+  } else {
+    lines.push(`DTSTART:${formatUTC(start)}`);
+    if (!Number.isNaN(end.getTime())) lines.push(`DTEND:${formatUTC(end)}`);
+  }
+  // A moved or edited occurrence overrides its slot in the series, under the series' UID.
+  const override = event.isDetached && event.occurrenceDate ? parseCLIDate(event.occurrenceDate) : null;
+  if (override && !Number.isNaN(override.getTime())) {
+    lines.push(allDay ? `RECURRENCE-ID;VALUE=DATE:${formatDateValue(override)}` : `RECURRENCE-ID:${formatUTC(override)}`);
+  }
+  lines.push(`SUMMARY:${escapeText(event.title || "")}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.notes) lines.push(`DESCRIPTION:${escapeText(event.notes)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  for (const rule of override ? [] : recurrenceRules(event)) {
+    const rrule = recurrenceToRRule(rule, allDay);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+  }
+  for (const attendee of event.attendees || []) {
+    if (attendee.email) lines.push(attendeeLine(attendee));
+  }
+  for (const alarm of event.alarms || []) {
+    if (typeof alarm.relativeOffset !== "number") continue;
+    const minutes = Math.round(Math.abs(alarm.relativeOffset) / 60);
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${escapeText(event.title || "Reminder")}`,
+      `TRIGGER:-PT${minutes}M`, "END:VALARM");
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Serialize calendar-cli event dicts to an iCalendar document.
+ *
+ * `calendar-cli events` expands a recurring series into occurrences that
+ * share its ID and rule, so only the first occurrence of each series is
+ * written, with the RRULE; pass the series' own dict (from `get`) first to
+ * anchor the rule at the series start. Detached occurrences are written as
+ * RECURRENCE-ID overrides without a rule.
+ *
+ * @param {object[]} events - Event dicts from `calendar-cli events` / `get`.
+ * @param {{ now?: Date }} [options]
+ * @returns {string} CRLF-delimited VCALENDAR text.
+ */
+export function eventsToICS(events, { now = new Date() } = {}) {
+  const stamp = formatUTC(now);
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+  const series = new Set();
+  for (const event of events || []) {
+    if (isSeriesOccurrence(event)) {
+      if (series.has(event.id)) continue;
+      series.add(event.id);
+    }
+    lines.push(...eventLines(event, stamp));
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+// --- Import ----------------------------------------------------------------------
+
+/**
+ * Convert a DTSTART/DTEND property to a value calendar-cli accepts.
+ *
+ * @returns {{value: string, date?: Date, allDay: boolean}}
+ */
+function parseDateProperty(prop, warnings, label) {
+  const raw = prop.value.trim();
+  const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(raw);
+  if (dateOnly) {
+    const [, y, m, d] = dateOnly.map(Number);
+    const date = new Date(y, m - 1, d);
+    const pad = (n) => String(n).padStart(2, "0");
+    return { value: `${y}-${pad(m)}-${pad(d)}`, date, allDay: true };
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(raw);
+  if (!match) throw new ValidationError(`Invalid ${label} value: ${raw}`);
+  const [, y, mo, d, h, mi, s] = match.slice(0, 7).map(Number);
+  const fields = [y, mo - 1, d, h, mi, s];
+
+  if (match[7] === "Z") {
+    const date = new Date(Date.UTC(...fields));
+    return { value: toCLIDate(date), date, allDay: false };
+  }
+  if (prop.params.TZID) {
+    try {
+      const date = new Date(zonedToInstant(fields, prop.params.TZID));
+      return { value: toCLIDate(date), date, allDay: false };
+    } catch {
+      warnings.push(`Unknown time zone "${prop.params.TZID}" on ${label}; using local time`);
+    }
+  }
+  // Floating time: local wall clock, in a format calendar-cli's parseDate accepts.
+  const date = new Date(...fields);
+  const pad = (n) => String(n).padStart(2, "0");
+  return { value: `${y}-${pad(mo)}-${pad(d)}T${pad(h)}:${pad(mi)}:${pad(s)}`, date, allDay: false };
+}
+
+/** Parse an RFC 5545 DURATION (e.g. PT1H30M, P1D) into minutes. */
+function parseDurationMinutes(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match;
+  const minutes = (Number(w || 0) * 7 + Number(d || 0)) * 1440 + Number(h || 0) * 60 + Number(m || 0) + Number(s || 0) / 60;
+  return sign === "-" ? -minutes : minutes;
+}
+
+function parseRRule(value, warnings) {
+  const parts = Object.fromEntries(
+    value.split(";").filter(Boolean).map((p) => {
+      const [k, v = ""] = p.split("=");
+      return [k.toUpperCase(), v];
+    }),
+  );
+  const frequency = (parts.FREQ || "").toLowerCase();
+  if (!["daily", "weekly", "monthly", "yearly"].includes(frequency)) {
+    warnings.push(`Unsupported recurrence frequency "${parts.FREQ}"; event imported without recurrence`);
+    return undefined;
+  }
+  const rule = { frequency };
+  if (parts.INTERVAL && Number(parts.INTERVAL) !== 1) rule.interval = Number(parts.INTERVAL);
+  if (parts.BYDAY) {
+    const days = [];
+    for (const code of parts.BYDAY.split(",")) {
+      const day = CODE_WEEKDAYS[code.slice(-2).toUpperCase()];
+      if (!day) continue;
+      if (code.length > 2) warnings.push(`Positional BYDAY "${code}" imported as every ${day}`);
+      days.push(day);
+    }
+    if (days.length) rule.daysOfTheWeek = days;
+  }
+  if (parts.BYMONTHDAY) rule.daysOfTheMonth = parts.BYMONTHDAY.split(",").map(Number).filter(Number.isFinite);
+  if (parts.COUNT) {
+    rule.occurrenceCount = Number(parts.COUNT);
+  } else if (parts.UNTIL) {
+    try {
+      rule.endDate = parseDateProperty({ value: parts.UNTIL, params: {} }, warnings, "UNTIL").value;
+    } catch {
+      warnings.push(`Invalid UNTIL "${parts.UNTIL}"; recurrence imported without an end`);
+    }
+  }
+  for (const key of Object.keys(parts)) {
+    if (!["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "COUNT", "UNTIL", "WKST"].includes(key)) {
+      warnings.push(`Recurrence part ${key} is not supported and was ignored`);
+    }
+  }
+  return rule;
+}
+
+function parseAttendee(prop) {
+  const email = prop.value.replace(/^mailto:/i, "").trim();
+  if (!email.includes("@")) return null;
+  const attendee = { email };
+  if (prop.params.CN) attendee.name = prop.params.CN;
+  const role = ICS_TO_ROLE[(prop.params.ROLE || "").toUpperCase()];
+  if (role) attendee.role = role;
+  return attendee;
+}
+
+/** Collect the properties of each top-level VEVENT, with nested VALARMs. */
+function collectEvents(lines) {
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim() ?? "")) {
+    throw new ValidationError("Not an iCalendar document (expected BEGIN:VCALENDAR)");
+  }
+  const events = [];
+  const stack = [];
+  let current = null;
+  let alarm = null;
+  for (const line of lines) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === "BEGIN") {
+      const component = prop.value.trim().toUpperCase();
+      stack.push(component);
+      if (component === "VEVENT" && stack.length === 2) current = { props: [], alarms: [] };
+      else if (component === "VALARM" && current) alarm = [];
+      continue;
+    }
+    if (prop.name === "END") {
+      const component = stack.pop();
+      if (component === "VEVENT" && current) {
+        events.push(current);
+        current = null;
+      } else if (component === "VALARM" && current && alarm) {
+        current.alarms.push(alarm);
+        alarm = null;
+      }
+      continue;
+    }
+    if (alarm) alarm.push(prop);
+    else if (current) current.props.push(prop);
+  }
+  return events;
+}
+
+function toBatchEvent({ props, alarms }, index, warnings) {
+  const first = (name) => props.find((p) => p.name === name);
+  const label = `event ${index + 1}`;
+  const note = (message) => warnings.push(`${label}: ${message}`);
+
+  const dtstart = first("DTSTART");
+  if (!dtstart) throw new ValidationError(`${label} has no DTSTART`);
+  const start = parseDateProperty(dtstart, warnings, "DTSTART");
+
+  const event = {
+    title: unescapeText(first("SUMMARY")?.value ?? "").trim() || "(untitled)",
+    start: start.value,
+  };
+  if (start.allDay) event.allDay = true;
+
+  const dtend = first("DTEND");
+  const duration = first("DURATION");
+  if (dtend) {
+    const end = parseDateProperty(dtend, warnings, "DTEND");
+    if (start.allDay) {
+      // DTEND is exclusive for all-day events; batch_create takes the last day.
+      const lastDay = new Date(end.date.getTime() - DAY_MS / 2);
+      const pad = (n) => String(n).padStart(2, "0");
+      const lastDate = `${lastDay.getFullYear()}-${pad(lastDay.getMonth() + 1)}-${pad(lastDay.getDate())}`;
+      if (lastDate > start.value) event.end = lastDate;
+    } else {
+      event.end = end.value;
+    }
+  } else if (duration && !start.allDay) {
+    const minutes = parseDurationMinutes(duration.value);
+    if (minutes && minutes > 0) event.duration = Math.round(minutes);
+  }
+
+  const location = first("LOCATION");
+  if (location?.value) event.location = unescapeText(location.value);
+  const description = first("DESCRIPTION");
+  if (description?.value) event.notes = unescapeText(description.value);
+  const url = first("URL");
+  if (url?.value) event.url = url.value.trim();
+
+  const rrules = props.filter((p) => p.name === "RRULE");
+  if (rrules.length > 0) {
+    const recurrence = parseRRule(rrules[0].value, warnings);
+    if (recurrence) event.recurrence = recurrence;
+    if (rrules.length > 1) note("only the first RRULE was imported");
+  }
+  if (props.some((p) => p.name === "EXDATE" || p.name === "RDATE")) {
+    note("EXDATE/RDATE exceptions are not supported and were ignored");
+  }
+
+  const attendees = props.filter((p) => p.name === "ATTENDEE").map(parseAttendee).filter(Boolean);
+  if (attendees.length > 0) event.attendees = attendees;
+
+  const alarmMinutes = [];
+  for (const alarm of alarms) {
+    const trigger = alarm.find((p) => p.name === "TRIGGER");
+    if (!trigger || trigger.params.VALUE === "DATE-TIME" || trigger.params.RELATED === "END") {
+      note("absolute or end-relative alarm ignored");
+      continue;
+    }
+    const minutes = parseDurationMinutes(trigger.value);
+    if (minutes !== null && minutes <= 0) alarmMinutes.push(Math.round(-minutes));
+  }
+  if (alarmMinutes.length > 0) event.alarm = alarmMinutes;
+
+  return event;
+}
+
+/**
+ * Parse an iCalendar document into the `events` payload for `batch_create`.
+ *
+ * Cancelled events and per-occurrence overrides (RECURRENCE-ID) are skipped,
+ * since batch_create can only create whole events.
+ *
+ * @param {string} text - VCALENDAR text.
+ * @returns {{events: object[], warnings: string[]}}
+ */
+export function parseICS(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new ValidationError("iCalendar text is empty");
+  }
+  const warnings = [];
+  const events = [];
+  collectEvents(unfoldLines(text)).forEach((component, index) => {
+    const status = component.props.find((p) => p.name === "STATUS")?.value.trim().toUpperCase();
+    if (status === "CANCELLED") {
+      warnings.push(`event ${index + 1}: cancelled, skipped`);
+      return;
+    }
+    if (component.props.some((p) => p.name === "RECURRENCE-ID")) {
+      warnings.push(`event ${index + 1}: occurrence override (RECURRENCE-ID), skipped`);
+      return;
+    }
+    events.push(toBatchEvent(component, index, warnings));
+  });
+  return { events, warnings };
+}
+
+/**
+ * Read a .ics file for import (see readImportFile for the path guard).
+ *
+ * @param {string} rawPath - Path to the .ics file (~ is expanded).
+ * @returns {string} File contents.
+ */
+export function readICSFile(rawPath) {
+  return readImportFile(rawPath, [".ics"], "import_ics");
+}
@@ -0,0 +1,180 @@
+/**
+ * Idempotency keys for creates and sends.
+ *
+ * Agents re-issue a tool call when the first attempt seems to have failed,
+ * typically after a timeout, and the retried create or send then runs a
+ * second time. A call that carries an `idempotencyKey` is recorded here with
+ * its result; repeating it with the same key returns that result (marked
+ * `idempotentReplay`) instead of creating or sending again.
+ *
+ * A key is bound to its call: reusing it with different arguments is an
+ * error. A call that timed out or crashed may or may not have been applied,
+ * so its key stays blocked (outcome unknown) instead of letting a repeat run
+ * blind; a call the CLI rejected outright frees its key again.
+ *
+ * Keys live in ~/.config/apple-pim/idempotency.json (0600) for
+ * KEY_TTL_MS. Override the path with APPLE_PIM_IDEMPOTENCY_STORE.
+ */
+
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname } from "node:path";
+import { canonical } from "./approval.js";
+import { IdempotencyPendingError, PimError, ValidationError } from "./errors.js";
+
+/** Actions that accept an idempotencyKey. */
+export const IDEMPOTENT_ACTIONS = {
+  calendar: ["create", "batch_create"],
+  reminder: ["create", "batch_create"],
+  contact: ["create"],
+  mail: ["send", "reply"],
+};
+
+/** How long a key is remembered. */
+export const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/** Most keys kept; the oldest are dropped first. */
+const MAX_KEYS = 500;
+
+/** Typed failures after which the call is known not to have been applied. */
+const NOT_APPLIED_CODES = new Set([
+  "VALIDATION_ERROR",
+  "NOT_FOUND",
+  "PERMISSION_DENIED",
+  "BINARY_MISSING",
+  "MAIL_NOT_RUNNING",
+  "HELPER_STUCK",
+]);
+
+/** Calls with a key that are running in this process: store key → promise. */
+const inFlight = new Map();
+
+function storePath() {
+  return process.env.APPLE_PIM_IDEMPOTENCY_STORE
+    || `${homedir()}/.config/apple-pim/idempotency.json`;
+}
+
+function readKeys(now) {
+  const path = storePath();
+  if (!existsSync(path)) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${path}: ${err.message}`);
+  }
+  const keys = Array.isArray(parsed.keys) ? parsed.keys : [];
+  return keys.filter((entry) => Date.parse(entry.createdAt) + KEY_TTL_MS > now);
+}
+
+function writeKeys(keys) {
+  const path = storePath();
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  // Write-then-rename so a crash never leaves a half-written store.
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, `${JSON.stringify({ keys: keys.slice(-MAX_KEYS) }, null, 2)}\n`, { mode: 0o600 });
+  renameSync(tmp, path);
+}
+
+/** Replace (or drop, when `entry` is null) the stored entry for a key. */
+function updateKey(storeKey, entry) {
+  const keys = readKeys(Date.now()).filter((k) => k.storeKey !== storeKey);
+  if (entry) keys.push(entry);
+  writeKeys(keys);
+}
+
+/** Keys are scoped per tool, so a calendar and a mail key never collide. */
+function scopedKey(toolName, key) {
+  return `${toolName}:${key}`;
+}
+
+function fingerprint(toolName, args) {
+  const { idempotencyKey, approvalToken, dryRun, fields, ...rest } = args;
+  return createHash("sha256").update(`${toolName}\n${canonical(rest)}`).digest("hex");
+}
+
+/** Throw unless this action accepts an idempotency key. */
+export function assertIdempotentAction(toolName, action) {
+  if (!IDEMPOTENT_ACTIONS[toolName]?.includes(action)) {
+    const supported = Object.entries(IDEMPOTENT_ACTIONS)
+      .map(([tool, actions]) => `${tool} ${actions.join("/")}`).join(", ");
+    throw new ValidationError(`idempotencyKey is not supported for ${toolName} ${action}. Supported: ${supported}`);
+  }
+}
+
+function replay(entry) {
+  return { ...entry.result, idempotentReplay: true, idempotencyKey: entry.key, firstCompletedAt: entry.completedAt };
+}
+
+/**
+ * The result of an earlier call with this key, or null if the key is new.
+ * Waits for the call when it is still running in this process.
+ *
+ * @param {string} toolName
+ * @param {object} args - The call as the agent made it, including idempotencyKey.
+ * @returns {Promise<object|null>}
+ */
+export async function findIdempotentResult(toolName, args) {
+  assertIdempotentAction(toolName, args.action);
+  const storeKey = scopedKey(toolName, args.idempotencyKey);
+  const entry = readKeys(Date.now()).find((k) => k.storeKey === storeKey);
+  if (!entry) return null;
+
+  if (entry.fingerprint !== fingerprint(toolName, args)) {
+    throw new ValidationError(
+      `idempotencyKey "${args.idempotencyKey}" was already used for a different ${toolName} call; use a new key for a new call`,
+    );
+  }
+  if (entry.status === "done") return replay(entry);
+
+  const running = inFlight.get(storeKey);
+  if (running) {
+    await running.catch(() => {});
+    return findIdempotentResult(toolName, args);
+  }
+  throw new IdempotencyPendingError(
+    `The earlier ${toolName} ${args.action} with idempotencyKey "${args.idempotencyKey}" did not finish ` +
+      `(started ${entry.createdAt}), so it may or may not have been applied`,
+  );
+}
+
+/**
+ * Run a keyed call once and remember its result.
+ *
+ * @param {string} toolName
+ * @param {object} args - The call as the agent made it, including idempotencyKey.
+ * @param {() => Promise<object>} execute - Runs the call.
+ * @returns {Promise<object>}
+ */
+export async function runIdempotent(toolName, args, execute) {
+  const storeKey = scopedKey(toolName, args.idempotencyKey);
+  // Checked and claimed without yielding, so two identical calls racing in
+  // this process cannot both run.
+  if (readKeys(Date.now()).some((k) => k.storeKey === storeKey)) {
+    return findIdempotentResult(toolName, args);
+  }
+  const base = {
+    storeKey,
+    key: args.idempotencyKey,
+    tool: toolName,
+    action: args.action,
+    fingerprint: fingerprint(toolName, args),
+    createdAt: new Date().toISOString(),
+  };
+  // Recorded before running, so a crash mid-call leaves the key blocked.
+  updateKey(storeKey, { ...base, status: "pending" });
+
+  const running = execute();
+  inFlight.set(storeKey, running);
+  try {
+    const result = await running;
+    updateKey(storeKey, { ...base, status: "done", result, completedAt: new Date().toISOString() });
+    return result;
+  } catch (error) {
+    if (error instanceof PimError && NOT_APPLIED_CODES.has(error.code)) updateKey(storeKey, null);
+    throw error;
+  } finally {
+    inFlight.delete(storeKey);
+  }
+}
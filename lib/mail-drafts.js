@@ -0,0 +1,111 @@
+/**
+ * Local store for mail drafts.
+ *
+ * Drafts let an agent prepare a message (or a reply) for the user to review
+ * before anything leaves the machine: `draft_create` / `draft_update` only
+ * write here, and nothing reaches Mail.app until `draft_send`, which runs the
+ * stored draft through the regular send/reply path and then removes it.
+ *
+ * Drafts live in ~/.config/apple-pim/mail-drafts.json (0600). Override the
+ * path with APPLE_PIM_MAIL_DRAFTS.
+ */
+
+import { randomUUID } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname } from "node:path";
+import { NotFoundError, ValidationError } from "./errors.js";
+
+/** Draft fields the caller can set (draft_create) and change (draft_update). */
+export const DRAFT_FIELDS = ["to", "cc", "bcc", "from", "subject", "body", "attachment"];
+
+function draftsPath() {
+  return process.env.APPLE_PIM_MAIL_DRAFTS
+    || `${homedir()}/.config/apple-pim/mail-drafts.json`;
+}
+
+function readDrafts() {
+  const path = draftsPath();
+  if (!existsSync(path)) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${path}: ${err.message}`);
+  }
+  return Array.isArray(parsed.drafts) ? parsed.drafts : [];
+}
+
+function writeDrafts(drafts) {
+  const path = draftsPath();
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  // Write-then-rename so a crash never leaves a half-written store.
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, `${JSON.stringify({ drafts }, null, 2)}\n`, { mode: 0o600 });
+  renameSync(tmp, path);
+}
+
+function pickFields(args) {
+  return Object.fromEntries(DRAFT_FIELDS.filter((key) => args[key] !== undefined).map((key) => [key, args[key]]));
+}
+
+/** All drafts, oldest first. */
+export function listDrafts() {
+  return readDrafts();
+}
+
+export function getDraft(draftId) {
+  if (!draftId) throw new ValidationError("Draft ID (draftId) is required");
+  const draft = readDrafts().find((d) => d.draftId === draftId);
+  if (!draft) throw new NotFoundError(`Draft not found: ${draftId}`);
+  return draft;
+}
+
+/** A stored draft as the mail send or reply call it stands for. */
+export function draftAsMessage(draft) {
+  return draft.kind === "reply"
+    ? { ...draft, action: "reply", id: draft.inReplyTo }
+    : { ...draft, action: "send" };
+}
+
+/**
+ * Store a new draft.
+ *
+ * @param {object} args - Mail tool args; `id` (with optional mailbox/account)
+ *   makes it a reply draft to that message.
+ * @returns {object} The stored draft.
+ */
+export function createDraft(args) {
+  const now = new Date().toISOString();
+  const draft = {
+    draftId: randomUUID(),
+    kind: args.id ? "reply" : "send",
+    ...(args.id ? { inReplyTo: args.id, mailbox: args.mailbox, account: args.account } : {}),
+    ...pickFields(args),
+    createdAt: now,
+    updatedAt: now,
+  };
+  writeDrafts([...readDrafts(), draft]);
+  return draft;
+}
+
+/** Apply `args`' draft fields to a draft and return the result, without saving. */
+export function applyDraftUpdate(draft, args) {
+  return { ...draft, ...pickFields(args), updatedAt: new Date().toISOString() };
+}
+
+export function saveDraft(updated) {
+  const drafts = readDrafts();
+  const index = drafts.findIndex((d) => d.draftId === updated.draftId);
+  if (index === -1) throw new NotFoundError(`Draft not found: ${updated.draftId}`);
+  drafts[index] = updated;
+  writeDrafts(drafts);
+  return updated;
+}
+
+export function deleteDraft(draftId) {
+  const drafts = readDrafts();
+  const remaining = drafts.filter((d) => d.draftId !== draftId);
+  if (remaining.length === drafts.length) throw new NotFoundError(`Draft not found: ${draftId}`);
+  writeDrafts(remaining);
+}
@@ -63,3 +63,35 @@ export async function formatMailGetResult(result, format) {
     },
   };
 }
+
+function messageIdList(value) {
+  const raw = Array.isArray(value) ? value.join(" ") : value || "";
+  const bracketed = raw.match(/<[^<>\s]+>/g);
+  return (bracketed || raw.split(/\s+/)).map((id) => id.replace(/^<|>$/g, "")).filter(Boolean);
+}
+
+/**
+ * Extract the threading headers (Message-ID, In-Reply-To, References) of a
+ * `mail-cli get` message from its raw headers (`allHeaders`, or `source`
+ * when it was requested). Angle brackets are stripped to match the IDs the
+ * CLI reports.
+ *
+ * @returns {Promise<{ messageId: string, inReplyTo: string[], references: string[] }>}
+ */
+export async function threadHeadersFromMessage(message) {
+  const raw = [message?.allHeaders, message?.source].find((v) => typeof v === "string" && v.trim());
+  let parsed = {};
+  if (raw) {
+    try {
+      parsed = await simpleParser(raw);
+    } catch {
+      // Unparseable headers just mean the message can only match by subject.
+      parsed = {};
+    }
+  }
+  return {
+    messageId: messageIdList(parsed.messageId)[0] || String(message?.messageId || "").replace(/^<|>$/g, ""),
+    inReplyTo: messageIdList(parsed.inReplyTo),
+    references: messageIdList(parsed.references),
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Recipient resolution for mail `reply_all`.
+ *
+ * Reply-all goes to the original sender plus everyone on To, and keeps Cc
+ * as Cc, minus the user's own addresses. The own addresses come from
+ * `mail-cli accounts` (each account's `emailAddresses`, and its `userName`
+ * when that is an address), so replying to a message the user sent — or
+ * was copied on from another of their accounts — never mails themselves.
+ */
+
+import { ValidationError } from "./errors.js";
+
+const ADDRESS = /[^\s<>"',;:]+@[^\s<>"',;:]+/g;
+
+/** Bare lower-cased addresses in a sender string, `{name, address}` list or string list. */
+export function addressesOf(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map((v) => (v && typeof v === "object" ? v.address : v))
+    .filter((v) => typeof v === "string")
+    .flatMap((v) => v.toLowerCase().match(ADDRESS) || []);
+}
+
+/**
+ * The user's own addresses across all Mail.app accounts.
+ *
+ * @returns {Promise<Set<string>>}
+ */
+export async function ownAddresses(runCLI) {
+  const result = await runCLI("mail-cli", ["accounts"]);
+  const own = new Set();
+  for (const account of result.accounts || []) {
+    for (const address of addressesOf([...(account.emailAddresses || []), account.userName])) own.add(address);
+  }
+  return own;
+}
+
+/**
+ * Resolve the recipients of a reply-all to message `args.id`.
+ *
+ * @param {{ id: string, mailbox?: string, account?: string }} args
+ * @returns {Promise<{ to: string[], cc: string[], excluded: string[] }>}
+ */
+export async function resolveReplyAllRecipients(args, runCLI) {
+  if (!args.id) throw new ValidationError("Message ID is required for reply_all");
+  const getArgs = ["get", "--id", args.id];
+  if (args.mailbox) getArgs.push("--mailbox", args.mailbox);
+  if (args.account) getArgs.push("--account", args.account);
+  const [original, own] = await Promise.all([runCLI("mail-cli", getArgs), ownAddresses(runCLI)]);
+  const message = original.message ?? original;
+
+  const seen = new Set();
+  const excluded = new Set();
+  const keep = (addresses) => addresses.filter((address) => {
+    if (own.has(address)) {
+      excluded.add(address);
+      return false;
+    }
+    if (seen.has(address)) return false;
+    seen.add(address);
+    return true;
+  });
+  const to = keep([...addressesOf(message.sender), ...addressesOf(message.to || [])]);
+  const cc = keep(addressesOf(message.cc || []));
+
+  if (to.length === 0 && cc.length === 0) {
+    throw new ValidationError("reply_all has no recipients left after excluding your own addresses; use reply instead");
+  }
+  // Only Cc'd people left (e.g. replying to your own note to yourself): promote them to To.
+  return to.length > 0
+    ? { to, cc, excluded: [...excluded] }
+    : { to: cc, cc: [], excluded: [...excluded] };
+}
@@ -0,0 +1,189 @@
+/**
+ * Conversation view for mail `thread`.
+ *
+ * Starting from one message, the thread is assembled from:
+ *   1. a subject search across all mailboxes (so Sent replies are found),
+ *      keeping results whose normalized subject matches;
+ *   2. threading headers — candidates are adopted when their Message-ID,
+ *      In-Reply-To or References connect them to a message already in the
+ *      thread, and referenced messages the search missed are fetched by ID;
+ *   3. subject-only matches without any threading headers (some clients
+ *      strip them), when they share a participant with the thread.
+ *
+ * Messages are returned oldest first with quoted replies stripped from
+ * their bodies, so each message shows only what its sender added.
+ */
+
+import { threadHeadersFromMessage } from "./mail-format.js";
+import { ValidationError } from "./errors.js";
+
+/** Subject search results to examine when no limit is given. */
+export const THREAD_SEARCH_LIMIT = 50;
+
+/** Reply/forward prefixes (English, German, Nordic, Dutch, French, Spanish) and [list] tags. */
+const SUBJECT_PREFIX = /^\s*(?:(?:re|fw|fwd|aw|wg|sv|vs|antw|tr|rv)(?:\[\d+\])?\s*:|\[[^\]]*\])\s*/i;
+
+/** Strip reply/forward prefixes and list tags: "Re: [team] Fwd: Plan" → "Plan". */
+export function stripSubjectPrefixes(subject) {
+  let current = String(subject || "").trim();
+  let previous;
+  do {
+    previous = current;
+    current = current.replace(SUBJECT_PREFIX, "");
+  } while (current !== previous);
+  return current.replace(/\s+/g, " ");
+}
+
+/** Subject comparison key: prefixes stripped, case-folded. */
+export function normalizeSubject(subject) {
+  return stripSubjectPrefixes(subject).toLowerCase();
+}
+
+/** "On <date>, <name> wrote:" and common translations. */
+const ATTRIBUTION = /^(?:on|am|le|el|op|den)\s.*(?:wrote|schrieb|a écrit|escribió|schreef|skrev)\s*:\s*$/i;
+const ATTRIBUTION_TAIL = /^.{0,120}(?:wrote|schrieb|a écrit|escribió|schreef|skrev)\s*:\s*$/i;
+
+/**
+ * Remove quoted text from a reply body: `>`-quoted lines, and everything
+ * from an attribution line ("On … wrote:") or an Outlook-style
+ * "Original Message" / "From: … Sent:" block onward.
+ */
+export function stripQuotedReply(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const next = lines[i + 1] || "";
+    if (ATTRIBUTION.test(line.trim())) break;
+    // Attribution wrapped onto a second line
+    if (/^(?:on|am|le|el|op|den)\s/i.test(line.trim()) && ATTRIBUTION_TAIL.test(next.trim())) break;
+    if (/^-{2,}\s*original message\s*-{2,}$/i.test(line.trim())) break;
+    if (/^from:\s/i.test(line) && lines.slice(i + 1, i + 4).some((l) => /^(?:sent|date):\s/i.test(l))) break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+  return kept.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+function addresses(message) {
+  const values = [message.sender, ...(message.to || []), ...(message.cc || [])]
+    .map((r) => (r && typeof r === "object" ? r.address : r))
+    .filter((r) => typeof r === "string");
+  return values.flatMap((v) => v.toLowerCase().match(/[^\s<>"',;]+@[^\s<>"',;]+/g) || []);
+}
+
+/**
+ * Assemble the conversation containing message `args.id`.
+ *
+ * @param {{ id: string, mailbox?: string, account?: string, limit?: number, since?: string }} args
+ * @returns {Promise<{ success: true, subject: string, messages: object[], count: number, missing?: string[] }>}
+ */
+export async function buildThread(args, runCLI) {
+  if (!args.id) throw new ValidationError("Message ID is required for mail thread");
+
+  const fetchMessage = async (id, mailbox, account) => {
+    const getArgs = ["get", "--id", id];
+    if (mailbox) getArgs.push("--mailbox", mailbox);
+    if (account) getArgs.push("--account", account);
+    const result = await runCLI("mail-cli", getArgs);
+    const message = result.message ?? result;
+    return { message, headers: await threadHeadersFromMessage(message) };
+  };
+
+  const seed = await fetchMessage(args.id, args.mailbox, args.account);
+  const subject = normalizeSubject(seed.message.subject);
+  const thread = new Map();
+  const threadIds = new Set();
+  const participants = new Set();
+  const adopt = (entry, matchedBy) => {
+    thread.set(entry.headers.messageId, { ...entry, matchedBy });
+    for (const id of [entry.headers.messageId, ...entry.headers.inReplyTo, ...entry.headers.references]) threadIds.add(id);
+    for (const address of addresses(entry.message)) participants.add(address);
+  };
+  adopt(seed, "seed");
+
+  // 1. Same-subject candidates from every mailbox, Sent included.
+  const candidates = [];
+  const stripped = stripSubjectPrefixes(seed.message.subject);
+  if (stripped) {
+    const searchArgs = ["search", stripped, "--field", "subject", "--limit", String(args.limit || THREAD_SEARCH_LIMIT)];
+    if (args.since) searchArgs.push("--since", args.since);
+    const found = await runCLI("mail-cli", searchArgs);
+    const seen = new Set(thread.keys());
+    for (const summary of found.messages || []) {
+      if (seen.has(summary.messageId) || normalizeSubject(summary.subject) !== subject) continue;
+      seen.add(summary.messageId);
+      try {
+        candidates.push(await fetchMessage(summary.messageId, summary.mailbox, summary.account));
+      } catch {
+        // A result that can no longer be read is simply left out.
+      }
+    }
+  }
+
+  // 2. Header links are transitive, so keep adopting until nothing changes.
+  const linked = (entry) =>
+    threadIds.has(entry.headers.messageId)
+    || [...entry.headers.inReplyTo, ...entry.headers.references].some((id) => threadIds.has(id));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const entry of candidates) {
+      if (!thread.has(entry.headers.messageId) && linked(entry)) {
+        adopt(entry, "headers");
+        changed = true;
+      }
+    }
+  }
+
+  // Referenced messages the subject search did not find (e.g. renamed subject).
+  const missing = [];
+  const attempted = new Set();
+  let pending = [...threadIds].filter((id) => !thread.has(id));
+  while (pending.length > 0 && attempted.size < (args.limit || THREAD_SEARCH_LIMIT)) {
+    const id = pending.shift();
+    if (attempted.has(id) || thread.has(id)) continue;
+    attempted.add(id);
+    try {
+      adopt(await fetchMessage(id), "headers");
+      pending = [...threadIds].filter((tid) => !thread.has(tid) && !attempted.has(tid));
+    } catch {
+      missing.push(id);
+    }
+  }
+
+  // 3. Header-less same-subject messages between the same people.
+  for (const entry of candidates) {
+    if (thread.has(entry.headers.messageId)) continue;
+    const { inReplyTo, references } = entry.headers;
+    if (inReplyTo.length === 0 && references.length === 0 && addresses(entry.message).some((a) => participants.has(a))) {
+      adopt(entry, "subject");
+    }
+  }
+
+  const dateOf = (m) => Date.parse(m.dateSent || m.dateReceived || "") || 0;
+  const messages = [...thread.values()]
+    .sort((a, b) => dateOf(a.message) - dateOf(b.message))
+    .map(({ message, headers, matchedBy }) => ({
+      messageId: headers.messageId,
+      subject: message.subject,
+      sender: message.sender,
+      to: message.to,
+      cc: message.cc,
+      date: message.dateSent || message.dateReceived,
+      mailbox: message.mailbox,
+      account: message.account,
+      isRead: message.isRead,
+      attachmentCount: message.attachmentCount,
+      matchedBy,
+      content: stripQuotedReply(message.content),
+    }));
+
+  return {
+    success: true,
+    subject: stripped,
+    messages,
+    count: messages.length,
+    ...(missing.length > 0 ? { missing } : {}),
+  };
+}
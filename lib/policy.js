@@ -0,0 +1,231 @@
+/**
+ * Local permission policy for tools, actions and parameter values.
+ *
+ * The policy can switch off whole tools or single actions (a read-only
+ * calendar, no mail `send`, contact `search` but not `list`), and constrain
+ * the values a parameter may take (recipients in allowed domains, deletes
+ * only in certain calendars). withAgentDX enforces it before anything else
+ * runs, so the MCP server and the OpenClaw plugin share one enforcement
+ * point; filterTools() hides what the policy refuses from the tool list.
+ *
+ * The policy is off while ~/.config/apple-pim/policy.json is missing or sets
+ * "enabled": false. Override the path with APPLE_PIM_POLICY_CONFIG.
+ *
+ *   {
+ *     "tools": {
+ *       "calendar": { "readOnly": true },
+ *       "contact": { "deny": ["list"] },
+ *       "reminder": { "allow": ["lists", "items", "get"] },
+ *       "mail": {
+ *         "deny": ["send"],
+ *         "params": { "recipients": { "domains": ["example.com"] } }
+ *       }
+ *     }
+ *   }
+ *
+ * A `params` entry lists the allowed `values` (case-insensitive) or email
+ * `domains` (subdomains included) of one parameter; `recipients` stands for
+ * mail `to`, `cc` and `bcc`. It applies to every action, or only to the
+ * listed `actions`. Mutations are also checked against the values they act
+ * on without passing them: the calendar or list of the item behind
+ * `id`/`ids`, the draft of a `draft_send`, the recipients of a
+ * `reply`/`reply_all`. An action listed in `actions` whose value cannot be
+ * determined at all (a create in the default calendar) is refused.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { isMutation } from "./dry-run.js";
+import { getDraft } from "./mail-drafts.js";
+import { resolveReplyAllRecipients } from "./mail-recipients.js";
+import { PermissionDeniedError } from "./errors.js";
+
+/** Hint on refusals: the policy is the user's decision, not an obstacle. */
+const POLICY_HINT =
+  "The local policy (policy.json) refused this call. Do not try to work around it; tell the user what was refused.";
+
+const ADDRESS = /[^\s<>"',;:]+@[^\s<>"',;:]+/g;
+
+/** Mail parameters covered by the `recipients` constraint. */
+const RECIPIENT_PARAMS = ["to", "cc", "bcc"];
+
+function configPath() {
+  return process.env.APPLE_PIM_POLICY_CONFIG
+    || `${homedir()}/.config/apple-pim/policy.json`;
+}
+
+const asList = (value) => (Array.isArray(value) ? value : undefined);
+
+function refuse(message) {
+  throw new PermissionDeniedError(`Refused by local policy: ${message}`, { hint: POLICY_HINT });
+}
+
+/**
+ * The policy, or null when there is none.
+ *
+ * @returns {{tools: Object<string, {enabled: boolean, readOnly: boolean, allow?: string[], deny: string[], params: object}>}|null}
+ */
+export function loadPolicy() {
+  const path = configPath();
+  if (!existsSync(path)) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${path}: ${err.message}`);
+  }
+  if (parsed.enabled === false) return null;
+  const tools = {};
+  for (const [tool, rule] of Object.entries(parsed.tools || {})) {
+    if (!rule || typeof rule !== "object") continue;
+    tools[tool] = {
+      enabled: rule.enabled !== false,
+      readOnly: rule.readOnly === true,
+      allow: asList(rule.allow),
+      deny: asList(rule.deny) || [],
+      params: rule.params && typeof rule.params === "object" ? rule.params : {},
+    };
+  }
+  return { tools };
+}
+
+/** Why the policy refuses this action outright, or null. */
+function actionRefusal(policy, toolName, action) {
+  const rule = policy?.tools[toolName];
+  if (!rule) return null;
+  if (!rule.enabled) return `the ${toolName} tool is disabled`;
+  if (action === "schema") return null;
+  if (rule.allow && !rule.allow.includes(action)) return `${toolName} ${action} is not an allowed action`;
+  if (rule.deny.includes(action)) return `${toolName} ${action} is denied`;
+  if (rule.readOnly && isMutation(toolName, action)) return `${toolName} is read-only`;
+  return null;
+}
+
+/**
+ * Throw unless the policy allows this action. Used where handlers are
+ * called directly, like the agenda's per-domain reads.
+ */
+export function assertActionAllowed(toolName, action, policy = loadPolicy()) {
+  const refusal = actionRefusal(policy, toolName, action);
+  if (refusal) refuse(refusal);
+}
+
+/**
+ * Tool definitions as the policy lets the agent see them: disabled tools
+ * are dropped, refused actions are removed from the action enum.
+ *
+ * @param {object[]} toolList - Tool definitions (schemas.js).
+ * @returns {object[]}
+ */
+export function filterTools(toolList, policy = loadPolicy()) {
+  if (!policy) return toolList;
+  return toolList
+    .filter((tool) => policy.tools[tool.name]?.enabled !== false)
+    .map((tool) => {
+      const actionProp = tool.inputSchema.properties.action;
+      const allowed = actionProp.enum.filter((action) => !actionRefusal(policy, tool.name, action));
+      if (allowed.length === actionProp.enum.length) return tool;
+      const refused = actionProp.enum.filter((action) => !allowed.includes(action));
+      return {
+        ...tool,
+        description: `${tool.description} Not available under the local policy: ${refused.join(", ")}.`,
+        inputSchema: {
+          ...tool.inputSchema,
+          properties: { ...tool.inputSchema.properties, action: { ...actionProp, enum: allowed } },
+        },
+      };
+    });
+}
+
+// --- Parameter constraints -----------------------------------------------------
+
+function addressesOf(values) {
+  return values
+    .map((v) => (v && typeof v === "object" ? v.email ?? v.address : v))
+    .filter((v) => typeof v === "string")
+    .flatMap((v) => v.toLowerCase().match(ADDRESS) || []);
+}
+
+/** Values of `keys` in the call, including the items of a batch_create. */
+function givenValues(source, keys) {
+  const values = keys.flatMap((key) => [].concat(source[key] ?? []));
+  for (const item of [...(asList(source.events) || []), ...(asList(source.reminders) || [])]) {
+    values.push(...keys.flatMap((key) => [].concat(item?.[key] ?? [])));
+  }
+  return values;
+}
+
+/** Values the call does not pass but acts on, read from Calendar, Reminders or Mail. */
+async function lookedUpValues(toolName, param, args, { read, runCLI }) {
+  if (toolName === "mail" && param === "recipients") {
+    if (args.action === "reply_all") {
+      const { to, cc } = await resolveReplyAllRecipients(args, runCLI);
+      return [...to, ...cc];
+    }
+    if (args.action === "reply" && args.id) {
+      const result = await read({ id: args.id, mailbox: args.mailbox, account: args.account });
+      return [].concat((result?.message ?? result)?.sender ?? []);
+    }
+    return [];
+  }
+  if (toolName !== "calendar" && toolName !== "reminder") return [];
+  const ids = args.id ? [args.id] : asList(args.ids) || [];
+  const items = await Promise.all(ids.map((id) => read({ id })));
+  return items.map((result) => (result?.event ?? result?.reminder ?? result)?.[param]).filter((v) => v !== undefined);
+}
+
+function checkValues(toolName, action, param, constraint, values) {
+  if (Array.isArray(constraint.values)) {
+    const allowed = new Set(constraint.values.map((v) => String(v).toLowerCase()));
+    for (const value of values) {
+      if (!allowed.has(String(value).toLowerCase())) {
+        refuse(`${param} "${value}" is not allowed for ${toolName} ${action} (allowed: ${constraint.values.join(", ")})`);
+      }
+    }
+  }
+  if (Array.isArray(constraint.domains)) {
+    const domains = constraint.domains.map((d) => d.toLowerCase().replace(/^@/, ""));
+    for (const address of addressesOf(values)) {
+      const domain = address.slice(address.lastIndexOf("@") + 1);
+      if (!domains.some((d) => domain === d || domain.endsWith(`.${d}`))) {
+        refuse(`${param} address ${address} is outside the allowed domains (${domains.join(", ")})`);
+      }
+    }
+  }
+}
+
+/**
+ * Refuse the call unless the policy allows its tool, action and parameter
+ * values.
+ *
+ * @param {string} toolName
+ * @param {object} args - The call, with date phrases resolved.
+ * @param {{read: (getArgs: object) => Promise<object>, runCLI: Function}} context
+ *   `read` runs the tool's own `get`, for values the call does not pass.
+ */
+export async function enforcePolicy(toolName, args, context, policy = loadPolicy()) {
+  assertActionAllowed(toolName, args.action, policy);
+  const rule = policy?.tools[toolName];
+  if (!rule || args.action === "schema") return;
+
+  for (const [param, constraint] of Object.entries(rule.params)) {
+    const scoped = Array.isArray(constraint?.actions);
+    if (scoped && !constraint.actions.includes(args.action)) continue;
+
+    // A draft_send sends what the draft holds; a reply draft goes to the original's sender.
+    const draft = toolName === "mail" && args.action === "draft_send" ? getDraft(args.draftId) : null;
+    const source = draft ?? args;
+    const keys = toolName === "mail" && param === "recipients" ? RECIPIENT_PARAMS : [param];
+    const values = givenValues(source, keys);
+    if (isMutation(toolName, args.action)) {
+      const lookupArgs = draft?.inReplyTo
+        ? { action: "reply", id: draft.inReplyTo, mailbox: draft.mailbox, account: draft.account }
+        : args;
+      values.push(...await lookedUpValues(toolName, param, lookupArgs, context));
+    }
+    if (scoped && values.length === 0) {
+      refuse(`${toolName} ${args.action} must name an allowed ${param} explicitly`);
+    }
+    checkValues(toolName, args.action, param, constraint, values);
+  }
+}
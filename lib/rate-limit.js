@@ -0,0 +1,206 @@
+/**
+ * Token-bucket rate limits for mutations.
+ *
+ * A looping agent can repeat the same write far more often than anyone
+ * intended. withAgentDX takes tokens from these buckets right before a
+ * mutation runs; once a bucket is empty the call fails with
+ * RateLimitedError, which carries the time the call can go through again.
+ * Dry runs, pending approvals and idempotent replays cost nothing.
+ *
+ * Limits come from ~/.config/apple-pim/rate-limits.json (override the path
+ * with APPLE_PIM_RATE_LIMITS_CONFIG):
+ *
+ *   {
+ *     "enabled": true,
+ *     "limits": {
+ *       "mail.send": { "max": 20, "per": "hour" },
+ *       "reminder.delete": { "max": 50, "per": "day" }
+ *     },
+ *     "profiles": {
+ *       "work": { "mail.*": { "max": 10, "per": "hour" } }
+ *     }
+ *   }
+ *
+ * A key is "<tool>.<action>", "<tool>.*" (every mutation of the tool) or "*"
+ * (every mutation). A bucket of `max` tokens refills evenly over `per`
+ * ("minute", "hour", "day" or a number of seconds). An action's limit also
+ * covers its batch form, and a batch costs one token per item, so a
+ * batch_delete of 30 reminders takes 30 from "reminder.delete". A contact
+ * merge takes one "contact.delete" token per merged-away contact, an
+ * import_vcard one "contact.create" token per card, and an `apple-pim` undo
+ * is charged as the writes it replays. Limits under
+ * "profiles" replace or add to the base limits while that profile is active
+ * (the call's `profile`, else APPLE_PIM_PROFILE), and each profile has its
+ * own buckets.
+ *
+ * Bucket levels persist in ~/.config/apple-pim/rate-limit-state.json (0600;
+ * override with APPLE_PIM_RATE_LIMIT_STATE), so restarting the server does
+ * not refill them.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname } from "node:path";
+import { isMutation } from "./dry-run.js";
+import { RateLimitedError, ValidationError } from "./errors.js";
+import { findUndoEntry } from "./undo-journal.js";
+import { planVCardImport } from "./vcard.js";
+
+/** Named refill windows, in seconds. */
+const WINDOWS = { minute: 60, hour: 3600, day: 86400 };
+
+function configPath() {
+  return process.env.APPLE_PIM_RATE_LIMITS_CONFIG
+    || `${homedir()}/.config/apple-pim/rate-limits.json`;
+}
+
+function statePath() {
+  return process.env.APPLE_PIM_RATE_LIMIT_STATE
+    || `${homedir()}/.config/apple-pim/rate-limit-state.json`;
+}
+
+function readJSON(path, fallback) {
+  if (!existsSync(path)) return fallback;
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${path}: ${err.message}`);
+  }
+}
+
+/** A limit entry as { max, perMs }; throws on a malformed one. */
+function parseLimit(key, limit) {
+  const seconds = typeof limit?.per === "number" ? limit.per : WINDOWS[limit?.per];
+  if (!Number.isInteger(limit?.max) || limit.max < 1 || !(seconds > 0)) {
+    throw new ValidationError(
+      `Invalid rate limit "${key}" in ${configPath()}: use { "max": <positive integer>, "per": "minute" | "hour" | "day" | <seconds> }`,
+    );
+  }
+  return { max: limit.max, perMs: seconds * 1000, per: limit.per };
+}
+
+/**
+ * The limits in force for a profile, or null when rate limiting is off.
+ *
+ * @param {string} [profile]
+ * @returns {Object<string, {max: number, perMs: number, per: string|number}>|null}
+ */
+export function loadRateLimits(profile) {
+  const parsed = readJSON(configPath(), null);
+  if (!parsed || parsed.enabled === false) return null;
+  const merged = { ...parsed.limits, ...(profile ? parsed.profiles?.[profile] : undefined) };
+  return Object.fromEntries(Object.entries(merged).map(([key, limit]) => [key, parseLimit(key, limit)]));
+}
+
+/**
+ * Actions that spend another action's budget: a merge deletes contacts and
+ * an import creates them.
+ */
+const BUDGET_ACTIONS = {
+  "contact.merge": "delete",
+  "contact.import_vcard": "create",
+};
+
+/** Items a call writes: a batch's items, a merge's deletes, an import's cards; 1 for anything else. */
+function costOf(toolName, args) {
+  if (toolName === "contact" && args.action === "merge") {
+    return Math.max((args.ids || []).filter((id) => id !== args.id).length, 1);
+  }
+  if (toolName === "contact" && args.action === "import_vcard") {
+    return Math.max(planVCardImport(args).contacts.length, 1);
+  }
+  if (!args.action?.startsWith("batch_")) return 1;
+  const items = args.ids ?? args.events ?? args.reminders;
+  return Array.isArray(items) ? Math.max(items.length, 1) : 1;
+}
+
+/** Limit keys that cover this call, most specific first. */
+function keysFor(toolName, action) {
+  const base = BUDGET_ACTIONS[`${toolName}.${action}`] ?? action.replace(/^batch_/, "");
+  return [...new Set([`${toolName}.${action}`, `${toolName}.${base}`, `${toolName}.*`, "*"])];
+}
+
+/**
+ * Tokens a call takes, by limit key. An undo is charged as the writes it
+ * replays, each against its own tool and action.
+ */
+function chargesFor(toolName, args) {
+  const charges = new Map();
+  const charge = (key, cost) => charges.set(key, (charges.get(key) ?? 0) + cost);
+  if (toolName === "apple-pim" && args.action === "undo") {
+    for (const key of keysFor(toolName, args.action)) {
+      if (key !== "*") charge(key, 1);
+    }
+    for (const op of findUndoEntry(args.id).inverse) {
+      for (const [key, cost] of chargesFor(op.tool, op.args)) charge(key, cost);
+    }
+    return charges;
+  }
+  const cost = costOf(toolName, args);
+  for (const key of keysFor(toolName, args.action)) charge(key, cost);
+  return charges;
+}
+
+/** Bucket level after refilling from `bucket` (or a full bucket) up to `now`. */
+function levelAt(bucket, limit, now) {
+  if (!bucket) return limit.max;
+  const refilled = ((now - Date.parse(bucket.updatedAt)) * limit.max) / limit.perMs;
+  return Math.min(limit.max, bucket.tokens + Math.max(refilled, 0));
+}
+
+function describeWindow(per) {
+  return typeof per === "number" ? `${per}s` : per;
+}
+
+/**
+ * Take tokens for a mutation that is about to run, or throw
+ * RateLimitedError without taking any when a covering bucket is short.
+ *
+ * @param {string} toolName
+ * @param {object} args - The call, including `profile` when it names one.
+ */
+export function takeRateLimitTokens(toolName, args) {
+  if (!isMutation(toolName, args.action)) return;
+  const profile = args.profile || process.env.APPLE_PIM_PROFILE || undefined;
+  const limits = loadRateLimits(profile);
+  if (!limits) return;
+  const charges = [...chargesFor(toolName, args)].filter(([key]) => limits[key]);
+  if (charges.length === 0) return;
+
+  const now = Date.now();
+  const state = readJSON(statePath(), {});
+  const buckets = state.buckets && typeof state.buckets === "object" ? state.buckets : {};
+  const scope = profile ?? "default";
+
+  const levels = charges.map(([key, cost]) => {
+    const limit = limits[key];
+    return { key, cost, limit, bucketKey: `${scope}:${key}`, tokens: levelAt(buckets[`${scope}:${key}`], limit, now) };
+  });
+  for (const { key, cost, limit, tokens } of levels) {
+    const cap = `${limit.max} per ${describeWindow(limit.per)}`;
+    if (cost > limit.max) {
+      throw new RateLimitedError(
+        `${toolName} ${args.action} of ${cost} items exceeds the rate limit "${key}" (${cap})`,
+        { hint: `Split the batch into calls of at most ${limit.max} items, spread over time.` },
+      );
+    }
+    if (tokens < cost) {
+      const resetAt = new Date(now + Math.ceil(((cost - tokens) * limit.perMs) / limit.max)).toISOString();
+      throw new RateLimitedError(
+        `Rate limit "${key}" reached (${cap}${profile ? `, profile ${profile}` : ""}); ` +
+          `${toolName} ${args.action} can run again at ${resetAt}`,
+        { resetAt },
+      );
+    }
+  }
+
+  for (const { bucketKey, cost, tokens } of levels) {
+    buckets[bucketKey] = { tokens: tokens - cost, updatedAt: new Date(now).toISOString() };
+  }
+  const path = statePath();
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  // Write-then-rename so a crash never leaves a half-written state file.
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, `${JSON.stringify({ buckets }, null, 2)}\n`, { mode: 0o600 });
+  renameSync(tmp, path);
+}
@@ -0,0 +1,123 @@
+/**
+ * Recurrence expansion for the calendar `exceptions` action.
+ *
+ * EventKit only hands back the occurrences that exist, so a cancelled
+ * occurrence of a weekly series is simply missing from `calendar-cli
+ * occurrences`. Expanding the series' rule locally gives the dates the series
+ * should have; comparing the two yields the exceptions: occurrences that were
+ * cancelled, and occurrences that were moved or edited (EventKit marks those
+ * `isDetached`).
+ *
+ * Rules use the shape `calendar-cli` returns (frequency, interval,
+ * daysOfTheWeek, daysOfTheMonth, endDate, occurrenceCount). Expansion runs in
+ * the local timezone of the process, like the Swift CLI, so occurrences keep
+ * their wall-clock time across DST changes.
+ */
+
+import { parseCLIDate, parseRangeDate, stripWeekday } from "./free-slots.js";
+import { ValidationError } from "./errors.js";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** Upper bound on recurrence periods walked, so a bad rule cannot loop forever. */
+const MAX_PERIODS = 10_000;
+
+/** Local calendar day of a date as YYYY-MM-DD. */
+export function localDayKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function atTimeOf(start, year, month, day) {
+  return new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds());
+}
+
+/** Candidate dates for period `k` of the rule, in ascending order. */
+function periodCandidates(start, rule, k) {
+  const interval = Math.max(1, rule.interval || 1);
+  const step = k * interval;
+  switch (rule.frequency) {
+    case "daily":
+      return [atTimeOf(start, start.getFullYear(), start.getMonth(), start.getDate() + step)];
+    case "weekly": {
+      const days = rule.daysOfTheWeek?.length
+        ? rule.daysOfTheWeek.map((d) => WEEKDAYS.indexOf(String(d).toLowerCase())).filter((d) => d >= 0)
+        : [start.getDay()];
+      const weekStart = start.getDate() - start.getDay() + step * 7;
+      return [...new Set(days)].sort((a, b) => a - b)
+        .map((d) => atTimeOf(start, start.getFullYear(), start.getMonth(), weekStart + d));
+    }
+    case "monthly": {
+      const year = start.getFullYear();
+      const month = start.getMonth() + step;
+      const length = new Date(year, month + 1, 0).getDate();
+      const days = rule.daysOfTheMonth?.length ? rule.daysOfTheMonth : [start.getDate()];
+      // Negative days count from the end of the month; days the month does
+      // not have (the 31st in April) are skipped, as EventKit does.
+      return [...new Set(days.map((d) => (d < 0 ? length + d + 1 : d)))]
+        .filter((d) => d >= 1 && d <= length)
+        .sort((a, b) => a - b)
+        .map((d) => atTimeOf(start, year, month, d));
+    }
+    case "yearly": {
+      const date = atTimeOf(start, start.getFullYear() + step, start.getMonth(), start.getDate());
+      // Feb 29 only recurs in leap years.
+      return date.getMonth() === start.getMonth() ? [date] : [];
+    }
+    default:
+      throw new ValidationError(`Unsupported recurrence frequency: ${rule.frequency}`);
+  }
+}
+
+/**
+ * Expand a recurrence rule into the occurrence start dates inside a range.
+ *
+ * @param {Date} start - Start of the series' first occurrence.
+ * @param {{frequency: string, interval?: number, daysOfTheWeek?: string[], daysOfTheMonth?: number[], endDate?: string, occurrenceCount?: number}} rule
+ * @param {{from: Date, to: Date}} range - Inclusive bounds.
+ * @returns {Date[]}
+ */
+export function expandRecurrence(start, rule, { from, to }) {
+  const until = rule.endDate ? parseRangeDate(stripWeekday(rule.endDate), { endOfDay: true }) : null;
+  const last = until && until < to ? until : to;
+  const occurrences = [];
+  let count = 0;
+  for (let k = 0; k < MAX_PERIODS; k++) {
+    const candidates = periodCandidates(start, rule, k);
+    if (candidates.length > 0 && candidates[0] > last) break;
+    for (const date of candidates) {
+      if (date < start) continue;
+      if (date > last) return occurrences;
+      count++;
+      if (rule.occurrenceCount && count > rule.occurrenceCount) return occurrences;
+      if (date >= from) occurrences.push(date);
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Compare a series with the occurrences EventKit returned for a range.
+ *
+ * Occurrences are matched to the rule by the local day of their
+ * `occurrenceDate` (the date they originally had, even after a move).
+ *
+ * @param {object} series - Event dict of the series (`calendar-cli get`).
+ * @param {object[]} occurrences - Event dicts from `calendar-cli occurrences`.
+ * @param {{from: Date, to: Date}} range
+ * @returns {{cancelled: string[], modified: object[]}} Cancelled occurrence
+ *   days (YYYY-MM-DD) and the detached occurrences.
+ */
+export function findSeriesExceptions(series, occurrences, range) {
+  const rule = series.recurrence?.[0];
+  if (!rule) throw new ValidationError(`Event ${series.id} is not recurring`);
+  const seriesStart = parseCLIDate(series.occurrenceDate || series.startDate);
+  const present = new Set(occurrences.map((o) => localDayKey(parseCLIDate(o.occurrenceDate || o.startDate))));
+  const cancelled = expandRecurrence(seriesStart, rule, range)
+    .map(localDayKey)
+    .filter((day) => !present.has(day));
+  return {
+    cancelled: [...new Set(cancelled)],
+    modified: occurrences.filter((o) => o.isDetached),
+  };
+}
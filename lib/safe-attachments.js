@@ -1,12 +1,17 @@
 import { existsSync, readFileSync, realpathSync, statSync } from "node:fs";
 import { homedir, tmpdir } from "node:os";
 import { basename, dirname, join, resolve, sep } from "node:path";
+import { NotFoundError, PermissionDeniedError, ValidationError } from "./errors.js";
 
 function configPath() {
   return process.env.APPLE_PIM_MAIL_ATTACHMENTS_CONFIG
     || `${homedir()}/.config/apple-pim/mail-attachments.json`;
 }
 
+/** Hint on refusals: trying another path is not the fix, asking the user is. */
+const POLICY_HINT =
+  "The mail attachment safety rules refused this path. Do not retry with another path; ask the user.";
+
 const DEFAULT_DENIED_BASENAMES = new Set([
   ".netrc", ".pgpass", ".env", ".envrc",
   "id_rsa", "id_ed25519", "id_ecdsa", "id_dsa",
@@ -86,18 +91,20 @@ function failsHardDenylist(canonicalPath, policy) {
 
 export function validateAttachment(rawPath, { policy = loadPolicy() } = {}) {
   if (!policy.enabled) {
-    throw new Error(
+    throw new PermissionDeniedError(
       `Mail attachments are disabled by default to prevent local-file exfiltration. To enable, create ${configPath()} with {"enabled": true, "allowedRoots": ["~/Downloads"]}. See plugin docs for details.`,
+      { hint: POLICY_HINT },
     );
   }
   if (!policy.allowedRoots || policy.allowedRoots.length === 0) {
-    throw new Error(
+    throw new PermissionDeniedError(
       `Mail attachments policy at ${configPath()} must list at least one entry in "allowedRoots".`,
+      { hint: POLICY_HINT },
     );
   }
   const expanded = expandHome(rawPath);
   if (!existsSync(expanded)) {
-    throw new Error(`Attachment file not found: ${expanded}`);
+    throw new NotFoundError(`Attachment file not found: ${expanded}`);
   }
   let canonical;
   try {
@@ -112,17 +119,18 @@ export function validateAttachment(rawPath, { policy = loadPolicy() } = {}) {
     throw new Error(`Cannot stat attachment ${canonical}: ${err.message}`);
   }
   if (!st.isFile()) {
-    throw new Error(`Attachment must be a regular file: ${canonical}`);
+    throw new ValidationError(`Attachment must be a regular file: ${canonical}`);
   }
   const inAllowedRoot = policy.allowedRoots.some((root) => isWithinRoot(canonical, root));
   if (!inAllowedRoot) {
-    throw new Error(
+    throw new PermissionDeniedError(
       `Attachment ${canonical} is outside allowedRoots (${policy.allowedRoots.join(", ")}). Refusing to attach.`,
+      { hint: POLICY_HINT },
     );
   }
   const denyReason = failsHardDenylist(canonical, policy);
   if (denyReason) {
-    throw new Error(`Attachment refused (${denyReason}): ${canonical}`);
+    throw new PermissionDeniedError(`Attachment refused (${denyReason}): ${canonical}`, { hint: POLICY_HINT });
   }
   return canonical;
 }
@@ -200,19 +208,20 @@ export function validateDestDir(rawDir) {
   const inHome = resolved === home || resolved.startsWith(home + sep);
   const inTmp = tmpRoots.some((r) => resolved === r || resolved.startsWith(r + sep));
   if (!inHome && !inTmp) {
-    throw new Error(
+    throw new PermissionDeniedError(
       `destDir must be within your home directory or system temp directory, got: ${resolved}`,
+      { hint: POLICY_HINT },
     );
   }
 
   for (const comp of resolved.split(sep)) {
     if (DENIED_DEST_COMPONENTS.has(comp)) {
-      throw new Error(`destDir may not target the protected location "${comp}": ${resolved}`);
+      throw new PermissionDeniedError(`destDir may not target the protected location "${comp}": ${resolved}`, { hint: POLICY_HINT });
     }
   }
   const appleConfig = `${home}${sep}.config${sep}apple-pim`;
   if (resolved === appleConfig || resolved.startsWith(appleConfig + sep)) {
-    throw new Error(`destDir may not target the apple-pim config directory: ${resolved}`);
+    throw new PermissionDeniedError(`destDir may not target the apple-pim config directory: ${resolved}`, { hint: POLICY_HINT });
   }
   return resolved;
 }
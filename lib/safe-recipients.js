@@ -0,0 +1,193 @@
+/**
+ * Recipient policy for outbound mail.
+ *
+ * A prompt-injected message that asks the agent to "forward this to X" is
+ * the main exfiltration path, and the attachment policy does not cover
+ * message bodies. Before a send, reply, reply_all, forward or draft_send
+ * reaches Mail.app, its recipients are checked against
+ * ~/.config/apple-pim/mail-recipients.json (override the path with
+ * APPLE_PIM_MAIL_RECIPIENTS_CONFIG):
+ *
+ *   {
+ *     "enabled": true,
+ *     "allowedDomains": ["example.com"],
+ *     "deniedDomains": ["mailinator.com"],
+ *     "maxRecipients": 10,
+ *     "firstTimeRecipients": "refuse"
+ *   }
+ *
+ * Domains match their subdomains too. A first-time recipient is an address
+ * that no contact has (looked up with `contacts-cli search`); with
+ * "firstTimeRecipients": "refuse" mailing one is refused, otherwise it is
+ * only flagged. A failing call is not run: the handler returns a refusal
+ * listing each violation. Dry runs report the same check, with external
+ * (outside the user's own account domains) and first-time recipients, even
+ * without a policy file.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { draftAsMessage, getDraft } from "./mail-drafts.js";
+import { addressesOf, ownAddresses, resolveReplyAllRecipients } from "./mail-recipients.js";
+
+/** Mail actions that send a message. */
+export const OUTBOUND_ACTIONS = ["send", "reply", "reply_all", "forward", "draft_send"];
+
+function configPath() {
+  return process.env.APPLE_PIM_MAIL_RECIPIENTS_CONFIG
+    || `${homedir()}/.config/apple-pim/mail-recipients.json`;
+}
+
+const domainList = (value) => (Array.isArray(value) ? value.map((d) => String(d).toLowerCase().replace(/^@/, "")) : []);
+
+export function loadRecipientPolicy() {
+  if (!existsSync(configPath())) return { enabled: false };
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(configPath(), "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${configPath()}: ${err.message}`);
+  }
+  return {
+    enabled: parsed.enabled === true,
+    allowedDomains: domainList(parsed.allowedDomains),
+    deniedDomains: domainList(parsed.deniedDomains),
+    maxRecipients: Number.isInteger(parsed.maxRecipients) && parsed.maxRecipients > 0 ? parsed.maxRecipients : undefined,
+    firstTimeRecipients: parsed.firstTimeRecipients === "refuse" ? "refuse" : "flag",
+  };
+}
+
+const domainOf = (address) => address.slice(address.lastIndexOf("@") + 1);
+const inDomains = (domain, domains) => domains.some((d) => domain === d || domain.endsWith(`.${d}`));
+
+/**
+ * Everyone a send, reply, reply_all, forward or draft_send would mail. A
+ * reply goes to the original's sender, so that message is read first.
+ *
+ * @param {object} args - Mail tool args; for draft_send, the stored draft.
+ * @returns {Promise<string[]>} Lower-cased bare addresses.
+ */
+export async function outboundRecipients(args, runCLI) {
+  const explicit = addressesOf([args.to, args.cc, args.bcc].flat().filter(Boolean));
+  if (args.action === "reply_all") {
+    const { to, cc } = await resolveReplyAllRecipients(args, runCLI);
+    return [...new Set([...to, ...cc, ...explicit])];
+  }
+  if (args.action === "reply" && args.id) {
+    const getArgs = ["get", "--id", args.id];
+    if (args.mailbox) getArgs.push("--mailbox", args.mailbox);
+    if (args.account) getArgs.push("--account", args.account);
+    const original = await runCLI("mail-cli", getArgs);
+    return [...new Set([...addressesOf((original.message ?? original).sender), ...explicit])];
+  }
+  return [...new Set(explicit)];
+}
+
+/** Whether some contact has this exact address; null when Contacts cannot be searched. */
+async function isKnownAddress(address, runCLI) {
+  try {
+    const result = await runCLI("contacts-cli", ["search", address]);
+    // Search results list bare addresses; full contacts list {label, value} entries.
+    return (result.contacts || []).some((contact) =>
+      addressesOf((contact.emails || []).map((e) => e?.value ?? e)).includes(address));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check recipients against the policy and classify them.
+ *
+ * @param {string[]} addresses - From outboundRecipients().
+ * @returns {Promise<{recipients: {address: string, external: boolean, known: boolean|null}[],
+ *   external: string[], firstTime: string[], violations: {rule: string, address?: string, message: string}[]}>}
+ */
+export async function checkRecipients(addresses, runCLI, { policy = loadRecipientPolicy() } = {}) {
+  let ownDomains = [];
+  try {
+    ownDomains = [...await ownAddresses(runCLI)].map(domainOf);
+  } catch {
+    // Without the account list every recipient counts as external.
+  }
+  const recipients = await Promise.all(addresses.map(async (address) => ({
+    address,
+    external: !inDomains(domainOf(address), ownDomains),
+    known: await isKnownAddress(address, runCLI),
+  })));
+
+  const violations = [];
+  if (policy.enabled) {
+    if (policy.maxRecipients && addresses.length > policy.maxRecipients) {
+      violations.push({
+        rule: "max_recipients",
+        message: `${addresses.length} recipients exceed the limit of ${policy.maxRecipients}`,
+      });
+    }
+    for (const { address, known } of recipients) {
+      const domain = domainOf(address);
+      if (inDomains(domain, policy.deniedDomains)) {
+        violations.push({ rule: "denied_domain", address, message: `${domain} is a denied domain` });
+      } else if (policy.allowedDomains.length > 0 && !inDomains(domain, policy.allowedDomains)) {
+        violations.push({ rule: "domain_not_allowed", address, message: `${domain} is not an allowed domain` });
+      }
+      if (policy.firstTimeRecipients === "refuse" && known !== true) {
+        violations.push({
+          rule: "first_time_recipient",
+          address,
+          message: known === null ? "Contacts could not be searched to verify this recipient" : "no contact has this address",
+        });
+      }
+    }
+  }
+
+  return {
+    recipients,
+    external: recipients.filter((r) => r.external).map((r) => r.address),
+    firstTime: recipients.filter((r) => r.known === false).map((r) => r.address),
+    violations,
+  };
+}
+
+/**
+ * Run the recipient check for an outbound call and return the refusal to
+ * answer with, or null when the call may go ahead. Nothing is looked up
+ * while the policy is off.
+ *
+ * @param {object} args - Mail tool args; for draft_send, the stored draft as a send or reply.
+ * @param {Function} runCLI
+ * @param {{action?: string}} [options] - `action` names the call in the refusal (default: args.action).
+ * @returns {Promise<object|null>}
+ */
+export async function guardRecipients(args, runCLI, { action = args.action, policy = loadRecipientPolicy() } = {}) {
+  if (!policy.enabled) return null;
+  const check = await checkRecipients(await outboundRecipients(args, runCLI), runCLI, { policy });
+  if (check.violations.length === 0) return null;
+  return {
+    success: false,
+    refused: true,
+    action,
+    error:
+      `Refusing mail ${action}: ${check.violations.map((v) => (v.address ? `${v.address}: ${v.message}` : v.message)).join("; ")}. ` +
+      "The mail recipient policy decides this; do not retry with other addresses unless the user asks.",
+    violations: check.violations,
+    recipients: check.recipients,
+  };
+}
+
+/**
+ * The recipient check a dry run reports: who the call would mail, which of
+ * them are external or first-time, and what the policy would refuse.
+ *
+ * @param {object} args - Mail tool args of an outbound action.
+ * @param {Function} runCLI
+ * @param {{replyAll?: {to: string[], cc: string[]}}} [options] - Recipients
+ *   of a reply_all the caller already resolved.
+ * @returns {Promise<object>} checkRecipients() output.
+ */
+export async function previewRecipients(args, runCLI, { replyAll } = {}) {
+  const message = args.action === "draft_send" ? draftAsMessage(getDraft(args.draftId)) : args;
+  const addresses = replyAll
+    ? [...new Set([...replyAll.to, ...replyAll.cc])]
+    : await outboundRecipients(message, runCLI);
+  return await checkRecipients(addresses, runCLI);
+}
@@ -36,6 +36,14 @@ const agentDXProperties = {
     type: "boolean",
     description: "If true, validate inputs and return a preview of what the operation would do without executing it. Only applies to mutation actions (create, update, delete, send, etc.).",
   },
+  approvalToken: {
+    type: "string",
+    description: "One-time token from a pendingApproval response. Actions that need the user's approval (per ~/.config/apple-pim/approval.json) first return a preview and a token; show the preview to the user and, only if they approve, repeat the identical call with this token.",
+  },
+  idempotencyKey: {
+    type: "string",
+    description: "Unique key for this create or send (calendar/reminder create and batch_create, contact create, mail send and reply). Repeating the call with the same key returns the first result (idempotentReplay: true) instead of creating or sending again; keys are kept for 24 hours. Use a new key for each new operation.",
+  },
 };
 
 // Consolidated tool definitions (5 tools replacing 40)
@@ -43,28 +51,54 @@ export const tools = [
   {
     name: "calendar",
     description:
-      "Manage macOS calendar events. Actions: list (calendars), events (query by date range), get (by ID), search (by text), create, update, delete, batch_create, schema (show input schema).",
+      "Manage macOS calendar events. Actions: list (calendars), events (query by date range), get (by ID, or one occurrence with occurrenceDate), occurrences (expand a recurring event over a range), exceptions (cancelled and modified occurrences of a series), search (by text), free_slots (find open meeting slots), export_ics (events as iCalendar text), import_ics (parse a .ics file or text into a batch_create payload), create, update, delete, batch_create, schema (show input schema).",
     inputSchema: {
       type: "object",
       properties: {
         action: {
           type: "string",
-          enum: ["list", "events", "get", "search", "create", "update", "delete", "batch_create", "schema"],
+          enum: ["list", "events", "get", "occurrences", "exceptions", "search", "free_slots", "export_ics", "import_ics", "create", "update", "delete", "batch_create", "schema"],
           description: "Operation to perform",
         },
         ...agentDXProperties,
-        id: { type: "string", description: "Event ID (get/update/delete)" },
-        calendar: { type: "string", description: "Calendar name or ID" },
+        id: { type: "string", description: "Event ID (get/update/delete/occurrences/exceptions; export_ics exports just this event)" },
+        calendar: { type: "string", description: "Calendar name or ID (import_ics sets it on every parsed event)" },
         query: { type: "string", description: "Search query (search)" },
-        from: { type: "string", description: "Start date (events/search)" },
-        to: { type: "string", description: "End date (events/search)" },
-        lastDays: { type: "number", description: "Include events from N days ago" },
-        nextDays: { type: "number", description: "Include events up to N days ahead" },
+        from: { type: "string", description: "Start date, ISO or a phrase like \"next monday\" (events/search/free_slots/export_ics/occurrences/exceptions)" },
+        to: { type: "string", description: "End date, ISO or a phrase like \"end of month\" (events/search/free_slots/export_ics/occurrences/exceptions)" },
+        lastDays: { type: "number", description: "Include events from N days ago (events/export_ics)" },
+        nextDays: { type: "number", description: "Include events up to N days ahead (events/free_slots/export_ics; occurrences/exceptions default 30)" },
         limit: { type: "number", description: "Maximum results" },
         title: { type: "string", description: "Event title (create/update)" },
-        start: { type: "string", description: "Start date/time (create/update)" },
-        end: { type: "string", description: "End date/time (create/update)" },
-        duration: { type: "number", description: "Duration in minutes (create)" },
+        start: { type: "string", description: "Start date/time (create/update). ISO, or a phrase like \"next Friday 3pm\" or \"tomorrow morning\"; the resolved value is echoed in resolvedDates" },
+        end: { type: "string", description: "End date/time (create/update); ISO or a phrase like start" },
+        duration: { type: "number", description: "Duration in minutes (create; required slot length for free_slots)" },
+        calendars: {
+          type: "array",
+          items: { type: "string" },
+          description: "Calendar names or IDs whose events count as busy (free_slots). Defaults to all allowed calendars.",
+        },
+        workingHours: {
+          type: "object",
+          description: "Working hours window in local time (free_slots). Defaults to 09:00-17:00, Monday-Friday.",
+          properties: {
+            start: { type: "string", description: "Start of day, HH:MM (default: 09:00)" },
+            end: { type: "string", description: "End of day, HH:MM (default: 17:00)" },
+            days: {
+              type: "array",
+              items: { type: "string" },
+              description: "Working days (default: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'])",
+            },
+          },
+        },
+        includeAllDay: { type: "boolean", description: "Treat all-day events as busy (free_slots, default: false)" },
+        prefer: {
+          type: "string",
+          enum: ["earliest", "longest"],
+          description: "Slot ranking (free_slots): earliest first (default) or largest free gap first",
+        },
+        file: { type: "string", description: "Path to a .ics file to parse (import_ics), e.g. an invite saved with mail save_attachment" },
+        ics: { type: "string", description: "iCalendar text to parse (import_ics), as an alternative to file" },
         location: { type: "string", description: "Event location" },
         notes: { type: "string", description: "Event notes" },
         allDay: { type: "boolean", description: "All-day event" },
@@ -85,6 +119,23 @@ export const tools = [
         },
         recurrence: recurrenceSchema,
         futureEvents: { type: "boolean", description: "Apply to future occurrences (update/delete recurring)" },
+        timeZone: {
+          type: "string",
+          description: "IANA time zone of the event, e.g. \"Europe/London\" (create/update; batch_create per event). start/end without an offset, and phrases like \"tomorrow 9am\", are read in this zone.",
+        },
+        displayTimeZone: {
+          type: "string",
+          description: "IANA time zone to show localStart/localEnd in (events/get/search/occurrences). Rewritten events carry localTimeZone.",
+        },
+        occurrenceDate: {
+          type: "string",
+          description: "Original date (YYYY-MM-DD, or date-time) of one occurrence of a recurring event, as listed by occurrences (get/update/delete). Moves or cancels just that instance; with futureEvents, it and every later one.",
+        },
+        checkConflicts: {
+          type: "boolean",
+          description: "Before create/update/batch_create, look for existing events overlapping the target window. Conflicts refuse the write unless allowConflicts is true. Also reported by dryRun.",
+        },
+        allowConflicts: { type: "boolean", description: "With checkConflicts, write anyway and return the conflicts array alongside the result" },
         configDir: { type: "string", description: "Override PIM config directory (OpenClaw only — ignored by MCP server)" },
         profile: { type: "string", description: "Override PIM profile name (OpenClaw only — MCP server uses APPLE_PIM_PROFILE env)" },
         events: {
@@ -102,6 +153,7 @@ export const tools = [
               notes: { type: "string" },
               url: { type: "string" },
               allDay: { type: "boolean" },
+              timeZone: { type: "string", description: "IANA time zone for this event's start/end" },
               alarm: { type: "array", items: { type: "number" } },
               attendees: {
                 type: "array",
@@ -158,7 +210,7 @@ export const tools = [
         limit: { type: "number", description: "Maximum results" },
         query: { type: "string", description: "Search query (search)" },
         title: { type: "string", description: "Reminder title (create/update)" },
-        due: { type: "string", description: "Due date/time (create/update)" },
+        due: { type: "string", description: "Due date/time (create/update). ISO, or a phrase like \"in 2 hours\" or \"end of week\"; the resolved value is echoed in resolvedDates" },
         notes: { type: "string", description: "Notes (create/update)" },
         priority: { type: "number", description: "Priority: 0=none, 1=high, 5=medium, 9=low" },
         url: { type: "string", description: "URL (create/update, empty string to remove)" },
@@ -216,20 +268,25 @@ export const tools = [
   {
     name: "contact",
     description:
-      "Manage macOS contacts. Actions: containers (list contact accounts), groups (list groups), list (list contacts), search (by name/email/phone), get (by ID with photo), create, update, delete, schema (show input schema).",
+      "Manage macOS contacts. Actions: containers (list contact accounts), groups (list groups), list (list contacts), search (by name/email/phone), get (by ID with photo), export_vcard (contacts as vCard text), import_vcard (create contacts from a .vcf file or text; use dryRun to preview), duplicates (find likely duplicate contacts by email, phone or name), merge (fold ids into id, then delete them; use dryRun to preview), create, update, delete, schema (show input schema).",
     inputSchema: {
       type: "object",
       properties: {
         action: {
           type: "string",
-          enum: ["containers", "groups", "list", "search", "get", "create", "update", "delete", "schema"],
+          enum: ["containers", "groups", "list", "search", "get", "export_vcard", "import_vcard", "duplicates", "merge", "create", "update", "delete", "schema"],
           description: "Operation to perform",
         },
         ...agentDXProperties,
-        id: { type: "string", description: "Contact ID (get/update/delete)" },
-        group: { type: "string", description: "Group name or ID (list)" },
-        query: { type: "string", description: "Search query (search)" },
-        limit: { type: "number", description: "Maximum results" },
+        id: { type: "string", description: "Contact ID (get/update/delete; export_vcard exports just this contact; merge keeps this contact)" },
+        ids: { type: "array", items: { type: "string" }, description: "Contact IDs to export (export_vcard), or to merge into id and delete (merge)" },
+        group: { type: "string", description: "Group name or ID (list, duplicates; export_vcard exports the group when no id/ids/query is given)" },
+        query: { type: "string", description: "Search query (search; export_vcard exports the matches)" },
+        vcardVersion: { type: "string", enum: ["3.0", "4.0"], description: "vCard version to write (export_vcard, default: 3.0)" },
+        file: { type: "string", description: "Path to a .vcf file to import (import_vcard)" },
+        vcard: { type: "string", description: "vCard text to import (import_vcard), as an alternative to file" },
+        limit: { type: "number", description: "Maximum results (duplicates: contacts to scan, default 5000)" },
+        countryCode: { type: "string", description: "Calling code assumed for phone numbers without one when matching duplicates or merging phone lists (duplicates/merge; default: 1)" },
         name: { type: "string", description: "Full name (create, parsed into first/last)" },
         firstName: { type: "string" },
         lastName: { type: "string" },
@@ -348,7 +405,7 @@ export const tools = [
           },
         },
         notes: { type: "string" },
-        container: { type: "string", description: "Target container/account name for create" },
+        container: { type: "string", description: "Target container/account name for create/import_vcard" },
         configDir: { type: "string", description: "Override PIM config directory (OpenClaw only — ignored by MCP server)" },
         profile: { type: "string", description: "Override PIM profile name (OpenClaw only — MCP server uses APPLE_PIM_PROFILE env)" },
       },
@@ -359,26 +416,28 @@ export const tools = [
   {
     name: "mail",
     description:
-      "Manage Mail.app messages. Requires Mail.app to be running. Actions: accounts, mailboxes, messages (list with attachmentCount), get (full message by ID with attachment metadata), search, update (flags), move, delete, batch_update, batch_delete, send (with optional attachments), reply (with optional attachments), save_attachment (save message attachments to disk), auth_check, schema (show input schema).",
+      "Manage Mail.app messages. Requires Mail.app to be running. Actions: accounts, mailboxes, messages (list with attachmentCount), get (full message by ID with attachment metadata), search, thread (whole conversation of a message across mailboxes, oldest first, quoted text stripped), update (flags), move, delete, batch_update, batch_delete, send (with optional attachments), reply (with optional attachments), reply_all (reply to the sender and all other recipients, excluding your own addresses), forward (to new recipients with an optional note; includeAttachments keeps the original attachments), draft_create (save a message or reply for review without sending it), drafts (list saved drafts), draft_update, draft_send (send a saved draft), draft_delete, save_attachment (save message attachments to disk), auth_check, schema (show input schema).",
     inputSchema: {
       type: "object",
       properties: {
         action: {
           type: "string",
           enum: [
-            "accounts", "mailboxes", "messages", "get", "search",
+            "accounts", "mailboxes", "messages", "get", "search", "thread",
             "update", "move", "delete", "batch_update", "batch_delete",
-            "send", "reply", "save_attachment", "auth_check",
+            "send", "reply", "reply_all", "forward", "draft_create", "drafts", "draft_update", "draft_send", "draft_delete",
+            "save_attachment", "auth_check",
             "schema",
           ],
           description: "Operation to perform",
         },
         ...agentDXProperties,
-        id: { type: "string", description: "RFC 2822 message ID (get/update/move/delete/reply/save_attachment/auth_check)" },
+        id: { type: "string", description: "RFC 2822 message ID (get/thread/update/move/delete/reply/reply_all/forward/save_attachment/auth_check; draft_create makes a reply draft to this message)" },
+        draftId: { type: "string", description: "Draft ID returned by draft_create (draft_update/draft_send/draft_delete)" },
         ids: { type: "array", items: { type: "string" }, description: "Message IDs (batch_update/batch_delete)" },
         account: { type: "string", description: "Account name" },
         mailbox: { type: "string", description: "Mailbox name" },
-        limit: { type: "number", description: "Maximum results" },
+        limit: { type: "number", description: "Maximum results (thread: same-subject search results to examine, default 50)" },
         filter: {
           type: "string",
           enum: ["unread", "flagged", "all"],
@@ -386,7 +445,7 @@ export const tools = [
         },
         since: {
           type: "string",
-          description: "Only include messages received on or after this date (ISO 8601: YYYY-MM-DD or full datetime). Used with search action only.",
+          description: "Only include messages received on or after this date (ISO 8601: YYYY-MM-DD or full datetime, or a phrase like \"3 days ago\"). Used with search and thread.",
         },
         query: { type: "string", description: "Search query (search)" },
         field: {
@@ -404,13 +463,14 @@ export const tools = [
         junk: { type: "boolean", description: "Set junk status (update/batch_update)" },
         toMailbox: { type: "string", description: "Destination mailbox (move)" },
         toAccount: { type: "string", description: "Destination account (move)" },
-        to: { type: "array", items: { type: "string" }, description: "Recipient email addresses (send)" },
-        subject: { type: "string", description: "Email subject (send)" },
-        body: { type: "string", description: "Message body text (send/reply)" },
-        cc: { type: "array", items: { type: "string" }, description: "CC addresses (send)" },
-        bcc: { type: "array", items: { type: "string" }, description: "BCC addresses (send)" },
-        from: { type: "string", description: "Sender email address for account selection (send)" },
-        attachment: { type: "array", items: { type: "string" }, description: "File paths to attach (send/reply). DISABLED BY DEFAULT to prevent local-file exfiltration. Opt in by creating ~/.config/apple-pim/mail-attachments.json with {\"enabled\": true, \"allowedRoots\": [\"~/Downloads\"]}. Even when enabled, paths in ~/.ssh, ~/.aws, ~/.gnupg, ~/.kube, ~/.docker, ~/.secrets, etc. and files matching id_rsa/.netrc/.pgpass/*.pem/*.key/*secret*/*credential* are always refused. Symlinks are resolved to canonical paths before checking." },
+        to: { type: "array", items: { type: "string" }, description: "Recipient email addresses (send/forward/draft_create/draft_update)" },
+        subject: { type: "string", description: "Email subject (send/draft_create/draft_update)" },
+        body: { type: "string", description: "Message body text (send/reply/reply_all/draft_create/draft_update; forward: note placed above the forwarded message)" },
+        cc: { type: "array", items: { type: "string" }, description: "CC addresses (send/forward/draft_create/draft_update)" },
+        bcc: { type: "array", items: { type: "string" }, description: "BCC addresses (send/forward/draft_create/draft_update)" },
+        includeAttachments: { type: "boolean", description: "Include the original message's attachments (forward, default: false)" },
+        from: { type: "string", description: "Sender email address for account selection (send/draft_create/draft_update)" },
+        attachment: { type: "array", items: { type: "string" }, description: "File paths to attach (send/reply/reply_all/forward/draft_create/draft_update; re-checked at draft_send). DISABLED BY DEFAULT to prevent local-file exfiltration. Opt in by creating ~/.config/apple-pim/mail-attachments.json with {\"enabled\": true, \"allowedRoots\": [\"~/Downloads\"]}. Even when enabled, paths in ~/.ssh, ~/.aws, ~/.gnupg, ~/.kube, ~/.docker, ~/.secrets, etc. and files matching id_rsa/.netrc/.pgpass/*.pem/*.key/*secret*/*credential* are always refused. Symlinks are resolved to canonical paths before checking." },
         index: { type: "integer", minimum: 0, description: "Zero-based attachment index (save_attachment). Omit to save all attachments." },
         destDir: { type: "string", description: "Directory to save attachments into (save_attachment). Must be within home directory or system temp; sensitive subpaths (~/.ssh, ~/.aws, ~/.gnupg, ~/Library/LaunchAgents, ~/.config/apple-pim, etc.) are always refused even inside home. Defaults to system temp. Use dryRun: true to preview." },
         trustedSenders: { type: "string", description: "Path to trusted-senders.json (auth_check)" },
@@ -424,15 +484,44 @@ export const tools = [
   {
     name: "apple-pim",
     description:
-      "PIM system management. Actions: status (check authorization), authorize (request permissions), config_show (view config), config_init (discover calendars/lists), schema (show input schema).",
+      "PIM system management. Actions: status (check authorization), authorize (request permissions), config_show (view config), config_init (discover calendars/lists), history (list journaled mutations, newest first), undo (reverse a journaled mutation — the most recent one unless id is given), audit_query (read back the audit log of tool calls, newest first), agenda (one day's events, overdue and due reminders, and unread/flagged mail in one time-ordered digest), schema (show input schema).",
     inputSchema: {
       type: "object",
       properties: {
         action: {
           type: "string",
-          enum: ["status", "authorize", "config_show", "config_init", "schema"],
+          enum: ["status", "authorize", "config_show", "config_init", "history", "undo", "audit_query", "agenda", "schema"],
           description: "Operation to perform",
         },
+        id: {
+          type: "string",
+          description: "Undo journal entry ID (undo). Defaults to the most recent mutation that can still be undone.",
+        },
+        tool: {
+          type: "string",
+          enum: ["calendar", "reminder", "contact", "mail", "apple-pim"],
+          description: "Only list mutations (history) or calls (audit_query) made with this tool",
+        },
+        operation: { type: "string", description: "Only calls with this action, e.g. \"delete\" (audit_query)" },
+        outcome: {
+          type: "string",
+          enum: ["success", "error", "dry_run", "pending_approval", "refused", "replayed"],
+          description: "Only calls with this outcome (audit_query)",
+        },
+        suspicious: { type: "boolean", description: "Only calls whose result datamarking did (true) or did not (false) flag as suspicious (audit_query)" },
+        from: { type: "string", description: "Start of the range, ISO or a phrase like \"last monday\" (audit_query)" },
+        to: { type: "string", description: "End of the range, ISO or a phrase (audit_query)" },
+        limit: { type: "number", description: "Maximum journal entries to return (history, default: 20); records to return (audit_query, default: 50); messages per mail filter (agenda, default: 20)" },
+        date: { type: "string", description: "Day of the agenda (default: today) or the one day to query (audit_query): YYYY-MM-DD or a phrase like \"yesterday\"" },
+        domains: {
+          type: "array",
+          items: { type: "string", enum: ["calendar", "reminders", "mail"] },
+          description: "Domains to include (agenda, default: all three)",
+        },
+        calendar: { type: "string", description: "Only events from this calendar (agenda)" },
+        list: { type: "string", description: "Only reminders from this list (agenda)" },
+        mailbox: { type: "string", description: "Mailbox to scan for unread/flagged mail (agenda, default: INBOX)" },
+        account: { type: "string", description: "Mail account (agenda)" },
         domain: {
           type: "string",
           enum: ["calendars", "reminders", "contacts", "mail"],
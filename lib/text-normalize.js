@@ -0,0 +1,167 @@
+/**
+ * Normalization of untrusted text before injection scanning.
+ *
+ * Regex rules only see the characters they are given, so "ign\u200Bore
+ * previous instructions" (a zero-width space), "\u0456gnore" (a Cyrillic i) or
+ * "&#105;gnore" slip past every one of them. normalizeUntrustedText() undoes
+ * these tricks, in this order, and reports which ones it found:
+ *
+ * - `quoted-printable`: "=3D", "=E2=80=8B" and soft line breaks left over
+ *   from a body that was never decoded
+ * - `html-entity`: named and numeric character references
+ * - `nfkc`: compatibility forms such as fullwidth or mathematical letters
+ * - `invisible`: zero-width characters, soft hyphens and Unicode tag characters
+ * - `bidi-control`: bidirectional overrides, embeddings and isolates
+ * - `homoglyph`: Cyrillic and Greek letters that look like Latin ones, in
+ *   words that mix them with Latin letters, or that consist only of
+ *   lookalikes in mostly-Latin text
+ *
+ * The result is only scanned; the text the agent sees stays as it was. Each
+ * normalized character records the range of the original it came from, so
+ * the rule pack's redact mode (see sanitize.js) can cut a span the scanner
+ * found out of the original text.
+ */
+
+/** Obfuscations normalizeUntrustedText() can report. */
+export const OBFUSCATIONS = ["quoted-printable", "html-entity", "nfkc", "invisible", "bidi-control", "homoglyph"];
+
+const INVISIBLE = /[\u00AD\u180E\u200B-\u200D\u2060-\u2064\uFEFF]|\uDB40[\uDC00-\uDC7F]/g;
+const BIDI_CONTROL = /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00A0" };
+
+/** Cyrillic and Greek letters rendered like Latin ones. */
+const HOMOGLYPHS = {
+  // Cyrillic
+  "а": "a", "е": "e", "о": "o", "р": "p", "с": "c", "у": "y", "х": "x", "і": "i", "ј": "j", "ѕ": "s",
+  "ԁ": "d", "һ": "h", "ӏ": "l", "ԛ": "q", "ԝ": "w",
+  "А": "A", "В": "B", "Е": "E", "К": "K", "М": "M", "Н": "H", "О": "O", "Р": "P", "С": "C", "Т": "T",
+  "Х": "X", "І": "I", "Ј": "J", "Ѕ": "S",
+  // Greek
+  "α": "a", "ε": "e", "ι": "i", "κ": "k", "ν": "v", "ο": "o", "ρ": "p", "τ": "t", "υ": "u", "χ": "x",
+  "Α": "A", "Β": "B", "Ε": "E", "Ζ": "Z", "Η": "H", "Ι": "I", "Κ": "K", "Μ": "M", "Ν": "N", "Ο": "O",
+  "Ρ": "P", "Τ": "T", "Υ": "Y", "Χ": "X",
+};
+const HOMOGLYPH_CHARS = new RegExp(`[${Object.keys(HOMOGLYPHS).join("")}]`, "u");
+
+/**
+ * Replace every match of `pattern` in `state.text`, carrying along where each
+ * character came from: `origins[i]` is the [start, end) range of the
+ * original text behind character i. A same-length replacement keeps the
+ * per-character ranges; any other maps each new character to the whole
+ * replaced range.
+ */
+function replaceTracked(state, pattern, replace) {
+  let text = "";
+  const origins = [];
+  const keep = (from, to) => {
+    for (let i = from; i < to; i++) origins.push(state.origins[i]);
+  };
+  let last = 0;
+  for (const match of state.text.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const replacement = replace(...match);
+    text += state.text.slice(last, start) + replacement;
+    if (replacement.length === match[0].length) {
+      keep(last, end);
+    } else {
+      keep(last, start);
+      const range = [state.origins[start][0], state.origins[end - 1][1]];
+      for (let i = 0; i < replacement.length; i++) origins.push(range);
+    }
+    last = end;
+  }
+  if (last === 0) return state;
+  keep(last, state.text.length);
+  return { text: text + state.text.slice(last), origins };
+}
+
+/**
+ * Decode runs of "=XX" escapes that form printable UTF-8, and drop soft
+ * line breaks. A lone escape counts only next to soft line breaks, so
+ * "model=3D" stays as written.
+ */
+function decodeQuotedPrintable(state) {
+  const decoder = new TextDecoder("utf-8", { fatal: true });
+  const softBreaks = /=\r?\n/.test(state.text);
+  const joined = replaceTracked(state, /=\r?\n/g, () => "");
+  return replaceTracked(joined, /(?:=[0-9A-F]{2})+/g, (run) => {
+    if (run.length < 6 && !softBreaks) return run;
+    const bytes = Uint8Array.from(run.slice(1).split("="), (hex) => parseInt(hex, 16));
+    try {
+      const decoded = decoder.decode(bytes);
+      // "x=10" is arithmetic, not an escaped control character.
+      return /[\u0000-\u001F\u007F]/.test(decoded) ? run : decoded;
+    } catch {
+      return run;
+    }
+  });
+}
+
+function decodeHtmlEntities(state) {
+  return replaceTracked(state, /&(?:#(\d{1,7})|#x([0-9a-f]{1,6})|([a-z]+));/gi, (entity, dec, hex, name) => {
+    if (name) return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    const codePoint = dec ? Number(dec) : parseInt(hex, 16);
+    return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+  });
+}
+
+/**
+ * NFKC, one base character and its combining marks at a time, counting only
+ * changes to visible characters (NBSP to space is not a trick).
+ */
+function applyNFKC(state) {
+  const next = replaceTracked(state, /\P{M}\p{M}*|\p{M}+/gu, (cluster) => cluster.normalize("NFKC"));
+  const changed = next.text !== state.text
+    && [...state.text].some((char) => !/\s/u.test(char) && char.normalize("NFKC") !== char);
+  return { next, changed };
+}
+
+/**
+ * Fold lookalike letters for scanning. Only words that mix them with Latin
+ * letters, or that consist only of lookalikes in mostly-Latin text, are
+ * reported: "с" or "Το" in a Russian or Greek sentence is ordinary writing.
+ */
+function foldHomoglyphs(state) {
+  const letters = state.text.match(/\p{L}/gu) || [];
+  const mostlyLatin = letters.filter((char) => /\p{Script=Latin}/u.test(char)).length * 2 > letters.length;
+  let found = false;
+  const next = replaceTracked(state, /[\p{L}\p{M}]+/gu, (word) => {
+    if (!HOMOGLYPH_CHARS.test(word)) return word;
+    const chars = [...word];
+    const mixed = chars.some((char) => /[a-z]/i.test(char));
+    const allLookalikes = chars.every((char) => HOMOGLYPHS[char] || /[a-z]/i.test(char));
+    if (mixed || (allLookalikes && mostlyLatin)) found = true;
+    return chars.map((char) => HOMOGLYPHS[char] ?? char).join("");
+  });
+  return { next, found };
+}
+
+/**
+ * Undo common obfuscations of untrusted text.
+ *
+ * @param {string} text
+ * @returns {{text: string, obfuscations: string[], origins: Array<[number, number]>}}
+ *   The text to scan, the OBFUSCATIONS found in it, and for each character
+ *   of the text to scan the [start, end) range of `text` it came from.
+ */
+export function normalizeUntrustedText(text) {
+  const obfuscations = [];
+  let current = { text, origins: Array.from({ length: text.length }, (_, i) => [i, i + 1]) };
+  const step = (name, next, changed = next.text !== current.text) => {
+    if (changed) obfuscations.push(name);
+    current = next;
+  };
+
+  step("quoted-printable", decodeQuotedPrintable(current));
+  step("html-entity", decodeHtmlEntities(current));
+  const { next: nfkc, changed } = applyNFKC(current);
+  step("nfkc", nfkc, changed);
+  step("invisible", replaceTracked(current, INVISIBLE, () => ""));
+  step("bidi-control", replaceTracked(current, BIDI_CONTROL, () => ""));
+  const { next: folded, found } = foldHomoglyphs(current);
+  step("homoglyph", folded, found);
+
+  return { text: current.text, obfuscations, origins: current.origins };
+}
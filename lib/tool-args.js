@@ -1,5 +1,6 @@
 export function buildCalendarDeleteArgs(args) {
   const deleteArgs = ["delete", "--id", args.id];
+  if (args.occurrenceDate) deleteArgs.push("--occurrence-date", args.occurrenceDate);
   if (args.futureEvents) deleteArgs.push("--future-events");
   return deleteArgs;
 }
@@ -25,6 +26,7 @@ export function buildCalendarCreateArgs(args, targetCalendar) {
   if (args.attendees) {
     cliArgs.push("--attendees", JSON.stringify(args.attendees));
   }
+  if (args.timeZone) cliArgs.push("--time-zone", args.timeZone);
   return cliArgs;
 }
 
@@ -38,6 +40,8 @@ export function buildCalendarUpdateArgs(args) {
   if (args.url) cliArgs.push("--url", args.url);
   if (args.recurrence) cliArgs.push("--recurrence", JSON.stringify(args.recurrence));
   if (args.attendees) cliArgs.push("--attendees", JSON.stringify(args.attendees));
+  if (args.timeZone) cliArgs.push("--time-zone", args.timeZone);
+  if (args.occurrenceDate) cliArgs.push("--occurrence-date", args.occurrenceDate);
   if (args.futureEvents) cliArgs.push("--future-events");
   return cliArgs;
 }
@@ -121,3 +125,42 @@ export function buildContactUpdateArgs(args) {
   pushContactSharedFields(cliArgs, args);
   return cliArgs;
 }
+
+function birthdayString(birthday) {
+  if (!birthday?.month || !birthday?.day) return undefined;
+  const pad = (n) => String(n).padStart(2, "0");
+  const monthDay = `${pad(birthday.month)}-${pad(birthday.day)}`;
+  return birthday.year ? `${birthday.year}-${monthDay}` : monthDay;
+}
+
+/** contacts-cli output keys → contact tool args (the shape pushContactSharedFields reads). */
+export function contactToArgs(contact) {
+  const args = {
+    firstName: contact.givenName || undefined,
+    lastName: contact.familyName || undefined,
+    middleName: contact.middleName,
+    namePrefix: contact.namePrefix,
+    nameSuffix: contact.nameSuffix,
+    nickname: contact.nickname,
+    previousFamilyName: contact.previousFamilyName,
+    phoneticGivenName: contact.phoneticGivenName,
+    phoneticMiddleName: contact.phoneticMiddleName,
+    phoneticFamilyName: contact.phoneticFamilyName,
+    phoneticOrganizationName: contact.phoneticOrganizationName,
+    organization: contact.organization,
+    jobTitle: contact.jobTitle,
+    department: contact.department,
+    contactType: contact.contactType,
+    emails: contact.emails,
+    phones: contact.phones,
+    addresses: contact.addresses,
+    urls: contact.urls,
+    socialProfiles: contact.socialProfiles,
+    instantMessages: contact.instantMessages,
+    relations: contact.relations,
+    birthday: birthdayString(contact.birthday),
+    dates: contact.dates,
+    notes: contact.notes,
+  };
+  return Object.fromEntries(Object.entries(args).filter(([, v]) => v !== undefined && v !== null));
+}
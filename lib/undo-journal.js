@@ -0,0 +1,578 @@
+/**
+ * Persistent undo journal for mutations.
+ *
+ * Every mutation that goes through withAgentDX is recorded as one JSONL line
+ * in a local journal. Before an update or delete runs, the affected item is
+ * snapshotted with the tool's own `get` action; after the mutation succeeds
+ * the entry stores the inverse operation(s) as plain tool calls, so
+ * `apple-pim` action `undo` can replay them through the regular handlers:
+ *
+ *   - create / batch_create        → delete the created item(s)
+ *   - update / complete / move     → re-apply the snapshotted values
+ *   - delete / batch_delete        → recreate from the snapshot (new ID)
+ *   - contact merge                → restore the kept contact, recreate the rest
+ *   - mail draft_create / _update / _delete → the matching local draft change
+ *
+ * Mutations that cannot be reversed (mail send/reply/forward/delete,
+ * save_attachment) are still journaled, with `undoable: false` and a reason,
+ * so `history` shows everything the agent changed.
+ *
+ * An entry stores only what undo replays: the inverse calls. The call's own
+ * arguments and the snapshot are not kept, so a sent mail leaves nothing of
+ * its body or recipients behind. The journal lives at
+ * ~/.config/apple-pim/undo-journal.jsonl (0600) and keeps the last
+ * MAX_JOURNAL_LINES records of the last 30 days. Override the path with
+ * APPLE_PIM_UNDO_JOURNAL, or set it to "off" to disable journaling entirely.
+ */
+
+import { randomUUID } from "node:crypto";
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname } from "node:path";
+import { parseCLIDate, toCLIDate } from "./free-slots.js";
+import { DRAFT_FIELDS, getDraft } from "./mail-drafts.js";
+import { contactToArgs } from "./tool-args.js";
+import { NotFoundError, ValidationError } from "./errors.js";
+
+/** The journal keeps at most this many records, none older than MAX_JOURNAL_AGE_MS. */
+const MAX_JOURNAL_LINES = 200;
+const MAX_JOURNAL_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function journalPath() {
+  return process.env.APPLE_PIM_UNDO_JOURNAL
+    || `${homedir()}/.config/apple-pim/undo-journal.jsonl`;
+}
+
+function isJournalEnabled() {
+  return process.env.APPLE_PIM_UNDO_JOURNAL !== "off";
+}
+
+// --- Snapshot → tool-arg mapping ---------------------------------------------
+
+/** Copy keys whose value is not undefined/null. */
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
+}
+
+/** EventKit alarm offsets are negative seconds; tool args take minutes before. */
+function alarmMinutes(alarms) {
+  const minutes = (alarms || [])
+    .map((a) => a.relativeOffset)
+    .filter((offset) => typeof offset === "number")
+    .map((offset) => Math.round(Math.abs(offset) / 60));
+  return minutes.length > 0 ? minutes : undefined;
+}
+
+/**
+ * A calendar-cli output date as plain ISO 8601. The day-* date presets
+ * prefix a weekday that calendar-cli's own date parser does not accept.
+ */
+function cliDate(value) {
+  const date = parseCLIDate(value);
+  return Number.isNaN(date.getTime()) ? value : toCLIDate(date);
+}
+
+function eventToCreateArgs(event) {
+  return compact({
+    title: event.title,
+    start: cliDate(event.startDate),
+    end: cliDate(event.endDate),
+    calendar: event.calendar,
+    location: event.location,
+    notes: event.notes,
+    url: event.url,
+    allDay: event.isAllDay || undefined,
+    timeZone: event.timeZone,
+    alarm: alarmMinutes(event.alarms),
+    recurrence: event.recurrence?.[0],
+    attendees: event.attendees?.map((a) => compact({ email: a.email, name: a.name || undefined, role: a.role })),
+  });
+}
+
+function reminderToCreateArgs(reminder) {
+  return compact({
+    title: reminder.title,
+    list: reminder.list,
+    due: reminder.dueDate,
+    notes: reminder.notes,
+    priority: reminder.priority || undefined,
+    url: reminder.url,
+    alarm: alarmMinutes(reminder.alarms),
+    recurrence: reminder.recurrence?.[0],
+  });
+}
+
+/** Contact tool args that an update can change (and undo can restore). */
+const CONTACT_FIELDS = [
+  "firstName", "lastName", "middleName", "namePrefix", "nameSuffix", "nickname",
+  "previousFamilyName", "phoneticGivenName", "phoneticMiddleName", "phoneticFamilyName",
+  "phoneticOrganizationName", "organization", "jobTitle", "department", "contactType",
+  "emails", "phones", "addresses", "urls", "socialProfiles", "instantMessages",
+  "relations", "birthday", "dates", "notes",
+];
+
+/**
+ * Build the inverse of an update: restore only the keys the update touched.
+ * Keys that were empty before cannot be cleared by the update builders
+ * (they skip empty values), so they are reported as caveats instead.
+ */
+function restoreTouched(args, previous, keys) {
+  const restore = {};
+  const caveats = [];
+  for (const key of keys) {
+    if (args[key] === undefined) continue;
+    const value = previous[key];
+    if (value === undefined || value === "" || (Array.isArray(value) && value.length === 0)) {
+      caveats.push(`${key} was empty before and cannot be cleared by undo`);
+    } else {
+      restore[key] = value;
+    }
+  }
+  return { restore, caveats };
+}
+
+// --- Per-tool undo plans -------------------------------------------------------
+//
+// Each plan may define:
+//   snapshot(args, get) → data captured before the mutation runs
+//   inverse(args, result, snapshot) → { ops: [{tool, args}], caveats? }
+//   reason → why the mutation cannot be undone (no inverse)
+
+const NOT_UNDOABLE = (reason) => ({ reason });
+
+const UNDO_PLANS = {
+  calendar: {
+    create: {
+      inverse: (args, result) => ({
+        ops: result?.event?.id ? [{ tool: "calendar", args: { action: "delete", id: result.event.id } }] : [],
+      }),
+    },
+    batch_create: {
+      inverse: (args, result) => ({
+        ops: (result?.created || [])
+          .filter((e) => e.id)
+          .map((e) => ({ tool: "calendar", args: { action: "delete", id: e.id } })),
+      }),
+    },
+    update: {
+      snapshot: (args, get) => get({ id: args.id, occurrenceDate: args.occurrenceDate }),
+      inverse: (args, result, event) => {
+        const previous = { ...eventToCreateArgs(event), recurrence: event.recurrence?.[0] ?? { frequency: "none" } };
+        const { restore, caveats } = restoreTouched(args, previous, [
+          "title", "start", "end", "location", "notes", "url", "recurrence", "attendees", "timeZone",
+        ]);
+        return {
+          // An occurrence keeps its original occurrenceDate after a move, so
+          // the same address reaches it again.
+          ops: [{ tool: "calendar", args: compact({
+            action: "update", id: args.id, ...restore, occurrenceDate: args.occurrenceDate, futureEvents: args.futureEvents,
+          }) }],
+          caveats,
+        };
+      },
+    },
+    delete: {
+      snapshot: (args, get) => get({ id: args.id, occurrenceDate: args.occurrenceDate }),
+      inverse: (args, result, event) => {
+        // EventKit cannot un-cancel an occurrence, so a single deleted
+        // occurrence comes back as a standalone event.
+        if (args.occurrenceDate && !args.futureEvents) {
+          return {
+            ops: [{ tool: "calendar", args: compact({ action: "create", ...eventToCreateArgs(event), recurrence: undefined }) }],
+            caveats: ["the occurrence is recreated as a standalone event, not as part of the series"],
+          };
+        }
+        return {
+          ops: [{ tool: "calendar", args: { action: "create", ...eventToCreateArgs(event) } }],
+          caveats: args.futureEvents
+            ? ["future occurrences are recreated from the first deleted occurrence's recurrence rule"]
+            : [],
+        };
+      },
+    },
+  },
+
+  reminder: {
+    create: {
+      inverse: (args, result) => ({
+        ops: result?.reminder?.id ? [{ tool: "reminder", args: { action: "delete", id: result.reminder.id } }] : [],
+      }),
+    },
+    batch_create: {
+      inverse: (args, result) => {
+        const ids = (result?.created || []).map((r) => r.id).filter(Boolean);
+        return { ops: ids.length > 0 ? [{ tool: "reminder", args: { action: "batch_delete", ids } }] : [] };
+      },
+    },
+    complete: {
+      inverse: (args) => ({
+        ops: [{ tool: "reminder", args: compact({ action: "complete", id: args.id, undo: !args.undo || undefined }) }],
+      }),
+    },
+    batch_complete: {
+      inverse: (args) => ({
+        ops: [{ tool: "reminder", args: compact({ action: "batch_complete", ids: args.ids, undo: !args.undo || undefined }) }],
+      }),
+    },
+    update: {
+      snapshot: (args, get) => get({ id: args.id }),
+      inverse: (args, result, reminder) => {
+        const { restore, caveats } = restoreTouched(args, reminderToCreateArgs(reminder), [
+          "title", "due", "notes", "priority", "url", "recurrence",
+        ]);
+        return { ops: [{ tool: "reminder", args: { action: "update", id: args.id, ...restore } }], caveats };
+      },
+    },
+    delete: {
+      snapshot: (args, get) => get({ id: args.id }),
+      inverse: (args, result, reminder) => ({
+        ops: [{ tool: "reminder", args: { action: "create", ...reminderToCreateArgs(reminder) } }],
+      }),
+    },
+    batch_delete: {
+      snapshot: async (args, get) => Promise.all((args.ids || []).map((id) => get({ id }))),
+      inverse: (args, result, reminders) => ({
+        ops: [{ tool: "reminder", args: { action: "batch_create", reminders: reminders.map(reminderToCreateArgs) } }],
+      }),
+    },
+  },
+
+  contact: {
+    create: {
+      inverse: (args, result) => ({
+        ops: result?.contact?.id ? [{ tool: "contact", args: { action: "delete", id: result.contact.id } }] : [],
+      }),
+    },
+    import_vcard: {
+      inverse: (args, result) => ({
+        ops: (result?.created || [])
+          .filter((c) => c.id)
+          .map((c) => ({ tool: "contact", args: { action: "delete", id: c.id } })),
+      }),
+    },
+    update: {
+      snapshot: (args, get) => get({ id: args.id }),
+      inverse: (args, result, contact) => {
+        // The email/phone shortcuts edit the emails/phones lists, so restore the whole list.
+        const touched = { ...args, emails: args.emails ?? args.email, phones: args.phones ?? args.phone };
+        const { restore, caveats } = restoreTouched(touched, contactToArgs(contact), CONTACT_FIELDS);
+        return { ops: [{ tool: "contact", args: { action: "update", id: args.id, ...restore } }], caveats };
+      },
+    },
+    delete: {
+      snapshot: (args, get) => get({ id: args.id }),
+      inverse: (args, result, contact) => ({
+        ops: [{ tool: "contact", args: { action: "create", ...contactToArgs(contact) } }],
+        caveats: contact.hasImage ? ["the contact photo is not restored"] : [],
+      }),
+    },
+    merge: {
+      snapshot: async (args, get) => ({
+        primary: await get({ id: args.id }),
+        others: await Promise.all((args.ids || []).filter((id) => id !== args.id).map((id) => get({ id }))),
+      }),
+      inverse: (args, result, { primary, others }) => {
+        const touched = Object.fromEntries((result?.mergedFields || []).map((key) => [key, true]));
+        const { restore, caveats } = restoreTouched(touched, contactToArgs(primary), CONTACT_FIELDS);
+        const deleted = new Set(result?.deleted || []);
+        const recreate = others.filter((c) => deleted.has(c.id));
+        return {
+          ops: [
+            ...(Object.keys(restore).length > 0 ? [{ tool: "contact", args: { action: "update", id: args.id, ...restore } }] : []),
+            ...recreate.map((c) => ({ tool: "contact", args: { action: "create", ...contactToArgs(c) } })),
+          ],
+          caveats: [
+            ...caveats,
+            ...(recreate.some((c) => c.hasImage) ? ["photos of the merged contacts are not restored"] : []),
+          ],
+        };
+      },
+    },
+  },
+
+  mail: {
+    update: {
+      snapshot: (args, get) => get({ id: args.id, mailbox: args.mailbox, account: args.account }),
+      inverse: (args, result, message) => ({
+        ops: [{ tool: "mail", args: compact({ action: "update", ...mailFlagRestore(args, message, args.id) }) }],
+      }),
+    },
+    batch_update: {
+      snapshot: async (args, get) =>
+        Promise.all((args.ids || []).map((id) => get({ id, mailbox: args.mailbox, account: args.account }))),
+      inverse: (args, result, messages) => ({
+        ops: (args.ids || []).map((id, i) => ({
+          tool: "mail",
+          args: compact({ action: "update", ...mailFlagRestore(args, messages[i], id) }),
+        })),
+      }),
+    },
+    move: {
+      snapshot: (args, get) => get({ id: args.id, mailbox: args.mailbox, account: args.account }),
+      inverse: (args, result, message) => ({
+        ops: [{
+          tool: "mail",
+          args: compact({
+            action: "move",
+            id: args.id,
+            mailbox: args.toMailbox,
+            account: args.toAccount ?? message.account,
+            toMailbox: message.mailbox,
+            toAccount: args.toAccount ? message.account : undefined,
+          }),
+        }],
+      }),
+    },
+    delete: NOT_UNDOABLE("Mail.app moved the message to Trash; move it back from the Trash mailbox instead"),
+    batch_delete: NOT_UNDOABLE("Mail.app moved the messages to Trash; move them back from the Trash mailbox instead"),
+    send: NOT_UNDOABLE("sent mail cannot be recalled"),
+    reply: NOT_UNDOABLE("sent mail cannot be recalled"),
+    reply_all: NOT_UNDOABLE("sent mail cannot be recalled"),
+    forward: NOT_UNDOABLE("sent mail cannot be recalled"),
+    save_attachment: NOT_UNDOABLE("saved files are not tracked; delete them manually if needed"),
+    // Drafts are local (mail-drafts.js), so their snapshots are read directly.
+    draft_create: {
+      inverse: (args, result) => ({
+        ops: result?.draft?.draftId
+          ? [{ tool: "mail", args: { action: "draft_delete", draftId: result.draft.draftId } }]
+          : [],
+      }),
+    },
+    draft_update: {
+      snapshot: (args) => getDraft(args.draftId),
+      inverse: (args, result, draft) => {
+        const { restore, caveats } = restoreTouched(args, draft, DRAFT_FIELDS);
+        return {
+          ops: [{ tool: "mail", args: { action: "draft_update", draftId: args.draftId, ...restore } }],
+          caveats,
+        };
+      },
+    },
+    draft_delete: {
+      snapshot: (args) => getDraft(args.draftId),
+      inverse: (args, result, draft) => ({
+        ops: [{
+          tool: "mail",
+          args: compact({
+            action: "draft_create",
+            ...Object.fromEntries(DRAFT_FIELDS.map((key) => [key, draft[key]])),
+            id: draft.inReplyTo,
+            mailbox: draft.mailbox,
+            account: draft.account,
+          }),
+        }],
+        caveats: ["the restored draft gets a new draftId"],
+      }),
+    },
+    draft_send: NOT_UNDOABLE("sent mail cannot be recalled"),
+  },
+};
+
+function mailFlagRestore(args, message, id) {
+  return {
+    id,
+    read: args.read !== undefined ? Boolean(message?.isRead) : undefined,
+    flagged: args.flagged !== undefined ? Boolean(message?.isFlagged) : undefined,
+    junk: args.junk !== undefined ? Boolean(message?.isJunk) : undefined,
+    mailbox: args.mailbox,
+    account: args.account,
+  };
+}
+
+/** Unwrap the single item from a `get` result ({event}, {reminder}, {contact}, {message}). */
+function unwrapItem(result) {
+  return result?.event ?? result?.reminder ?? result?.contact ?? result?.message ?? result;
+}
+
+// --- Journal storage ------------------------------------------------------------
+
+/** Whether a journal line is a record from within MAX_JOURNAL_AGE_MS of `now`. */
+function isRecent(line, now) {
+  try {
+    return now - Date.parse(JSON.parse(line).timestamp) <= MAX_JOURNAL_AGE_MS;
+  } catch {
+    return false;
+  }
+}
+
+function appendRecord(record) {
+  const path = journalPath();
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  appendFileSync(path, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+  const lines = readFileSync(path, "utf8").split("\n").filter(Boolean);
+  const now = Date.now();
+  const kept = lines.filter((line) => isRecent(line, now)).slice(-MAX_JOURNAL_LINES);
+  if (kept.length < lines.length) {
+    writeFileSync(path, `${kept.join("\n")}\n`, { mode: 0o600 });
+  }
+}
+
+function readRecords() {
+  const path = journalPath();
+  if (!existsSync(path)) return [];
+  const records = [];
+  for (const line of readFileSync(path, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A torn final line (crash mid-append) must not hide the rest of the journal.
+    }
+  }
+  return records;
+}
+
+/** Mutation entries, oldest first, with `undone` folded in from undo records. */
+function readEntries() {
+  const records = readRecords();
+  const undone = new Set(records.filter((r) => r.type === "undo").map((r) => r.entryId));
+  return records
+    .filter((r) => r.type === "mutation")
+    .map((r) => ({ ...r, undone: undone.has(r.id) }));
+}
+
+/** ID(s) of the item(s) a call touched: from its arguments, or the created item(s). */
+export function entryTarget(args, result) {
+  const draftId = args.draftId ?? result?.draft?.draftId;
+  if (draftId) return draftId;
+  if (args.id) return args.id;
+  if (Array.isArray(args.ids)) return args.ids;
+  const created = result?.event?.id ?? result?.reminder?.id ?? result?.contact?.id;
+  if (created) return created;
+  if (Array.isArray(result?.created)) return result.created.map((c) => c.id).filter(Boolean);
+  return undefined;
+}
+
+// --- Public API -------------------------------------------------------------------
+
+/**
+ * Run a mutation and journal it. Snapshots the affected item first (via the
+ * tool's `get` action), runs the handler, then records the inverse. Journal
+ * failures never fail the mutation — the write has already happened and a
+ * retry would duplicate it.
+ *
+ * @param {string} toolName - Tool name (calendar, reminder, contact, mail).
+ * @param {object} args - Tool arguments for the mutation.
+ * @param {Function} runCLI - CLI runner.
+ * @param {Function} handler - The unwrapped tool handler(args, runCLI).
+ * @returns {Promise<object>} The handler's result, unchanged.
+ */
+export async function runJournaled(toolName, args, runCLI, handler) {
+  const plan = UNDO_PLANS[toolName]?.[args.action];
+  if (!plan || !isJournalEnabled()) return await handler(args, runCLI);
+
+  let snapshot;
+  let snapshotError;
+  if (plan.snapshot) {
+    const get = async (getArgs) => unwrapItem(await handler({ action: "get", ...compact(getArgs) }, runCLI));
+    try {
+      snapshot = await plan.snapshot(args, get);
+    } catch (err) {
+      snapshotError = err.message;
+    }
+  }
+
+  const result = await handler(args, runCLI);
+  // Refused writes (e.g. calendar conflict checks) changed nothing.
+  if (result?.refused) return result;
+
+  const entry = {
+    type: "mutation",
+    id: randomUUID(),
+    timestamp: new Date().toISOString(),
+    tool: toolName,
+    action: args.action,
+    target: entryTarget(args, result),
+  };
+
+  if (plan.reason) {
+    Object.assign(entry, { undoable: false, reason: plan.reason });
+  } else if (snapshotError) {
+    Object.assign(entry, { undoable: false, reason: `snapshot failed: ${snapshotError}` });
+  } else {
+    const { ops, caveats = [] } = plan.inverse(args, result, snapshot);
+    Object.assign(entry, {
+      undoable: ops.length > 0,
+      ...(ops.length === 0 ? { reason: "result did not include the affected item IDs" } : {}),
+      inverse: ops,
+      ...(caveats.length > 0 ? { caveats } : {}),
+    });
+  }
+
+  try {
+    appendRecord(entry);
+  } catch {
+    // Best effort: see the function comment.
+  }
+  return result;
+}
+
+/**
+ * List journaled mutations, newest first.
+ *
+ * @param {{ limit?: number, tool?: string }} options
+ * @returns {object[]} Entry summaries (without the inverse calls).
+ */
+export function readHistory({ limit = 20, tool } = {}) {
+  return readEntries()
+    .filter((e) => !tool || e.tool === tool)
+    .reverse()
+    .slice(0, limit)
+    .map(({ inverse, ...summary }) => summary);
+}
+
+/**
+ * The entry an undo would reverse. Throws when there is none, or when it
+ * was already undone or cannot be undone.
+ *
+ * @param {string|undefined} entryId - Entry to undo; defaults to the most
+ *   recent undoable entry that has not been undone yet.
+ * @returns {object} The journal entry, with its `inverse` operations.
+ */
+export function findUndoEntry(entryId) {
+  const entries = readEntries();
+  const entry = entryId
+    ? entries.find((e) => e.id === entryId)
+    : entries.reverse().find((e) => e.undoable && !e.undone);
+
+  if (!entry) {
+    throw new NotFoundError(entryId ? `No journal entry with id ${entryId}` : "Nothing to undo");
+  }
+  if (entry.undone) throw new ValidationError(`Journal entry ${entry.id} was already undone`);
+  if (!entry.undoable) {
+    throw new ValidationError(`Journal entry ${entry.id} (${entry.tool} ${entry.action}) cannot be undone: ${entry.reason}`);
+  }
+  return entry;
+}
+
+/**
+ * Replay the inverse of a journaled mutation.
+ *
+ * @param {string|undefined} entryId - See findUndoEntry().
+ * @param {Record<string, Function>} handlers - Unwrapped tool handlers by tool name.
+ * @param {Function} runCLI - CLI runner.
+ * @returns {Promise<object>} Per-operation results.
+ */
+export async function undoEntry(entryId, handlers, runCLI) {
+  const entry = findUndoEntry(entryId);
+
+  const results = [];
+  for (const op of entry.inverse) {
+    try {
+      results.push({ tool: op.tool, action: op.args.action, success: true, result: await handlers[op.tool](op.args, runCLI) });
+    } catch (err) {
+      results.push({ tool: op.tool, action: op.args.action, success: false, error: err.message });
+    }
+  }
+
+  const success = results.every((r) => r.success);
+  if (success) {
+    appendRecord({ type: "undo", entryId: entry.id, timestamp: new Date().toISOString() });
+  }
+  return {
+    success,
+    undone: { id: entry.id, tool: entry.tool, action: entry.action, target: entry.target },
+    results,
+    ...(entry.caveats ? { caveats: entry.caveats } : {}),
+  };
+}
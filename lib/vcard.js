@@ -0,0 +1,467 @@
+/**
+ * vCard serialization for the contact `export_vcard` and `import_vcard`
+ * actions.
+ *
+ * Export turns full `contacts-cli get` dicts into vCard 3.0 (default) or 4.0
+ * text; import turns a .vcf (typically a CRM export) into `contact create`
+ * args — the fields pushContactSharedFields in tool-args.js understands:
+ * names and phonetic names, organization, emails, phones, addresses, URLs,
+ * social profiles, instant messages, relations, birthday, dates and notes.
+ * Apple's grouped extensions (item1.X-ABLabel, X-ABRELATEDNAMES, X-ABDATE,
+ * X-SOCIALPROFILE) are read and written so Contacts.app exports round-trip.
+ * Properties with no contact field (PHOTO, GEO, KEY, ...) are reported in
+ * `warnings` on import.
+ */
+
+import {
+  escapeText,
+  foldLine,
+  paramValue,
+  parseContentLine,
+  readImportFile,
+  unescapeText,
+  unfoldLines,
+} from "./content-lines.js";
+import { ValidationError } from "./errors.js";
+
+const VERSIONS = ["3.0", "4.0"];
+
+/** Year Contacts.app writes for year-less dates in vCard 3.0 (with X-APPLE-OMIT-YEAR). */
+const OMITTED_YEAR = 1604;
+
+/** Contact labels that have a standard vCard TYPE, per property. */
+const LABEL_TYPES = {
+  EMAIL: { home: "HOME", work: "WORK", other: "OTHER" },
+  TEL: {
+    home: "HOME",
+    work: "WORK",
+    other: "OTHER",
+    mobile: "CELL",
+    iphone: "IPHONE,CELL",
+    main: "MAIN",
+    "home fax": "HOME,FAX",
+    "work fax": "WORK,FAX",
+    pager: "PAGER",
+  },
+  ADR: { home: "HOME", work: "WORK", other: "OTHER" },
+  URL: { home: "HOME", work: "WORK", other: "OTHER", homepage: "HOMEPAGE" },
+};
+
+/** TYPE values that carry no label information. */
+const IGNORED_TYPES = new Set(["PREF", "INTERNET", "VOICE", "X400", "TEXT", "POSTAL", "PARCEL", "DOM", "INTL"]);
+
+/** Properties handled by import; anything else is reported once as ignored. */
+const KNOWN_PROPERTIES = new Set([
+  "BEGIN", "END", "VERSION", "PRODID", "UID", "REV", "FN", "N", "NICKNAME", "ORG", "TITLE", "NOTE",
+  "EMAIL", "TEL", "ADR", "URL", "BDAY", "ANNIVERSARY", "RELATED", "IMPP", "KIND", "CATEGORIES",
+  "X-ABLABEL", "X-ABRELATEDNAMES", "X-ABDATE", "X-ABSHOWAS", "X-ANNIVERSARY", "X-SOCIALPROFILE",
+  "SOCIALPROFILE", "X-MAIDENNAME", "X-PHONETIC-FIRST-NAME", "X-PHONETIC-MIDDLE-NAME",
+  "X-PHONETIC-LAST-NAME", "X-PHONETIC-ORG", "X-ABUID", "X-AIM", "X-JABBER", "X-MSN", "X-YAHOO",
+  "X-ICQ", "X-SKYPE",
+]);
+
+const IM_PROPERTIES = {
+  "X-AIM": "AIM",
+  "X-JABBER": "Jabber",
+  "X-MSN": "MSN",
+  "X-YAHOO": "Yahoo",
+  "X-ICQ": "ICQ",
+  "X-SKYPE": "Skype",
+};
+
+// --- Helpers ---------------------------------------------------------------------
+
+/** Split a structured value (N, ADR, ORG) on unescaped semicolons. */
+function splitStructured(value) {
+  const parts = [];
+  let current = "";
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "\\" && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ";") {
+      parts.push(current);
+      current = "";
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts.map((p) => unescapeText(p).trim());
+}
+
+/** Contacts.app wraps built-in labels as `_$!<Mobile>!$_`. */
+function cleanLabel(label) {
+  const match = /^_\$!<(.+)>!\$_$/.exec(label || "");
+  return (match ? match[1] : label || "").trim().toLowerCase();
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, "0");
+}
+
+/** Parse a vCard date (1990-05-01, 19900501, --0501, --05-01, 1604-05-01 + omit-year). */
+function parseVCardDate(value, params) {
+  const raw = value.trim().split("T")[0];
+  let match = /^--(\d{2})-?(\d{2})$/.exec(raw);
+  if (match) return { month: Number(match[1]), day: Number(match[2]) };
+  match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(raw);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const date = { month: Number(match[2]), day: Number(match[3]) };
+  if (params["X-APPLE-OMIT-YEAR"] && Number(params["X-APPLE-OMIT-YEAR"]) === year) return date;
+  return { year, ...date };
+}
+
+function formatVCardDate(date, version) {
+  if (!date?.month || !date?.day) return null;
+  const monthDay = `${pad(date.month)}-${pad(date.day)}`;
+  if (date.year) return { value: `${pad(date.year, 4)}-${monthDay}`, params: "" };
+  return version === "4.0"
+    ? { value: `--${pad(date.month)}${pad(date.day)}`, params: "" }
+    : { value: `${OMITTED_YEAR}-${monthDay}`, params: `;X-APPLE-OMIT-YEAR=${OMITTED_YEAR}` };
+}
+
+// --- Export ----------------------------------------------------------------------
+
+/**
+ * Build the lines for one labeled value. Standard labels become TYPE
+ * parameters; custom labels use an Apple item group with X-ABLabel.
+ */
+function labeledLines(name, label, value, groups, version) {
+  const key = cleanLabel(label);
+  const type = LABEL_TYPES[name]?.[key];
+  if (type || !key) {
+    const typeParam = type ? `;TYPE=${version === "4.0" ? type.toLowerCase() : type}` : "";
+    return [`${name}${typeParam}:${value}`];
+  }
+  const group = `item${groups.next++}`;
+  return [`${group}.${name}:${value}`, `${group}.X-ABLabel:${escapeText(label)}`];
+}
+
+function contactLines(contact, version) {
+  const groups = { next: 1 };
+  const lines = ["BEGIN:VCARD", `VERSION:${version}`];
+  const organization = contact.contactType === "organization";
+  if (contact.id) lines.push(`UID:${contact.id}`);
+  if (organization && version === "4.0") lines.push("KIND:org");
+
+  const fullName = contact.fullName
+    || [contact.namePrefix, contact.givenName, contact.middleName, contact.familyName, contact.nameSuffix].filter(Boolean).join(" ")
+    || contact.organization
+    || "";
+  lines.push(`FN:${escapeText(fullName)}`);
+  lines.push(`N:${[contact.familyName, contact.givenName, contact.middleName, contact.namePrefix, contact.nameSuffix]
+    .map((p) => escapeText(p || "")).join(";")}`);
+  if (contact.nickname) lines.push(`NICKNAME:${escapeText(contact.nickname)}`);
+  if (contact.previousFamilyName) lines.push(`X-MAIDENNAME:${escapeText(contact.previousFamilyName)}`);
+  if (contact.phoneticGivenName) lines.push(`X-PHONETIC-FIRST-NAME:${escapeText(contact.phoneticGivenName)}`);
+  if (contact.phoneticMiddleName) lines.push(`X-PHONETIC-MIDDLE-NAME:${escapeText(contact.phoneticMiddleName)}`);
+  if (contact.phoneticFamilyName) lines.push(`X-PHONETIC-LAST-NAME:${escapeText(contact.phoneticFamilyName)}`);
+  if (contact.phoneticOrganizationName) lines.push(`X-PHONETIC-ORG:${escapeText(contact.phoneticOrganizationName)}`);
+  if (contact.organization || contact.department) {
+    lines.push(`ORG:${escapeText(contact.organization || "")}${contact.department ? `;${escapeText(contact.department)}` : ""}`);
+  }
+  if (contact.jobTitle) lines.push(`TITLE:${escapeText(contact.jobTitle)}`);
+  if (organization && version === "3.0") lines.push("X-ABShowAs:COMPANY");
+
+  for (const email of contact.emails || []) {
+    const value = typeof email === "string" ? email : email.value;
+    if (value) lines.push(...labeledLines("EMAIL", email.label, value, groups, version));
+  }
+  for (const phone of contact.phones || []) {
+    const value = typeof phone === "string" ? phone : phone.value;
+    if (value) lines.push(...labeledLines("TEL", phone.label, value, groups, version));
+  }
+  for (const addr of contact.addresses || []) {
+    const value = ["", "", addr.street, addr.city, addr.state, addr.postalCode, addr.country]
+      .map((p) => escapeText(p || "")).join(";");
+    lines.push(...labeledLines("ADR", addr.label, value, groups, version));
+  }
+  for (const url of contact.urls || []) {
+    if (url.value) lines.push(...labeledLines("URL", url.label, url.value, groups, version));
+  }
+  for (const profile of contact.socialProfiles || []) {
+    const params = [profile.service && `TYPE=${paramValue(profile.service)}`, profile.username && `X-USER=${paramValue(profile.username)}`]
+      .filter(Boolean).map((p) => `;${p}`).join("");
+    const value = profile.url || (profile.username ? `x-apple:${profile.username}` : "");
+    if (value) lines.push(`X-SOCIALPROFILE${params}:${value}`);
+  }
+  for (const im of contact.instantMessages || []) {
+    if (!im.username) continue;
+    const service = im.service ? `;X-SERVICE-TYPE=${paramValue(im.service)}` : "";
+    lines.push(`IMPP${service}:${(im.service || "x-apple").toLowerCase().replace(/[^a-z0-9+.-]/g, "")}:${im.username}`);
+  }
+
+  const birthday = formatVCardDate(contact.birthday, version);
+  if (birthday) lines.push(`BDAY${birthday.params}:${birthday.value}`);
+  for (const date of contact.dates || []) {
+    const formatted = formatVCardDate(date, version);
+    if (!formatted) continue;
+    if (version === "4.0" && cleanLabel(date.label) === "anniversary") {
+      lines.push(`ANNIVERSARY:${formatted.value}`);
+    } else {
+      const group = `item${groups.next++}`;
+      lines.push(`${group}.X-ABDATE${formatted.params}:${formatted.value}`, `${group}.X-ABLabel:${escapeText(date.label || "other")}`);
+    }
+  }
+  for (const relation of contact.relations || []) {
+    if (!relation.name) continue;
+    if (version === "4.0") {
+      const type = relation.label ? `;TYPE=${paramValue(cleanLabel(relation.label))}` : "";
+      lines.push(`RELATED${type};VALUE=text:${escapeText(relation.name)}`);
+    } else {
+      const group = `item${groups.next++}`;
+      lines.push(`${group}.X-ABRELATEDNAMES:${escapeText(relation.name)}`, `${group}.X-ABLabel:${escapeText(relation.label || "other")}`);
+    }
+  }
+  if (contact.notes) lines.push(`NOTE:${escapeText(contact.notes)}`);
+  lines.push("END:VCARD");
+  return lines;
+}
+
+/**
+ * Serialize full contact dicts (from `contacts-cli get`) to vCard text.
+ *
+ * @param {object[]} contacts
+ * @param {{ version?: "3.0"|"4.0" }} [options]
+ * @returns {string} CRLF-delimited vCards.
+ */
+export function contactsToVCard(contacts, { version = "3.0" } = {}) {
+  if (!VERSIONS.includes(version)) {
+    throw new ValidationError(`Unsupported vCard version: ${version} (expected ${VERSIONS.join(" or ")})`);
+  }
+  const lines = (contacts || []).flatMap((contact) => contactLines(contact, version));
+  return lines.length > 0 ? `${lines.map(foldLine).join("\r\n")}\r\n` : "";
+}
+
+// --- Import ----------------------------------------------------------------------
+
+/** Pick a contact label from TYPE parameters, falling back to the item group's X-ABLabel. */
+function labelFor(prop, groupLabels) {
+  if (prop.group && groupLabels[prop.group]) return groupLabels[prop.group];
+  const types = (prop.params.TYPE || "").split(",").map((t) => t.trim().toUpperCase()).filter((t) => t && !IGNORED_TYPES.has(t));
+  if (types.includes("FAX")) return types.includes("HOME") ? "home fax" : "work fax";
+  if (types.includes("IPHONE")) return "iphone";
+  if (types.includes("CELL")) return "mobile";
+  if (types.includes("PAGER")) return "pager";
+  if (types.includes("MAIN")) return "main";
+  if (types.includes("HOMEPAGE")) return "homepage";
+  for (const type of ["WORK", "HOME", "OTHER"]) {
+    if (types.includes(type)) return type.toLowerCase();
+  }
+  return types[0]?.toLowerCase();
+}
+
+function withLabel(label, fields) {
+  return label ? { label, ...fields } : fields;
+}
+
+function formatBirthday(date) {
+  return date.year ? `${pad(date.year, 4)}-${pad(date.month)}-${pad(date.day)}` : `${pad(date.month)}-${pad(date.day)}`;
+}
+
+function push(args, key, value) {
+  (args[key] ||= []).push(value);
+}
+
+function cardToCreateArgs(props, index, warnings) {
+  const note = (message) => warnings.push(`contact ${index + 1}: ${message}`);
+  const groupLabels = {};
+  for (const prop of props) {
+    if (prop.name === "X-ABLABEL" && prop.group) groupLabels[prop.group] = cleanLabel(unescapeText(prop.value));
+  }
+
+  const args = {};
+  const ignored = new Set();
+  let fullName;
+  for (const prop of props) {
+    const text = () => unescapeText(prop.value).trim();
+    const label = () => labelFor(prop, groupLabels);
+    switch (prop.name) {
+      case "FN":
+        fullName = text();
+        break;
+      case "N": {
+        const [family, given, middle, prefix, suffix] = splitStructured(prop.value);
+        if (family) args.lastName = family;
+        if (given) args.firstName = given;
+        if (middle) args.middleName = middle;
+        if (prefix) args.namePrefix = prefix;
+        if (suffix) args.nameSuffix = suffix;
+        break;
+      }
+      case "NICKNAME":
+        if (text()) args.nickname = text();
+        break;
+      case "X-MAIDENNAME":
+        if (text()) args.previousFamilyName = text();
+        break;
+      case "X-PHONETIC-FIRST-NAME":
+        if (text()) args.phoneticGivenName = text();
+        break;
+      case "X-PHONETIC-MIDDLE-NAME":
+        if (text()) args.phoneticMiddleName = text();
+        break;
+      case "X-PHONETIC-LAST-NAME":
+        if (text()) args.phoneticFamilyName = text();
+        break;
+      case "X-PHONETIC-ORG":
+        if (text()) args.phoneticOrganizationName = text();
+        break;
+      case "ORG": {
+        const [organization, department] = splitStructured(prop.value);
+        if (organization) args.organization = organization;
+        if (department) args.department = department;
+        break;
+      }
+      case "TITLE":
+        if (text()) args.jobTitle = text();
+        break;
+      case "KIND":
+        if (text().toLowerCase() === "org") args.contactType = "organization";
+        break;
+      case "X-ABSHOWAS":
+        if (text().toUpperCase() === "COMPANY") args.contactType = "organization";
+        break;
+      case "EMAIL":
+        if (text()) push(args, "emails", withLabel(label(), { value: text() }));
+        break;
+      case "TEL":
+        if (text()) push(args, "phones", withLabel(label(), { value: text().replace(/^tel:/i, "") }));
+        break;
+      case "ADR": {
+        const [, extended, street, city, state, postalCode, country] = splitStructured(prop.value);
+        const address = Object.fromEntries(
+          Object.entries({ street: [extended, street].filter(Boolean).join("\n"), city, state, postalCode, country })
+            .filter(([, v]) => v),
+        );
+        if (Object.keys(address).length > 0) push(args, "addresses", withLabel(label(), address));
+        break;
+      }
+      case "URL":
+        if (text()) push(args, "urls", withLabel(label(), { value: text() }));
+        break;
+      case "X-SOCIALPROFILE":
+      case "SOCIALPROFILE": {
+        const service = (prop.params.TYPE || prop.params["X-SERVICE-TYPE"] || "").split(",")[0];
+        const url = /^x-apple:/i.test(prop.value) ? undefined : prop.value.trim();
+        const username = prop.params["X-USER"] || (/^x-apple:/i.test(prop.value) ? prop.value.slice(8) : url?.split("/").filter(Boolean).pop());
+        push(args, "socialProfiles", Object.fromEntries(Object.entries({ service, username, url }).filter(([, v]) => v)));
+        break;
+      }
+      case "IMPP": {
+        const [scheme, ...rest] = prop.value.trim().split(":");
+        const username = rest.length > 0 ? rest.join(":") : scheme;
+        const service = prop.params["X-SERVICE-TYPE"] || (rest.length > 0 ? scheme : undefined);
+        push(args, "instantMessages", Object.fromEntries(Object.entries({ service, username }).filter(([, v]) => v)));
+        break;
+      }
+      case "X-AIM":
+      case "X-JABBER":
+      case "X-MSN":
+      case "X-YAHOO":
+      case "X-ICQ":
+      case "X-SKYPE":
+        if (text()) push(args, "instantMessages", { service: IM_PROPERTIES[prop.name], username: text() });
+        break;
+      case "BDAY": {
+        const date = parseVCardDate(prop.value, prop.params);
+        if (date) args.birthday = formatBirthday(date);
+        else note(`unrecognized BDAY "${prop.value}" ignored`);
+        break;
+      }
+      case "ANNIVERSARY":
+      case "X-ANNIVERSARY":
+      case "X-ABDATE": {
+        const date = parseVCardDate(prop.value, prop.params);
+        const dateLabel = prop.name === "X-ABDATE" ? label() || "other" : "anniversary";
+        if (date) push(args, "dates", { label: dateLabel, ...date });
+        else note(`unrecognized ${prop.name} "${prop.value}" ignored`);
+        break;
+      }
+      case "X-ABRELATEDNAMES":
+        if (text()) push(args, "relations", withLabel(label(), { name: text() }));
+        break;
+      case "RELATED":
+        if ((prop.params.VALUE || "").toLowerCase() === "text") {
+          push(args, "relations", withLabel(label(), { name: text() }));
+        } else {
+          note(`RELATED URI "${prop.value}" ignored (only text relations can be imported)`);
+        }
+        break;
+      case "NOTE":
+        if (text()) args.notes = text();
+        break;
+      default:
+        if (!KNOWN_PROPERTIES.has(prop.name)) ignored.add(prop.name);
+    }
+  }
+
+  if (!args.firstName && !args.lastName && !args.organization) {
+    if (!fullName) throw new ValidationError(`contact ${index + 1} has no name (FN, N or ORG)`);
+    args.name = fullName;
+  }
+  if (ignored.size > 0) note(`unsupported properties ignored: ${[...ignored].sort().join(", ")}`);
+  return args;
+}
+
+/**
+ * Parse vCard 2.1/3.0/4.0 text into `contact create` args, one per card.
+ *
+ * @param {string} text - .vcf contents (one or more BEGIN:VCARD blocks).
+ * @returns {{contacts: object[], warnings: string[]}}
+ */
+export function parseVCards(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new ValidationError("vCard text is empty");
+  }
+  const cards = [];
+  let current = null;
+  for (const line of unfoldLines(text)) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === "BEGIN" && prop.value.trim().toUpperCase() === "VCARD") {
+      current = [];
+    } else if (prop.name === "END" && prop.value.trim().toUpperCase() === "VCARD" && current) {
+      cards.push(current);
+      current = null;
+    } else if (current) {
+      current.push(prop);
+    }
+  }
+  if (cards.length === 0) {
+    throw new ValidationError("Not a vCard document (expected BEGIN:VCARD ... END:VCARD)");
+  }
+  const warnings = [];
+  const contacts = cards.map((props, index) => cardToCreateArgs(props, index, warnings));
+  return { contacts, warnings };
+}
+
+/**
+ * Read a .vcf file for import (see readImportFile for the path guard).
+ *
+ * @param {string} rawPath - Path to the .vcf file (~ is expanded).
+ * @returns {string} File contents.
+ */
+export function readVCardFile(rawPath) {
+  return readImportFile(rawPath, [".vcf", ".vcard"], "import_vcard");
+}
+
+/**
+ * Resolve the create calls an `import_vcard` would make. Shared by the
+ * handler and the dry-run preview so both see the same plan.
+ *
+ * @param {{file?: string, vcard?: string, container?: string}} args
+ * @returns {{contacts: object[], warnings: string[]}}
+ */
+export function planVCardImport(args) {
+  if (!args.file && !args.vcard) {
+    throw new ValidationError("Either file (path to a .vcf file) or vcard (vCard text) is required for contact import_vcard");
+  }
+  const { contacts, warnings } = parseVCards(args.file ? readVCardFile(args.file) : args.vcard);
+  return {
+    contacts: args.container ? contacts.map((c) => ({ ...c, container: args.container })) : contacts,
+    warnings,
+  };
+}
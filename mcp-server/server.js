@@ -13,7 +13,10 @@ import {
   getDatamarkingPreamble,
 } from "../lib/sanitize.js";
 import { createCLIRunner, findSwiftBinDir } from "../lib/cli-runner.js";
+import { ValidationError, serializeError } from "../lib/errors.js";
+import { recordToolCall } from "../lib/audit-log.js";
 import { tools } from "../lib/schemas.js";
+import { filterTools } from "../lib/policy.js";
 import { withAgentDX } from "../lib/agent-dx.js";
 import { handleCalendar } from "../lib/handlers/calendar.js";
 import { handleReminder } from "../lib/handlers/reminder.js";
@@ -44,7 +47,7 @@ const handlers = {
 // Main tool dispatcher
 async function handleTool(name, args) {
   const handler = handlers[name];
-  if (!handler) throw new Error(`Unknown tool: ${name}`);
+  if (!handler) throw new ValidationError(`Unknown tool: ${name}`);
   return await handler(args, runCLI);
 }
 
@@ -62,18 +65,22 @@ const server = new Server(
 );
 
 server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools };
+  // Tools and actions the local policy refuses are not offered.
+  return { tools: filterTools(tools) };
 });
 
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
+  const startedAt = Date.now();
 
   try {
     const result = await handleTool(name, args || {});
 
     // Apply datamarking to untrusted PIM content fields
-    const markedResult = markToolResult(result, name);
+    const flagged = [];
+    const markedResult = markToolResult(result, name, flagged);
     const preamble = getDatamarkingPreamble(name);
+    recordToolCall(name, args || {}, { startedAt, result, flagged });
 
     return {
       content: [
@@ -84,18 +91,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       ],
     };
   } catch (error) {
+    recordToolCall(name, args || {}, { startedAt, error });
+    // Typed errors carry code, retryable and hint (see lib/errors.js).
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(
-            {
-              success: false,
-              error: error.message,
-            },
-            null,
-            2
-          ),
+          text: JSON.stringify(serializeError(error), null, 2),
         },
       ],
       isError: true,
@@ -0,0 +1,86 @@
+import { describe, expect, it, vi } from "vitest";
+import { buildAgenda } from "../../lib/agenda.js";
+import { markToolResult } from "../../lib/sanitize.js";
+
+// Local-time constructors keep the ordering independent of the machine's timezone.
+const local = (day, hour) => new Date(2030, 0, day, hour).toISOString();
+
+const responses = {
+  "calendar-cli events": {
+    success: true,
+    events: [
+      { id: "E2", title: "Lunch", startDate: local(7, 12) },
+      { id: "E1", title: "Standup", startDate: local(7, 9) },
+    ],
+  },
+  "reminder-cli items": {
+    success: true,
+    reminders: [
+      { id: "R1", title: "Pay rent", dueDate: "2030-01-01" },
+      { id: "R2", title: "Call Kim", dueDate: "2030-01-07 10:30" },
+      { id: "R3", title: "Next week", dueDate: "2030-01-14" },
+    ],
+  },
+};
+
+const messages = {
+  unread: [{ messageId: "m1@x", subject: "Hi", dateReceived: local(7, 8), isRead: false, isFlagged: true }],
+  flagged: [
+    { messageId: "m1@x", subject: "Hi", dateReceived: local(7, 8), isRead: false, isFlagged: true },
+    { messageId: "m2@x", subject: "Contract", dateReceived: local(6, 15), isRead: true, isFlagged: true },
+  ],
+};
+
+/** Mock runCLI answering by "<cli> <subcommand>"; mail answers by --filter. */
+function fakeCLI(overrides = {}) {
+  return vi.fn(async (cli, args) => {
+    const key = `${cli} ${args[0]}`;
+    if (key in overrides) {
+      if (overrides[key] instanceof Error) throw overrides[key];
+      return overrides[key];
+    }
+    if (cli === "mail-cli") return { success: true, messages: messages[args[args.indexOf("--filter") + 1]] };
+    return responses[key];
+  });
+}
+
+describe("agenda", () => {
+  it("merges events, due reminders and unread/flagged mail in time order", async () => {
+    const runCLI = fakeCLI();
+
+    const agenda = await buildAgenda({ date: "2030-01-07" }, runCLI);
+
+    expect(agenda.items.map((item) => `${item.kind}:${item.id ?? item.messageId}`)).toEqual([
+      "reminder:R1", "mail:m2@x", "mail:m1@x", "event:E1", "reminder:R2", "event:E2",
+    ]);
+    expect(agenda.counts).toEqual({ events: 2, reminders: 2, overdue: 1, mail: 2, unread: 1, flagged: 2 });
+    expect(agenda.errors).toBeUndefined();
+    expect(runCLI).toHaveBeenCalledWith("calendar-cli", ["events", "--from", "2030-01-07", "--to", "2030-01-07", "--limit", "1000"]);
+    expect(runCLI).toHaveBeenCalledWith("reminder-cli", ["items", "--filter", "upcoming"]);
+  });
+
+  it("reports a failing domain without failing the agenda", async () => {
+    const runCLI = fakeCLI({ "mail-cli messages": new Error("Mail.app is not running") });
+
+    const agenda = await buildAgenda({ date: "2030-01-07", domains: ["calendar", "mail"] }, runCLI);
+
+    expect(agenda.errors).toEqual({ mail: "Mail.app is not running" });
+    expect(agenda.counts.events).toBe(2);
+    expect(runCLI.mock.calls.some(([cli]) => cli === "reminder-cli")).toBe(false);
+  });
+
+  it("rejects unknown domains and non-day dates", async () => {
+    await expect(buildAgenda({ date: "2030-01-07", domains: ["contacts"] }, fakeCLI())).rejects.toThrow("Unknown agenda domain: contacts");
+    await expect(buildAgenda({ date: local(7, 9) }, fakeCLI())).rejects.toThrow(/must be a day/);
+  });
+
+  it("datamarks each item by its kind", async () => {
+    const agenda = await buildAgenda({ date: "2030-01-07" }, fakeCLI());
+
+    const marked = markToolResult(agenda, "apple-pim");
+
+    expect(marked.items.find((i) => i.id === "E1").title).toMatch(/^\[UNTRUSTED_CALENDAR_DATA_/);
+    expect(marked.items.find((i) => i.messageId === "m2@x").subject).toMatch(/^\[UNTRUSTED_MAIL_DATA_/);
+    expect(marked.counts).toEqual(agenda.counts);
+  });
+});
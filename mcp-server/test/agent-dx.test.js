@@ -45,6 +45,24 @@ describe("withAgentDX", () => {
       expect(result.description).toContain("Test");
     });
 
+    it("reports calendar conflicts on dry run when checkConflicts is set", async () => {
+      const handler = vi.fn();
+      const runCLI = vi.fn().mockResolvedValue({
+        events: [{ id: "E1", title: "Standup", startDate: "2026-03-05T15:00:00Z", endDate: "2026-03-05T15:30:00Z" }],
+      });
+      const wrapped = withAgentDX("calendar", handler);
+
+      const result = await wrapped(
+        { action: "create", dryRun: true, checkConflicts: true, title: "1:1", start: "2026-03-05T15:00:00Z" },
+        runCLI
+      );
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(runCLI.mock.calls[0][1][0]).toBe("events");
+      expect(result.dryRun).toBe(true);
+      expect(result.conflicts).toHaveLength(1);
+    });
+
     it("passes through to handler for reads with dryRun flag and signals skip", async () => {
       const handler = vi.fn().mockResolvedValue({ calendars: [] });
       const wrapped = withAgentDX("calendar", handler);
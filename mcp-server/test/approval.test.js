@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { requiresApproval } from "../../lib/approval.js";
+import { handleApplePim } from "../../lib/handlers/apple-pim.js";
+import { handleContact } from "../../lib/handlers/contact.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+
+let workdir;
+let policyPath;
+const previousEnv = {
+  APPLE_PIM_APPROVAL_CONFIG: process.env.APPLE_PIM_APPROVAL_CONFIG,
+  APPLE_PIM_UNDO_JOURNAL: process.env.APPLE_PIM_UNDO_JOURNAL,
+};
+
+const mail = withAgentDX("mail", handleMail);
+const contact = withAgentDX("contact", handleContact);
+const applePim = withAgentDX("apple-pim", handleApplePim);
+const send = { action: "send", to: ["sam@example.com"], subject: "Hi", body: "Hello" };
+
+function writePolicy(policy) {
+  writeFileSync(policyPath, JSON.stringify(policy));
+}
+
+beforeEach(() => {
+  workdir = mkdtempSync(join(tmpdir(), "pim-approval-"));
+  policyPath = join(workdir, "approval.json");
+  process.env.APPLE_PIM_APPROVAL_CONFIG = policyPath;
+  process.env.APPLE_PIM_UNDO_JOURNAL = "off";
+});
+
+afterEach(() => {
+  rmSync(workdir, { recursive: true, force: true });
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe("approval policy", () => {
+  it("gates only draft_send without a policy file, and nothing with enabled: false", () => {
+    expect(requiresApproval("mail", send)).toBe(false);
+    expect(requiresApproval("mail", { action: "draft_send", draftId: "D1" })).toBe(true);
+    writePolicy({ enabled: false });
+    expect(requiresApproval("mail", send)).toBe(false);
+    expect(requiresApproval("mail", { action: "draft_send", draftId: "D1" })).toBe(false);
+  });
+
+  it("gates outbound and destructive actions by default once enabled", () => {
+    writePolicy({ enabled: true });
+    expect(requiresApproval("mail", send)).toBe(true);
+    expect(requiresApproval("mail", { action: "batch_delete", ids: ["a"] })).toBe(true);
+    expect(requiresApproval("mail", { action: "move", id: "a", toMailbox: "Trash" })).toBe(true);
+    expect(requiresApproval("mail", { action: "move", id: "a", toMailbox: "Archive" })).toBe(false);
+    expect(requiresApproval("contact", { action: "delete", id: "C1" })).toBe(true);
+    expect(requiresApproval("calendar", { action: "delete", id: "E1" })).toBe(true);
+    expect(requiresApproval("reminder", { action: "batch_delete", ids: ["R1"] })).toBe(true);
+    expect(requiresApproval("calendar", { action: "create", title: "Lunch" })).toBe(false);
+  });
+
+  it("uses the configured require map instead of the defaults", () => {
+    writePolicy({ enabled: true, require: { calendar: ["delete"] } });
+    expect(requiresApproval("calendar", { action: "delete", id: "E1" })).toBe(true);
+    expect(requiresApproval("mail", send)).toBe(false);
+  });
+
+  it("enables the gate for a file with only a require map", () => {
+    writePolicy({ require: { contact: ["delete"] } });
+    expect(requiresApproval("contact", { action: "delete", id: "C1" })).toBe(true);
+    expect(requiresApproval("mail", { action: "draft_send", draftId: "D1" })).toBe(true);
+    expect(requiresApproval("mail", send)).toBe(false);
+    writePolicy({});
+    expect(requiresApproval("mail", send)).toBe(true);
+  });
+
+  it("reports invalid JSON", () => {
+    writeFileSync(policyPath, "{");
+    expect(() => requiresApproval("mail", send)).toThrow(/Invalid JSON/);
+  });
+});
+
+describe("approval gate", () => {
+  it("returns a preview and token first, and runs only with the token", async () => {
+    writePolicy({ enabled: true });
+    const runCLI = vi.fn(async () => ({ success: true, message: "Email sent successfully" }));
+
+    const pending = await mail(send, runCLI);
+
+    expect(runCLI).not.toHaveBeenCalledWith("mail-cli", expect.arrayContaining(["send"]));
+    expect(pending).toMatchObject({ pendingApproval: true, preview: { dryRun: true, action: "send" } });
+    expect(pending.preview.description).toContain("sam@example.com");
+
+    const result = await mail({ ...send, approvalToken: pending.approvalToken }, runCLI);
+
+    expect(result.success).toBe(true);
+    expect(runCLI).toHaveBeenCalledWith("mail-cli", ["send", "--to", "sam@example.com", "--subject", "Hi", "--body", "Hello"]);
+  });
+
+  it("accepts each token once, and only for the call it was issued for", async () => {
+    writePolicy({ enabled: true });
+    const runCLI = vi.fn(async () => ({ success: true }));
+    const { approvalToken } = await mail(send, runCLI);
+
+    await expect(mail({ ...send, to: ["eve@example.com"], approvalToken }, runCLI)).rejects.toThrow(/different call/);
+    await mail({ body: "Hello", subject: "Hi", to: ["sam@example.com"], action: "send", approvalToken }, runCLI);
+    await expect(mail({ ...send, approvalToken }, runCLI)).rejects.toThrow(/invalid, expired or already used/);
+    expect(runCLI.mock.calls.filter(([, args]) => args[0] === "send")).toHaveLength(1);
+  });
+
+  it("gates contact delete", async () => {
+    writePolicy({ enabled: true });
+    const runCLI = vi.fn(async () => ({ success: true }));
+
+    const pending = await contact({ action: "delete", id: "C1" }, runCLI);
+    expect(pending.preview.warning).toMatch(/destructive/);
+    expect(runCLI).not.toHaveBeenCalled();
+
+    await contact({ action: "delete", id: "C1", approvalToken: pending.approvalToken }, runCLI);
+    expect(runCLI).toHaveBeenCalledWith("contacts-cli", ["delete", "--id", "C1"]);
+  });
+
+  it("gates an undo whose inverse is gated", async () => {
+    process.env.APPLE_PIM_UNDO_JOURNAL = join(workdir, "undo-journal.jsonl");
+    writePolicy({ enabled: true });
+    const runCLI = vi.fn(async (cli, args) => (args[0] === "create" ? { success: true, contact: { id: "C1" } } : { success: true }));
+    await contact({ action: "create", firstName: "Sam" }, runCLI);
+
+    const pending = await applePim({ action: "undo" }, runCLI);
+    expect(pending).toMatchObject({ pendingApproval: true });
+    expect(runCLI).not.toHaveBeenCalledWith("contacts-cli", ["delete", "--id", "C1"]);
+
+    const result = await applePim({ action: "undo", approvalToken: pending.approvalToken }, runCLI);
+    expect(result.success).toBe(true);
+    expect(runCLI).toHaveBeenCalledWith("contacts-cli", ["delete", "--id", "C1"]);
+  });
+
+  it("leaves ungated actions alone", async () => {
+    writePolicy({ enabled: true });
+    const runCLI = vi.fn(async () => ({ success: true }));
+
+    await mail({ action: "update", id: "m1@x", read: true }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, expect, it } from "vitest";
+import { createWindow, findCalendarConflicts } from "../../lib/calendar-conflicts.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+
+const standup = {
+  id: "E001",
+  title: "Standup",
+  startDate: "2026-03-16T15:00:00Z",
+  endDate: "2026-03-16T15:30:00Z",
+  isAllDay: false,
+  calendar: "Work",
+};
+const holiday = {
+  id: "E002",
+  title: "Holiday",
+  startDate: "2026-03-16T00:00:00Z",
+  endDate: "2026-03-17T00:00:00Z",
+  isAllDay: true,
+  calendar: "Holidays",
+};
+
+function createMockRunCLI(responses = {}) {
+  const calls = [];
+  const runCLI = async (cli, args) => {
+    calls.push({ cli, args: [...args] });
+    return responses[args[0]] ?? { success: true, event: { id: "NEW" } };
+  };
+  return { runCLI, calls };
+}
+
+describe("createWindow", () => {
+  it("uses end, then duration, then the one-hour default", () => {
+    const start = Date.parse("2026-03-16T15:00:00Z");
+    expect(createWindow({ start: "2026-03-16T15:00:00Z", end: "2026-03-16T15:20:00Z" }).end)
+      .toBe(start + 20 * 60_000);
+    expect(createWindow({ start: "2026-03-16T15:00:00Z", duration: 45 }).end).toBe(start + 45 * 60_000);
+    expect(createWindow({ start: "2026-03-16T15:00:00Z" }).end).toBe(start + 60 * 60_000);
+  });
+
+  it("skips all-day events", () => {
+    expect(createWindow({ start: "2026-03-16", allDay: true })).toBeNull();
+  });
+
+  it("rejects dates it cannot parse", () => {
+    expect(() => createWindow({ start: "next tuesday" })).toThrow(/not an ISO 8601 date/);
+  });
+});
+
+describe("findCalendarConflicts", () => {
+  it("reports overlapping timed events and ignores all-day ones", async () => {
+    const { runCLI, calls } = createMockRunCLI({ events: { events: [standup, holiday] } });
+    const conflicts = await findCalendarConflicts(
+      { action: "create", title: "1:1", start: "2026-03-16T15:15:00Z", duration: 30 },
+      runCLI,
+    );
+    expect(calls[0].args.slice(0, 5)).toEqual([
+      "events", "--from", "2026-03-16T15:15:00Z", "--to", "2026-03-16T15:45:00Z",
+    ]);
+    expect(conflicts).toEqual([
+      {
+        id: "E001",
+        title: "Standup",
+        start: "2026-03-16T15:00:00Z",
+        end: "2026-03-16T15:30:00Z",
+        calendar: "Work",
+      },
+    ]);
+  });
+
+  it("reads weekday-prefixed dates from the day-* output formats", async () => {
+    const dayUTC = { ...standup, startDate: "Monday, 2026-03-16T15:00:00Z", endDate: "Monday, 2026-03-16T15:30:00Z" };
+    const dayLocal = { ...standup, id: "E009", startDate: "Monday, 2026-03-16T09:00:00-07:00", endDate: "Monday, 2026-03-16T10:00:00-07:00" };
+    const { runCLI } = createMockRunCLI({ get: { success: true, event: dayUTC }, events: { events: [dayUTC, dayLocal] } });
+
+    const created = await findCalendarConflicts({ action: "create", title: "1:1", start: "2026-03-16T15:15:00Z", duration: 30 }, runCLI);
+    const moved = await findCalendarConflicts({ action: "update", id: "E001", start: "2026-03-16T16:15:00Z" }, runCLI);
+
+    expect(created.map((c) => c.id)).toEqual(["E001"]);
+    expect(moved.map((c) => c.id)).toEqual(["E009"]);
+  });
+
+  it("treats back-to-back events as free", async () => {
+    const { runCLI } = createMockRunCLI({ events: { events: [standup] } });
+    const conflicts = await findCalendarConflicts(
+      { action: "create", title: "Next", start: "2026-03-16T15:30:00Z" },
+      runCLI,
+    );
+    expect(conflicts).toEqual([]);
+  });
+
+  it("keeps the current duration and excludes the event itself on update", async () => {
+    const { runCLI, calls } = createMockRunCLI({
+      get: { success: true, event: standup },
+      events: { events: [standup, { ...standup, id: "E009", title: "Review", startDate: "2026-03-16T16:10:00Z", endDate: "2026-03-16T17:00:00Z" }] },
+    });
+    const conflicts = await findCalendarConflicts(
+      { action: "update", id: "E001", start: "2026-03-16T16:00:00Z" },
+      runCLI,
+    );
+    expect(calls[0].args).toEqual(["get", "--id", "E001"]);
+    expect(calls[1].args).toContain("2026-03-16T16:30:00Z");
+    expect(conflicts.map((c) => c.id)).toEqual(["E009"]);
+  });
+
+  it("does not query when an update leaves the time alone", async () => {
+    const { runCLI, calls } = createMockRunCLI();
+    expect(await findCalendarConflicts({ action: "update", id: "E001", title: "Renamed" }, runCLI)).toEqual([]);
+    expect(calls).toHaveLength(0);
+  });
+
+  it("tags batch_create conflicts with the requested event index", async () => {
+    const { runCLI, calls } = createMockRunCLI({ events: { events: [standup] } });
+    const conflicts = await findCalendarConflicts(
+      {
+        action: "batch_create",
+        events: [
+          { title: "Early", start: "2026-03-16T13:00:00Z" },
+          { title: "Clash", start: "2026-03-16T15:00:00Z", duration: 15 },
+        ],
+      },
+      runCLI,
+    );
+    expect(calls).toHaveLength(1);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].eventIndex).toBe(1);
+  });
+});
+
+describe("calendar handler conflict checks", () => {
+  const args = { action: "create", title: "1:1", start: "2026-03-16T15:00:00Z", checkConflicts: true };
+
+  it("refuses to create when conflicts exist", async () => {
+    const { runCLI, calls } = createMockRunCLI({ events: { events: [standup] } });
+    const result = await handleCalendar(args, runCLI);
+    expect(result.success).toBe(false);
+    expect(result.refused).toBe(true);
+    expect(result.conflicts).toHaveLength(1);
+    expect(calls.map((c) => c.args[0])).toEqual(["events"]);
+  });
+
+  it("creates anyway with allowConflicts and returns the conflicts", async () => {
+    const { runCLI, calls } = createMockRunCLI({ events: { events: [standup] } });
+    const result = await handleCalendar({ ...args, allowConflicts: true }, runCLI);
+    expect(calls.map((c) => c.args[0])).toEqual(["events", "create"]);
+    expect(result.event.id).toBe("NEW");
+    expect(result.conflicts).toHaveLength(1);
+  });
+
+  it("skips the lookup entirely without checkConflicts", async () => {
+    const { runCLI, calls } = createMockRunCLI({ events: { events: [standup] } });
+    const result = await handleCalendar({ ...args, checkConflicts: undefined }, runCLI);
+    expect(calls.map((c) => c.args[0])).toEqual(["create"]);
+    expect(result).not.toHaveProperty("conflicts");
+  });
+});
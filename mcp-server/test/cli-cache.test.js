@@ -0,0 +1,87 @@
+import { describe, expect, it, vi } from "vitest";
+import { cacheOptionsFromEnv, withResponseCache } from "../../lib/cli-cache.js";
+
+function fakeRunner() {
+  let calls = 0;
+  return vi.fn(async (cli, args) => ({ success: true, call: ++calls, args }));
+}
+
+describe("withResponseCache", () => {
+  it("serves repeated listings from the cache until the TTL runs out", async () => {
+    let clock = 0;
+    const run = fakeRunner();
+    const runCLI = withResponseCache(run, { ttlMs: 1000, now: () => clock });
+
+    const first = await runCLI("calendar-cli", ["list"]);
+    first.calendars = "changed by a handler";
+    expect(await runCLI("calendar-cli", ["list"])).toEqual({ success: true, call: 1, args: ["list"] });
+    await runCLI("calendar-cli", ["events", "--from", "2030-01-01"]);
+    expect(run).toHaveBeenCalledTimes(2);
+
+    clock = 1001;
+    expect((await runCLI("calendar-cli", ["list"])).call).toBe(3);
+  });
+
+  it("does not cache other reads, and any mutation empties the cache", async () => {
+    const run = fakeRunner();
+    const runCLI = withResponseCache(run, { ttlMs: 60_000 });
+
+    await runCLI("mail-cli", ["mailboxes"]);
+    await runCLI("mail-cli", ["get", "--id", "M1"]);
+    await runCLI("mail-cli", ["get", "--id", "M1"]);
+    await runCLI("mail-cli", ["mailboxes"]);
+    expect(run).toHaveBeenCalledTimes(3);
+
+    await runCLI("reminder-cli", ["create", "--title", "Buy milk"]);
+    await runCLI("mail-cli", ["mailboxes"]);
+    expect(run).toHaveBeenCalledTimes(5);
+  });
+
+  it("shares one run between concurrent calls and drops it when a mutation lands first", async () => {
+    let release;
+    const run = vi.fn((cli, args) => (args[0] === "lists"
+      ? new Promise((resolve) => { release = () => resolve({ success: true, lists: [] }); })
+      : Promise.resolve({ success: true })));
+    const runCLI = withResponseCache(run, { ttlMs: 60_000 });
+
+    const pending = [runCLI("reminder-cli", ["lists"]), runCLI("reminder-cli", ["lists"])];
+    await runCLI("reminder-cli", ["delete", "--id", "R1"]);
+    release();
+    await Promise.all(pending);
+    expect(run).toHaveBeenCalledTimes(2);
+
+    const after = runCLI("reminder-cli", ["lists"]);
+    release();
+    await after;
+    expect(run).toHaveBeenCalledTimes(3);
+  });
+
+  it("evicts the least recently used entry and never caches failures", async () => {
+    const run = vi.fn(async (cli, args) => {
+      if (args[1] === "broken") throw new Error("Mail.app is not running");
+      return { success: true, args };
+    });
+    const runCLI = withResponseCache(run, { ttlMs: 60_000, maxEntries: 2 });
+
+    await runCLI("mail-cli", ["mailboxes", "a"]);
+    await runCLI("mail-cli", ["mailboxes", "b"]);
+    await runCLI("mail-cli", ["mailboxes", "a"]);
+    await runCLI("mail-cli", ["mailboxes", "c"]);
+    await runCLI("mail-cli", ["mailboxes", "a"]);
+    await runCLI("mail-cli", ["mailboxes", "b"]);
+    expect(run).toHaveBeenCalledTimes(4);
+
+    await expect(runCLI("mail-cli", ["mailboxes", "broken"])).rejects.toThrow("not running");
+    await expect(runCLI("mail-cli", ["mailboxes", "broken"])).rejects.toThrow("not running");
+    expect(run).toHaveBeenCalledTimes(6);
+  });
+});
+
+describe("cacheOptionsFromEnv", () => {
+  it("is off unless a positive TTL is set", () => {
+    expect(cacheOptionsFromEnv({})).toBeNull();
+    expect(cacheOptionsFromEnv({ APPLE_PIM_CLI_CACHE_TTL: "0" })).toBeNull();
+    expect(cacheOptionsFromEnv({ APPLE_PIM_CLI_CACHE_TTL: "30" })).toEqual({ ttlMs: 30_000, maxEntries: 100 });
+    expect(cacheOptionsFromEnv({ APPLE_PIM_CLI_CACHE_TTL: "5", APPLE_PIM_CLI_CACHE_MAX: "10" })).toEqual({ ttlMs: 5000, maxEntries: 10 });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it, vi } from "vitest";
+import { retryDelay, retryPolicyFromEnv, withRetry } from "../../lib/cli-retry.js";
+import { HelperStuckError, MailNotRunningError, TimeoutError, serializeError } from "../../lib/errors.js";
+
+/** A runCLI that fails with the given errors, then succeeds. */
+function flaky(...errors) {
+  return vi.fn(async (cli, args) => {
+    const error = errors.shift();
+    if (error) throw error;
+    return { success: true, args };
+  });
+}
+
+const policy = (overrides = {}) => ({ sleep: vi.fn(async () => {}), ...overrides });
+
+describe("withRetry", () => {
+  it("retries a stuck helper on reads with exponential backoff", async () => {
+    const run = flaky(new HelperStuckError("-1712"), new HelperStuckError("-1712"));
+    const options = policy();
+
+    const result = await withRetry(run, options)("calendar-cli", ["events"]);
+
+    expect(result.success).toBe(true);
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(options.sleep.mock.calls.map(([ms]) => ms)).toEqual([500, 1000]);
+  });
+
+  it("gives each error code its own attempt budget", async () => {
+    const timeouts = flaky(new TimeoutError("CLI timed out"), new TimeoutError("CLI timed out"));
+    const error = await withRetry(timeouts, policy())("reminder-cli", ["items"]).catch((e) => e);
+
+    expect(timeouts).toHaveBeenCalledTimes(2);
+    expect(serializeError(error)).toMatchObject({ code: "TIMEOUT", attempts: 2 });
+
+    const mail = flaky(new MailNotRunningError("Mail.app is not running"));
+    await expect(withRetry(mail, policy())("mail-cli", ["messages"])).rejects.toBeInstanceOf(MailNotRunningError);
+    expect(mail).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries mutations only when they carry an idempotency key", async () => {
+    const plain = flaky(new HelperStuckError("-1712"));
+    await expect(withRetry(plain, policy())("calendar-cli", ["create", "--title", "Demo"])).rejects.toThrow("-1712");
+    expect(plain).toHaveBeenCalledTimes(1);
+
+    const keyed = flaky(new HelperStuckError("-1712"));
+    await withRetry(keyed, policy())("calendar-cli", ["create", "--title", "Demo"], { idempotencyKey: "k1" });
+    expect(keyed).toHaveBeenCalledTimes(2);
+    expect(keyed).toHaveBeenLastCalledWith("calendar-cli", ["create", "--title", "Demo"], { idempotencyKey: "k1" });
+  });
+
+  it("never retries a timed-out mutation, which may have been applied", async () => {
+    const run = flaky(new TimeoutError("CLI timed out"));
+    await expect(withRetry(run, policy())("mail-cli", ["send"], { idempotencyKey: "k1" })).rejects.toBeInstanceOf(TimeoutError);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("retry settings", () => {
+  it("caps the backoff and reads the attempt limit from the environment", () => {
+    expect([1, 2, 3, 6].map((n) => retryDelay(n, { baseDelayMs: 500, maxDelayMs: 5000 }))).toEqual([500, 1000, 2000, 5000]);
+    expect(retryPolicyFromEnv({}).maxAttempts).toBe(3);
+    expect(retryPolicyFromEnv({ APPLE_PIM_CLI_MAX_ATTEMPTS: "5" }).maxAttempts).toBe(5);
+    expect(retryPolicyFromEnv({ APPLE_PIM_CLI_MAX_ATTEMPTS: "1" })).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+import { mkdtempSync, rmSync, symlinkSync } from "fs";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createCLIRunner } from "../../lib/cli-runner.js";
+import { createWorkerPool, workerOptionsFromEnv } from "../../lib/cli-worker.js";
+
+const FAKE_CLI = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "fake-cli.js");
+const env = (extra = {}) => ({ PATH: process.env.PATH, ...extra });
+
+const pools = [];
+function pool(options = {}, extraEnv = {}) {
+  const fallback = vi.fn(async (args) => ({ success: true, mode: "direct", args }));
+  const created = createWorkerPool(FAKE_CLI, env(extraEnv), { fallback, ...options });
+  pools.push(created);
+  return { pool: created, fallback };
+}
+
+afterEach(() => {
+  while (pools.length) pools.pop().close();
+});
+
+describe("createWorkerPool", () => {
+  it("reuses one resident worker across calls", async () => {
+    const { pool: workers, fallback } = pool({ concurrency: 1 });
+
+    const first = await workers.run(["echo", "1"], 5000);
+    const second = await workers.run(["echo", "2"], 5000);
+
+    expect(first).toMatchObject({ mode: "worker", args: ["echo", "1"] });
+    expect(second.pid).toBe(first.pid);
+    expect(fallback).not.toHaveBeenCalled();
+  });
+
+  it("surfaces command errors and restarts a worker that crashed", async () => {
+    const { pool: workers } = pool({ concurrency: 1 });
+    const { pid } = await workers.run(["echo"], 5000);
+
+    await expect(workers.run(["fail"], 5000)).rejects.toMatchObject({ code: "NOT_FOUND", message: "Error: Event not found" });
+    await expect(workers.run(["crash"], 5000)).rejects.toThrow("fatal error: worker crashed");
+
+    const after = await workers.run(["echo"], 5000);
+    expect(after.pid).not.toBe(pid);
+    expect(workers.supported).toBe(true);
+  });
+
+  it("kills a worker that exceeds the request timeout", async () => {
+    const { pool: workers } = pool({ concurrency: 1 });
+
+    await expect(workers.run(["hang"], 200)).rejects.toMatchObject({ code: "TIMEOUT", message: "CLI timed out after 200ms" });
+    expect((await workers.run(["echo"], 5000)).mode).toBe("worker");
+  });
+
+  it("queues calls beyond the concurrency limit", async () => {
+    const { pool: workers } = pool({ concurrency: 2 });
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => workers.run(["sleep", "50"], 5000)));
+
+    expect(new Set(results.map((r) => r.pid)).size).toBe(2);
+  });
+
+  it("replaces a worker that fails its health check", async () => {
+    const { pool: workers } = pool({ concurrency: 1, healthCheckAfterMs: 0, pingTimeoutMs: 200 }, { FAKE_CLI_PING: "hang" });
+
+    const { pid } = await workers.run(["echo"], 5000);
+    const after = await workers.run(["echo"], 5000);
+
+    expect(after.pid).not.toBe(pid);
+  });
+
+  it("falls back to spawn-per-call when the binary has no worker mode", async () => {
+    const { pool: workers, fallback } = pool({}, { FAKE_CLI_NO_WORKER: "1" });
+
+    expect(await workers.run(["list"], 5000)).toMatchObject({ mode: "direct" });
+    await workers.run(["list"], 5000);
+
+    expect(workers.supported).toBe(false);
+    expect(fallback).toHaveBeenCalledTimes(2);
+  });
+
+  it("gives up on worker mode after repeated crashes", async () => {
+    const { pool: workers, fallback } = pool({ concurrency: 1, maxRestarts: 2 });
+
+    await expect(workers.run(["crash"], 5000)).rejects.toThrow();
+    await expect(workers.run(["crash"], 5000)).rejects.toThrow();
+    await workers.run(["echo"], 5000);
+
+    expect(workers.supported).toBe(false);
+    expect(fallback).toHaveBeenCalledWith(["echo"], 5000);
+  });
+});
+
+describe("createCLIRunner worker mode", () => {
+  afterEach(() => vi.unstubAllEnvs());
+
+  it("routes direct calls through workers and falls back for old binaries", async () => {
+    vi.stubEnv("APPLE_PIM_HELPER_APP", "/nonexistent/PIMHelper.app");
+    const binDir = mkdtempSync(join(tmpdir(), "pim-bin-"));
+    symlinkSync(FAKE_CLI, join(binDir, "calendar-cli"));
+    try {
+      const { runCLI } = createCLIRunner(binDir, {}, { workers: { concurrency: 1 }, cache: null });
+      expect(await runCLI("calendar-cli", ["list"])).toMatchObject({ mode: "worker", args: ["list"] });
+
+      const old = createCLIRunner(binDir, { FAKE_CLI_NO_WORKER: "1" }, { workers: { concurrency: 1 }, cache: null });
+      expect(await old.runCLI("calendar-cli", ["list"])).toMatchObject({ mode: "direct", args: ["list"] });
+    } finally {
+      rmSync(binDir, { recursive: true, force: true });
+    }
+  });
+
+  it("reads the worker count from APPLE_PIM_CLI_WORKERS", () => {
+    expect(workerOptionsFromEnv({})).toBeNull();
+    expect(workerOptionsFromEnv({ APPLE_PIM_CLI_WORKERS: "3" })).toEqual({ concurrency: 3 });
+  });
+});
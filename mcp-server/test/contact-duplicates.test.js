@@ -0,0 +1,190 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  findDuplicateClusters,
+  mergeContactFields,
+  normalizeEmail,
+  normalizeName,
+  normalizePhone,
+} from "../../lib/contact-duplicates.js";
+import { handleContact } from "../../lib/handlers/contact.js";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { markToolResult } from "../../lib/sanitize.js";
+
+describe("normalization", () => {
+  it("normalizes emails, phones and names", () => {
+    expect(normalizeEmail(" Ada@Example.COM ")).toBe("ada@example.com");
+    expect(normalizeEmail("mailto:ada@example.com")).toBe("ada@example.com");
+    expect(normalizeEmail("not an email")).toBeUndefined();
+
+    expect(normalizePhone("(555) 010-0123")).toBe("+15550100123");
+    expect(normalizePhone("1-555-010-0123")).toBe("+15550100123");
+    expect(normalizePhone("+44 20 7946 0958")).toBe("+442079460958");
+    expect(normalizePhone("0044 20 7946 0958")).toBe("+442079460958");
+    expect(normalizePhone("020 7946 0958", "44")).toBe("+442079460958");
+    expect(normalizePhone("555-0100 ext. 12")).toBe("+15550100");
+    expect(normalizePhone("911")).toBeUndefined();
+
+    expect(normalizeName("Lovelace, Ada")).toBe("ada lovelace");
+    expect(normalizeName("  Zoë  O'Brien ")).toBe("brien o zoe");
+  });
+});
+
+describe("findDuplicateClusters", () => {
+  it("links contacts by email, phone and near-identical names", () => {
+    const clusters = findDuplicateClusters([
+      { id: "A1", fullName: "Ada Lovelace", emails: ["ada@example.com"], phones: ["+1 555 010 0123"] },
+      { id: "A2", fullName: "A. Lovelace", emails: ["ADA@example.com"] },
+      { id: "A3", fullName: "Countess of Lovelace", phones: ["(555) 010-0123"] },
+      { id: "B1", fullName: "Jonathan Smith" },
+      { id: "B2", fullName: "Smith, Johnathan" },
+      { id: "C1", fullName: "Grace Hopper", emails: ["grace@example.com"] },
+      { id: "C2", fullName: "Grace Kelly" },
+    ]);
+
+    expect(clusters).toEqual([
+      {
+        ids: ["A1", "A2", "A3"],
+        contacts: expect.any(Array),
+        reasons: [
+          { match: "email", value: "ada@example.com" },
+          { match: "phone", value: "+15550100123" },
+        ],
+        suggestedPrimary: "A1",
+      },
+      {
+        ids: ["B1", "B2"],
+        contacts: expect.any(Array),
+        reasons: [{ match: "name", value: "jonathan smith ~ johnathan smith", similarity: 0.93 }],
+        suggestedPrimary: "B1",
+      },
+    ]);
+  });
+
+  it("matches organizations by name and returns nothing without duplicates", () => {
+    expect(findDuplicateClusters([{ id: "O1", organization: "Acme Corp." }, { id: "O2", organization: "ACME corp" }])[0])
+      .toMatchObject({ ids: ["O1", "O2"], reasons: [{ match: "name", value: "acme corp" }] });
+    expect(findDuplicateClusters([{ id: "X", fullName: "Ada" }, { id: "Y", fullName: "Grace" }])).toEqual([]);
+  });
+});
+
+describe("mergeContactFields", () => {
+  it("fills empty fields, unions lists and joins distinct notes", () => {
+    const { fields, changedFields } = mergeContactFields(
+      {
+        id: "C1",
+        givenName: "Ada",
+        familyName: "Lovelace",
+        emails: [{ label: "work", value: "ada@example.com" }],
+        phones: [{ label: "mobile", value: "+1 555 010 0123" }],
+        notes: "Met at the Royal Society",
+      },
+      [{
+        id: "C2",
+        givenName: "Augusta",
+        familyName: "Lovelace",
+        jobTitle: "Countess",
+        emails: [{ label: "home", value: "ADA@example.com" }, { label: "home", value: "ada@home.example" }],
+        phones: [{ label: "main", value: "(555) 010-0123" }],
+        notes: "Met at the Royal Society",
+      }],
+    );
+
+    expect(fields).toEqual({
+      jobTitle: "Countess",
+      emails: [{ label: "work", value: "ada@example.com" }, { label: "home", value: "ada@home.example" }],
+    });
+    expect(changedFields).toEqual(["emails", "jobTitle"]);
+  });
+
+  it("matches national phone numbers in the given country code", async () => {
+    const primary = { id: "C1", phones: [{ label: "work", value: "+44 20 7946 0000" }] };
+    const other = { id: "C2", phones: [{ label: "main", value: "020 7946 0000" }] };
+    const runCLI = vi.fn(async (cli, args) => (args[0] === "get" ? { contact: args[2] === "C1" ? primary : other } : { success: true }));
+
+    expect(mergeContactFields(primary, [other], { countryCode: "44" }).fields).toEqual({});
+    expect(mergeContactFields(primary, [other]).fields.phones).toHaveLength(2);
+    const result = await handleContact({ action: "merge", id: "C1", ids: ["C2"], countryCode: "44" }, runCLI);
+    expect(result.mergedFields).toEqual([]);
+  });
+});
+
+describe("contact duplicates / merge", () => {
+  const cards = {
+    C1: { id: "C1", givenName: "Ada", familyName: "Lovelace", emails: [{ label: "work", value: "ada@example.com" }] },
+    C2: { id: "C2", givenName: "Ada", familyName: "Lovelace", jobTitle: "Countess" },
+    C3: { id: "C3", givenName: "Ada", familyName: "Lovelace", notes: "From Exchange" },
+  };
+  const fakeCLI = () => vi.fn(async (cli, args) => {
+    if (args[0] === "get") return { contact: cards[args[2]] };
+    if (args[0] === "update") return { success: true, contact: { ...cards.C1, jobTitle: "Countess" } };
+    if (args[0] === "delete" && args[2] === "C3") throw new Error("Contact not found: C3");
+    return { success: true };
+  });
+
+  it("scans the full list and marks names inside clusters", async () => {
+    const runCLI = vi.fn().mockResolvedValue({
+      contacts: [
+        { id: "C1", fullName: "Ada Lovelace", organization: "Analytical Engines" },
+        { id: "C2", fullName: "Ada Lovelace" },
+      ],
+    });
+
+    const result = await handleContact({ action: "duplicates", group: "Work" }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledWith("contacts-cli", ["list", "--group", "Work", "--limit", "5000"]);
+    expect(result).toMatchObject({ success: true, clusterCount: 1, scanned: 2 });
+    const marked = markToolResult(result, "contact");
+    expect(marked.clusters[0].contacts[0].organization).toMatch(/UNTRUSTED_CONTACT_DATA/);
+  });
+
+  it("updates the kept contact before deleting the others", async () => {
+    const runCLI = fakeCLI();
+
+    const result = await handleContact({ action: "merge", id: "C1", ids: ["C1", "C2", "C3"] }, runCLI);
+
+    expect(runCLI.mock.calls.map((c) => c[1])).toEqual([
+      ["get", "--id", "C1"],
+      ["get", "--id", "C2"],
+      ["get", "--id", "C3"],
+      ["update", "--id", "C1", "--job-title", "Countess", "--notes", "From Exchange"],
+      ["delete", "--id", "C2"],
+      ["delete", "--id", "C3"],
+    ]);
+    expect(result).toMatchObject({
+      success: false,
+      mergedFields: ["jobTitle", "notes"],
+      deleted: ["C2"],
+      errors: [{ id: "C3", error: "Contact not found: C3" }],
+    });
+  });
+
+  it("does not delete anything when the update fails", async () => {
+    const runCLI = vi.fn(async (cli, args) => {
+      if (args[0] === "get") return { contact: cards[args[2]] };
+      throw new Error("Merge conflict");
+    });
+
+    await expect(handleContact({ action: "merge", id: "C1", ids: ["C2"] }, runCLI)).rejects.toThrow("Merge conflict");
+    expect(runCLI.mock.calls.some((c) => c[1][0] === "delete")).toBe(false);
+  });
+
+  it("previews the merge on dry run with a destructive warning", async () => {
+    const runCLI = fakeCLI();
+    const wrapped = withAgentDX("contact", handleContact);
+
+    const result = await wrapped({ action: "merge", id: "C1", ids: ["C2"], dryRun: true }, runCLI);
+
+    expect(runCLI.mock.calls.every((c) => c[1][0] === "get")).toBe(true);
+    expect(result).toMatchObject({
+      dryRun: true,
+      description: "Would merge 1 contact(s) into contact C1 and delete them",
+      merge: { update: { id: "C1", jobTitle: "Countess" }, delete: ["C2"] },
+      warning: expect.stringContaining("destructive"),
+    });
+  });
+
+  it("requires a contact to keep and at least one other", async () => {
+    await expect(handleContact({ action: "merge", ids: ["C2"] }, vi.fn())).rejects.toThrow(/to keep is required/);
+    await expect(handleContact({ action: "merge", id: "C1", ids: ["C1"] }, vi.fn())).rejects.toThrow(/at least one other/);
+  });
+});
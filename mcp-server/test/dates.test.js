@@ -0,0 +1,142 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { resolveDate, resolveDateArgs } from "../../lib/dates.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+
+// Wednesday 2026-03-18, 10:00 in Los Angeles (PDT, UTC-7).
+const anchor = { now: new Date("2026-03-18T17:00:00Z"), timeZone: "America/Los_Angeles" };
+const resolve = (phrase) => resolveDate(phrase, anchor);
+
+describe("resolveDate", () => {
+  it("resolves day phrases to dates", () => {
+    expect(resolve("today")).toBe("2026-03-18");
+    expect(resolve("Tomorrow")).toBe("2026-03-19");
+    expect(resolve("friday")).toBe("2026-03-20");
+    expect(resolve("wednesday")).toBe("2026-03-18");
+    expect(resolve("next wednesday")).toBe("2026-03-25");
+    expect(resolve("last friday")).toBe("2026-03-13");
+    expect(resolve("end of month")).toBe("2026-03-31");
+    expect(resolve("end of next month")).toBe("2026-04-30");
+    expect(resolve("end of week")).toBe("2026-03-20");
+    expect(resolve("start of next week")).toBe("2026-03-23");
+  });
+
+  it("resolves day and time phrases to zoned date-times", () => {
+    expect(resolve("next Friday 3pm")).toBe("2026-03-20T15:00:00-07:00");
+    expect(resolve("friday at 3:30 pm")).toBe("2026-03-20T15:30:00-07:00");
+    expect(resolve("tomorrow morning")).toBe("2026-03-19T09:00:00-07:00");
+    expect(resolve("tonight")).toBe("2026-03-18T20:00:00-07:00");
+    expect(resolve("2026-03-17 12pm")).toBe("2026-03-17T12:00:00-07:00");
+    expect(resolve("monday 14:00")).toBe("2026-03-23T14:00:00-07:00");
+  });
+
+  it("resolves relative offsets, keeping wall-clock time across DST", () => {
+    expect(resolve("in 2 hours")).toBe("2026-03-18T12:00:00-07:00");
+    expect(resolve("in 30 minutes")).toBe("2026-03-18T10:30:00-07:00");
+    expect(resolve("3 days ago")).toBe("2026-03-15T10:00:00-07:00");
+    // 2026-03-08 is the spring-forward date in Los Angeles.
+    expect(resolve("2 weeks ago")).toBe("2026-03-04T10:00:00-08:00");
+  });
+
+  it("passes through ISO values and text it does not understand", () => {
+    expect(resolve("2026-03-17")).toBeNull();
+    expect(resolve("2026-03-17T10:00:00Z")).toBeNull();
+    expect(resolve("2026-03-17 14:30")).toBeNull();
+    expect(resolve("03/17/2026")).toBeNull();
+    expect(resolve("the day after the party")).toBeNull();
+    expect(resolve("13pm")).toBeNull();
+  });
+});
+
+describe("resolveDateArgs", () => {
+  it("leaves empty and blank values alone instead of resolving them to today", () => {
+    expect(resolve("")).toBeNull();
+    expect(resolve("   ")).toBeNull();
+    expect(resolveDateArgs("reminder", { action: "create", title: "Call", due: "" }, anchor)).toEqual({
+      args: { action: "create", title: "Call", due: "" },
+      resolvedDates: {},
+    });
+  });
+
+  it("resolves only the tool's date parameters and reports each one", () => {
+    const { args, resolvedDates } = resolveDateArgs("calendar", { action: "create", title: "tomorrow", start: "tomorrow 3pm", end: "2026-03-19T16:00:00-07:00" }, anchor);
+
+    expect(args).toEqual({ action: "create", title: "tomorrow", start: "2026-03-19T15:00:00-07:00", end: "2026-03-19T16:00:00-07:00" });
+    expect(resolvedDates).toEqual({ start: { input: "tomorrow 3pm", resolved: "2026-03-19T15:00:00-07:00" } });
+    expect(resolveDateArgs("mail", { action: "send", to: ["today"] }, anchor).resolvedDates).toEqual({});
+  });
+});
+
+describe("date phrases through withAgentDX", () => {
+  afterEach(() => vi.unstubAllEnvs());
+
+  it("sends the resolved date to the CLI and echoes it in results and previews", async () => {
+    vi.stubEnv("APPLE_PIM_NOW", "2026-03-18T17:00:00Z");
+    vi.stubEnv("APPLE_PIM_TIMEZONE", "America/Los_Angeles");
+    vi.stubEnv("APPLE_PIM_UNDO_JOURNAL", "off");
+    const calendar = withAgentDX("calendar", handleCalendar);
+    const runCLI = vi.fn(async () => ({ success: true, event: { id: "E1" } }));
+
+    const preview = await calendar({ action: "create", title: "Demo", start: "next Friday 3pm", dryRun: true }, runCLI);
+    expect(preview.description).toContain("starting 2026-03-20T15:00:00-07:00");
+    expect(preview.resolvedDates.start.resolved).toBe("2026-03-20T15:00:00-07:00");
+
+    const result = await calendar({ action: "create", title: "Demo", start: "next Friday 3pm" }, runCLI);
+    expect(runCLI).toHaveBeenCalledWith("calendar-cli", ["create", "--title", "Demo", "--start", "2026-03-20T15:00:00-07:00"]);
+    expect(result.resolvedDates).toEqual({ start: { input: "next Friday 3pm", resolved: "2026-03-20T15:00:00-07:00" } });
+  });
+});
+
+describe("event time zones", () => {
+  it("reads wall-clock times and phrases in the event's own zone", () => {
+    const { args, resolvedDates } = resolveDateArgs("calendar", {
+      action: "create",
+      start: "tomorrow 9am",
+      end: "2026-03-19T10:30",
+      timeZone: "Europe/London",
+    }, anchor);
+
+    expect(args.start).toBe("2026-03-19T09:00:00+00:00");
+    expect(args.end).toBe("2026-03-19T10:30:00+00:00");
+    expect(resolvedDates.end).toEqual({ input: "2026-03-19T10:30", resolved: "2026-03-19T10:30:00+00:00" });
+  });
+
+  it("resolves each batch_create event in its own zone", () => {
+    const { args, resolvedDates } = resolveDateArgs("calendar", {
+      action: "batch_create",
+      events: [
+        { title: "London", start: "2026-04-01 09:00", timeZone: "Europe/London" },
+        { title: "Berlin", start: "2026-04-01T09:00:00Z", timeZone: "Europe/Berlin" },
+      ],
+    }, anchor);
+
+    expect(args.events.map((e) => e.start)).toEqual(["2026-04-01T09:00:00+01:00", "2026-04-01T09:00:00Z"]);
+    expect(Object.keys(resolvedDates)).toEqual(["events[0].start"]);
+  });
+
+  it("rejects unknown zones", () => {
+    expect(() => resolveDateArgs("calendar", { action: "create", start: "2026-04-01 09:00", timeZone: "Mars/Olympus" }, anchor))
+      .toThrow("Unknown time zone: Mars/Olympus");
+  });
+
+  it("passes timeZone to calendar-cli and rewrites local times for display", async () => {
+    const runCLI = vi.fn(async (cli, args) => (args[0] === "events"
+      ? {
+        success: true,
+        events: [
+          { id: "E1", startDate: "2026-03-20T16:00:00Z", endDate: "2026-03-20T17:00:00Z", localStart: "2026-03-20 9:00 AM", isAllDay: false },
+          { id: "E2", startDate: "2026-03-21T07:00:00Z", localStart: "2026-03-21 12:00 AM", isAllDay: true },
+        ],
+      }
+      : { success: true }));
+
+    await handleCalendar({ action: "create", title: "Sync", start: "2026-03-20T09:00:00+00:00", timeZone: "Europe/London" }, runCLI);
+    expect(runCLI).toHaveBeenLastCalledWith("calendar-cli", [
+      "create", "--title", "Sync", "--start", "2026-03-20T09:00:00+00:00", "--time-zone", "Europe/London",
+    ]);
+
+    const result = await handleCalendar({ action: "events", displayTimeZone: "Europe/Berlin" }, runCLI);
+    expect(result.events[0]).toMatchObject({ localStart: "2026-03-20 5:00 PM", localEnd: "2026-03-20 6:00 PM", localTimeZone: "Europe/Berlin" });
+    expect(result.events[1].localStart).toBe("2026-03-21 12:00 AM");
+  });
+});
@@ -14,6 +14,9 @@ describe("isMutation", () => {
     expect(isMutation("calendar", "events")).toBe(false);
     expect(isMutation("calendar", "get")).toBe(false);
     expect(isMutation("calendar", "search")).toBe(false);
+    expect(isMutation("calendar", "free_slots")).toBe(false);
+    expect(isMutation("calendar", "export_ics")).toBe(false);
+    expect(isMutation("calendar", "import_ics")).toBe(false);
     expect(isMutation("calendar", "schema")).toBe(false);
   });
 
@@ -24,22 +27,47 @@ describe("isMutation", () => {
     expect(isMutation("reminder", "batch_delete")).toBe(true);
   });
 
+  it("treats contact import_vcard as a mutation and export_vcard as a read", () => {
+    expect(isMutation("contact", "import_vcard")).toBe(true);
+    expect(isMutation("contact", "export_vcard")).toBe(false);
+  });
+
+  it("treats contact merge as a mutation and duplicates as a read", () => {
+    expect(isMutation("contact", "merge")).toBe(true);
+    expect(isMutation("contact", "duplicates")).toBe(false);
+  });
+
   it("identifies mail mutation actions", () => {
     expect(isMutation("mail", "send")).toBe(true);
     expect(isMutation("mail", "reply")).toBe(true);
+    expect(isMutation("mail", "reply_all")).toBe(true);
+    expect(isMutation("mail", "forward")).toBe(true);
     expect(isMutation("mail", "move")).toBe(true);
     expect(isMutation("mail", "delete")).toBe(true);
     expect(isMutation("mail", "batch_update")).toBe(true);
     expect(isMutation("mail", "batch_delete")).toBe(true);
   });
 
+  it("treats draft changes as mutations and listing drafts as a read", () => {
+    expect(isMutation("mail", "draft_create")).toBe(true);
+    expect(isMutation("mail", "draft_update")).toBe(true);
+    expect(isMutation("mail", "draft_send")).toBe(true);
+    expect(isMutation("mail", "draft_delete")).toBe(true);
+    expect(isMutation("mail", "drafts")).toBe(false);
+  });
+
   it("returns false for unknown tools", () => {
     expect(isMutation("unknown", "create")).toBe(false);
   });
 
-  it("returns false for apple-pim (no mutations)", () => {
+  it("returns false for apple-pim read actions", () => {
     expect(isMutation("apple-pim", "status")).toBe(false);
     expect(isMutation("apple-pim", "authorize")).toBe(false);
+    expect(isMutation("apple-pim", "history")).toBe(false);
+  });
+
+  it("returns true for apple-pim undo", () => {
+    expect(isMutation("apple-pim", "undo")).toBe(true);
   });
 });
 
@@ -82,6 +110,12 @@ describe("buildDryRunResponse", () => {
     expect(response.description).toContain("Meeting notes");
   });
 
+  it("describes drafts as not sent", () => {
+    const draft = buildDryRunResponse("mail", { action: "draft_create", to: ["alice@example.com"], subject: "Notes" });
+    expect(draft.description).toBe('Would save a draft to alice@example.com with subject "Notes" (not sent)');
+    expect(buildDryRunResponse("mail", { action: "draft_send", draftId: "D1" }).description).toBe("Would send draft D1");
+  });
+
   it("describes batch operations with counts", () => {
     const response = buildDryRunResponse("reminder", {
       action: "batch_delete",
@@ -143,4 +177,22 @@ describe("buildDryRunResponse", () => {
     expect(response.parameters).not.toHaveProperty("profile");
     expect(response.parameters).toHaveProperty("title", "Test");
   });
+
+  it("includes a calendar conflict report when one is supplied", () => {
+    const conflicts = [{ id: "E1", title: "Standup", start: "2026-03-05T15:00:00Z", end: "2026-03-05T15:30:00Z" }];
+    const response = buildDryRunResponse(
+      "calendar",
+      { action: "create", title: "1:1", start: "2026-03-05T15:00:00Z", checkConflicts: true },
+      { conflicts },
+    );
+    expect(response.conflicts).toEqual(conflicts);
+    expect(response.description).toContain("would be refused");
+
+    const allowed = buildDryRunResponse(
+      "calendar",
+      { action: "create", title: "1:1", start: "2026-03-05T15:00:00Z", checkConflicts: true, allowConflicts: true },
+      { conflicts },
+    );
+    expect(allowed.description).toContain("allowConflicts");
+  });
 });
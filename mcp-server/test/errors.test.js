@@ -0,0 +1,96 @@
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { describe, expect, it, vi } from "vitest";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { createCLIRunner } from "../../lib/cli-runner.js";
+import {
+  BinaryMissingError,
+  MailNotRunningError,
+  NotFoundError,
+  PermissionDeniedError,
+  TimeoutError,
+  ValidationError,
+  fromCLIFailure,
+  serializeError,
+} from "../../lib/errors.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+import { validateAttachment } from "../../lib/safe-attachments.js";
+
+describe("fromCLIFailure", () => {
+  it("types the failures the CLIs report", () => {
+    const cases = [
+      ["Error: Event not found: E1\n", NotFoundError],
+      ["Error: No occurrence of event E1 on 2030-01-14", NotFoundError],
+      ["Error: Calendar access denied. Grant access in System Settings > Privacy & Security > Calendars", PermissionDeniedError],
+      ["Error: Calendar 'Work' is not in your allowed list", PermissionDeniedError],
+      ["Error: Mail.app is not running. Please open Mail.app first.", MailNotRunningError],
+      ["Error: Mail.app did not respond within 30 seconds", TimeoutError],
+      ["Error: Invalid start date: someday", ValidationError],
+      ["Error: Unknown option '--colour'", ValidationError],
+    ];
+    for (const [message, ErrorType] of cases) {
+      expect(fromCLIFailure(message)).toBeInstanceOf(ErrorType);
+    }
+    expect(fromCLIFailure("Segmentation fault")).not.toHaveProperty("code");
+  });
+});
+
+describe("serializeError", () => {
+  it("includes code, retryable and hint", () => {
+    expect(serializeError(new MailNotRunningError("Mail.app is not running"))).toEqual({
+      success: false,
+      error: "Mail.app is not running",
+      code: "MAIL_NOT_RUNNING",
+      retryable: true,
+      hint: "Ask the user to open Mail.app, then retry.",
+    });
+    expect(serializeError(new NotFoundError("Event not found: E1", { hint: "Search by title instead." })).hint)
+      .toBe("Search by title instead.");
+    expect(serializeError(new Error("boom"))).toEqual({ success: false, error: "boom", code: "UNKNOWN_ERROR", retryable: false });
+  });
+});
+
+describe("typed errors from handlers and the runner", () => {
+  it("reports missing arguments as validation errors", async () => {
+    const calendar = withAgentDX("calendar", handleCalendar);
+
+    await expect(calendar({ action: "get" }, vi.fn())).rejects.toBeInstanceOf(ValidationError);
+    await expect(calendar({ action: "launch" }, vi.fn())).rejects.toMatchObject({ code: "VALIDATION_ERROR", retryable: false });
+    await expect(calendar({ action: "import_ics", file: 42 }, vi.fn())).rejects.toMatchObject({
+      code: "VALIDATION_ERROR",
+      message: "file must be a non-empty path string for import_ics",
+    });
+  });
+
+  it("passes typed CLI failures through handlers", async () => {
+    const runCLI = vi.fn(async () => {
+      throw fromCLIFailure("Error: Event not found: E9");
+    });
+
+    await expect(handleCalendar({ action: "get", id: "E9" }, runCLI)).rejects.toMatchObject({ code: "NOT_FOUND" });
+  });
+
+  it("reports a missing CLI binary", async () => {
+    const binDir = mkdtempSync(join(tmpdir(), "pim-bin-"));
+    try {
+      const { runCLI } = createCLIRunner(binDir, {}, { cache: null, workers: null });
+      await expect(runCLI("calendar-cli", ["list"])).rejects.toBeInstanceOf(BinaryMissingError);
+    } finally {
+      rmSync(binDir, { recursive: true, force: true });
+    }
+  });
+
+  it("reports attachment policy refusals as permission denied, with a policy hint", () => {
+    const error = (() => {
+      try {
+        validateAttachment("/tmp/report.pdf", { policy: { enabled: false } });
+      } catch (e) {
+        return e;
+      }
+    })();
+
+    expect(error).toBeInstanceOf(PermissionDeniedError);
+    expect(error.hint).toContain("ask the user");
+  });
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Stand-in for a Swift CLI in runner tests. `fake-cli <args>` prints its
+// arguments as JSON, like a one-shot CLI call. `fake-cli worker` speaks the
+// worker protocol (see lib/cli-worker.js) unless FAKE_CLI_NO_WORKER is set,
+// in which case it fails like a build that predates worker mode.
+//
+// Worker commands: `echo ...` answers, `fail` returns an error, `crash`
+// exits mid-request, `hang` never answers, `sleep <ms>` answers late.
+// FAKE_CLI_PING=hang makes health checks go unanswered.
+
+import { createInterface } from "node:readline";
+
+const command = process.argv[2];
+
+if (command !== "worker") {
+  process.stdout.write(JSON.stringify({ success: true, mode: "direct", args: process.argv.slice(2) }));
+  process.exit(0);
+}
+
+if (process.env.FAKE_CLI_NO_WORKER) {
+  process.stderr.write("Error: Unexpected argument 'worker'\n");
+  process.exit(64);
+}
+
+const send = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+send({ ready: true, protocol: 1 });
+
+createInterface({ input: process.stdin }).on("line", (line) => {
+  const { id, ping, args = [] } = JSON.parse(line);
+  if (ping) {
+    if (process.env.FAKE_CLI_PING !== "hang") send({ id, ok: true, pong: true });
+    return;
+  }
+  const output = JSON.stringify({ success: true, mode: "worker", pid: process.pid, args });
+  switch (args[0]) {
+    case "fail":
+      send({ id, ok: false, error: "Error: Event not found" });
+      break;
+    case "crash":
+      process.stderr.write("fatal error: worker crashed\n");
+      process.exit(1);
+      break;
+    case "hang":
+      break;
+    case "sleep":
+      setTimeout(() => send({ id, ok: true, output }), Number(args[1]));
+      break;
+    default:
+      send({ id, ok: true, output });
+  }
+});
@@ -0,0 +1,171 @@
+import { describe, expect, it } from "vitest";
+import {
+  findFreeSlots,
+  mergeBusyIntervals,
+  parseRangeDate,
+  resolveSlotRange,
+} from "../../lib/free-slots.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+
+// Local-time helpers so assertions hold in any TZ the suite runs in.
+const at = (d, h, m = 0) => new Date(2026, 2, d, h, m);
+const event = (start, end, extra = {}) => ({
+  id: `E-${start.getTime()}`,
+  startDate: start.toISOString(),
+  endDate: end.toISOString(),
+  isAllDay: false,
+  ...extra,
+});
+
+// Monday 2026-03-16 .. Friday 2026-03-20
+const monday = { from: at(16, 0), to: at(16, 23, 59), now: at(1, 0) };
+
+describe("mergeBusyIntervals", () => {
+  it("merges overlapping and back-to-back events", () => {
+    const merged = mergeBusyIntervals([
+      event(at(16, 10), at(16, 11)),
+      event(at(16, 10, 30), at(16, 11, 30)),
+      event(at(16, 11, 30), at(16, 12)),
+      event(at(16, 14), at(16, 15)),
+    ]);
+    expect(merged).toEqual([
+      { start: at(16, 10).getTime(), end: at(16, 12).getTime() },
+      { start: at(16, 14).getTime(), end: at(16, 15).getTime() },
+    ]);
+  });
+
+  it("ignores all-day events unless includeAllDay is set", () => {
+    const holiday = event(at(16, 0), at(17, 0), { isAllDay: true });
+    expect(mergeBusyIntervals([holiday])).toEqual([]);
+    expect(mergeBusyIntervals([holiday], { includeAllDay: true })).toHaveLength(1);
+  });
+
+  it("accepts fixture-style start/end/allDay keys", () => {
+    const merged = mergeBusyIntervals([
+      { start: at(16, 9).toISOString(), end: at(16, 10).toISOString(), allDay: false },
+    ]);
+    expect(merged).toHaveLength(1);
+  });
+});
+
+describe("findFreeSlots", () => {
+  it("returns gaps between meetings inside working hours", () => {
+    const slots = findFreeSlots(
+      [event(at(16, 9), at(16, 10)), event(at(16, 12), at(16, 13))],
+      { ...monday, duration: 60 },
+    );
+    expect(slots.map((s) => [new Date(s.start).getTime(), s.gapMinutes])).toEqual([
+      [at(16, 10).getTime(), 120],
+      [at(16, 13).getTime(), 240],
+    ]);
+    expect(new Date(slots[0].end).getTime()).toBe(at(16, 11).getTime());
+    expect(slots[0].localStart).toBe("2026-03-16 10:00 AM");
+  });
+
+  it("skips gaps shorter than the requested duration", () => {
+    const slots = findFreeSlots(
+      [event(at(16, 9), at(16, 10)), event(at(16, 10, 20), at(16, 17))],
+      { ...monday, duration: 30 },
+    );
+    expect(slots).toEqual([]);
+  });
+
+  it("reads weekday-prefixed dates from the day-* output formats", () => {
+    const dayFormat = (date) => `Monday, ${date.toISOString()}`;
+    const fullDay = event(at(16, 9), at(16, 17), { startDate: dayFormat(at(16, 9)), endDate: dayFormat(at(16, 17)) });
+
+    expect(findFreeSlots([fullDay], { ...monday, duration: 30 })).toEqual([]);
+  });
+
+  it("does not let an all-day event block the day", () => {
+    const slots = findFreeSlots(
+      [event(at(16, 0), at(17, 0), { isAllDay: true })],
+      { ...monday, duration: 30 },
+    );
+    expect(slots).toHaveLength(1);
+    expect(slots[0].gapMinutes).toBe(8 * 60);
+  });
+
+  it("respects custom working hours and days", () => {
+    const slots = findFreeSlots([], {
+      from: at(16, 0),
+      to: at(22, 23, 59),
+      now: at(1, 0),
+      duration: 30,
+      workingHours: { start: "08:00", end: "12:00", days: ["saturday"] },
+    });
+    expect(slots).toHaveLength(1);
+    expect(new Date(slots[0].start).getTime()).toBe(at(21, 8).getTime());
+  });
+
+  it("never proposes slots in the past", () => {
+    const slots = findFreeSlots([], { ...monday, now: at(16, 15, 30), duration: 30 });
+    expect(slots).toHaveLength(1);
+    expect(new Date(slots[0].start).getTime()).toBe(at(16, 15, 30).getTime());
+  });
+
+  it("ranks by gap size with prefer: longest", () => {
+    const slots = findFreeSlots(
+      [event(at(16, 10), at(16, 16))],
+      { ...monday, duration: 30, prefer: "longest" },
+    );
+    expect(slots.map((s) => s.gapMinutes)).toEqual([60, 60]);
+    const week = findFreeSlots(
+      [event(at(16, 10), at(16, 17))],
+      { from: at(16, 0), to: at(17, 23, 59), now: at(1, 0), duration: 30, prefer: "longest" },
+    );
+    expect(week[0].gapMinutes).toBe(8 * 60);
+  });
+
+  it("rejects invalid working hours", () => {
+    expect(() =>
+      findFreeSlots([], { ...monday, duration: 30, workingHours: { start: "17:00", end: "09:00" } }),
+    ).toThrow(/must be after/);
+  });
+});
+
+describe("resolveSlotRange", () => {
+  it("treats a date-only 'to' as the end of that day", () => {
+    const { from, to } = resolveSlotRange({ from: "2026-03-16", to: "2026-03-16" });
+    expect(from.getTime()).toBe(at(16, 0).getTime());
+    expect(to.getTime()).toBe(parseRangeDate("2026-03-16", { endOfDay: true }).getTime());
+  });
+
+  it("defaults to seven days from local midnight", () => {
+    const { from, to } = resolveSlotRange({}, at(16, 14));
+    expect(from.getTime()).toBe(at(16, 0).getTime());
+    expect(to.getTime()).toBe(at(23, 0).getTime());
+  });
+});
+
+describe("calendar free_slots action", () => {
+  it("queries events once per calendar and returns slots", async () => {
+    const calls = [];
+    const runCLI = async (cli, args) => {
+      calls.push({ cli, args });
+      return { success: true, events: [] };
+    };
+    const result = await handleCalendar(
+      {
+        action: "free_slots",
+        from: "2030-03-18",
+        to: "2030-03-18",
+        duration: 45,
+        calendars: ["Work", "Personal"],
+      },
+      runCLI,
+    );
+    expect(calls).toHaveLength(2);
+    expect(calls[0].args).toContain("events");
+    expect(calls[0].args).toContain("Work");
+    expect(calls[1].args).toContain("Personal");
+    expect(result.count).toBe(1);
+    expect(result.slots[0].gapMinutes).toBe(8 * 60);
+  });
+
+  it("requires a duration", async () => {
+    await expect(handleCalendar({ action: "free_slots" }, async () => ({}))).rejects.toThrow(
+      "Duration (minutes) is required",
+    );
+  });
+});
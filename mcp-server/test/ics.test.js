@@ -0,0 +1,299 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdtempSync, rmSync, symlinkSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { eventsToICS, parseICS, readICSFile } from "../../lib/ics.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+
+const NOW = new Date("2030-01-01T00:00:00Z");
+
+const ics = (...lines) => ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR"].join("\r\n");
+const vevent = (...lines) => ["BEGIN:VEVENT", ...lines, "END:VEVENT"];
+
+describe("eventsToICS", () => {
+  it("serializes times, text, recurrence, attendees and alarms", () => {
+    const text = eventsToICS([{
+      id: "E1",
+      title: "Review; Q1, plan",
+      startDate: "2030-01-07T16:00:00Z",
+      endDate: "2030-01-07T17:00:00Z",
+      isAllDay: false,
+      location: "Room 4",
+      notes: "Line one\nLine two",
+      recurrence: [{ frequency: "weekly", interval: 2, daysOfTheWeek: ["monday", "wednesday"], occurrenceCount: 5 }],
+      attendees: [{ name: "Doe, Jane", email: "jane@example.com", role: "required", status: "accepted" }],
+      alarms: [{ relativeOffset: -900 }],
+    }], { now: NOW });
+
+    const lines = text.replace(/\r\n /g, "").split("\r\n");
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(lines).toContain("UID:E1");
+    expect(lines).toContain("DTSTAMP:20300101T000000Z");
+    expect(lines).toContain("DTSTART:20300107T160000Z");
+    expect(lines).toContain("DTEND:20300107T170000Z");
+    expect(lines).toContain("SUMMARY:Review\\; Q1\\, plan");
+    expect(lines).toContain("DESCRIPTION:Line one\\nLine two");
+    expect(lines).toContain("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5");
+    expect(lines).toContain('ATTENDEE;CN="Doe, Jane";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:jane@example.com');
+    expect(lines).toContain("TRIGGER:-PT15M");
+    expect(text.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+
+  it("writes all-day events as DATE values with an exclusive DTEND", () => {
+    const start = new Date(2030, 0, 7);
+    const end = new Date(2030, 0, 8, 23, 59, 59);
+    const lines = eventsToICS([{ id: "E2", title: "Offsite", startDate: start.toISOString(), endDate: end.toISOString(), isAllDay: true }], { now: NOW }).split("\r\n");
+
+    expect(lines).toContain("DTSTART;VALUE=DATE:20300107");
+    expect(lines).toContain("DTEND;VALUE=DATE:20300109");
+  });
+
+  it("reads weekday-prefixed dates and rejects events without a start", () => {
+    const lines = eventsToICS([{
+      id: "E4",
+      title: "Sync",
+      startDate: "Monday, 2030-01-07T08:00:00-08:00",
+      endDate: "Monday, 2030-01-07T09:00:00-08:00",
+      recurrence: [{ frequency: "daily", endDate: "Friday, 2030-01-11T08:00:00-08:00" }],
+    }], { now: NOW }).split("\r\n");
+
+    expect(lines).toContain("DTSTART:20300107T160000Z");
+    expect(lines).toContain("DTEND:20300107T170000Z");
+    expect(lines).toContain("RRULE:FREQ=DAILY;UNTIL=20300111T160000Z");
+    expect(() => eventsToICS([{ id: "E5", title: "Broken", startDate: "soon" }])).toThrow(
+      expect.objectContaining({ code: "VALIDATION_ERROR", message: expect.stringMatching(/Cannot export event E5: invalid start date/) }),
+    );
+  });
+
+  it("folds long lines at 75 octets without splitting characters", () => {
+    const text = eventsToICS([{ id: "E3", title: "é".repeat(100), startDate: "2030-01-07T16:00:00Z", endDate: "2030-01-07T17:00:00Z" }], { now: NOW });
+
+    for (const line of text.split("\r\n")) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    expect(parseICS(text).events[0].title).toBe("é".repeat(100));
+  });
+});
+
+describe("parseICS", () => {
+  it("parses a UTC invite into a batch_create event", () => {
+    const { events, warnings } = parseICS(ics(...vevent(
+      "UID:abc",
+      "DTSTART:20300107T160000Z",
+      "DTEND:20300107T163000Z",
+      "SUMMARY:Design review",
+      "LOCATION:Room 4\\, 2nd floor",
+      "DESCRIPTION:Agenda:\\n1. Mocks",
+      "ORGANIZER;CN=Sam:mailto:sam@example.com",
+      "ATTENDEE;CN=\"Doe, Jane\";ROLE=OPT-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:jane@example.com",
+      "BEGIN:VALARM",
+      "TRIGGER:-PT10M",
+      "ACTION:DISPLAY",
+      "END:VALARM",
+    )));
+
+    expect(warnings).toEqual([]);
+    expect(events).toEqual([{
+      title: "Design review",
+      start: "2030-01-07T16:00:00Z",
+      end: "2030-01-07T16:30:00Z",
+      location: "Room 4, 2nd floor",
+      notes: "Agenda:\n1. Mocks",
+      attendees: [{ email: "jane@example.com", name: "Doe, Jane", role: "optional" }],
+      alarm: [10],
+    }]);
+  });
+
+  it("converts TZID times to UTC, across a DST boundary", () => {
+    const { events } = parseICS(ics(
+      ...vevent("DTSTART;TZID=America/New_York:20300107T090000", "DURATION:PT45M", "SUMMARY:Winter"),
+      ...vevent("DTSTART;TZID=America/New_York:20300708T090000", "SUMMARY:Summer"),
+    ));
+
+    expect(events[0]).toMatchObject({ start: "2030-01-07T14:00:00Z", duration: 45 });
+    expect(events[1].start).toBe("2030-07-08T13:00:00Z");
+  });
+
+  it("keeps floating times local and maps all-day DTEND to the last day", () => {
+    const { events } = parseICS(ics(
+      ...vevent("DTSTART:20300107T090000", "SUMMARY:Floating"),
+      ...vevent("DTSTART;VALUE=DATE:20300107", "DTEND;VALUE=DATE:20300108", "SUMMARY:One day"),
+      ...vevent("DTSTART;VALUE=DATE:20300107", "DTEND;VALUE=DATE:20300110", "SUMMARY:Three days"),
+    ));
+
+    expect(events[0].start).toBe("2030-01-07T09:00:00");
+    expect(events[1]).toEqual({ title: "One day", start: "2030-01-07", allDay: true });
+    expect(events[2]).toEqual({ title: "Three days", start: "2030-01-07", end: "2030-01-09", allDay: true });
+  });
+
+  it("maps RRULEs onto the recurrence schema and warns about what it drops", () => {
+    const { events, warnings } = parseICS(ics(...vevent(
+      "DTSTART:20300107T160000Z",
+      "SUMMARY:Sync",
+      "RRULE:FREQ=MONTHLY;BYDAY=2TU;UNTIL=20301231T000000Z;BYSETPOS=1",
+      "EXDATE:20300211T160000Z",
+    )));
+
+    expect(events[0].recurrence).toEqual({
+      frequency: "monthly",
+      daysOfTheWeek: ["tuesday"],
+      endDate: "2030-12-31T00:00:00Z",
+    });
+    expect(warnings).toEqual(expect.arrayContaining([
+      expect.stringContaining("2TU"),
+      expect.stringContaining("BYSETPOS"),
+      expect.stringContaining("EXDATE"),
+    ]));
+  });
+
+  it("skips cancelled events and occurrence overrides", () => {
+    const { events, warnings } = parseICS(ics(
+      ...vevent("DTSTART:20300107T160000Z", "SUMMARY:Kept"),
+      ...vevent("DTSTART:20300108T160000Z", "SUMMARY:Gone", "STATUS:CANCELLED"),
+      ...vevent("DTSTART:20300109T160000Z", "SUMMARY:Moved", "RECURRENCE-ID:20300109T150000Z"),
+    ));
+
+    expect(events.map((e) => e.title)).toEqual(["Kept"]);
+    expect(warnings).toHaveLength(2);
+  });
+
+  it("unfolds folded lines and round-trips an export", () => {
+    const exported = eventsToICS([{
+      id: "E1",
+      title: "Planning",
+      startDate: "2030-01-07T16:00:00Z",
+      endDate: "2030-01-07T17:00:00Z",
+      notes: "x".repeat(200),
+      recurrence: [{ frequency: "daily", occurrenceCount: 3 }],
+    }], { now: NOW });
+
+    expect(parseICS(exported).events[0]).toEqual({
+      title: "Planning",
+      start: "2030-01-07T16:00:00Z",
+      end: "2030-01-07T17:00:00Z",
+      notes: "x".repeat(200),
+      recurrence: { frequency: "daily", occurrenceCount: 3 },
+    });
+  });
+
+  it("writes a recurring series once when given several of its occurrences", () => {
+    const occurrence = (date) => ({
+      id: "S1",
+      title: "Standup",
+      startDate: `${date}T16:00:00Z`,
+      endDate: `${date}T16:15:00Z`,
+      recurrence: [{ frequency: "daily", occurrenceCount: 5 }],
+      occurrenceDate: `${date}T16:00:00Z`,
+      isDetached: false,
+    });
+    const moved = { ...occurrence("2030-01-09"), startDate: "2030-01-09T18:00:00Z", endDate: "2030-01-09T18:15:00Z", isDetached: true };
+
+    const exported = eventsToICS([occurrence("2030-01-07"), occurrence("2030-01-08"), moved], { now: NOW });
+    const { events, warnings } = parseICS(exported);
+
+    expect(exported.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(exported.match(/RRULE:/g)).toHaveLength(1);
+    expect(exported).toContain("RECURRENCE-ID:20300109T160000Z");
+    expect(events).toEqual([{
+      title: "Standup",
+      start: "2030-01-07T16:00:00Z",
+      end: "2030-01-07T16:15:00Z",
+      recurrence: { frequency: "daily", occurrenceCount: 5 },
+    }]);
+    expect(warnings).toEqual(["event 2: occurrence override (RECURRENCE-ID), skipped"]);
+  });
+
+  it("rejects text that is not a VCALENDAR", () => {
+    expect(() => parseICS("")).toThrow("iCalendar text is empty");
+    expect(() => parseICS("hello")).toThrow(/Not an iCalendar document/);
+    expect(() => parseICS(ics(...vevent("SUMMARY:No start")))).toThrow("event 1 has no DTSTART");
+  });
+});
+
+describe("readICSFile", () => {
+  let workdir;
+
+  beforeEach(() => {
+    workdir = mkdtempSync(join(tmpdir(), "pim-ics-"));
+  });
+
+  afterEach(() => {
+    rmSync(workdir, { recursive: true, force: true });
+  });
+
+  it("reads .ics files and refuses anything else", () => {
+    const invite = join(workdir, "invite.ics");
+    writeFileSync(invite, ics());
+    const notes = join(workdir, "notes.txt");
+    writeFileSync(notes, "secret");
+    const disguised = join(workdir, "link.ics");
+    symlinkSync(notes, disguised);
+
+    expect(readICSFile(invite)).toContain("BEGIN:VCALENDAR");
+    expect(() => readICSFile(notes)).toThrow(/import_ics only reads .ics files/);
+    expect(() => readICSFile(disguised)).toThrow(/import_ics only reads .ics files/);
+    expect(() => readICSFile(join(workdir, "missing.ics"))).toThrow(/Import file not found/);
+  });
+});
+
+describe("calendar export_ics / import_ics", () => {
+  it("exports the events range query as iCalendar", async () => {
+    const runCLI = vi.fn().mockResolvedValue({
+      events: [{ id: "E1", title: "Standup", startDate: "2030-01-07T16:00:00Z", endDate: "2030-01-07T16:15:00Z" }],
+    });
+
+    const result = await handleCalendar({ action: "export_ics", from: "2030-01-07", to: "2030-01-08", calendar: "Work" }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledWith("calendar-cli", ["events", "--calendar", "Work", "--from", "2030-01-07", "--to", "2030-01-08"]);
+    expect(result.count).toBe(1);
+    expect(result.ics).toContain("SUMMARY:Standup");
+  });
+
+  it("exports a recurring series from its own start, not the first occurrence in range", async () => {
+    const series = { id: "S1", title: "Standup", recurrence: [{ frequency: "daily", occurrenceCount: 10 }] };
+    const runCLI = vi.fn(async (cli, args) => (args[0] === "get"
+      ? { event: { ...series, startDate: "2030-01-01T16:00:00Z", endDate: "2030-01-01T16:15:00Z" } }
+      : {
+        events: ["2030-01-07", "2030-01-08"].map((date) => ({
+          ...series, startDate: `${date}T16:00:00Z`, endDate: `${date}T16:15:00Z`, occurrenceDate: `${date}T16:00:00Z`, isDetached: false,
+        })),
+      }));
+
+    const result = await handleCalendar({ action: "export_ics", from: "2030-01-07", to: "2030-01-09" }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledWith("calendar-cli", ["get", "--id", "S1"]);
+    expect(result.count).toBe(1);
+    expect(result.ics).toContain("DTSTART:20300101T160000Z");
+    expect(result.ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+
+  it("exports a single event by id", async () => {
+    const runCLI = vi.fn().mockResolvedValue({
+      success: true,
+      event: { id: "E1", title: "Standup", startDate: "2030-01-07T16:00:00Z", endDate: "2030-01-07T16:15:00Z" },
+    });
+
+    const result = await handleCalendar({ action: "export_ics", id: "E1" }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledWith("calendar-cli", ["get", "--id", "E1"]);
+    expect(result.ics).toContain("UID:E1");
+  });
+
+  it("imports without calling the CLI and applies the target calendar", async () => {
+    const runCLI = vi.fn();
+
+    const result = await handleCalendar({
+      action: "import_ics",
+      calendar: "Work",
+      ics: ics(...vevent("DTSTART:20300107T160000Z", "SUMMARY:Invite")),
+    }, runCLI);
+
+    expect(runCLI).not.toHaveBeenCalled();
+    expect(result.events).toEqual([{ title: "Invite", start: "2030-01-07T16:00:00Z", calendar: "Work" }]);
+    expect(result.count).toBe(1);
+  });
+
+  it("requires file or ics", async () => {
+    await expect(handleCalendar({ action: "import_ics" }, vi.fn())).rejects.toThrow(/Either file/);
+  });
+});
@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { NotFoundError, serializeError, TimeoutError } from "../../lib/errors.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+
+let workdir;
+let storePath;
+const previousEnv = {
+  APPLE_PIM_IDEMPOTENCY_STORE: process.env.APPLE_PIM_IDEMPOTENCY_STORE,
+  APPLE_PIM_UNDO_JOURNAL: process.env.APPLE_PIM_UNDO_JOURNAL,
+};
+
+const mail = withAgentDX("mail", handleMail);
+const calendar = withAgentDX("calendar", handleCalendar);
+const send = { action: "send", to: ["sam@example.com"], subject: "Hi", body: "Hello", idempotencyKey: "send-1" };
+
+beforeEach(() => {
+  workdir = mkdtempSync(join(tmpdir(), "pim-idempotency-"));
+  storePath = join(workdir, "idempotency.json");
+  process.env.APPLE_PIM_IDEMPOTENCY_STORE = storePath;
+  process.env.APPLE_PIM_UNDO_JOURNAL = "off";
+});
+
+afterEach(() => {
+  rmSync(workdir, { recursive: true, force: true });
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe("idempotencyKey", () => {
+  it("runs a keyed send once and replays its result", async () => {
+    const runCLI = vi.fn(async () => ({ success: true, message: "Email sent successfully" }));
+
+    const first = await mail(send, runCLI);
+    const again = await mail({ ...send }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledTimes(1);
+    expect(runCLI.mock.calls[0][2]).toEqual({ idempotencyKey: "send-1" });
+    expect(first).toEqual({ success: true, message: "Email sent successfully" });
+    expect(again).toMatchObject({ success: true, idempotentReplay: true, idempotencyKey: "send-1" });
+    expect(again.firstCompletedAt).toBeDefined();
+    expect(JSON.parse(readFileSync(storePath, "utf8")).keys).toHaveLength(1);
+  });
+
+  it("runs a call racing another with the same key only once", async () => {
+    const runCLI = vi.fn(async () => ({ success: true, event: { id: "E1" } }));
+    const create = { action: "create", title: "Demo", start: "2026-03-01T10:00:00", idempotencyKey: "evt-1" };
+
+    const [a, b] = await Promise.all([calendar(create, runCLI), calendar({ ...create }, runCLI)]);
+
+    expect(runCLI).toHaveBeenCalledTimes(1);
+    expect([a.idempotentReplay, b.idempotentReplay].filter(Boolean)).toHaveLength(1);
+    expect(b.event.id).toBe("E1");
+  });
+
+  it("rejects a key reused for a different call or an unsupported action", async () => {
+    const runCLI = vi.fn(async () => ({ success: true }));
+    await mail(send, runCLI);
+
+    await expect(mail({ ...send, to: ["eve@example.com"] }, runCLI)).rejects.toThrow(/different mail call/);
+    await expect(mail({ action: "delete", id: "m1@x", idempotencyKey: "d1" }, runCLI))
+      .rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+    expect(runCLI).toHaveBeenCalledTimes(1);
+  });
+
+  it("frees the key when the CLI rejected the call", async () => {
+    const runCLI = vi.fn()
+      .mockRejectedValueOnce(new NotFoundError("Calendar not found: Work"))
+      .mockResolvedValueOnce({ success: true });
+
+    await expect(mail(send, runCLI)).rejects.toBeInstanceOf(NotFoundError);
+    expect(await mail(send, runCLI)).toEqual({ success: true });
+    expect(runCLI).toHaveBeenCalledTimes(2);
+  });
+
+  it("blocks the key when the outcome is unknown", async () => {
+    const runCLI = vi.fn().mockRejectedValue(new TimeoutError("CLI timed out after 30000ms"));
+
+    await expect(mail(send, runCLI)).rejects.toBeInstanceOf(TimeoutError);
+    const repeat = await mail(send, runCLI).catch((e) => e);
+
+    expect(JSON.parse(readFileSync(storePath, "utf8")).keys).toMatchObject([{ key: "send-1", status: "pending" }]);
+    expect(serializeError(repeat)).toMatchObject({
+      code: "IDEMPOTENCY_PENDING",
+      retryable: false,
+      error: expect.stringMatching(/may or may not have been applied/),
+      hint: expect.stringMatching(/new idempotencyKey/),
+    });
+    expect(runCLI).toHaveBeenCalledTimes(1);
+  });
+});
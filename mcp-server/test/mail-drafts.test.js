@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, rmSync, statSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { handleApplePim } from "../../lib/handlers/apple-pim.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+
+let workdir;
+let store;
+const previousEnv = {
+  APPLE_PIM_MAIL_DRAFTS: process.env.APPLE_PIM_MAIL_DRAFTS,
+  APPLE_PIM_MAIL_ATTACHMENTS_CONFIG: process.env.APPLE_PIM_MAIL_ATTACHMENTS_CONFIG,
+  APPLE_PIM_UNDO_JOURNAL: process.env.APPLE_PIM_UNDO_JOURNAL,
+};
+
+beforeEach(() => {
+  workdir = mkdtempSync(join(tmpdir(), "pim-drafts-"));
+  store = join(workdir, "mail-drafts.json");
+  process.env.APPLE_PIM_MAIL_DRAFTS = store;
+  // No policy file: attachments stay disabled.
+  process.env.APPLE_PIM_MAIL_ATTACHMENTS_CONFIG = join(workdir, "mail-attachments.json");
+  process.env.APPLE_PIM_UNDO_JOURNAL = join(workdir, "undo-journal.jsonl");
+});
+
+afterEach(() => {
+  rmSync(workdir, { recursive: true, force: true });
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe("mail drafts", () => {
+  it("saves a draft without calling mail-cli, in a 0600 store", async () => {
+    const runCLI = vi.fn();
+
+    const result = await handleMail(
+      { action: "draft_create", to: ["sam@example.com"], subject: "Q3 plan", body: "Draft text" },
+      runCLI,
+    );
+
+    expect(runCLI).not.toHaveBeenCalled();
+    expect(result.draft).toMatchObject({ kind: "send", to: ["sam@example.com"], subject: "Q3 plan", body: "Draft text" });
+    expect(statSync(store).mode & 0o777).toBe(0o600);
+    const listed = await handleMail({ action: "drafts" }, runCLI);
+    expect(listed.count).toBe(1);
+    expect(listed.drafts[0].draftId).toBe(result.draft.draftId);
+  });
+
+  it("reuses send and reply validation", async () => {
+    await expect(handleMail({ action: "draft_create", subject: "Hi", body: "x" }, vi.fn()))
+      .rejects.toThrow("At least one recipient (to) is required for send");
+    await expect(handleMail({ action: "draft_create", id: "m1@x" }, vi.fn()))
+      .rejects.toThrow("Body is required for reply");
+    await expect(handleMail({ action: "draft_create", to: ["a@x"], subject: "Hi", body: "x", attachment: ["/tmp/a.pdf"] }, vi.fn()))
+      .rejects.toThrow(/disabled by default/);
+    expect(existsSync(store)).toBe(false);
+  });
+
+  it("updates a draft and rejects updates that would make it unsendable", async () => {
+    const { draft } = await handleMail({ action: "draft_create", to: ["a@x"], subject: "Hi", body: "v1" }, vi.fn());
+
+    const updated = await handleMail({ action: "draft_update", draftId: draft.draftId, body: "v2", cc: ["b@x"] }, vi.fn());
+
+    expect(updated.draft).toMatchObject({ body: "v2", cc: ["b@x"], subject: "Hi", createdAt: draft.createdAt });
+    await expect(handleMail({ action: "draft_update", draftId: draft.draftId, subject: "" }, vi.fn()))
+      .rejects.toThrow("Subject is required for send");
+    await expect(handleMail({ action: "draft_update", draftId: "nope", body: "x" }, vi.fn()))
+      .rejects.toThrow("Draft not found: nope");
+  });
+
+  it("sends a draft through the send path and removes it", async () => {
+    const { draft } = await handleMail({ action: "draft_create", to: ["a@x", "b@x"], subject: "Hi", body: "Hello" }, vi.fn());
+    const runCLI = vi.fn(async () => ({ success: true, message: "Sent" }));
+
+    const result = await handleMail({ action: "draft_send", draftId: draft.draftId }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledWith("mail-cli", ["send", "--to", "a@x", "--to", "b@x", "--subject", "Hi", "--body", "Hello"]);
+    expect(result).toMatchObject({ success: true, draftId: draft.draftId });
+    expect((await handleMail({ action: "drafts" }, vi.fn())).count).toBe(0);
+  });
+
+  it("sends a reply draft as a reply and keeps the draft when sending fails", async () => {
+    const { draft } = await handleMail({ action: "draft_create", id: "m1@x", mailbox: "INBOX", body: "Thanks!" }, vi.fn());
+    const runCLI = vi.fn(async () => { throw new Error("Mail.app is not running"); });
+
+    await expect(handleMail({ action: "draft_send", draftId: draft.draftId }, runCLI)).rejects.toThrow("Mail.app is not running");
+
+    expect(runCLI).toHaveBeenCalledWith("mail-cli", ["reply", "--id", "m1@x", "--body", "Thanks!", "--mailbox", "INBOX"]);
+    expect((await handleMail({ action: "drafts" }, vi.fn())).drafts[0].draftId).toBe(draft.draftId);
+  });
+
+  it("rejects recipients on a reply draft, which goes to the original sender", async () => {
+    const { draft } = await handleMail({ action: "draft_create", id: "m1@x", body: "Thanks!" }, vi.fn());
+
+    await expect(handleMail({ action: "draft_create", id: "m1@x", body: "Thanks!", to: ["a@x"], cc: ["b@x"] }, vi.fn()))
+      .rejects.toMatchObject({ code: "VALIDATION_ERROR", message: expect.stringMatching(/to, cc cannot be set/) });
+    await expect(handleMail({ action: "draft_update", draftId: draft.draftId, bcc: ["c@x"] }, vi.fn()))
+      .rejects.toThrow(/bcc cannot be set/);
+    expect((await handleMail({ action: "drafts" }, vi.fn())).drafts).toHaveLength(1);
+  });
+
+  it("undoes a draft delete by recreating it", async () => {
+    const mail = withAgentDX("mail", handleMail);
+    const applePim = withAgentDX("apple-pim", handleApplePim);
+    const { draft } = await mail({ action: "draft_create", to: ["a@x"], subject: "Hi", body: "Hello" }, vi.fn());
+    await mail({ action: "draft_delete", draftId: draft.draftId }, vi.fn());
+    expect(JSON.parse(readFileSync(store, "utf8")).drafts).toEqual([]);
+
+    await applePim({ action: "undo" }, vi.fn());
+
+    const [restored] = (await handleMail({ action: "drafts" }, vi.fn())).drafts;
+    expect(restored).toMatchObject({ to: ["a@x"], subject: "Hi", body: "Hello" });
+    expect(restored.draftId).not.toBe(draft.draftId);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, expect, it, vi } from "vitest";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+import { resolveReplyAllRecipients } from "../../lib/mail-recipients.js";
+
+const accounts = {
+  success: true,
+  accounts: [
+    { name: "Work", userName: "me@work.example", emailAddresses: ["me@work.example", "Me.Alias@work.example"] },
+    { name: "Home", userName: "jdoe", emailAddresses: ["me@home.example"] },
+  ],
+};
+
+/** Mock mail-cli: `accounts` and `get` answer from fixtures, anything else succeeds. */
+function fakeMailCLI(message) {
+  return vi.fn(async (cli, args) => {
+    if (args[0] === "accounts") return accounts;
+    if (args[0] === "get") return { success: true, message };
+    return { success: true };
+  });
+}
+
+describe("reply_all recipients", () => {
+  it("replies to sender and To, keeps Cc, and drops the user's own addresses", async () => {
+    const runCLI = fakeMailCLI({
+      sender: "Sam <SAM@example.com>",
+      to: [{ name: "Me", address: "me@work.example" }, { name: "Kim", address: "kim@example.com" }],
+      cc: [{ name: "", address: "me.alias@work.example" }, { name: "Sam", address: "sam@example.com" }, { name: "Lee", address: "lee@example.com" }],
+    });
+
+    const recipients = await resolveReplyAllRecipients({ id: "m1@x" }, runCLI);
+
+    expect(recipients).toEqual({
+      to: ["sam@example.com", "kim@example.com"],
+      cc: ["lee@example.com"],
+      excluded: ["me@work.example", "me.alias@work.example"],
+    });
+  });
+
+  it("replies to the original recipients of a message the user sent", async () => {
+    const runCLI = fakeMailCLI({
+      sender: "Me <me@home.example>",
+      to: [{ name: "Kim", address: "kim@example.com" }],
+    });
+
+    expect((await resolveReplyAllRecipients({ id: "m1@x" }, runCLI)).to).toEqual(["kim@example.com"]);
+  });
+
+  it("refuses when only the user's own addresses are left", async () => {
+    const runCLI = fakeMailCLI({ sender: "me@work.example", to: [{ name: "", address: "me@home.example" }] });
+
+    await expect(resolveReplyAllRecipients({ id: "m1@x" }, runCLI)).rejects.toThrow(/no recipients left/);
+  });
+
+  it("sends the reply with the resolved recipient set", async () => {
+    const runCLI = fakeMailCLI({ sender: "sam@example.com", to: [{ address: "me@work.example" }], cc: [{ address: "lee@example.com" }] });
+
+    const result = await handleMail({ action: "reply_all", id: "m1@x", body: "Thanks all", mailbox: "INBOX" }, runCLI);
+
+    expect(runCLI).toHaveBeenLastCalledWith("mail-cli", [
+      "reply", "--id", "m1@x", "--body", "Thanks all", "--mailbox", "INBOX",
+      "--to", "sam@example.com", "--cc", "lee@example.com",
+    ]);
+    expect(result.excluded).toEqual(["me@work.example"]);
+    await expect(handleMail({ action: "reply_all", id: "m1@x" }, runCLI)).rejects.toThrow("Body is required for reply_all");
+  });
+
+  it("lists the resolved recipients in the dry-run description without sending", async () => {
+    const runCLI = fakeMailCLI({ sender: "sam@example.com", to: [{ address: "me@work.example" }], cc: [{ address: "lee@example.com" }] });
+
+    const preview = await withAgentDX("mail", handleMail)({ action: "reply_all", id: "m1@x", body: "Hi", dryRun: true }, runCLI);
+
+    expect(preview.description).toBe("Would reply to all on message m1@x: to sam@example.com (cc: lee@example.com)");
+    expect(preview.recipients.excluded).toEqual(["me@work.example"]);
+    expect(runCLI.mock.calls.map((c) => c[1][0])).not.toContain("reply");
+  });
+});
+
+describe("forward", () => {
+  it("forwards to new recipients with a note and the original attachments", async () => {
+    const runCLI = vi.fn(async () => ({ success: true }));
+
+    await handleMail({
+      action: "forward",
+      id: "m1@x",
+      to: ["kim@example.com"],
+      bcc: ["me@work.example"],
+      body: "FYI",
+      includeAttachments: true,
+    }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledWith("mail-cli", [
+      "forward", "--id", "m1@x", "--to", "kim@example.com", "--bcc", "me@work.example",
+      "--body", "FYI", "--include-attachments",
+    ]);
+  });
+
+  it("requires recipients and describes them in a dry run", async () => {
+    await expect(handleMail({ action: "forward", id: "m1@x" }, vi.fn())).rejects.toThrow("At least one recipient (to) is required for forward");
+
+    const preview = await withAgentDX("mail", handleMail)(
+      { action: "forward", id: "m1@x", to: ["kim@example.com"], cc: ["lee@example.com"], dryRun: true },
+      vi.fn(),
+    );
+    expect(preview.description).toBe("Would forward message m1@x to kim@example.com (cc: lee@example.com)");
+  });
+});
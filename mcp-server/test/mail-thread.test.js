@@ -0,0 +1,140 @@
+import { describe, expect, it, vi } from "vitest";
+import { normalizeSubject, stripQuotedReply } from "../../lib/mail-thread.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+import { markToolResult } from "../../lib/sanitize.js";
+
+const headers = (id, { inReplyTo, references } = {}) =>
+  [
+    `Message-ID: <${id}>`,
+    inReplyTo && `In-Reply-To: <${inReplyTo}>`,
+    references && `References: ${references.map((r) => `<${r}>`).join(" ")}`,
+  ].filter(Boolean).join("\r\n");
+
+const message = (id, fields) => ({
+  messageId: id,
+  subject: "Re: Q3 plan",
+  sender: "Sam <sam@example.com>",
+  to: [{ name: "Me", address: "me@example.com" }],
+  mailbox: "INBOX",
+  account: "Work",
+  allHeaders: headers(id),
+  ...fields,
+});
+
+/** Mock mail-cli: `search` returns the summaries, `get` looks up by --id. */
+function fakeMailCLI(byId, searchResults) {
+  return vi.fn(async (cli, args) => {
+    if (args[0] === "search") return { success: true, messages: searchResults };
+    const found = byId[args[2]];
+    if (!found) throw new Error(`Message not found: ${args[2]}`);
+    return { success: true, message: found };
+  });
+}
+
+describe("normalizeSubject", () => {
+  it("strips reply/forward prefixes and list tags", () => {
+    expect(normalizeSubject("RE: Fwd: [team] Re[2]:  Q3   plan")).toBe("q3 plan");
+    expect(normalizeSubject("AW: SV: Q3 plan")).toBe("q3 plan");
+    expect(normalizeSubject("Replay of Q3 plan")).toBe("replay of q3 plan");
+  });
+});
+
+describe("stripQuotedReply", () => {
+  it("removes quoted lines and everything after an attribution", () => {
+    expect(stripQuotedReply("Sounds good.\n\nOn Mon, Jan 6, 2030 at 9:00 AM Sam <sam@example.com> wrote:\n> Shall we?\n")).toBe("Sounds good.");
+    expect(stripQuotedReply("Agreed\r\n> earlier text\r\nSee inline")).toBe("Agreed\nSee inline");
+    expect(stripQuotedReply("Yes.\nOn Mon, Jan 6, 2030 at 9:00 AM Sam Smith\n<sam@example.com> wrote:\n> q")).toBe("Yes.");
+  });
+
+  it("cuts Outlook-style quoted blocks", () => {
+    expect(stripQuotedReply("Done.\n\n-----Original Message-----\nFrom: Sam")).toBe("Done.");
+    expect(stripQuotedReply("Done.\n\nFrom: Sam Smith\nSent: Monday\nTo: Me\nSubject: Q3")).toBe("Done.");
+  });
+});
+
+describe("mail thread", () => {
+  it("collects replies by headers across mailboxes, oldest first", async () => {
+    const byId = {
+      "root@x": message("root@x", { subject: "Q3 plan", dateSent: "2030-01-06T09:00:00Z", content: "Shall we plan Q3?" }),
+      "reply1@x": message("reply1@x", {
+        mailbox: "Sent",
+        sender: "me@example.com",
+        dateSent: "2030-01-06T10:00:00Z",
+        content: "Yes.\n\nOn Mon, Sam wrote:\n> Shall we plan Q3?",
+        allHeaders: headers("reply1@x", { inReplyTo: "root@x", references: ["root@x"] }),
+      }),
+      "reply2@x": message("reply2@x", {
+        dateSent: "2030-01-06T11:00:00Z",
+        content: "Great, Tuesday then.",
+        allHeaders: headers("reply2@x", { inReplyTo: "reply1@x", references: ["root@x", "reply1@x"] }),
+      }),
+      "other@x": message("other@x", {
+        sender: "someone@else.example",
+        to: [{ name: "", address: "list@else.example" }],
+        dateSent: "2030-01-01T00:00:00Z",
+        content: "Unrelated plan",
+      }),
+    };
+    const runCLI = fakeMailCLI(byId, [
+      { messageId: "reply1@x", subject: "Re: Q3 plan", mailbox: "Sent", account: "Work" },
+      { messageId: "root@x", subject: "Q3 plan", mailbox: "INBOX", account: "Work" },
+      { messageId: "other@x", subject: "RE: q3 plan", mailbox: "INBOX", account: "Work" },
+      { messageId: "noise@x", subject: "Q3 planning offsite", mailbox: "INBOX", account: "Work" },
+    ]);
+
+    const result = await handleMail({ action: "thread", id: "reply2@x" }, runCLI);
+
+    expect(runCLI.mock.calls[1][1]).toEqual(["search", "Q3 plan", "--field", "subject", "--limit", "50"]);
+    expect(runCLI.mock.calls.some((c) => c[1][2] === "noise@x")).toBe(false);
+    expect(result.subject).toBe("Q3 plan");
+    expect(result.messages.map((m) => [m.messageId, m.matchedBy, m.content])).toEqual([
+      ["root@x", "headers", "Shall we plan Q3?"],
+      ["reply1@x", "headers", "Yes."],
+      ["reply2@x", "seed", "Great, Tuesday then."],
+    ]);
+    expect(result.missing).toBeUndefined();
+  });
+
+  it("fetches referenced messages the search missed and reports unreachable ones", async () => {
+    const byId = {
+      "seed@x": message("seed@x", {
+        subject: "Re: Q3 plan",
+        dateSent: "2030-01-06T00:00:00Z",
+        allHeaders: headers("seed@x", { inReplyTo: "renamed@x", references: ["gone@x", "renamed@x"] }),
+      }),
+      "renamed@x": message("renamed@x", { subject: "Q3 plan (draft 2)", dateSent: "2030-01-05T00:00:00Z" }),
+    };
+    const runCLI = fakeMailCLI(byId, []);
+
+    const result = await handleMail({ action: "thread", id: "seed@x", since: "2030-01-01" }, runCLI);
+
+    expect(runCLI.mock.calls[1][1]).toContain("--since");
+    expect(result.messages.map((m) => m.messageId)).toEqual(["renamed@x", "seed@x"]);
+    expect(result.missing).toEqual(["gone@x"]);
+  });
+
+  it("adopts header-less same-subject messages between the same people", async () => {
+    const byId = {
+      "seed@x": message("seed@x", { subject: "Lunch", dateSent: "2030-01-06T12:00:00Z" }),
+      "bare@x": message("bare@x", { subject: "Re: Lunch", allHeaders: undefined, dateSent: "2030-01-06T13:00:00Z" }),
+    };
+    const runCLI = fakeMailCLI(byId, [{ messageId: "bare@x", subject: "Re: Lunch" }]);
+
+    const result = await handleMail({ action: "thread", id: "seed@x" }, runCLI);
+
+    expect(result.messages.map((m) => [m.messageId, m.matchedBy])).toEqual([["seed@x", "seed"], ["bare@x", "subject"]]);
+  });
+
+  it("marks thread bodies as untrusted", async () => {
+    const runCLI = fakeMailCLI({ "a@x": message("a@x", { content: "hello" }) }, []);
+
+    const result = markToolResult(await handleMail({ action: "thread", id: "a@x" }, runCLI), "mail");
+
+    expect(result.messages[0].content).toMatch(/UNTRUSTED_MAIL_DATA/);
+    expect(result.subject).toMatch(/UNTRUSTED_MAIL_DATA/);
+  });
+
+  it("requires a message ID", async () => {
+    await expect(handleMail({ action: "thread" }, vi.fn())).rejects.toThrow("Message ID is required for mail thread");
+  });
+});
@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { buildAgenda } from "../../lib/agenda.js";
+import { handleApplePim } from "../../lib/handlers/apple-pim.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+import { handleContact } from "../../lib/handlers/contact.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+import { filterTools } from "../../lib/policy.js";
+import { tools } from "../../lib/schemas.js";
+
+let workdir;
+let policyPath;
+const previousEnv = {
+  APPLE_PIM_POLICY_CONFIG: process.env.APPLE_PIM_POLICY_CONFIG,
+  APPLE_PIM_UNDO_JOURNAL: process.env.APPLE_PIM_UNDO_JOURNAL,
+};
+
+const calendar = withAgentDX("calendar", handleCalendar);
+const contact = withAgentDX("contact", handleContact);
+const mail = withAgentDX("mail", handleMail);
+const applePim = withAgentDX("apple-pim", handleApplePim);
+
+function writePolicy(policy) {
+  writeFileSync(policyPath, JSON.stringify(policy));
+}
+
+/** Mock runCLI that answers by "<cli> <subcommand>". */
+function fakeCLI(responses = {}) {
+  return vi.fn(async (cli, args) => responses[`${cli} ${args[0]}`] ?? { success: true });
+}
+
+beforeEach(() => {
+  workdir = mkdtempSync(join(tmpdir(), "pim-policy-"));
+  policyPath = join(workdir, "policy.json");
+  process.env.APPLE_PIM_POLICY_CONFIG = policyPath;
+  process.env.APPLE_PIM_UNDO_JOURNAL = "off";
+});
+
+afterEach(() => {
+  rmSync(workdir, { recursive: true, force: true });
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe("action policy", () => {
+  it("allows everything without a policy file", async () => {
+    const runCLI = fakeCLI();
+    await calendar({ action: "delete", id: "E1" }, runCLI);
+    expect(runCLI).toHaveBeenCalledTimes(1);
+    expect(filterTools(tools)).toBe(tools);
+  });
+
+  it("refuses disabled tools, denied actions and writes to read-only tools", async () => {
+    writePolicy({
+      tools: {
+        calendar: { readOnly: true },
+        contact: { deny: ["list"] },
+        reminder: { enabled: false },
+      },
+    });
+    const runCLI = fakeCLI({ "calendar-cli events": { events: [] } });
+
+    await expect(calendar({ action: "delete", id: "E1", dryRun: true }, runCLI)).rejects.toMatchObject({
+      code: "PERMISSION_DENIED",
+      message: "Refused by local policy: calendar is read-only",
+    });
+    await expect(contact({ action: "list" }, runCLI)).rejects.toThrow(/contact list is denied/);
+    await contact({ action: "search", query: "Sam" }, runCLI);
+    await calendar({ action: "events", from: "2026-03-01", to: "2026-03-02" }, runCLI);
+
+    expect(runCLI.mock.calls.map(([cli, args]) => `${cli} ${args[0]}`)).toEqual(["contacts-cli search", "calendar-cli events"]);
+  });
+
+  it("filters the listed tools and the schema action", async () => {
+    writePolicy({ tools: { reminder: { enabled: false }, mail: { allow: ["messages", "get", "search"] } } });
+
+    const listed = filterTools(tools);
+    const mailTool = listed.find((t) => t.name === "mail");
+
+    expect(listed.map((t) => t.name)).not.toContain("reminder");
+    expect(mailTool.inputSchema.properties.action.enum).toEqual(["messages", "get", "search", "schema"]);
+    expect(mailTool.description).toMatch(/Not available under the local policy: .*send/);
+    expect((await mail({ action: "schema" }, fakeCLI())).inputSchema.properties.action.enum).not.toContain("send");
+  });
+
+  it("refuses an undo whose inverse the policy would refuse", async () => {
+    process.env.APPLE_PIM_UNDO_JOURNAL = join(workdir, "undo-journal.jsonl");
+    const runCLI = fakeCLI({
+      "contacts-cli create": { success: true, contact: { id: "C1" } },
+      "calendar-cli create": { success: true, event: { id: "E1" } },
+    });
+    await contact({ action: "create", firstName: "Sam" }, runCLI);
+    await calendar({ action: "create", title: "Demo", start: "2026-03-02T10:00:00" }, runCLI);
+    writePolicy({ tools: { calendar: { readOnly: true }, contact: { deny: ["delete"] } } });
+
+    await expect(applePim({ action: "undo" }, runCLI)).rejects.toThrow("Refused by local policy: calendar is read-only");
+    const [, created] = (await applePim({ action: "history" }, runCLI)).entries;
+    await expect(applePim({ action: "undo", id: created.id }, runCLI)).rejects.toThrow(/contact delete is denied/);
+
+    expect(runCLI.mock.calls.filter(([, args]) => args[0] === "delete")).toEqual([]);
+  });
+
+  it("skips agenda domains the policy refuses", async () => {
+    writePolicy({ tools: { mail: { enabled: false } } });
+    const agenda = await buildAgenda({ date: "2026-03-02", domains: ["mail"] }, fakeCLI());
+    expect(agenda.errors.mail).toMatch(/mail tool is disabled/);
+  });
+});
+
+describe("parameter constraints", () => {
+  it("limits recipients to allowed domains, including reply_all recipients", async () => {
+    writePolicy({ tools: { mail: { params: { recipients: { domains: ["example.com"] } } } } });
+    const runCLI = fakeCLI({
+      "mail-cli get": { message: { sender: "Boss <boss@example.com>", to: ["me@example.com"], cc: ["eve@evil.test"] } },
+      "mail-cli accounts": { accounts: [{ emailAddresses: ["me@example.com"] }] },
+    });
+
+    await mail({ action: "send", to: ["sam@example.com", "ann@eu.example.com"], subject: "Hi", body: "Hello" }, runCLI);
+    await expect(mail({ action: "send", to: ["sam@example.com"], bcc: ["x@gmail.com"], subject: "Hi", body: "Hello" }, runCLI))
+      .rejects.toThrow(/x@gmail\.com is outside the allowed domains/);
+    await expect(mail({ action: "reply_all", id: "m1@x", body: "Thanks" }, runCLI))
+      .rejects.toThrow(/eve@evil\.test/);
+    expect(runCLI.mock.calls.filter(([, args]) => args[0] === "send" || args[0] === "reply")).toHaveLength(1);
+  });
+
+  it("restricts deletes to listed calendars, looking up the event's calendar", async () => {
+    writePolicy({ tools: { calendar: { params: { calendar: { values: ["Scratch"], actions: ["delete", "create"] } } } } });
+    const runCLI = vi.fn(async (cli, args) => (args[0] === "get"
+      ? { event: { id: args[2], calendar: args[2] === "E1" ? "scratch" : "Work" } }
+      : { success: true }));
+
+    await calendar({ action: "delete", id: "E1" }, runCLI);
+    await expect(calendar({ action: "delete", id: "E2" }, runCLI)).rejects.toThrow(/calendar "Work" is not allowed for calendar delete/);
+    await expect(calendar({ action: "create", title: "Demo", start: "2026-03-02T10:00:00" }, runCLI))
+      .rejects.toThrow(/must name an allowed calendar explicitly/);
+    await calendar({ action: "update", id: "E2", title: "Renamed" }, runCLI);
+
+    expect(runCLI.mock.calls.filter(([, args]) => args[0] === "delete")).toEqual([["calendar-cli", ["delete", "--id", "E1"]]]);
+  });
+});
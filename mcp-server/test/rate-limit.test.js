@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { serializeError } from "../../lib/errors.js";
+import { handleApplePim } from "../../lib/handlers/apple-pim.js";
+import { handleContact } from "../../lib/handlers/contact.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+import { handleReminder } from "../../lib/handlers/reminder.js";
+
+let workdir;
+let configPath;
+let statePath;
+const previousEnv = {
+  APPLE_PIM_RATE_LIMITS_CONFIG: process.env.APPLE_PIM_RATE_LIMITS_CONFIG,
+  APPLE_PIM_RATE_LIMIT_STATE: process.env.APPLE_PIM_RATE_LIMIT_STATE,
+  APPLE_PIM_PROFILE: process.env.APPLE_PIM_PROFILE,
+  APPLE_PIM_UNDO_JOURNAL: process.env.APPLE_PIM_UNDO_JOURNAL,
+};
+
+const mail = withAgentDX("mail", handleMail);
+const reminder = withAgentDX("reminder", handleReminder);
+const contact = withAgentDX("contact", handleContact);
+const applePim = withAgentDX("apple-pim", handleApplePim);
+const send = { action: "send", to: ["sam@example.com"], subject: "Hi", body: "Hello" };
+
+function writeLimits(config) {
+  writeFileSync(configPath, JSON.stringify(config));
+}
+
+const calls = (runCLI, subcommand) => runCLI.mock.calls.filter(([, args]) => args[0] === subcommand);
+
+beforeEach(() => {
+  workdir = mkdtempSync(join(tmpdir(), "pim-rate-limit-"));
+  configPath = join(workdir, "rate-limits.json");
+  statePath = join(workdir, "rate-limit-state.json");
+  process.env.APPLE_PIM_RATE_LIMITS_CONFIG = configPath;
+  process.env.APPLE_PIM_RATE_LIMIT_STATE = statePath;
+  process.env.APPLE_PIM_UNDO_JOURNAL = "off";
+  delete process.env.APPLE_PIM_PROFILE;
+  vi.useFakeTimers({ now: new Date("2026-03-02T10:00:00Z"), toFake: ["Date"] });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  rmSync(workdir, { recursive: true, force: true });
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe("rate limits", () => {
+  it("does nothing without a config file", async () => {
+    const runCLI = vi.fn(async () => ({ success: true }));
+    for (let i = 0; i < 5; i++) await mail(send, runCLI);
+    expect(calls(runCLI, "send")).toHaveLength(5);
+    expect(existsSync(statePath)).toBe(false);
+  });
+
+  it("refuses sends past the cap with the reset time, and refills over the window", async () => {
+    writeLimits({ limits: { "mail.send": { max: 2, per: "hour" } } });
+    const runCLI = vi.fn(async () => ({ success: true }));
+
+    await mail(send, runCLI);
+    await mail({ ...send, dryRun: true }, runCLI);
+    await mail(send, runCLI);
+    const error = await mail(send, runCLI).catch((e) => e);
+
+    expect(serializeError(error)).toMatchObject({
+      code: "RATE_LIMITED",
+      retryable: true,
+      resetAt: "2026-03-02T10:30:00.000Z",
+    });
+    expect(error.message).toMatch(/"mail.send" reached \(2 per hour\)/);
+    expect(calls(runCLI, "send")).toHaveLength(2);
+
+    vi.setSystemTime(new Date("2026-03-02T10:30:00Z"));
+    await mail(send, runCLI);
+    expect(calls(runCLI, "send")).toHaveLength(3);
+  });
+
+  it("counts each item of a batch against the action's limit", async () => {
+    writeLimits({ limits: { "reminder.delete": { max: 5, per: "day" } } });
+    const runCLI = vi.fn(async () => ({ success: true }));
+
+    await reminder({ action: "batch_delete", ids: ["R1", "R2", "R3"] }, runCLI);
+    await expect(reminder({ action: "batch_delete", ids: ["R4", "R5", "R6"] }, runCLI)).rejects.toMatchObject({ code: "RATE_LIMITED" });
+    await expect(reminder({ action: "batch_delete", ids: ["a", "b", "c", "d", "e", "f"] }, runCLI))
+      .rejects.toThrow(/of 6 items exceeds the rate limit "reminder.delete" \(5 per day\)/);
+    await reminder({ action: "delete", id: "R4" }, runCLI);
+
+    expect(runCLI.mock.calls.map(([, args]) => args[0])).toEqual(["batch-delete", "delete"]);
+  });
+
+  it("charges merges, imports and undos against the writes they make", async () => {
+    writeLimits({ limits: { "contact.delete": { max: 2, per: "day" }, "contact.create": { max: 2, per: "day" } } });
+    process.env.APPLE_PIM_UNDO_JOURNAL = join(workdir, "undo-journal.jsonl");
+    const runCLI = vi.fn(async (cli, args) => {
+      if (args[0] === "get") return { contact: { id: args[2], firstName: "Sam" } };
+      if (args[0] === "create") return { success: true, contact: { id: "C9" } };
+      return { success: true };
+    });
+    const card = (name) => `BEGIN:VCARD\nVERSION:3.0\nFN:${name}\nN:${name};;;;\nEND:VCARD\n`;
+
+    await expect(contact({ action: "merge", id: "C1", ids: ["C2", "C3", "C4"] }, runCLI))
+      .rejects.toThrow(/contact merge of 3 items exceeds the rate limit "contact.delete"/);
+    await expect(contact({ action: "import_vcard", vcard: card("A") + card("B") + card("C") }, runCLI))
+      .rejects.toThrow(/contact import_vcard of 3 items exceeds the rate limit "contact.create"/);
+    await contact({ action: "merge", id: "C1", ids: ["C2", "C3"] }, runCLI);
+    await contact({ action: "create", firstName: "Kim" }, runCLI);
+
+    // Undoing the create deletes C9, and contact.delete is spent.
+    await expect(applePim({ action: "undo" }, runCLI)).rejects.toThrow(/Rate limit "contact.delete" reached/);
+    expect(calls(runCLI, "delete").map(([, args]) => args[2])).toEqual(["C2", "C3"]);
+  });
+
+  it("applies profile limits with their own buckets, persisted across restarts", async () => {
+    writeLimits({
+      limits: { "mail.send": { max: 1, per: "hour" } },
+      profiles: { work: { "mail.*": { max: 10, per: 60 } } },
+    });
+    const runCLI = vi.fn(async () => ({ success: true }));
+
+    await mail(send, runCLI);
+    await expect(mail(send, runCLI)).rejects.toMatchObject({ code: "RATE_LIMITED" });
+    process.env.APPLE_PIM_PROFILE = "work";
+    await mail(send, runCLI);
+
+    const { buckets } = JSON.parse(readFileSync(statePath, "utf8"));
+    expect(buckets).toEqual({
+      "default:mail.send": { tokens: 0, updatedAt: "2026-03-02T10:00:00.000Z" },
+      "work:mail.send": { tokens: 0, updatedAt: "2026-03-02T10:00:00.000Z" },
+      "work:mail.*": { tokens: 9, updatedAt: "2026-03-02T10:00:00.000Z" },
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, expect, it, vi } from "vitest";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+import { expandRecurrence, findSeriesExceptions, localDayKey } from "../../lib/recurrence.js";
+
+// Local-time constructors keep these tests independent of the machine's timezone.
+const range = (from, to) => ({ from, to });
+const days = (dates) => dates.map(localDayKey);
+
+describe("expandRecurrence", () => {
+  it("expands a weekly rule on several weekdays with an interval", () => {
+    const start = new Date(2030, 0, 7, 10, 0); // Monday
+    const rule = { frequency: "weekly", interval: 2, daysOfTheWeek: ["monday", "thursday"] };
+
+    const dates = expandRecurrence(start, rule, range(new Date(2030, 0, 1), new Date(2030, 1, 1)));
+
+    expect(days(dates)).toEqual(["2030-01-07", "2030-01-10", "2030-01-21", "2030-01-24"]);
+    expect(dates.every((d) => d.getHours() === 10)).toBe(true);
+  });
+
+  it("stops at occurrenceCount and endDate", () => {
+    const start = new Date(2030, 0, 1, 9, 0);
+    const window = range(new Date(2030, 0, 1), new Date(2030, 11, 31));
+
+    expect(expandRecurrence(start, { frequency: "daily", occurrenceCount: 3 }, window)).toHaveLength(3);
+    expect(days(expandRecurrence(start, { frequency: "daily", interval: 2, endDate: "2030-01-05" }, window)))
+      .toEqual(["2030-01-01", "2030-01-03", "2030-01-05"]);
+  });
+
+  it("counts occurrences before the range toward occurrenceCount", () => {
+    const start = new Date(2030, 0, 1, 9, 0);
+
+    const dates = expandRecurrence(start, { frequency: "daily", occurrenceCount: 5 }, range(new Date(2030, 0, 4), new Date(2030, 0, 31)));
+
+    expect(days(dates)).toEqual(["2030-01-04", "2030-01-05"]);
+  });
+
+  it("handles month ends, negative days and leap days", () => {
+    const window = range(new Date(2030, 0, 1), new Date(2030, 4, 1));
+
+    expect(days(expandRecurrence(new Date(2030, 0, 31, 9), { frequency: "monthly" }, window)))
+      .toEqual(["2030-01-31", "2030-03-31"]);
+    expect(days(expandRecurrence(new Date(2030, 0, 1, 9), { frequency: "monthly", daysOfTheMonth: [1, -1] }, window)))
+      .toEqual(["2030-01-01", "2030-01-31", "2030-02-01", "2030-02-28", "2030-03-01", "2030-03-31", "2030-04-01", "2030-04-30"]);
+    expect(days(expandRecurrence(new Date(2028, 1, 29, 9), { frequency: "yearly" }, range(new Date(2028, 0, 1), new Date(2033, 0, 1)))))
+      .toEqual(["2028-02-29", "2032-02-29"]);
+  });
+});
+
+describe("findSeriesExceptions", () => {
+  const series = {
+    id: "E1",
+    startDate: new Date(2030, 0, 7, 10, 0).toISOString(),
+    recurrence: [{ frequency: "weekly", interval: 1 }],
+  };
+
+  it("reports missing occurrences as cancelled and detached ones as modified", () => {
+    const moved = { id: "E1", occurrenceDate: new Date(2030, 0, 21, 10).toISOString(), startDate: new Date(2030, 0, 22, 15).toISOString(), isDetached: true };
+    const occurrences = [
+      { id: "E1", occurrenceDate: new Date(2030, 0, 7, 10).toISOString(), isDetached: false },
+      moved,
+      { id: "E1", occurrenceDate: new Date(2030, 0, 28, 10).toISOString(), isDetached: false },
+    ];
+
+    const result = findSeriesExceptions(series, occurrences, range(new Date(2030, 0, 1), new Date(2030, 1, 1)));
+
+    expect(result).toEqual({ cancelled: ["2030-01-14"], modified: [moved] });
+  });
+
+  it("reads weekday-prefixed dates from the day-* output formats", () => {
+    const dayFormat = (date) => `Monday, ${date.toISOString()}`;
+    const prefixed = { ...series, startDate: dayFormat(new Date(2030, 0, 7, 10)), recurrence: [{ frequency: "weekly", endDate: dayFormat(new Date(2030, 0, 21)) }] };
+    const occurrences = [7, 21].map((day) => ({ id: "E1", occurrenceDate: dayFormat(new Date(2030, 0, day, 10)), isDetached: false }));
+
+    const result = findSeriesExceptions(prefixed, occurrences, range(new Date(2030, 0, 1), new Date(2030, 1, 1)));
+
+    expect(result).toEqual({ cancelled: ["2030-01-14"], modified: [] });
+  });
+
+  it("rejects a non-recurring event", () => {
+    expect(() => findSeriesExceptions({ id: "E2", startDate: "2030-01-07T10:00:00Z" }, [], range(new Date(2030, 0, 1), new Date(2030, 1, 1))))
+      .toThrow("Event E2 is not recurring");
+  });
+});
+
+describe("calendar occurrence actions", () => {
+  it("expands a series over the requested range", async () => {
+    const runCLI = vi.fn(async () => ({ success: true, occurrences: [] }));
+
+    await handleCalendar({ action: "occurrences", id: "E1", from: "2030-01-01T00:00:00Z", to: "2030-02-01T00:00:00Z", limit: 5 }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledWith("calendar-cli", [
+      "occurrences", "--id", "E1", "--from", "2030-01-01T00:00:00Z", "--to", "2030-02-01T00:00:00Z", "--limit", "5",
+    ]);
+    await expect(handleCalendar({ action: "exceptions" }, runCLI)).rejects.toThrow("Event ID is required for calendar exceptions");
+  });
+
+  it("gets, moves and cancels a single occurrence", async () => {
+    const runCLI = vi.fn(async () => ({ success: true }));
+
+    await handleCalendar({ action: "get", id: "E1", occurrenceDate: "2030-01-14" }, runCLI);
+    await handleCalendar({ action: "update", id: "E1", occurrenceDate: "2030-01-14", start: "2030-01-15T10:00:00Z" }, runCLI);
+
+    expect(runCLI.mock.calls.map((c) => c[1])).toEqual([
+      ["get", "--id", "E1", "--occurrence-date", "2030-01-14"],
+      ["update", "--id", "E1", "--start", "2030-01-15T10:00:00Z", "--occurrence-date", "2030-01-14"],
+    ]);
+
+    const preview = await withAgentDX("calendar", handleCalendar)({ action: "delete", id: "E1", occurrenceDate: "2030-01-14", dryRun: true }, runCLI);
+    expect(preview.description).toBe("Would delete the 2030-01-14 occurrence of event E1");
+  });
+
+  it("combines the series and its occurrences into exceptions", async () => {
+    const runCLI = vi.fn(async (cli, args) => (args[0] === "get"
+      ? { success: true, event: { id: "E1", title: "Standup", startDate: new Date(2030, 0, 7, 10).toISOString(), recurrence: [{ frequency: "weekly", interval: 1 }] } }
+      : { success: true, occurrences: [{ id: "E1", occurrenceDate: new Date(2030, 0, 7, 10).toISOString(), isDetached: false }] }));
+
+    const result = await handleCalendar({ action: "exceptions", id: "E1", from: "2030-01-01", to: "2030-01-20" }, runCLI);
+
+    expect(result).toMatchObject({ success: true, title: "Standup", cancelled: ["2030-01-14"], modified: [], count: 1 });
+  });
+});
@@ -0,0 +1,122 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+import { createDraft } from "../../lib/mail-drafts.js";
+
+let workdir;
+let configPath;
+const previousEnv = {
+  APPLE_PIM_MAIL_RECIPIENTS_CONFIG: process.env.APPLE_PIM_MAIL_RECIPIENTS_CONFIG,
+  APPLE_PIM_MAIL_DRAFTS: process.env.APPLE_PIM_MAIL_DRAFTS,
+  APPLE_PIM_APPROVAL_CONFIG: process.env.APPLE_PIM_APPROVAL_CONFIG,
+  APPLE_PIM_UNDO_JOURNAL: process.env.APPLE_PIM_UNDO_JOURNAL,
+};
+
+const mail = withAgentDX("mail", handleMail);
+
+function writeRecipientPolicy(policy) {
+  writeFileSync(configPath, JSON.stringify(policy));
+}
+
+/** Mock CLI: the user is me@example.com; contacts know sam@example.com only. */
+function fakeCLI() {
+  return vi.fn(async (cli, args) => {
+    if (cli === "contacts-cli") {
+      return { contacts: args[1] === "sam@example.com" ? [{ emails: [{ value: "Sam@example.com" }] }] : [] };
+    }
+    if (args[0] === "accounts") return { accounts: [{ emailAddresses: ["me@example.com"] }] };
+    if (args[0] === "get") return { message: { sender: "Eve <eve@evil.test>", to: ["me@example.com"] } };
+    return { success: true };
+  });
+}
+
+const sent = (runCLI) => runCLI.mock.calls.filter(([cli, args]) => cli === "mail-cli" && ["send", "reply"].includes(args[0]));
+
+beforeEach(() => {
+  workdir = mkdtempSync(join(tmpdir(), "pim-recipients-"));
+  configPath = join(workdir, "mail-recipients.json");
+  process.env.APPLE_PIM_MAIL_RECIPIENTS_CONFIG = configPath;
+  process.env.APPLE_PIM_MAIL_DRAFTS = join(workdir, "drafts.json");
+  // draft_send is approval-gated by default; these tests are about the recipient policy.
+  process.env.APPLE_PIM_APPROVAL_CONFIG = join(workdir, "approval.json");
+  writeFileSync(process.env.APPLE_PIM_APPROVAL_CONFIG, JSON.stringify({ enabled: false }));
+  process.env.APPLE_PIM_UNDO_JOURNAL = "off";
+});
+
+afterEach(() => {
+  rmSync(workdir, { recursive: true, force: true });
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe("mail recipient policy", () => {
+  it("looks nothing up without a policy file", async () => {
+    const runCLI = fakeCLI();
+    await mail({ action: "send", to: ["x@gmail.com"], subject: "Hi", body: "Hello" }, runCLI);
+    expect(runCLI.mock.calls.map(([, args]) => args[0])).toEqual(["send"]);
+  });
+
+  it("refuses denied and non-allowed domains", async () => {
+    writeRecipientPolicy({ enabled: true, allowedDomains: ["example.com"], deniedDomains: ["mail.example.com"] });
+    const runCLI = fakeCLI();
+
+    await mail({ action: "send", to: ["sam@example.com", "kim@eu.example.com"], subject: "Hi", body: "Hello" }, runCLI);
+    const refused = await mail({ action: "forward", id: "m1@x", to: ["drop@mail.example.com", "x@gmail.com"] }, runCLI);
+
+    expect(refused).toMatchObject({ success: false, refused: true, action: "forward" });
+    expect(refused.violations.map((v) => `${v.rule} ${v.address}`)).toEqual([
+      "denied_domain drop@mail.example.com",
+      "domain_not_allowed x@gmail.com",
+    ]);
+    expect(sent(runCLI)).toHaveLength(1);
+    expect(runCLI).not.toHaveBeenCalledWith("mail-cli", expect.arrayContaining(["forward"]));
+  });
+
+  it("caps the number of recipients and refuses first-time recipients of a reply", async () => {
+    writeRecipientPolicy({ enabled: true, maxRecipients: 2, firstTimeRecipients: "refuse" });
+    const runCLI = fakeCLI();
+
+    const tooMany = await mail({ action: "send", to: ["sam@example.com"], cc: ["a@example.com", "b@example.com"], subject: "Hi", body: "Hello" }, runCLI);
+    const reply = await mail({ action: "reply", id: "m1@x", body: "Sure, here it is" }, runCLI);
+
+    expect(tooMany.violations[0]).toMatchObject({ rule: "max_recipients", message: "3 recipients exceed the limit of 2" });
+    expect(reply.violations).toEqual([{ rule: "first_time_recipient", address: "eve@evil.test", message: "no contact has this address" }]);
+    expect(runCLI).toHaveBeenCalledWith("contacts-cli", ["search", "eve@evil.test"]);
+    expect(sent(runCLI)).toHaveLength(0);
+  });
+
+  it("keeps a refused draft and sends an allowed one", async () => {
+    writeRecipientPolicy({ enabled: true, deniedDomains: ["evil.test"] });
+    const runCLI = fakeCLI();
+    const bad = createDraft({ to: ["x@evil.test"], subject: "Data", body: "..." });
+    const good = createDraft({ to: ["sam@example.com"], subject: "Notes", body: "..." });
+
+    const refused = await mail({ action: "draft_send", draftId: bad.draftId }, runCLI);
+    await mail({ action: "draft_send", draftId: good.draftId }, runCLI);
+    const { drafts } = await mail({ action: "drafts" }, runCLI);
+
+    expect(refused).toMatchObject({ refused: true, action: "draft_send", draftId: bad.draftId });
+    expect(drafts.map((d) => d.draftId)).toEqual([bad.draftId]);
+    expect(sent(runCLI)).toHaveLength(1);
+  });
+});
+
+describe("dry-run recipient check", () => {
+  it("flags external and first-time recipients, and what the policy would refuse", async () => {
+    const runCLI = fakeCLI();
+    const preview = await mail({ action: "send", to: ["sam@example.com", "x@gmail.com"], subject: "Hi", body: "Hello", dryRun: true }, runCLI);
+
+    expect(preview.recipientCheck).toMatchObject({ external: ["x@gmail.com"], firstTime: ["x@gmail.com"], violations: [] });
+
+    writeRecipientPolicy({ enabled: true, firstTimeRecipients: "refuse" });
+    const refused = await mail({ action: "send", to: ["x@gmail.com"], subject: "Hi", body: "Hello", dryRun: true }, runCLI);
+
+    expect(refused.description).toMatch(/would be refused by the mail recipient policy: no contact has this address/);
+    expect(sent(runCLI)).toHaveLength(0);
+  });
+});
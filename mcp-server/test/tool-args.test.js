@@ -23,6 +23,12 @@ describe("buildCalendarDeleteArgs", () => {
       buildCalendarDeleteArgs({ id: "evt_123", futureEvents: true })
     ).toEqual(["delete", "--id", "evt_123", "--future-events"]);
   });
+
+  it("addresses a single occurrence by its original date", () => {
+    expect(
+      buildCalendarDeleteArgs({ id: "evt_123", occurrenceDate: "2030-01-14" })
+    ).toEqual(["delete", "--id", "evt_123", "--occurrence-date", "2030-01-14"]);
+  });
 });
 
 describe("buildCalendarCreateArgs", () => {
@@ -0,0 +1,330 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { withAgentDX } from "../../lib/agent-dx.js";
+import { handleApplePim } from "../../lib/handlers/apple-pim.js";
+import { handleCalendar } from "../../lib/handlers/calendar.js";
+import { handleContact } from "../../lib/handlers/contact.js";
+import { handleMail } from "../../lib/handlers/mail.js";
+import { handleReminder } from "../../lib/handlers/reminder.js";
+
+let workdir;
+let journal;
+const previousEnv = process.env.APPLE_PIM_UNDO_JOURNAL;
+
+const calendar = withAgentDX("calendar", handleCalendar);
+const reminder = withAgentDX("reminder", handleReminder);
+const contact = withAgentDX("contact", handleContact);
+const mail = withAgentDX("mail", handleMail);
+const applePim = withAgentDX("apple-pim", handleApplePim);
+
+/** Mock runCLI that answers by "<cli> <subcommand>" and records every call. */
+function fakeCLI(responses) {
+  return vi.fn(async (cli, args) => {
+    const response = responses[`${cli} ${args[0]}`];
+    if (response instanceof Error) throw response;
+    return typeof response === "function" ? response(args) : response ?? { success: true };
+  });
+}
+
+function journalLines() {
+  return readFileSync(journal, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+}
+
+beforeEach(() => {
+  workdir = mkdtempSync(join(tmpdir(), "pim-undo-"));
+  journal = join(workdir, "nested", "undo-journal.jsonl");
+  process.env.APPLE_PIM_UNDO_JOURNAL = journal;
+});
+
+afterEach(() => {
+  rmSync(workdir, { recursive: true, force: true });
+  if (previousEnv === undefined) delete process.env.APPLE_PIM_UNDO_JOURNAL;
+  else process.env.APPLE_PIM_UNDO_JOURNAL = previousEnv;
+});
+
+describe("undo journal recording", () => {
+  it("journals a calendar create with a delete inverse in a 0600 file", async () => {
+    const runCLI = fakeCLI({ "calendar-cli create": { success: true, event: { id: "E1", title: "Lunch" } } });
+
+    await calendar({ action: "create", title: "Lunch", start: "2030-01-07T12:00:00Z" }, runCLI);
+
+    const [entry] = journalLines();
+    expect(entry).toMatchObject({
+      type: "mutation",
+      tool: "calendar",
+      action: "create",
+      target: "E1",
+      undoable: true,
+      inverse: [{ tool: "calendar", args: { action: "delete", id: "E1" } }],
+    });
+    expect(statSync(journal).mode & 0o777).toBe(0o600);
+  });
+
+  it("snapshots before update and restores only the touched fields", async () => {
+    const runCLI = fakeCLI({
+      "calendar-cli get": {
+        success: true,
+        event: { id: "E1", title: "Old", startDate: "2030-01-07T12:00:00Z", endDate: "2030-01-07T13:00:00Z", location: "Cafe" },
+      },
+    });
+
+    await calendar({ action: "update", id: "E1", title: "New", start: "2030-01-08T12:00:00Z" }, runCLI);
+
+    expect(runCLI.mock.calls[0]).toEqual(["calendar-cli", ["get", "--id", "E1"]]);
+    const [entry] = journalLines();
+    expect(entry.inverse).toEqual([
+      { tool: "calendar", args: { action: "update", id: "E1", title: "Old", start: "2030-01-07T12:00:00Z" } },
+    ]);
+    // Only the inverse is kept, not the snapshot it was built from.
+    expect(entry).not.toHaveProperty("snapshot");
+    expect(entry.inverse[0].args).not.toHaveProperty("location");
+  });
+
+  it("recreates a deleted occurrence as a standalone event", async () => {
+    const runCLI = fakeCLI({
+      "calendar-cli get": {
+        event: {
+          id: "E1", title: "Standup", startDate: "2030-01-14T09:00:00Z", endDate: "2030-01-14T09:15:00Z",
+          recurrence: [{ frequency: "weekly", interval: 1 }], occurrenceDate: "2030-01-14T09:00:00Z",
+        },
+      },
+    });
+
+    await calendar({ action: "delete", id: "E1", occurrenceDate: "2030-01-14" }, runCLI);
+
+    expect(runCLI.mock.calls[0]).toEqual(["calendar-cli", ["get", "--id", "E1", "--occurrence-date", "2030-01-14"]]);
+    const [entry] = journalLines();
+    expect(entry.inverse).toEqual([
+      { tool: "calendar", args: { action: "create", title: "Standup", start: "2030-01-14T09:00:00Z", end: "2030-01-14T09:15:00Z" } },
+    ]);
+    expect(entry.caveats).toEqual(["the occurrence is recreated as a standalone event, not as part of the series"]);
+  });
+
+  it("journals weekday-prefixed event dates as plain ISO", async () => {
+    const runCLI = fakeCLI({
+      "calendar-cli get": {
+        event: { id: "E1", title: "Review", startDate: "Monday, 2030-01-07T09:00:00-08:00", endDate: "Monday, 2030-01-07T10:00:00-08:00" },
+      },
+    });
+
+    await calendar({ action: "delete", id: "E1" }, runCLI);
+
+    expect(journalLines()[0].inverse).toEqual([
+      { tool: "calendar", args: { action: "create", title: "Review", start: "2030-01-07T17:00:00Z", end: "2030-01-07T18:00:00Z" } },
+    ]);
+  });
+
+  it("recreates a deleted reminder from its snapshot", async () => {
+    const runCLI = fakeCLI({
+      "reminder-cli get": {
+        reminder: { id: "R1", title: "Pay rent", list: "Home", dueDate: "2030-01-01 09:00", priority: 1, alarms: [{ relativeOffset: -900 }] },
+      },
+    });
+
+    await reminder({ action: "delete", id: "R1" }, runCLI);
+
+    const [entry] = journalLines();
+    expect(entry.inverse).toEqual([{
+      tool: "reminder",
+      args: { action: "create", title: "Pay rent", list: "Home", due: "2030-01-01 09:00", priority: 1, alarm: [15] },
+    }]);
+  });
+
+  it("maps contact snapshots back to tool args", async () => {
+    const runCLI = fakeCLI({
+      "contacts-cli get": {
+        contact: { id: "C1", givenName: "Ada", familyName: "Lovelace", emails: [{ label: "work", value: "ada@example.com" }], birthday: { month: 12, day: 10 } },
+      },
+    });
+
+    await contact({ action: "delete", id: "C1" }, runCLI);
+
+    const [entry] = journalLines();
+    expect(entry.inverse[0].args).toEqual({
+      action: "create",
+      firstName: "Ada",
+      lastName: "Lovelace",
+      emails: [{ label: "work", value: "ada@example.com" }],
+      birthday: "12-10",
+    });
+  });
+
+  it("undoes a contact merge by restoring the kept contact and recreating the rest", async () => {
+    const cards = {
+      C1: { id: "C1", givenName: "Ada", familyName: "Lovelace", emails: [{ label: "work", value: "ada@example.com" }] },
+      C2: { id: "C2", givenName: "Ada", familyName: "Lovelace", emails: [{ label: "home", value: "ada@home.example" }], jobTitle: "Countess" },
+    };
+    const runCLI = fakeCLI({
+      "contacts-cli get": (args) => ({ contact: cards[args[2]] }),
+      "contacts-cli update": { success: true, contact: cards.C1 },
+    });
+
+    await contact({ action: "merge", id: "C1", ids: ["C2"] }, runCLI);
+
+    const [entry] = journalLines();
+    expect(entry.inverse).toEqual([
+      { tool: "contact", args: { action: "update", id: "C1", emails: [{ label: "work", value: "ada@example.com" }] } },
+      {
+        tool: "contact",
+        args: { action: "create", firstName: "Ada", lastName: "Lovelace", jobTitle: "Countess", emails: [{ label: "home", value: "ada@home.example" }] },
+      },
+    ]);
+    expect(entry.caveats).toEqual(["jobTitle was empty before and cannot be cleared by undo"]);
+  });
+
+  it("restores mail flags and moves messages back to their mailbox", async () => {
+    const runCLI = fakeCLI({
+      "mail-cli get": { success: true, message: { messageId: "M1", isRead: false, isFlagged: true, mailbox: "INBOX", account: "Work" } },
+    });
+
+    await mail({ action: "update", id: "M1", read: true }, runCLI);
+    await mail({ action: "move", id: "M1", toMailbox: "Archive" }, runCLI);
+
+    const [update, move] = journalLines();
+    expect(update.inverse[0].args).toEqual({ action: "update", id: "M1", read: false });
+    expect(move.inverse[0].args).toEqual({ action: "move", id: "M1", mailbox: "Archive", account: "Work", toMailbox: "INBOX" });
+  });
+
+  it("records irreversible mutations as not undoable", async () => {
+    const runCLI = fakeCLI({});
+
+    await mail({ action: "send", to: "a@example.com", subject: "Hi", body: "Hello" }, runCLI);
+
+    const [entry] = journalLines();
+    expect(entry.undoable).toBe(false);
+    expect(entry.reason).toMatch(/cannot be recalled/);
+    expect(JSON.stringify(entry)).not.toMatch(/a@example\.com|Hello/);
+  });
+
+  it("keeps at most 200 records, none older than 30 days", async () => {
+    const old = JSON.stringify({ type: "mutation", id: "old", timestamp: "2000-01-01T00:00:00.000Z", tool: "calendar", action: "create" });
+    const recent = (i) => JSON.stringify({ type: "mutation", id: `r${i}`, timestamp: new Date().toISOString(), tool: "calendar", action: "create" });
+    mkdirSync(dirname(journal), { recursive: true });
+    writeFileSync(journal, `${[old, ...Array.from({ length: 200 }, (_, i) => recent(i))].join("\n")}\n`);
+
+    await reminder({ action: "create", title: "A" }, fakeCLI({ "reminder-cli create": { reminder: { id: "R1" } } }));
+
+    const ids = journalLines().map((r) => r.id);
+    expect(ids).toHaveLength(200);
+    expect(ids).not.toContain("old");
+    expect(ids).not.toContain("r0");
+    expect(journalLines().at(-1)).toMatchObject({ tool: "reminder", target: "R1" });
+  });
+
+  it("does not journal reads, dry runs or refused writes", async () => {
+    const runCLI = fakeCLI({
+      "calendar-cli events": {
+        events: [{ id: "E9", title: "Busy", startDate: "2030-01-07T12:00:00Z", endDate: "2030-01-07T13:00:00Z" }],
+      },
+    });
+
+    await calendar({ action: "events" }, runCLI);
+    await calendar({ action: "delete", id: "E1", dryRun: true }, runCLI);
+    await calendar({ action: "create", title: "Clash", start: "2030-01-07T12:00:00Z", checkConflicts: true }, runCLI);
+
+    expect(() => statSync(journal)).toThrow();
+  });
+
+  it("still returns the mutation result when the snapshot fails", async () => {
+    const runCLI = fakeCLI({
+      "calendar-cli get": new Error("Event not found"),
+      "calendar-cli delete": { deletedEvent: { id: "E1" } },
+    });
+
+    const result = await calendar({ action: "delete", id: "E1" }, runCLI);
+
+    expect(result.deletedEvent.id).toBe("E1");
+    expect(journalLines()[0]).toMatchObject({ undoable: false, reason: "snapshot failed: Event not found" });
+  });
+
+  it("is disabled when APPLE_PIM_UNDO_JOURNAL is off", async () => {
+    process.env.APPLE_PIM_UNDO_JOURNAL = "off";
+    const runCLI = fakeCLI({ "calendar-cli delete": { deletedEvent: { id: "E1" } } });
+
+    await calendar({ action: "delete", id: "E1" }, runCLI);
+
+    expect(runCLI).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("apple-pim history and undo", () => {
+  it("undoes the most recent undoable mutation and marks it undone", async () => {
+    const runCLI = fakeCLI({
+      "reminder-cli create": { reminder: { id: "R1", title: "A" } },
+      "calendar-cli create": { success: true, event: { id: "E1", title: "B" } },
+    });
+    await reminder({ action: "create", title: "A" }, runCLI);
+    await calendar({ action: "create", title: "B", start: "2030-01-07T12:00:00Z" }, runCLI);
+    await mail({ action: "send", to: "a@example.com", subject: "Hi", body: "Hello" }, runCLI);
+
+    const result = await applePim({ action: "undo" }, runCLI);
+
+    expect(result.success).toBe(true);
+    expect(result.undone).toMatchObject({ tool: "calendar", action: "create", target: "E1" });
+    expect(runCLI).toHaveBeenLastCalledWith("calendar-cli", ["delete", "--id", "E1"]);
+
+    const { entries } = await applePim({ action: "history" }, runCLI);
+    expect(entries.map((e) => [e.tool, e.action, e.undone])).toEqual([
+      ["mail", "send", false],
+      ["calendar", "create", true],
+      ["reminder", "create", false],
+    ]);
+    expect(entries[0]).not.toHaveProperty("inverse");
+
+    // The undo itself is not journaled as a new mutation, so the next undo
+    // walks further back.
+    const next = await applePim({ action: "undo" }, runCLI);
+    expect(next.undone.target).toBe("R1");
+  });
+
+  it("filters and limits history", async () => {
+    const runCLI = fakeCLI({ "reminder-cli create": { reminder: { id: "R1" } } });
+    await reminder({ action: "create", title: "A" }, runCLI);
+    await reminder({ action: "create", title: "B" }, runCLI);
+    await mail({ action: "send", to: "a@example.com", subject: "Hi", body: "Hello" }, runCLI);
+
+    expect((await applePim({ action: "history", tool: "reminder" }, runCLI)).count).toBe(2);
+    expect((await applePim({ action: "history", limit: 1 }, runCLI)).entries[0].tool).toBe("mail");
+  });
+
+  it("refuses entries that are not undoable, already undone or unknown", async () => {
+    const runCLI = fakeCLI({ "calendar-cli create": { success: true, event: { id: "E1" } } });
+    await mail({ action: "send", to: "a@example.com", subject: "Hi", body: "Hello" }, runCLI);
+    const [sent] = (await applePim({ action: "history" }, runCLI)).entries;
+
+    await expect(applePim({ action: "undo", id: sent.id }, runCLI)).rejects.toThrow(/cannot be undone/);
+    await expect(applePim({ action: "undo" }, runCLI)).rejects.toThrow("Nothing to undo");
+    await expect(applePim({ action: "undo", id: "nope" }, runCLI)).rejects.toThrow("No journal entry with id nope");
+
+    await calendar({ action: "create", title: "B", start: "2030-01-07T12:00:00Z" }, runCLI);
+    const [created] = (await applePim({ action: "history" }, runCLI)).entries;
+    await applePim({ action: "undo", id: created.id }, runCLI);
+    await expect(applePim({ action: "undo", id: created.id }, runCLI)).rejects.toThrow(/already undone/);
+  });
+
+  it("leaves the entry undoable when an inverse fails", async () => {
+    const runCLI = fakeCLI({
+      "calendar-cli create": { success: true, event: { id: "E1" } },
+      "calendar-cli delete": new Error("Event not found"),
+    });
+    await calendar({ action: "create", title: "B", start: "2030-01-07T12:00:00Z" }, runCLI);
+
+    const result = await applePim({ action: "undo" }, runCLI);
+
+    expect(result.success).toBe(false);
+    expect(result.results[0]).toMatchObject({ success: false, error: "Event not found" });
+    expect((await applePim({ action: "history" }, runCLI)).entries[0].undone).toBe(false);
+  });
+
+  it("previews undo on dry run without replaying anything", async () => {
+    const runCLI = fakeCLI({});
+
+    const result = await applePim({ action: "undo", dryRun: true }, runCLI);
+
+    expect(result.dryRun).toBe(true);
+    expect(result.description).toBe("Would undo the most recent undoable mutation");
+    expect(runCLI).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,201 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { contactsToVCard, parseVCards, planVCardImport } from "../../lib/vcard.js";
+import { handleContact } from "../../lib/handlers/contact.js";
+import { withAgentDX } from "../../lib/agent-dx.js";
+
+const vcard = (...lines) => ["BEGIN:VCARD", "VERSION:3.0", ...lines, "END:VCARD"].join("\r\n");
+
+const ADA = {
+  id: "C1",
+  givenName: "Ada",
+  familyName: "Lovelace",
+  fullName: "Ada Lovelace",
+  phoneticGivenName: "AY-da",
+  organization: "Analytical, Ltd",
+  department: "R&D",
+  jobTitle: "Programmer",
+  emails: [{ label: "work", value: "ada@example.com" }, { label: "lab", value: "ada@lab.example" }],
+  phones: [{ label: "mobile", value: "+1 555 0100" }],
+  addresses: [{ label: "home", street: "12 St James's Sq", city: "London", state: "", postalCode: "SW1Y", country: "UK" }],
+  socialProfiles: [{ service: "twitter", username: "ada", url: "https://twitter.com/ada" }],
+  instantMessages: [{ label: "other", service: "Skype", username: "ada.l" }],
+  relations: [{ label: "spouse", name: "William King" }],
+  birthday: { year: 1815, month: 12, day: 10 },
+  dates: [{ label: "anniversary", month: 7, day: 8 }],
+  notes: "First programmer; wrote notes",
+  contactType: "person",
+};
+
+describe("contactsToVCard", () => {
+  it("writes vCard 3.0 with Apple item groups for custom labels", () => {
+    const lines = contactsToVCard([ADA]).replace(/\r\n /g, "").split("\r\n");
+
+    expect(lines).toEqual(expect.arrayContaining([
+      "VERSION:3.0",
+      "UID:C1",
+      "FN:Ada Lovelace",
+      "N:Lovelace;Ada;;;",
+      "X-PHONETIC-FIRST-NAME:AY-da",
+      "ORG:Analytical\\, Ltd;R&D",
+      "EMAIL;TYPE=WORK:ada@example.com",
+      "item1.EMAIL:ada@lab.example",
+      "item1.X-ABLabel:lab",
+      "TEL;TYPE=CELL:+1 555 0100",
+      "ADR;TYPE=HOME:;;12 St James's Sq;London;;SW1Y;UK",
+      "X-SOCIALPROFILE;TYPE=twitter;X-USER=ada:https://twitter.com/ada",
+      "IMPP;X-SERVICE-TYPE=Skype:skype:ada.l",
+      "BDAY:1815-12-10",
+      "item2.X-ABDATE;X-APPLE-OMIT-YEAR=1604:1604-07-08",
+      "item2.X-ABLabel:anniversary",
+      "item3.X-ABRELATEDNAMES:William King",
+      "item3.X-ABLabel:spouse",
+      "NOTE:First programmer\\; wrote notes",
+    ]));
+  });
+
+  it("writes vCard 4.0 properties for kind, anniversaries and relations", () => {
+    const text = contactsToVCard([{ ...ADA, contactType: "organization", birthday: { month: 12, day: 10 } }], { version: "4.0" });
+    const lines = text.replace(/\r\n /g, "").split("\r\n");
+
+    expect(lines).toEqual(expect.arrayContaining([
+      "VERSION:4.0",
+      "KIND:org",
+      "EMAIL;TYPE=work:ada@example.com",
+      "BDAY:--1210",
+      "ANNIVERSARY:--0708",
+      "RELATED;TYPE=spouse;VALUE=text:William King",
+    ]));
+  });
+
+  it("rejects unknown versions", () => {
+    expect(() => contactsToVCard([ADA], { version: "2.1" })).toThrow("Unsupported vCard version: 2.1");
+  });
+});
+
+describe("parseVCards", () => {
+  it("round-trips an exported contact into create args", () => {
+    for (const version of ["3.0", "4.0"]) {
+      const { contacts, warnings } = parseVCards(contactsToVCard([ADA], { version }));
+      expect(warnings).toEqual([]);
+      expect(contacts).toEqual([{
+        firstName: "Ada",
+        lastName: "Lovelace",
+        phoneticGivenName: "AY-da",
+        organization: "Analytical, Ltd",
+        department: "R&D",
+        jobTitle: "Programmer",
+        emails: [{ label: "work", value: "ada@example.com" }, { label: "lab", value: "ada@lab.example" }],
+        phones: [{ label: "mobile", value: "+1 555 0100" }],
+        addresses: [{ label: "home", street: "12 St James's Sq", city: "London", postalCode: "SW1Y", country: "UK" }],
+        socialProfiles: [{ service: "twitter", username: "ada", url: "https://twitter.com/ada" }],
+        instantMessages: [{ service: "Skype", username: "ada.l" }],
+        birthday: "1815-12-10",
+        dates: [{ label: "anniversary", month: 7, day: 8 }],
+        relations: [{ label: "spouse", name: "William King" }],
+        notes: "First programmer; wrote notes",
+      }]);
+    }
+  });
+
+  it("reads Contacts.app labels, vCard 2.1 bare types and year-less birthdays", () => {
+    const { contacts } = parseVCards(vcard(
+      "N:Doe;Jane;;;",
+      "TEL;CELL;VOICE:555-0101",
+      "TEL;TYPE=WORK,FAX:555-0102",
+      "item1.TEL:555-0103",
+      "item1.X-ABLabel:_$!<Mobile>!$_",
+      "BDAY;X-APPLE-OMIT-YEAR=1604:1604-03-14",
+    ));
+
+    expect(contacts[0].phones).toEqual([
+      { label: "mobile", value: "555-0101" },
+      { label: "work fax", value: "555-0102" },
+      { label: "mobile", value: "555-0103" },
+    ]);
+    expect(contacts[0].birthday).toBe("03-14");
+  });
+
+  it("parses several cards, falls back to FN and warns about unsupported properties", () => {
+    const text = [
+      vcard("FN:Prince", "PHOTO;ENCODING=b:AAAA", "GEO:37.3;-122.0"),
+      vcard("N:;;;;", "ORG:Acme Corp", "X-ABShowAs:COMPANY"),
+    ].join("\r\n");
+
+    const { contacts, warnings } = parseVCards(text);
+
+    expect(contacts).toEqual([{ name: "Prince" }, { organization: "Acme Corp", contactType: "organization" }]);
+    expect(warnings).toEqual(["contact 1: unsupported properties ignored: GEO, PHOTO"]);
+  });
+
+  it("rejects empty input, non-vCard text and nameless cards", () => {
+    expect(() => parseVCards("")).toThrow("vCard text is empty");
+    expect(() => parseVCards("BEGIN:VCALENDAR\r\nEND:VCALENDAR")).toThrow(/Not a vCard document/);
+    expect(() => parseVCards(vcard("EMAIL:x@example.com"))).toThrow("contact 1 has no name (FN, N or ORG)");
+  });
+});
+
+describe("contact export_vcard / import_vcard", () => {
+  let workdir;
+
+  beforeEach(() => {
+    workdir = mkdtempSync(join(tmpdir(), "pim-vcf-"));
+  });
+
+  afterEach(() => {
+    rmSync(workdir, { recursive: true, force: true });
+  });
+
+  it("exports search matches by fetching each contact in full", async () => {
+    const runCLI = vi.fn(async (cli, args) =>
+      args[0] === "search" ? { contacts: [{ id: "C1" }] } : { contact: ADA });
+
+    const result = await handleContact({ action: "export_vcard", query: "Ada" }, runCLI);
+
+    expect(runCLI.mock.calls.map((c) => c[1])).toEqual([["search", "Ada"], ["get", "--id", "C1"]]);
+    expect(result.count).toBe(1);
+    expect(result.vcard).toContain("FN:Ada Lovelace");
+  });
+
+  it("imports a .vcf file into one create per card and reports failures", async () => {
+    const file = join(workdir, "crm.vcf");
+    writeFileSync(file, [vcard("N:Doe;Jane;;;", "EMAIL;TYPE=WORK:jane@example.com"), vcard("FN:Bad Card")].join("\r\n"));
+    const runCLI = vi.fn(async (cli, args) => {
+      if (args.includes("Bad Card")) throw new Error("Contact already exists");
+      return { success: true, contact: { id: "C9", fullName: "Jane Doe" } };
+    });
+
+    const result = await handleContact({ action: "import_vcard", file, container: "iCloud" }, runCLI);
+
+    expect(runCLI.mock.calls[0][1]).toEqual([
+      "create", "--container", "iCloud", "--first-name", "Jane", "--last-name", "Doe",
+      "--emails", JSON.stringify([{ label: "work", value: "jane@example.com" }]),
+    ]);
+    expect(result).toMatchObject({
+      success: false,
+      createdCount: 1,
+      errors: [{ index: 1, name: "Bad Card", error: "Contact already exists" }],
+    });
+  });
+
+  it("previews the create calls on dry run without touching the CLI", async () => {
+    const runCLI = vi.fn();
+    const wrapped = withAgentDX("contact", handleContact);
+
+    const result = await wrapped({ action: "import_vcard", dryRun: true, vcard: vcard("N:Doe;Jane;;;", "PHOTO:x") }, runCLI);
+
+    expect(runCLI).not.toHaveBeenCalled();
+    expect(result.description).toBe("Would create 1 contact(s) from the given text");
+    expect(result.creates).toEqual([{ firstName: "Jane", lastName: "Doe" }]);
+    expect(result.warnings).toEqual(["contact 1: unsupported properties ignored: PHOTO"]);
+  });
+
+  it("refuses files that are not .vcf", () => {
+    const file = join(workdir, "contacts.txt");
+    writeFileSync(file, vcard("FN:X"));
+    expect(() => planVCardImport({ file })).toThrow(/import_vcard only reads .vcf\/.vcard files/);
+    expect(() => planVCardImport({})).toThrow(/Either file/);
+  });
+});
@@ -9,7 +9,12 @@
 
 import { definePluginEntry } from "openclaw/plugin-sdk/plugin-entry";
 import { createCLIRunner, findSwiftBinDir } from "../lib/cli-runner.js";
+import { cacheOptionsFromEnv } from "../lib/cli-cache.js";
+import { workerOptionsFromEnv } from "../lib/cli-worker.js";
+import { ValidationError, serializeError } from "../lib/errors.js";
+import { recordToolCall } from "../lib/audit-log.js";
 import { tools } from "../lib/schemas.js";
+import { filterTools } from "../lib/policy.js";
 import { markToolResult, getDatamarkingPreamble } from "../lib/sanitize.js";
 import { withAgentDX } from "../lib/agent-dx.js";
 import { handleCalendar } from "../lib/handlers/calendar.js";
@@ -27,6 +32,14 @@ interface PluginConfig {
   profile?: string;
   configDir?: string;
   mailAttachmentsConfig?: string;
+  mailRecipientsConfig?: string;
+  approvalConfig?: string;
+  auditConfig?: string;
+  policyConfig?: string;
+  rateLimitsConfig?: string;
+  injectionRulesConfig?: string;
+  cliCacheTtl?: number;
+  cliWorkers?: number;
 }
 
 // Tool args always include optional isolation params
@@ -160,8 +173,56 @@ export default definePluginEntry({
     if (config?.mailAttachmentsConfig && !process.env.APPLE_PIM_MAIL_ATTACHMENTS_CONFIG) {
       process.env.APPLE_PIM_MAIL_ATTACHMENTS_CONFIG = config.mailAttachmentsConfig.replace(/^~/, homedir());
     }
+    // And for the outbound recipient policy (lib/safe-recipients.js).
+    if (config?.mailRecipientsConfig && !process.env.APPLE_PIM_MAIL_RECIPIENTS_CONFIG) {
+      process.env.APPLE_PIM_MAIL_RECIPIENTS_CONFIG = config.mailRecipientsConfig.replace(/^~/, homedir());
+    }
+    // Same for the approval policy read by the withAgentDX approval gate.
+    if (config?.approvalConfig && !process.env.APPLE_PIM_APPROVAL_CONFIG) {
+      process.env.APPLE_PIM_APPROVAL_CONFIG = config.approvalConfig.replace(/^~/, homedir());
+    }
+    // And for the tool policy (lib/policy.js), read per call by withAgentDX.
+    if (config?.policyConfig && !process.env.APPLE_PIM_POLICY_CONFIG) {
+      process.env.APPLE_PIM_POLICY_CONFIG = config.policyConfig.replace(/^~/, homedir());
+    }
+    // And for the audit log settings (lib/audit-log.js).
+    if (config?.auditConfig && !process.env.APPLE_PIM_AUDIT_CONFIG) {
+      process.env.APPLE_PIM_AUDIT_CONFIG = config.auditConfig.replace(/^~/, homedir());
+    }
+    // And for the mutation rate limits (lib/rate-limit.js).
+    if (config?.rateLimitsConfig && !process.env.APPLE_PIM_RATE_LIMITS_CONFIG) {
+      process.env.APPLE_PIM_RATE_LIMITS_CONFIG = config.rateLimitsConfig.replace(/^~/, homedir());
+    }
+    // And for the injection rule pack (lib/sanitize.js).
+    if (config?.injectionRulesConfig && !process.env.APPLE_PIM_INJECTION_RULES_CONFIG) {
+      process.env.APPLE_PIM_INJECTION_RULES_CONFIG = config.injectionRulesConfig.replace(/^~/, homedir());
+    }
+    if (config?.cliCacheTtl && !process.env.APPLE_PIM_CLI_CACHE_TTL) {
+      process.env.APPLE_PIM_CLI_CACHE_TTL = String(config.cliCacheTtl);
+    }
+    if (config?.cliWorkers && !process.env.APPLE_PIM_CLI_WORKERS) {
+      process.env.APPLE_PIM_CLI_WORKERS = String(config.cliWorkers);
+    }
+
+    // A runner's response cache and resident workers only help if the
+    // runner outlives one call. With either on, share a runner per isolation
+    // context (config dir plus profile), so cached listings and workers
+    // never cross profiles.
+    const runners = new Map<string, ReturnType<typeof createCLIRunner>>();
+    const runnerFor = (envOverrides: Record<string, string>) => {
+      if (!cacheOptionsFromEnv() && !workerOptionsFromEnv()) return createCLIRunner(binDir, envOverrides);
+      const key = JSON.stringify(envOverrides);
+      let runner = runners.get(key);
+      if (!runner) {
+        runner = createCLIRunner(binDir, envOverrides);
+        runners.set(key, runner);
+      }
+      return runner;
+    };
 
-    for (const tool of tools) {
+    // Tools and actions the policy refuses at startup are not registered;
+    // withAgentDX still enforces the policy as it stands at each call.
+    for (const tool of filterTools(tools)) {
       const openclawName = TOOL_NAME_MAP[tool.name];
       const handler = HANDLERS[tool.name];
 
@@ -183,10 +244,13 @@ export default definePluginEntry({
             _toolCallId: string,
             params: Record<string, unknown>,
           ) => {
+            const startedAt = Date.now();
             // Runtime validation — ensure required 'action' field is present and valid
             if (typeof params.action !== "string" || !params.action) {
+              const error = new ValidationError("Missing required 'action' parameter");
+              recordToolCall(tool.name, params, { startedAt, error });
               return toolResult(
-                JSON.stringify({ success: false, error: "Missing required 'action' parameter" }, null, 2),
+                JSON.stringify(serializeError(error), null, 2),
                 { domain: tool.name, action: null },
               );
             }
@@ -194,23 +258,26 @@ export default definePluginEntry({
 
             // Per-call environment isolation — never mutates process.env
             const envOverrides = resolveEnvOverrides(toolArgs, config, workspaceDir);
-            const { runCLI } = createCLIRunner(binDir, envOverrides);
+            const { runCLI } = runnerFor(envOverrides);
 
             try {
               const result = await handler(toolArgs, runCLI);
 
               // Apply datamarking for prompt injection defense
-              const markedResult = markToolResult(result, tool.name);
+              const flagged: string[] = [];
+              const markedResult = markToolResult(result, tool.name, flagged);
               const preamble = getDatamarkingPreamble(tool.name);
+              recordToolCall(tool.name, toolArgs, { startedAt, result, flagged });
 
               return toolResult(
                 `${preamble}\n\n${JSON.stringify(markedResult, null, 2)}`,
                 { domain: tool.name, action: toolArgs.action },
               );
             } catch (error: unknown) {
-              const message = error instanceof Error ? error.message : String(error);
+              recordToolCall(tool.name, toolArgs, { startedAt, error });
+              // Typed errors carry code, retryable and hint (see lib/errors.js).
               return toolResult(
-                JSON.stringify({ success: false, error: message }, null, 2),
+                JSON.stringify(serializeError(error), null, 2),
                 { domain: tool.name, action: toolArgs.action },
               );
             }
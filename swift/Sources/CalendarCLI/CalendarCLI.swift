@@ -13,16 +13,32 @@ struct CalendarCLI: AsyncParsableCommand {
             ListCalendars.self,
             ListEvents.self,
             GetEvent.self,
+            ListOccurrences.self,
             SearchEvents.self,
             CreateEvent.self,
             UpdateEvent.self,
             DeleteEvent.self,
             BatchCreateEvent.self,
             ConfigCommand.self,
+            WorkerCommand.self,
         ]
     )
 }
 
+// MARK: - Worker Mode
+
+struct WorkerCommand: AsyncParsableCommand {
+    static let configuration = CommandConfiguration(
+        commandName: "worker",
+        abstract: "Serve newline-delimited JSON requests on stdin (used by the MCP server)",
+        shouldDisplay: false
+    )
+
+    func run() async throws {
+        await WorkerMode.serve(CalendarCLI.self)
+    }
+}
+
 // MARK: - Auth Status (no prompts)
 
 struct AuthStatus: ParsableCommand {
@@ -155,7 +171,10 @@ func adjustToEndOfDay(_ date: Date, originalString: String) -> Date {
     return Calendar.current.date(from: components) ?? date
 }
 
-func parseDate(_ string: String) -> Date? {
+/// Parse a date string. Wall-clock formats without an offset are read in
+/// `timeZone` when given (an event's `--time-zone`), otherwise in the system
+/// zone; ISO 8601 values with an offset are absolute either way.
+func parseDate(_ string: String, timeZone: TimeZone? = nil) -> Date? {
     // Handle relative dates first
     let lowercased = string.lowercased()
     let calendar = Calendar.current
@@ -204,6 +223,9 @@ func parseDate(_ string: String) -> Date? {
         let formatter = DateFormatter()
         formatter.dateFormat = format
         formatter.locale = Locale(identifier: "en_US_POSIX")
+        if let zone = timeZone {
+            formatter.timeZone = zone
+        }
         if let date = formatter.date(from: string) {
             return date
         }
@@ -219,6 +241,15 @@ func parseDate(_ string: String) -> Date? {
     return nil
 }
 
+/// Resolve an IANA time zone name (e.g. "Europe/London").
+func resolveTimeZone(_ identifier: String?) throws -> TimeZone? {
+    guard let identifier = identifier else { return nil }
+    guard let zone = TimeZone(identifier: identifier) else {
+        throw CLIError.invalidInput("Unknown time zone: \(identifier)")
+    }
+    return zone
+}
+
 func calendarToDict(_ calendar: EKCalendar) -> [String: Any] {
     return [
         "id": calendar.calendarIdentifier,
@@ -262,6 +293,10 @@ func eventToDict(_ event: EKEvent) -> [String: Any] {
         "calendarId": event.calendar?.calendarIdentifier ?? ""
     ]
 
+    if let zone = event.timeZone {
+        dict["timeZone"] = zone.identifier
+    }
+
     if let location = event.location, !location.isEmpty {
         dict["location"] = location
     }
@@ -274,6 +309,12 @@ func eventToDict(_ event: EKEvent) -> [String: Any] {
     if event.hasRecurrenceRules, let rules = event.recurrenceRules {
         dict["recurrence"] = rules.map { ruleToDict($0) }
     }
+    // Occurrences of a series share one ID; occurrenceDate (the date the
+    // occurrence had in the series, even if it was moved) tells them apart.
+    if event.hasRecurrenceRules || event.isDetached, let occurrenceDate = event.occurrenceDate {
+        dict["occurrenceDate"] = formatDate(occurrenceDate)
+        dict["isDetached"] = event.isDetached
+    }
     if event.hasAlarms, let alarms = event.alarms {
         dict["alarms"] = alarms.map { alarmToDict($0) }
     }
@@ -527,6 +568,46 @@ func validateEventAccess(_ event: EKEvent, config: PIMConfiguration) throws {
     }
 }
 
+/// Find an event by ID, or one occurrence of a recurring series when
+/// `occurrenceDate` is given.
+///
+/// `eventStore.event(withIdentifier:)` returns the series' first occurrence,
+/// so single occurrences are looked up in a window around the date and matched
+/// by their original `occurrenceDate` — moved occurrences are still addressed
+/// by the date they had in the series. A date-only value matches any
+/// occurrence on that day.
+func findEvent(id: String, occurrenceDate: String?) throws -> EKEvent {
+    guard let event = eventStore.event(withIdentifier: id) else {
+        throw CLIError.notFound("Event not found: \(id)")
+    }
+    guard let occurrenceStr = occurrenceDate else { return event }
+    guard let target = parseDate(occurrenceStr) else {
+        throw CLIError.invalidInput("Invalid occurrence date: \(occurrenceStr)")
+    }
+    guard event.hasRecurrenceRules || event.isDetached else {
+        throw CLIError.invalidInput("Event \(id) is not recurring; omit occurrenceDate")
+    }
+
+    let calendar = Calendar.current
+    let day = calendar.startOfDay(for: target)
+    let windowStart = calendar.date(byAdding: .day, value: -31, to: day) ?? day
+    let windowEnd = calendar.date(byAdding: .day, value: 32, to: day) ?? day
+    let calendars = event.calendar.map { [$0] }
+    let predicate = eventStore.predicateForEvents(withStart: windowStart, end: windowEnd, calendars: calendars)
+    let dateOnly = isDateOnly(occurrenceStr)
+    let match = eventStore.events(matching: predicate).first { candidate in
+        guard candidate.eventIdentifier == event.eventIdentifier,
+              let original = candidate.occurrenceDate else { return false }
+        return dateOnly
+            ? calendar.isDate(original, inSameDayAs: target)
+            : abs(original.timeIntervalSince(target)) < 60
+    }
+    guard let occurrence = match else {
+        throw CLIError.notFound("No occurrence of event \(id) on \(occurrenceStr)")
+    }
+    return occurrence
+}
+
 /// Find a calendar by name or ID, validating it's in the allowed list.
 func findAllowedCalendar(nameOrId: String, config: PIMConfiguration) throws -> EKCalendar {
     let allCalendars = eventStore.calendars(for: .event)
@@ -756,14 +837,15 @@ struct GetEvent: AsyncParsableCommand {
     @Option(name: .long, help: "Event ID")
     var id: String
 
+    @Option(name: .long, help: "Original date of one occurrence of a recurring event")
+    var occurrenceDate: String?
+
     func run() async throws {
         try await requestCalendarAccess()
 
         let config = pimOptions.loadConfig()
 
-        guard let event = eventStore.event(withIdentifier: id) else {
-            throw CLIError.notFound("Event not found: \(id)")
-        }
+        let event = try findEvent(id: id, occurrenceDate: occurrenceDate)
 
         try validateEventAccess(event, config: config)
 
@@ -774,6 +856,74 @@ struct GetEvent: AsyncParsableCommand {
     }
 }
 
+struct ListOccurrences: AsyncParsableCommand {
+    static let configuration = CommandConfiguration(
+        commandName: "occurrences",
+        abstract: "Expand a recurring event into its occurrences within a date range"
+    )
+
+    @OptionGroup var pimOptions: PIMOptions
+
+    @Option(name: .long, help: "Event ID of the recurring series")
+    var id: String
+
+    @Option(name: .long, help: "Start date (default: today)")
+    var from: String = "today"
+
+    @Option(name: .long, help: "End date (default: 30 days from start)")
+    var to: String?
+
+    @Option(name: .long, help: "Maximum number of occurrences to return")
+    var limit: Int = 100
+
+    func run() async throws {
+        try await requestCalendarAccess()
+
+        let config = pimOptions.loadConfig()
+
+        guard let series = eventStore.event(withIdentifier: id) else {
+            throw CLIError.notFound("Event not found: \(id)")
+        }
+
+        try validateEventAccess(series, config: config)
+
+        guard let startDate = parseDate(from) else {
+            throw CLIError.invalidInput("Invalid start date: \(from)")
+        }
+
+        let endDate: Date
+        if let toStr = to {
+            guard let parsed = parseDate(toStr) else {
+                throw CLIError.invalidInput("Invalid end date: \(toStr)")
+            }
+            endDate = adjustToEndOfDay(parsed, originalString: toStr)
+        } else {
+            endDate = Calendar.current.date(byAdding: .day, value: 30, to: startDate) ?? startDate
+        }
+
+        let calendars = series.calendar.map { [$0] }
+        let predicate = eventStore.predicateForEvents(withStart: startDate, end: endDate, calendars: calendars)
+        let occurrences = eventStore.events(matching: predicate)
+            .filter { $0.eventIdentifier == series.eventIdentifier }
+            .sorted { ($0.occurrenceDate ?? $0.startDate) < ($1.occurrenceDate ?? $1.startDate) }
+            .prefix(limit)
+            .map { eventToDict($0) }
+
+        outputJSON([
+            "success": true,
+            "id": id,
+            "title": series.title ?? "",
+            "recurrence": (series.recurrenceRules ?? []).map { ruleToDict($0) },
+            "occurrences": Array(occurrences),
+            "count": occurrences.count,
+            "dateRange": [
+                "from": formatDate(startDate),
+                "to": formatDate(endDate)
+            ]
+        ])
+    }
+}
+
 struct SearchEvents: AsyncParsableCommand {
     static let configuration = CommandConfiguration(
         commandName: "search",
@@ -884,18 +1034,22 @@ struct CreateEvent: AsyncParsableCommand {
     @Option(name: .long, help: "Attendees as JSON array (e.g., '[{\"email\":\"a@b.com\",\"name\":\"Name\"}]')")
     var attendees: String?
 
+    @Option(name: .long, help: "IANA time zone of the event (e.g. Europe/London); start/end without an offset are read in it")
+    var timeZone: String?
+
     func run() async throws {
         try await requestCalendarAccess()
 
         let config = pimOptions.loadConfig()
+        let zone = try resolveTimeZone(timeZone)
 
-        guard let startDate = parseDate(start) else {
+        guard let startDate = parseDate(start, timeZone: zone) else {
             throw CLIError.invalidInput("Invalid start date: \(start)")
         }
 
         let endDate: Date
         if let endStr = end {
-            guard let parsed = parseDate(endStr) else {
+            guard let parsed = parseDate(endStr, timeZone: zone) else {
                 throw CLIError.invalidInput("Invalid end date: \(endStr)")
             }
             endDate = parsed
@@ -910,6 +1064,9 @@ struct CreateEvent: AsyncParsableCommand {
         event.startDate = startDate
         event.endDate = endDate
         event.isAllDay = allDay
+        if let zone = zone {
+            event.timeZone = zone
+        }
         event.calendar = try resolveTargetCalendar(explicit: calendar, config: config)
 
         if let loc = location {
@@ -991,28 +1148,36 @@ struct UpdateEvent: AsyncParsableCommand {
     @Flag(name: .long, help: "Apply changes to all future events in a recurring series")
     var futureEvents: Bool = false
 
+    @Option(name: .long, help: "Original date of the occurrence to change (recurring events; with --future-events, the first one changed)")
+    var occurrenceDate: String?
+
+    @Option(name: .long, help: "New IANA time zone of the event (e.g. Europe/London); start/end without an offset are read in it")
+    var timeZone: String?
+
     func run() async throws {
         try await requestCalendarAccess()
 
         let config = pimOptions.loadConfig()
+        let zone = try resolveTimeZone(timeZone)
 
-        guard let event = eventStore.event(withIdentifier: id) else {
-            throw CLIError.notFound("Event not found: \(id)")
-        }
+        let event = try findEvent(id: id, occurrenceDate: occurrenceDate)
 
         try validateEventAccess(event, config: config)
 
         if let newTitle = title {
             event.title = newTitle
         }
+        if let zone = zone {
+            event.timeZone = zone
+        }
         if let newStart = start {
-            guard let date = parseDate(newStart) else {
+            guard let date = parseDate(newStart, timeZone: zone) else {
                 throw CLIError.invalidInput("Invalid start date: \(newStart)")
             }
             event.startDate = date
         }
         if let newEnd = end {
-            guard let date = parseDate(newEnd) else {
+            guard let date = parseDate(newEnd, timeZone: zone) else {
                 throw CLIError.invalidInput("Invalid end date: \(newEnd)")
             }
             event.endDate = date
@@ -1084,14 +1249,15 @@ struct DeleteEvent: AsyncParsableCommand {
     @Flag(name: .long, help: "Delete this and all future events in a recurring series")
     var futureEvents: Bool = false
 
+    @Option(name: .long, help: "Original date of the occurrence to delete (recurring events; with --future-events, the first one deleted)")
+    var occurrenceDate: String?
+
     func run() async throws {
         try await requestCalendarAccess()
 
         let config = pimOptions.loadConfig()
 
-        guard let event = eventStore.event(withIdentifier: id) else {
-            throw CLIError.notFound("Event not found: \(id)")
-        }
+        let event = try findEvent(id: id, occurrenceDate: occurrenceDate)
 
         try validateEventAccess(event, config: config)
 
@@ -1101,7 +1267,9 @@ struct DeleteEvent: AsyncParsableCommand {
 
         outputJSON([
             "success": true,
-            "message": futureEvents ? "Event and future occurrences deleted successfully" : "Event deleted successfully",
+            "message": futureEvents
+                ? "Event and future occurrences deleted successfully"
+                : occurrenceDate != nil ? "Occurrence deleted successfully" : "Event deleted successfully",
             "deletedEvent": eventInfo
         ])
     }
@@ -1122,6 +1290,7 @@ struct BatchEventInput: Codable {
     let alarm: [Int]?
     let recurrence: RecurrenceJSON?
     let attendees: [AttendeeJSON]?
+    var timeZone: String? = nil
 }
 
 func decodeBatchEvents(_ json: String) throws -> [BatchEventInput] {
@@ -1138,13 +1307,14 @@ func decodeBatchEvents(_ json: String) throws -> [BatchEventInput] {
 }
 
 func resolveBatchEventDates(_ eventInput: BatchEventInput) throws -> (startDate: Date, endDate: Date) {
-    guard let startDate = parseDate(eventInput.start) else {
+    let zone = try resolveTimeZone(eventInput.timeZone)
+    guard let startDate = parseDate(eventInput.start, timeZone: zone) else {
         throw CLIError.invalidInput("Invalid start date: \(eventInput.start)")
     }
 
     let endDate: Date
     if let endStr = eventInput.end {
-        guard let parsed = parseDate(endStr) else {
+        guard let parsed = parseDate(endStr, timeZone: zone) else {
             throw CLIError.invalidInput("Invalid end date: \(endStr)")
         }
         endDate = parsed
@@ -1188,6 +1358,9 @@ struct BatchCreateEvent: AsyncParsableCommand {
                 event.startDate = startDate
                 event.endDate = endDate
                 event.isAllDay = eventInput.allDay ?? false
+                if let zone = try resolveTimeZone(eventInput.timeZone) {
+                    event.timeZone = zone
+                }
                 event.calendar = try resolveTargetCalendar(explicit: eventInput.calendar, config: config)
 
                 if let loc = eventInput.location {
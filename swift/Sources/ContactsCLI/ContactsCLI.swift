@@ -20,10 +20,25 @@ struct ContactsCLI: AsyncParsableCommand {
             UpdateContact.self,
             DeleteContact.self,
             ConfigCommand.self,
+            WorkerCommand.self,
         ]
     )
 }
 
+// MARK: - Worker Mode
+
+struct WorkerCommand: AsyncParsableCommand {
+    static let configuration = CommandConfiguration(
+        commandName: "worker",
+        abstract: "Serve newline-delimited JSON requests on stdin (used by the MCP server)",
+        shouldDisplay: false
+    )
+
+    func run() async throws {
+        await WorkerMode.serve(ContactsCLI.self)
+    }
+}
+
 // MARK: - Auth Status (no prompts)
 
 struct AuthStatus: ParsableCommand {
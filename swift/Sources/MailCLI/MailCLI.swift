@@ -22,15 +22,31 @@ struct MailCLI: AsyncParsableCommand {
             BatchDeleteMessages.self,
             SendMessage.self,
             ReplyMessage.self,
+            ForwardMessage.self,
             SaveAttachment.self,
             AuthCheck.self,
             ConfigCommand.self,
             SMTPSend.self,
             Secrets.self,
+            WorkerCommand.self,
         ]
     )
 }
 
+// MARK: - Worker Mode
+
+struct WorkerCommand: AsyncParsableCommand {
+    static let configuration = CommandConfiguration(
+        commandName: "worker",
+        abstract: "Serve newline-delimited JSON requests on stdin (used by the MCP server)",
+        shouldDisplay: false
+    )
+
+    func run() async throws {
+        await WorkerMode.serve(MailCLI.self)
+    }
+}
+
 // MARK: - Auth Status (no prompts)
 
 struct AuthStatus: ParsableCommand {
@@ -487,21 +503,65 @@ func findMessageJXA(targetId: String, mailbox: String?, account: String?) -> Str
     """
 }
 
-/// Build the AppleScript that locates the original message by its numeric Apple Mail
-/// id within an account and sends a reply.
+/// AppleScript handler `findMsgById(theId, mboxList)`: recursive search for a
+/// message by its numeric Apple Mail id over a mailbox tree.
 ///
-/// The message is located via a recursive search over the account's mailbox tree
-/// rather than a `mailbox "<name>" of account "<acct>"` by-name specifier. The
-/// by-name form only resolves DIRECT children of the account, so it fails with
+/// Used instead of a `mailbox "<name>" of account "<acct>"` by-name specifier.
+/// The by-name form only resolves DIRECT children of the account, so it fails with
 /// -1728 (errAENoSuchObject) for nested mailboxes — notably Gmail/Workspace, where
 /// "All Mail" is nested under the "[Gmail]" container. See issue #67.
+let findMsgByIdAppleScript = """
+on findMsgById(theId, mboxList)
+    tell application "Mail"
+        repeat with mb in mboxList
+            try
+                set matchList to (messages of mb whose id is theId)
+                if (count of matchList) > 0 then return (item 1 of matchList)
+            end try
+        end repeat
+        repeat with mb in mboxList
+            try
+                set subList to (mailboxes of mb)
+                if (count of subList) > 0 then
+                    set found to my findMsgById(theId, subList)
+                    if found is not missing value then return found
+                end if
+            end try
+        end repeat
+    end tell
+    return missing value
+end findMsgById
+"""
+
+/// Build `make new <kind> recipient …` lines for an outgoing message's `tell` block.
+func recipientScriptLines(to: [String], cc: [String] = [], bcc: [String] = []) -> String {
+    var lines = ""
+    for addr in to {
+        lines += "\n        make new to recipient at end of to recipients with properties {address:\"\(escapeForAppleScript(addr))\"}"
+    }
+    for addr in cc {
+        lines += "\n        make new cc recipient at end of cc recipients with properties {address:\"\(escapeForAppleScript(addr))\"}"
+    }
+    for addr in bcc {
+        lines += "\n        make new bcc recipient at end of bcc recipients with properties {address:\"\(escapeForAppleScript(addr))\"}"
+    }
+    return lines
+}
+
+/// Build the AppleScript that locates the original message by its numeric Apple Mail
+/// id within an account and sends a reply.
+///
+/// The message is located with `findMsgById` (see `findMsgByIdAppleScript`,
+/// issue #67).
 ///
 /// The reply is composed `without opening window` so it stays in plain-text mode,
 /// where the `content` property is writable. `with opening window` forces HTML mode
 /// and drops the body silently. See issue #73.
 ///
 /// `attachmentLines` is the pre-built `make new attachment …` snippet (may be empty).
-func buildReplyAppleScript(bodyPath: String, accountName: String, appleMailId: Int, attachmentLines: String) -> String {
+/// `recipientLines` (from `recipientScriptLines`, may be empty) replaces the
+/// recipients Mail filled in; reply-all uses it to send to an explicit set.
+func buildReplyAppleScript(bodyPath: String, accountName: String, appleMailId: Int, attachmentLines: String, recipientLines: String = "") -> String {
     let escapedAccount = escapeForAppleScript(accountName)
     let escapedBodyPath = escapeForAppleScript(bodyPath)
     let attachmentBlock = attachmentLines.isEmpty ? "" : """
@@ -509,28 +569,16 @@ func buildReplyAppleScript(bodyPath: String, accountName: String, appleMailId: I
         tell replyMsg\(attachmentLines)
         end tell
     """
+    let recipientBlock = recipientLines.isEmpty ? "" : """
 
-    return """
-    on findMsgById(theId, mboxList)
-        tell application "Mail"
-            repeat with mb in mboxList
-                try
-                    set matchList to (messages of mb whose id is theId)
-                    if (count of matchList) > 0 then return (item 1 of matchList)
-                end try
-            end repeat
-            repeat with mb in mboxList
-                try
-                    set subList to (mailboxes of mb)
-                    if (count of subList) > 0 then
-                        set found to my findMsgById(theId, subList)
-                        if found is not missing value then return found
-                    end if
-                end try
-            end repeat
+        tell replyMsg
+            delete every to recipient
+            delete every cc recipient\(recipientLines)
         end tell
-        return missing value
-    end findMsgById
+    """
+
+    return """
+    \(findMsgByIdAppleScript)
 
     set replyBody to read POSIX file "\(escapedBodyPath)" as «class utf8»
     tell application "Mail"
@@ -541,13 +589,69 @@ func buildReplyAppleScript(bodyPath: String, accountName: String, appleMailId: I
         -- makes Mail compose the reply in rich-text/HTML mode, where the plain-text
         -- `content` property is read-only. Setting it then silently no-ops and the
         -- reply sends with an empty body. See issue #73. Do not change back.
-        set replyMsg to reply origMsg without opening window
+        set replyMsg to reply origMsg without opening window\(recipientBlock)
         set content of replyMsg to replyBody\(attachmentBlock)
         send replyMsg
     end tell
     """
 }
 
+/// Build the AppleScript that forwards a message (located like a reply, via
+/// `findMsgById`) to `recipientLines`.
+///
+/// Mail's `forward` puts the original, with its headers, into the body. The
+/// optional note read from `notePath` is placed above it. The body is rewritten as
+/// plain text (composed `without opening window`, see issue #73), which does not
+/// carry Mail's own copies of the original attachments. `originalAttachments`
+/// are therefore saved from the original to the given paths first and attached
+/// again, followed by `attachmentLines`.
+func buildForwardAppleScript(
+    notePath: String,
+    accountName: String,
+    appleMailId: Int,
+    recipientLines: String,
+    originalAttachments: [(index: Int, path: String)],
+    attachmentLines: String
+) -> String {
+    let escapedAccount = escapeForAppleScript(accountName)
+    let escapedNotePath = escapeForAppleScript(notePath)
+    var saveLines = ""
+    var reattachLines = ""
+    for original in originalAttachments {
+        let escapedPath = escapeForAppleScript(original.path)
+        saveLines += "\n    save (mail attachment \(original.index + 1) of origMsg) in POSIX file \"\(escapedPath)\""
+        reattachLines += "\n        make new attachment with properties {file name:\"\(escapedPath)\"} at after the last paragraph"
+    }
+    let allAttachmentLines = reattachLines + attachmentLines
+    let attachmentBlock = allAttachmentLines.isEmpty ? "" : """
+
+        tell fwdMsg\(allAttachmentLines)
+        end tell
+    """
+
+    return """
+    \(findMsgByIdAppleScript)
+
+    set noteText to read POSIX file "\(escapedNotePath)" as «class utf8»
+    tell application "Mail"
+        set theAccount to (first account whose name is "\(escapedAccount)")
+        set origMsg to my findMsgById(\(appleMailId), (mailboxes of theAccount))
+        if origMsg is missing value then error "Could not locate the original message (id \(appleMailId)) in account \\"\(escapedAccount)\\" to forward"\(saveLines)
+        -- Compose without opening window so `content` stays writable (issue #73).
+        set fwdMsg to forward origMsg without opening window
+        tell fwdMsg\(recipientLines)
+        end tell
+        set forwardedText to content of fwdMsg
+        if noteText is "" then
+            set content of fwdMsg to forwardedText
+        else
+            set content of fwdMsg to noteText & return & return & forwardedText
+        end if\(attachmentBlock)
+        send fwdMsg
+    end tell
+    """
+}
+
 /// Generates the JXA `findMsg(targetId)` function for batch operations.
 /// Unlike `findMessageJXA`, the target ID is a parameter (not hardcoded).
 func batchFindMessageJXA(mailbox: String?, account: String?) -> String {
@@ -660,6 +764,7 @@ struct ListAccounts: AsyncParsableCommand {
             id: a.id(),
             enabled: a.enabled(),
             userName: a.userName(),
+            emailAddresses: a.emailAddresses(),
             accountType: a.accountType()
         }));
         JSON.stringify(result);
@@ -1625,17 +1730,7 @@ struct SendMessage: AsyncParsableCommand {
         try body.write(to: bodyFile, atomically: true, encoding: .utf8)
         defer { try? FileManager.default.removeItem(at: bodyFile) }
 
-        // Build recipient lines
-        var recipientLines = ""
-        for addr in to {
-            recipientLines += "\n        make new to recipient at end of to recipients with properties {address:\"\(escapeForAppleScript(addr))\"}"
-        }
-        for addr in cc {
-            recipientLines += "\n        make new cc recipient at end of cc recipients with properties {address:\"\(escapeForAppleScript(addr))\"}"
-        }
-        for addr in bcc {
-            recipientLines += "\n        make new bcc recipient at end of bcc recipients with properties {address:\"\(escapeForAppleScript(addr))\"}"
-        }
+        let recipientLines = recipientScriptLines(to: to, cc: cc, bcc: bcc)
 
         let escapedSubject = escapeForAppleScript(subject)
         let senderProp = from.map { ", sender:\"\(escapeForAppleScript($0))\"" } ?? ""
@@ -1695,6 +1790,12 @@ struct ReplyMessage: AsyncParsableCommand {
     @Option(name: .long, help: "File path to attach (repeatable)")
     var attachment: [String] = []
 
+    @Option(name: .long, help: "Send to these recipients instead of the original sender (repeatable; used for reply-all)")
+    var to: [String] = []
+
+    @Option(name: .long, help: "CC recipient when --to is given (repeatable)")
+    var cc: [String] = []
+
     func run() async throws {
         try ensureMailRunning()
         let config = pimOptions.loadConfig()
@@ -1758,7 +1859,8 @@ struct ReplyMessage: AsyncParsableCommand {
             bodyPath: bodyFile.path,
             accountName: accountName,
             appleMailId: appleMailId,
-            attachmentLines: attachmentLines
+            attachmentLines: attachmentLines,
+            recipientLines: to.isEmpty ? "" : recipientScriptLines(to: to, cc: cc)
         )
 
         _ = try runAppleScript(replyScript)
@@ -1769,6 +1871,145 @@ struct ReplyMessage: AsyncParsableCommand {
             "inReplyTo": id,
             "originalSubject": dict["subject"] ?? ""
         ]
+        if !to.isEmpty {
+            result["to"] = to
+            result["cc"] = cc
+        }
+        if !attachment.isEmpty {
+            result["attachments"] = attachment.map { ($0 as NSString).expandingTildeInPath }
+        }
+        outputJSON(result)
+    }
+}
+
+struct ForwardMessage: AsyncParsableCommand {
+    static let configuration = CommandConfiguration(
+        commandName: "forward",
+        abstract: "Forward a message in Mail.app"
+    )
+
+    @OptionGroup var pimOptions: PIMOptions
+
+    @Option(name: .long, help: "RFC 2822 message ID of the message to forward")
+    var id: String
+
+    @Option(name: .long, help: "Recipient email address (repeatable)")
+    var to: [String]
+
+    @Option(name: .long, help: "CC email address (repeatable)")
+    var cc: [String] = []
+
+    @Option(name: .long, help: "BCC email address (repeatable)")
+    var bcc: [String] = []
+
+    @Option(name: .long, help: "Note to place above the forwarded message")
+    var body: String = ""
+
+    @Flag(name: .long, help: "Include the original message's attachments")
+    var includeAttachments = false
+
+    @Option(name: .long, help: "Mailbox name hint (speeds up lookup)")
+    var mailbox: String?
+
+    @Option(name: .long, help: "Account name hint (speeds up lookup)")
+    var account: String?
+
+    @Option(name: .long, help: "Additional file path to attach (repeatable)")
+    var attachment: [String] = []
+
+    func run() async throws {
+        try ensureMailRunning()
+        let config = pimOptions.loadConfig()
+        try checkMailEnabled(config: config)
+
+        guard !to.isEmpty else {
+            throw CLIError.invalidInput("At least one --to recipient is required")
+        }
+
+        // Validate attachment files exist before building the script
+        var attachmentLines = ""
+        for filePath in attachment {
+            let expandedPath = (filePath as NSString).expandingTildeInPath
+            guard FileManager.default.fileExists(atPath: expandedPath) else {
+                throw CLIError.invalidInput("Attachment file not found: \(expandedPath)")
+            }
+            attachmentLines += "\n        make new attachment with properties {file name:\"\(escapeForAppleScript(expandedPath))\"} at after the last paragraph"
+        }
+
+        // Step 1: Find the message and, when requested, its attachment names
+        let findHelper = findMessageJXA(targetId: id, mailbox: mailbox, account: account)
+        let lookupScript = """
+        \(findHelper)
+
+        const msg = findMessage();
+        if (!msg) {
+            JSON.stringify({error: "Message not found: \(escapeForJXA(id))"});
+        } else {
+            JSON.stringify({
+                appleMailId: msg.id(),
+                account: msg.mailbox().account().name(),
+                subject: msg.subject(),
+                attachments: \(includeAttachments) ? msg.mailAttachments().map(a => a.name()) : []
+            });
+        }
+        """
+
+        let lookupResult = try runJXA(lookupScript)
+
+        guard let dict = lookupResult as? [String: Any] else {
+            throw CLIError.jxaError("Unexpected result from message lookup")
+        }
+
+        if let error = dict["error"] as? String {
+            throw CLIError.notFound(error)
+        }
+
+        guard let appleMailId = dict["appleMailId"] as? Int,
+              let accountName = dict["account"] as? String else {
+            throw CLIError.jxaError("Could not extract message details for forward")
+        }
+
+        // Step 2: Temp files for the note and the original attachments. Each
+        // attachment gets its own directory so duplicate names cannot collide.
+        let workDir = FileManager.default.temporaryDirectory.appendingPathComponent("mail-forward-\(UUID().uuidString)")
+        try FileManager.default.createDirectory(at: workDir, withIntermediateDirectories: true)
+        defer { try? FileManager.default.removeItem(at: workDir) }
+
+        let noteFile = workDir.appendingPathComponent("note.txt")
+        try body.write(to: noteFile, atomically: true, encoding: .utf8)
+
+        let originalNames = dict["attachments"] as? [String] ?? []
+        var originals: [(index: Int, path: String)] = []
+        for (index, rawName) in originalNames.enumerated() {
+            var name = rawName.replacingOccurrences(of: "/", with: "_").replacingOccurrences(of: "\0", with: "")
+            if name.isEmpty || name == "." || name == ".." { name = "attachment_\(index)" }
+            let dir = workDir.appendingPathComponent("attachment-\(index)")
+            try FileManager.default.createDirectory(at: dir, withIntermediateDirectories: true)
+            originals.append((index: index, path: dir.appendingPathComponent(name).path))
+        }
+
+        // Step 3: Forward via AppleScript using the numeric ID (see buildForwardAppleScript)
+        let forwardScript = buildForwardAppleScript(
+            notePath: noteFile.path,
+            accountName: accountName,
+            appleMailId: appleMailId,
+            recipientLines: recipientScriptLines(to: to, cc: cc, bcc: bcc),
+            originalAttachments: originals,
+            attachmentLines: attachmentLines
+        )
+
+        _ = try runAppleScript(forwardScript)
+
+        var result: [String: Any] = [
+            "success": true,
+            "message": "Message forwarded successfully",
+            "forwarded": id,
+            "originalSubject": dict["subject"] ?? "",
+            "to": to
+        ]
+        if !cc.isEmpty { result["cc"] = cc }
+        if !bcc.isEmpty { result["bcc"] = bcc }
+        if !originalNames.isEmpty { result["includedAttachments"] = originalNames }
         if !attachment.isEmpty {
             result["attachments"] = attachment.map { ($0 as NSString).expandingTildeInPath }
         }
@@ -0,0 +1,111 @@
+import ArgumentParser
+import Foundation
+
+/// Resident worker loop behind each CLI's hidden `worker` subcommand.
+///
+/// The MCP server / OpenClaw runner keeps one of these running per CLI
+/// instead of spawning a process (and re-initializing EventKit / Contacts)
+/// for every call. Protocol: newline-delimited JSON on stdin/stdout.
+///
+///   → {"ready": true, "protocol": 1}                  once, on startup
+///   ← {"id": 1, "args": ["list", "--format", "json"]}
+///   → {"id": 1, "ok": true, "output": "<stdout of the command>"}
+///   → {"id": 1, "ok": false, "error": "Error: ..."}
+///   ← {"id": 2, "ping": true}
+///   → {"id": 2, "ok": true, "pong": true}
+///
+/// Requests run one at a time: a command's stdout is captured by pointing
+/// file descriptor 1 at a scratch file while it runs, which is process-wide.
+/// The loop exits when stdin closes.
+public enum WorkerMode {
+    public static let protocolVersion = 1
+
+    /// Subcommands that cannot run in the worker: `worker` itself, and
+    /// `secrets`, which reads the secret value from stdin.
+    static let refusedSubcommands: Set<String> = ["worker", "secrets"]
+
+    public static func serve(_ root: ParsableCommand.Type) async {
+        // Responses are written to the real stdout, which stays reachable
+        // through this descriptor while fd 1 is redirected.
+        let responseFD = dup(STDOUT_FILENO)
+        let responses = FileHandle(fileDescriptor: responseFD, closeOnDealloc: true)
+        respond(["ready": true, "protocol": protocolVersion], to: responses)
+
+        while let line = readLine() {
+            guard let data = line.data(using: .utf8),
+                  let request = try? JSONSerialization.jsonObject(with: data) as? [String: Any],
+                  let id = request["id"] as? Int
+            else {
+                respond(["id": NSNull(), "ok": false, "error": "Malformed worker request"], to: responses)
+                continue
+            }
+
+            if request["ping"] as? Bool == true {
+                respond(["id": id, "ok": true, "pong": true], to: responses)
+                continue
+            }
+
+            let args = request["args"] as? [String] ?? []
+            if let subcommand = args.first, refusedSubcommands.contains(subcommand) {
+                respond(["id": id, "ok": false, "error": "Error: '\(subcommand)' is not available in worker mode"], to: responses)
+                continue
+            }
+
+            let (output, failure) = await captureStdout(root) { try await run(root, args) }
+            if let failure {
+                respond(["id": id, "ok": false, "error": failure, "output": output], to: responses)
+            } else {
+                respond(["id": id, "ok": true, "output": output], to: responses)
+            }
+        }
+    }
+
+    /// Parse and run one command line against the CLI's root command.
+    private static func run(_ root: ParsableCommand.Type, _ args: [String]) async throws {
+        var command = try root.parseAsRoot(args)
+        if var asyncCommand = command as? AsyncParsableCommand {
+            try await asyncCommand.run()
+        } else {
+            try command.run()
+        }
+    }
+
+    /// Run `body` with fd 1 redirected to a scratch file. Returns what it
+    /// printed and, if it threw, the message ArgumentParser would print.
+    private static func captureStdout(
+        _ root: ParsableCommand.Type,
+        _ body: () async throws -> Void
+    ) async -> (output: String, failure: String?) {
+        let scratch = FileManager.default.temporaryDirectory
+            .appendingPathComponent("pim-worker-\(getpid()).out")
+        fflush(stdout)
+        let savedFD = dup(STDOUT_FILENO)
+        let scratchFD = open(scratch.path, O_WRONLY | O_CREAT | O_TRUNC, 0o600)
+        dup2(scratchFD, STDOUT_FILENO)
+        close(scratchFD)
+
+        var failure: String?
+        do {
+            try await body()
+        } catch {
+            // --help and friends surface as a clean exit, not a failure.
+            if root.exitCode(for: error).rawValue == ExitCode.success.rawValue {
+                print(root.message(for: error))
+            } else {
+                failure = root.fullMessage(for: error)
+            }
+        }
+
+        fflush(stdout)
+        dup2(savedFD, STDOUT_FILENO)
+        close(savedFD)
+        let output = (try? String(contentsOf: scratch, encoding: .utf8)) ?? ""
+        try? FileManager.default.removeItem(at: scratch)
+        return (output, failure)
+    }
+
+    private static func respond(_ response: [String: Any], to handle: FileHandle) {
+        guard let data = try? JSONSerialization.data(withJSONObject: response) else { return }
+        handle.write(data + Data("\n".utf8))
+    }
+}
@@ -23,10 +23,25 @@ struct ReminderCLI: AsyncParsableCommand {
             BatchCompleteReminder.self,
             BatchDeleteReminder.self,
             ConfigCommand.self,
+            WorkerCommand.self,
         ]
     )
 }
 
+// MARK: - Worker Mode
+
+struct WorkerCommand: AsyncParsableCommand {
+    static let configuration = CommandConfiguration(
+        commandName: "worker",
+        abstract: "Serve newline-delimited JSON requests on stdin (used by the MCP server)",
+        shouldDisplay: false
+    )
+
+    func run() async throws {
+        await WorkerMode.serve(ReminderCLI.self)
+    }
+}
+
 // MARK: - Auth Status (no prompts)
 
 struct AuthStatus: ParsableCommand {
@@ -106,6 +106,50 @@ final class BatchCreateEventValidationTests: XCTestCase {
         XCTAssertEqual(delta, 60)
     }
 
+    func testResolveBatchEventDatesReadsWallClockInTimeZone() throws {
+        let input = BatchEventInput(
+            title: "London sync",
+            start: "2026-02-20 09:00",
+            end: "2026-02-20T10:00:00Z",
+            duration: nil,
+            calendar: nil,
+            location: nil,
+            notes: nil,
+            url: nil,
+            allDay: nil,
+            alarm: nil,
+            recurrence: nil,
+            attendees: nil,
+            timeZone: "Europe/London"
+        )
+
+        let dates = try resolveBatchEventDates(input)
+        XCTAssertEqual(dates.startDate, ISO8601DateFormatter().date(from: "2026-02-20T09:00:00Z"))
+        XCTAssertEqual(dates.endDate.timeIntervalSince(dates.startDate), 3600)
+    }
+
+    func testResolveBatchEventDatesUnknownTimeZoneThrows() {
+        let input = BatchEventInput(
+            title: "Bad zone",
+            start: "2026-02-20 09:00",
+            end: nil,
+            duration: nil,
+            calendar: nil,
+            location: nil,
+            notes: nil,
+            url: nil,
+            allDay: nil,
+            alarm: nil,
+            recurrence: nil,
+            attendees: nil,
+            timeZone: "Mars/Olympus"
+        )
+
+        XCTAssertThrowsError(try resolveBatchEventDates(input)) { error in
+            XCTAssertEqual((error as? CLIError)?.errorDescription, "Unknown time zone: Mars/Olympus")
+        }
+    }
+
     func testResolveBatchEventDatesInvalidStartThrows() {
         let input = BatchEventInput(
             title: "Bad",
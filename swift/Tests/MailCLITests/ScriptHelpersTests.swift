@@ -105,4 +105,66 @@ final class ScriptHelpersTests: XCTestCase {
         XCTAssertTrue(script.contains("tell replyMsg"))
         XCTAssertTrue(script.contains("make new attachment with properties {file name:\"/tmp/a.pdf\"}"))
     }
+
+    func testReplyScriptReplacesRecipientsWhenGiven() {
+        let script = buildReplyAppleScript(
+            bodyPath: "/tmp/body.txt",
+            accountName: "Google",
+            appleMailId: 7,
+            attachmentLines: "",
+            recipientLines: recipientScriptLines(to: ["sam@example.com"], cc: ["kim@example.com"])
+        )
+        XCTAssertTrue(script.contains("delete every to recipient"))
+        XCTAssertTrue(script.contains("make new to recipient at end of to recipients with properties {address:\"sam@example.com\"}"))
+        XCTAssertTrue(script.contains("make new cc recipient at end of cc recipients with properties {address:\"kim@example.com\"}"))
+        // Recipients are set before the body, on the same plain-text reply.
+        let recipients = script.range(of: "delete every to recipient")!
+        let content = script.range(of: "set content of replyMsg to replyBody")!
+        XCTAssertTrue(recipients.lowerBound < content.lowerBound)
+    }
+
+    func testReplyScriptKeepsMailRecipientsByDefault() {
+        let script = buildReplyAppleScript(
+            bodyPath: "/tmp/body.txt",
+            accountName: "Google",
+            appleMailId: 7,
+            attachmentLines: ""
+        )
+        XCTAssertFalse(script.contains("delete every to recipient"))
+    }
+
+    // MARK: - Forward script
+
+    func testForwardScriptComposesWithoutOpeningWindowAndKeepsForwardedText() {
+        let script = buildForwardAppleScript(
+            notePath: "/tmp/note.txt",
+            accountName: "Google",
+            appleMailId: 42,
+            recipientLines: recipientScriptLines(to: ["sam@example.com"], bcc: ["me@example.com"]),
+            originalAttachments: [],
+            attachmentLines: ""
+        )
+        XCTAssertTrue(script.contains("on findMsgById(theId, mboxList)"))
+        XCTAssertTrue(script.contains("my findMsgById(42, (mailboxes of theAccount))"))
+        XCTAssertTrue(script.contains("set fwdMsg to forward origMsg without opening window"))
+        XCTAssertTrue(script.contains("set content of fwdMsg to noteText & return & return & forwardedText"))
+        XCTAssertTrue(script.contains("make new bcc recipient at end of bcc recipients with properties {address:\"me@example.com\"}"))
+        XCTAssertFalse(script.contains("mail attachment"))
+        XCTAssertTrue(script.contains("send fwdMsg"))
+    }
+
+    func testForwardScriptSavesAndReattachesOriginalAttachments() {
+        let script = buildForwardAppleScript(
+            notePath: "/tmp/note.txt",
+            accountName: "Google",
+            appleMailId: 42,
+            recipientLines: recipientScriptLines(to: ["sam@example.com"]),
+            originalAttachments: [(index: 0, path: "/tmp/fwd/attachment-0/q3 \"plan\".pdf")],
+            attachmentLines: "\n        make new attachment with properties {file name:\"/tmp/extra.txt\"} at after the last paragraph"
+        )
+        XCTAssertTrue(script.contains("save (mail attachment 1 of origMsg) in POSIX file \"/tmp/fwd/attachment-0/q3 \\\"plan\\\".pdf\""))
+        let reattach = script.range(of: "{file name:\"/tmp/fwd/attachment-0/q3 \\\"plan\\\".pdf\"}")!
+        let extra = script.range(of: "{file name:\"/tmp/extra.txt\"}")!
+        XCTAssertTrue(reattach.lowerBound < extra.lowerBound)
+    }
 }